@@ -7,6 +7,7 @@ const bodyParser = require('body-parser');
 // Import routes
 const whatsappRoutes = require('./routes/whatsappRoutes');
 const webhookRoutes = require('./routes/webhookRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
 
 // Import middleware
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
@@ -15,7 +16,8 @@ const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { config } = require('./config/environment');
 const { testConnection } = require('./config/database');
 const databaseService = require('./services/databaseService');
-const appointmentService = require('./services/appointmentService');
+const stateStoreService = require('./services/stateStoreService');
+const outboundQueueService = require('./services/outboundQueueService');
 
 class App {
   constructor() {
@@ -25,6 +27,7 @@ class App {
     this.setupRoutes();
     this.setupErrorHandling();
     this.setupCleanupInterval();
+    outboundQueueService.start();
   }
 
   async initializeDatabase() {
@@ -91,12 +94,16 @@ class App {
             send: 'POST /api/whatsapp/send',
             sendTemplate: 'POST /api/whatsapp/send-template',
             status: 'GET /api/whatsapp/status/:messageSid',
-            health: 'GET /api/whatsapp/health'
+            health: 'GET /api/whatsapp/health',
+            outbound: 'GET /api/whatsapp/outbound?status=pending|sending|sent|dead',
+            retryOutbound: 'POST /api/whatsapp/outbound/:id/retry',
+            messageThread: 'GET /api/whatsapp/messages/:phoneNumber?limit=&before='
           },
           webhooks: {
             whatsapp: 'POST /webhook/whatsapp',
             status: 'POST /webhook/whatsapp/status'
-          }
+          },
+          media: 'GET /media/:mediaId?expires=&signature= (signed links sent by the bot)'
         },
         documentation: {
           send: {
@@ -128,6 +135,9 @@ class App {
     
     // Webhook routes
     this.app.use('/webhook', webhookRoutes);
+
+    // Property photos
+    this.app.use('/media', mediaRoutes);
   }
 
   setupErrorHandling() {
@@ -139,12 +149,12 @@ class App {
   }
 
   setupCleanupInterval() {
-    // Start cleanup interval for expired appointment requests (every 10 minutes)
+    // Purge expired conversation states and appointment requests (every 10 minutes)
     setInterval(() => {
-      appointmentService.cleanupExpiredRequests();
+      stateStoreService.cleanupExpired();
     }, 10 * 60 * 1000);
 
-    console.log('✅ [APP] Appointment cleanup service started');
+    console.log('✅ [APP] State cleanup service started');
   }
 
   getApp() {
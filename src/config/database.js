@@ -1,47 +1,71 @@
-const { createClient } = require('@supabase/supabase-js');
 const { config } = require('./environment');
+const SupabaseAdapter = require('../models/adapters/SupabaseAdapter');
+const MemoryAdapter = require('../models/adapters/MemoryAdapter');
 
-// Initialize Supabase client for user operations (with anon key)
-const supabase = createClient(config.database.url, config.database.anonKey, {
-  auth: {
-    autoRefreshToken: true,
-    persistSession: false
+/**
+ * Create the user and admin storage adapters for the configured backend
+ * @returns {{storage: SupabaseAdapter, adminStorage: SupabaseAdapter}}
+ */
+const createStorage = () => {
+  if (config.database.adapter === 'memory') {
+    // No RLS in memory: both adapters share one database
+    const storage = new MemoryAdapter();
+    const adminStorage = new MemoryAdapter(storage.database);
+    if (config.database.seedFile) {
+      storage.loadSeedFile(config.database.seedFile);
+    }
+    return { storage, adminStorage };
   }
-});
 
-// Initialize Supabase client for admin operations (with service role key)
-const supabaseAdmin = createClient(config.database.url, config.database.serviceRoleKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false
+  if (config.database.adapter !== 'supabase') {
+    throw new Error(`Unknown database adapter: ${config.database.adapter}`);
   }
-});
+
+  const { createClient } = require('@supabase/supabase-js');
+
+  // Initialize Supabase client for user operations (with anon key)
+  const supabase = createClient(config.database.url, config.database.anonKey, {
+    auth: {
+      autoRefreshToken: true,
+      persistSession: false
+    }
+  });
+
+  // Initialize Supabase client for admin operations (with service role key)
+  const supabaseAdmin = createClient(config.database.url, config.database.serviceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  return {
+    storage: new SupabaseAdapter(supabase),
+    adminStorage: new SupabaseAdapter(supabaseAdmin)
+  };
+};
+
+const { storage, adminStorage } = createStorage();
 
 // Test database connection
 const testConnection = async () => {
   try {
     // Test with anon key first
-    const { data, error } = await supabase
-      .from('user_roles')
-      .select('id')
-      .limit(1);
-    
+    const error = await storage.ping();
+
     if (error && error.code !== 'PGRST301') { // PGRST301 = no matching rows, which is OK
       console.warn('Database connection test with anon key:', error.message);
     }
-    
+
     // Test with admin key
-    const { data: adminData, error: adminError } = await supabaseAdmin
-      .from('user_roles')
-      .select('id')
-      .limit(1);
-    
+    const adminError = await adminStorage.ping();
+
     if (adminError && adminError.code !== 'PGRST116') { // PGRST116 = no rows returned
       console.warn('Database admin connection test failed:', adminError.message);
       return false;
     }
-    
-    console.log('✅ Database connection successful');
+
+    console.log(`✅ Database connection successful (${storage.name})`);
     return true;
   } catch (error) {
     console.error('❌ Database connection error:', error.message);
@@ -50,7 +74,9 @@ const testConnection = async () => {
 };
 
 module.exports = {
-  supabase,        // For user operations with RLS
-  supabaseAdmin,   // For admin operations bypassing RLS
+  storage,                        // Storage adapter for user operations (RLS applies on Supabase)
+  adminStorage,                   // Storage adapter for admin operations bypassing RLS
+  supabase: storage.client,       // Raw query clients, kept for existing callers
+  supabaseAdmin: adminStorage.client,
   testConnection
-}; 
\ No newline at end of file
+};
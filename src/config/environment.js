@@ -1,5 +1,13 @@
 require('dotenv').config();
 
+/**
+ * Read a whole number setting where 0 is meaningful, so `|| default` would lose it
+ * @param {string|undefined} value - Raw environment value
+ * @param {number} fallback - Value when unset
+ * @returns {number} - The number, or NaN when it isn't one (validateConfig rejects it)
+ */
+const countSetting = (value, fallback) => (value === undefined || value.trim() === '' ? fallback : Number(value));
+
 const config = {
   // Server Configuration
   port: process.env.PORT || 3000,
@@ -15,7 +23,13 @@ const config = {
   
   // Webhook Configuration
   webhook: {
-    baseUrl: process.env.WEBHOOK_BASE_URL || 'http://localhost:3000'
+    baseUrl: process.env.WEBHOOK_BASE_URL || 'http://localhost:3000',
+    // Signature validation can only be switched off outside production
+    validateSignature: process.env.WEBHOOK_VALIDATE_SIGNATURE !== 'false' || process.env.NODE_ENV === 'production',
+    // 'inline' replies in the webhook's TwiML; 'async' acknowledges at once and replies via the REST API
+    replyMode: process.env.WEBHOOK_REPLY_MODE || 'inline',
+    // How long a retried delivery waits for the original to finish before answering empty
+    duplicateWaitMs: parseInt(process.env.WEBHOOK_DUPLICATE_WAIT_MS, 10) || 10000
   },
   
   // Local Tunnel Configuration
@@ -23,8 +37,10 @@ const config = {
     subdomain: process.env.LOCAL_TUNNEL_SUBDOMAIN || 'reagentbot-whatsapp'
   },
   
-  // Database Configuration (Supabase)
+  // Database Configuration (Supabase or in-memory)
   database: {
+    adapter: process.env.DATABASE_ADAPTER || 'supabase', // 'supabase' or 'memory'
+    seedFile: process.env.DATABASE_SEED_FILE || null, // JSON seed data for the memory adapter
     url: process.env.SUPABASE_URL,
     anonKey: process.env.SUPABASE_KEY,
     serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY
@@ -33,19 +49,132 @@ const config = {
   // OpenAI Configuration
   openai: {
     apiKey: process.env.OPENAI_API_KEY
+  },
+  
+  // LLM Gateway Configuration
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai', // 'openai' or 'stub'
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    stubFixturesPath: process.env.LLM_STUB_FIXTURES || null,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 20000,
+    router: process.env.LLM_ROUTER || 'single_pass' // 'single_pass' or 'legacy' (one model call per check)
+  },
+  
+  // Voice Note Transcription Configuration
+  transcription: {
+    provider: process.env.TRANSCRIPTION_PROVIDER || process.env.LLM_PROVIDER || 'openai', // 'openai' or 'stub'
+    model: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+    // Language hint such as 'pt'; left unset, the provider detects it
+    language: process.env.TRANSCRIPTION_LANGUAGE || null,
+    maxBytes: (parseInt(process.env.TRANSCRIPTION_MAX_SIZE_MB, 10) || 16) * 1024 * 1024
+  },
+  
+  // Conversation State Store Configuration
+  stateStore: {
+    driver: process.env.STATE_STORE_DRIVER || 'memory', // 'memory' or 'database'
+    conversationTtlMinutes: parseInt(process.env.CONVERSATION_STATE_TTL_MINUTES, 10) || 10,
+    pendingRequestTtlMinutes: parseInt(process.env.PENDING_REQUEST_TTL_MINUTES, 10) || 30,
+    processedMessageTtlMinutes: parseInt(process.env.PROCESSED_MESSAGE_TTL_MINUTES, 10) || 60
+  },
+  
+  // Conversation History Configuration (context window for LLM operations)
+  history: {
+    maxTurns: parseInt(process.env.CONVERSATION_HISTORY_TURNS, 10) || 8, // user and bot turns kept verbatim
+    maxTurnChars: 300,
+    // Older user requests are summarized within this budget
+    maxSummaryChars: 600,
+    maxSummaryRequestChars: 120,
+    ttlMinutes: parseInt(process.env.CONVERSATION_HISTORY_TTL_MINUTES, 10) || 24 * 60
+  },
+  
+  // Interactive Message Configuration (buttons and list pickers)
+  interactive: {
+    enabled: process.env.INTERACTIVE_MESSAGES !== 'false' // 'false' sends the plain-text versions only
+  },
+  
+  // Location Search Configuration ("near me" and radius searches)
+  search: {
+    defaultRadiusKm: parseFloat(process.env.SEARCH_DEFAULT_RADIUS_KM) || 2,
+    maxRadiusKm: 50,
+    sharedLocationTtlMinutes: parseInt(process.env.SHARED_LOCATION_TTL_MINUTES, 10) || 60
+  },
+  
+  // Property Media Configuration (photos sent by owners and agents)
+  media: {
+    storageDriver: process.env.MEDIA_STORAGE_DRIVER || 'local', // 'local' or 'supabase'
+    localDir: process.env.MEDIA_STORAGE_DIR || 'storage/media',
+    bucket: process.env.MEDIA_STORAGE_BUCKET || 'property-media',
+    maxBytes: (parseInt(process.env.MEDIA_MAX_SIZE_MB, 10) || 10) * 1024 * 1024,
+    // Photos are served to Twilio through signed links that expire after this long
+    urlSecret: process.env.MEDIA_URL_SECRET,
+    urlTtlMinutes: parseInt(process.env.MEDIA_URL_TTL_MINUTES, 10) || 24 * 60,
+    galleryLimit: parseInt(process.env.MEDIA_GALLERY_LIMIT, 10) || 5
+  },
+  
+  // Viewing Scheduling Configuration
+  scheduling: {
+    // IANA zone for properties and users whose own zone can't be worked out
+    timezone: process.env.DEFAULT_TIMEZONE || 'Europe/Lisbon',
+    // Availability windows are split into viewings this long with this gap between them,
+    // unless the property or its owner/agent sets their own
+    slotMinutes: parseInt(process.env.VIEWING_SLOT_MINUTES, 10) || 30,
+    bufferMinutes: countSetting(process.env.VIEWING_BUFFER_MINUTES, 15),
+    // An owner or agent needs this long between viewings at different addresses,
+    // unless they set their own
+    travelMinutes: countSetting(process.env.VIEWING_TRAVEL_MINUTES, 30)
+  },
+  
+  // Outbound Message Queue Configuration
+  outboundQueue: {
+    maxAttempts: parseInt(process.env.OUTBOUND_MAX_ATTEMPTS, 10) || 5,
+    retryBaseMs: parseInt(process.env.OUTBOUND_RETRY_BASE_MS, 10) || 2000,
+    retryMaxMs: parseInt(process.env.OUTBOUND_RETRY_MAX_MS, 10) || 5 * 60 * 1000,
+    recipientIntervalMs: parseInt(process.env.OUTBOUND_RECIPIENT_INTERVAL_MS, 10) || 1000,
+    sendTimeoutMs: 60 * 1000, // A claim older than this is assumed lost and retried
+    pollIntervalMs: 5000,
+    // Typing-style pacing for asynchronous replies: the gap before each message grows with its length
+    typingMsPerChar: 25,
+    minTypingMs: 600,
+    maxTypingMs: 4000
   }
 };
 
 // Validate required environment variables
 const validateConfig = () => {
-  const required = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'SUPABASE_URL', 'SUPABASE_KEY', 'SUPABASE_SERVICE_ROLE_KEY', 'OPENAI_API_KEY'];
+  // Photo links are signed with their own key rather than a Twilio credential
+  const required = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'MEDIA_URL_SECRET'];
+  // The memory adapter does not talk to Supabase
+  if (config.database.adapter === 'supabase') {
+    required.push('SUPABASE_URL', 'SUPABASE_KEY', 'SUPABASE_SERVICE_ROLE_KEY');
+  }
+  // The offline stub provider does not talk to OpenAI
+  if (config.llm.provider === 'openai') {
+    required.push('OPENAI_API_KEY');
+  }
   const missing = required.filter(key => !process.env[key]);
+
+  if (!['inline', 'async'].includes(config.webhook.replyMode)) {
+    console.error(`Invalid WEBHOOK_REPLY_MODE "${config.webhook.replyMode}": use inline or async`);
+    process.exit(1);
+  }
+
+  const countSettings = {
+    VIEWING_BUFFER_MINUTES: config.scheduling.bufferMinutes,
+    VIEWING_TRAVEL_MINUTES: config.scheduling.travelMinutes
+  };
+  for (const [name, value] of Object.entries(countSettings)) {
+    if (!Number.isInteger(value) || value < 0) {
+      console.error(`Invalid ${name} "${process.env[name]}": use a whole number of minutes (0 for none)`);
+      process.exit(1);
+    }
+  }
   
   if (missing.length > 0) {
     console.error('Missing required environment variables:', missing.join(', '));
     console.error('Please create a .env file with the following variables:');
     console.error('TWILIO_ACCOUNT_SID=your_account_sid');
     console.error('TWILIO_AUTH_TOKEN=your_auth_token');
+    console.error('MEDIA_URL_SECRET=a_long_random_string');
     console.error('SUPABASE_URL=your_supabase_url');
     console.error('SUPABASE_KEY=your_supabase_anon_key');
     console.error('SUPABASE_SERVICE_ROLE_KEY=your_service_role_key');
@@ -0,0 +1,44 @@
+const propertyMediaService = require('../services/propertyMediaService');
+
+class MediaController {
+  /**
+   * Serve a property photo
+   * GET /media/:mediaId?expires=...&signature=...
+   * Twilio fetches photos the bot sends from here, so the route is public;
+   * links are signed and expire instead.
+   */
+  serveMedia = async (req, res) => {
+    try {
+      const { mediaId } = req.params;
+      const { expires, signature } = req.query;
+
+      if (!propertyMediaService.verifySignedUrl(mediaId, expires, signature)) {
+        return res.status(403).json({
+          error: 'Invalid or expired media link'
+        });
+      }
+
+      const file = await propertyMediaService.readMedia(mediaId);
+      if (!file) {
+        return res.status(404).json({
+          error: 'Media not found'
+        });
+      }
+
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Length': file.buffer.length,
+        'Cache-Control': 'private, max-age=3600'
+      });
+      res.send(file.buffer);
+    } catch (error) {
+      console.error('Error in serveMedia:', error);
+      res.status(500).json({
+        error: 'Failed to load media',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = new MediaController();
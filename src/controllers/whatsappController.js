@@ -2,6 +2,17 @@ const { MessagingResponse } = require('twilio').twiml;
 const twilioService = require('../services/twilioService');
 const databaseService = require('../services/databaseService');
 const conversationService = require('../services/conversationService');
+const outboundQueueService = require('../services/outboundQueueService');
+const messageLogService = require('../services/messageLogService');
+const webhookIdempotencyService = require('../services/webhookIdempotencyService');
+const inboundWorkerService = require('../services/inboundWorkerService');
+const interactiveMessageService = require('../services/interactiveMessageService');
+const transcriptionService = require('../services/transcriptionService');
+const conversationHistoryService = require('../services/conversationHistoryService');
+const llmGatewayService = require('../services/llmGatewayService');
+const { config } = require('../config/environment');
+const { getRejectionStats } = require('../middleware/twilioSignature');
+const { OutboundMessage } = require('../models');
 
 class WhatsAppController {
   /**
@@ -19,6 +30,14 @@ class WhatsAppController {
       }
 
       const result = await twilioService.sendWhatsAppMessage(to, message, mediaUrl);
+      await messageLogService.logOutbound({
+        phoneNumber: to,
+        body: message,
+        mediaUrl,
+        kind: 'api',
+        messageSid: result.messageId,
+        status: result.status
+      });
       
       res.json({
         success: true,
@@ -78,48 +97,150 @@ class WhatsAppController {
         To, 
         MessageSid,
         NumMedia,
-        MediaUrl0,
-        MediaContentType0,
-        ProfileName 
+        Latitude,
+        Longitude,
+        Address,
+        Label,
+        ProfileName,
+        ButtonPayload,
+        ListId
       } = req.body;
 
+      // Twilio retries slow webhooks; answer a retry with the original reply instead of reprocessing
+      if (MessageSid && !(await webhookIdempotencyService.claim(MessageSid))) {
+        if (config.webhook.replyMode === 'async') {
+          // The reply goes out through the REST API, so there is nothing to replay
+          console.log(`🔁 [WEBHOOK] Duplicate delivery of ${MessageSid}, already acknowledged`);
+          return this.sendTwiml(res, null);
+        }
+        console.log(`🔁 [WEBHOOK] Duplicate delivery of ${MessageSid}, replaying the original reply`);
+        const originalResponse = await webhookIdempotencyService.getOriginalResponse(MessageSid);
+        return this.sendTwiml(res, originalResponse);
+      }
+
       // Log incoming message details
       console.log(`New message from ${From} (${ProfileName}): ${Body}`);
 
-      // Process the message and generate response
-      const responseMessage = await this.processIncomingMessage({
+      const messageData = {
         body: Body,
         from: From,
         to: To,
         messageSid: MessageSid,
-        numMedia: parseInt(NumMedia) || 0,
-        mediaUrl: MediaUrl0,
-        mediaContentType: MediaContentType0,
-        profileName: ProfileName
+        media: this.collectMedia(req.body, parseInt(NumMedia) || 0),
+        // Set when the user shared a location pin
+        location: Latitude && Longitude
+          ? { latitude: parseFloat(Latitude), longitude: parseFloat(Longitude), address: Address || null, label: Label || null }
+          : null,
+        profileName: ProfileName,
+        // Set when the user tapped one of our buttons or list items
+        payload: ButtonPayload || ListId || null
+      };
+
+      if (config.webhook.replyMode === 'async') {
+        // Acknowledge now so slow turns never hit Twilio's 15s timeout
+        inboundWorkerService.submit(From, () => this.replyAsynchronously(messageData));
+        return this.sendTwiml(res, null);
+      }
+
+      // Process the message and generate response
+      let responseMessage = await this.processIncomingMessage(messageData);
+
+      if (interactiveMessageService.isInteractive(responseMessage.content)) {
+        // TwiML cannot carry buttons or lists, so every reply goes through the REST API instead
+        await outboundQueueService.enqueueAll(From, this.toReplies(responseMessage), { kind: 'reply' });
+        responseMessage = { type: 'queued' };
+        if (MessageSid) {
+          await webhookIdempotencyService.complete(MessageSid, responseMessage);
+        }
+        return this.sendTwiml(res, null);
+      }
+
+      // Twilio assigns the TwiML reply its SID after we respond, so it is logged without one and
+      // its status callback names the log row instead; the first callback fills in the SID
+      const loggedReply = await messageLogService.logOutbound({
+        phoneNumber: From,
+        body: responseMessage.content,
+        mediaUrl: responseMessage.mediaUrl || null,
+        kind: 'reply',
+        status: 'sent'
       });
+      if (loggedReply) {
+        responseMessage = {
+          ...responseMessage,
+          statusCallback: `${config.webhook.baseUrl}/webhook/whatsapp/status?messageId=${encodeURIComponent(loggedReply.id)}`
+        };
+      }
 
-      // Create TwiML response
-      const twiml = new MessagingResponse();
-      
-      if (responseMessage.type === 'text') {
-        twiml.message(responseMessage.content);
-      } else if (responseMessage.type === 'media') {
-        const message = twiml.message(responseMessage.content);
-        message.media(responseMessage.mediaUrl);
+      // Queued after the reply is logged so the thread keeps the order the user sees
+      if (responseMessage.additionalMessages && responseMessage.additionalMessages.length > 0) {
+        await this.sendAdditionalMessages(From, responseMessage.additionalMessages);
       }
 
-      res.writeHead(200, { 'Content-Type': 'text/xml' });
-      res.end(twiml.toString());
+      if (MessageSid) {
+        await webhookIdempotencyService.complete(MessageSid, responseMessage);
+      }
+
+      this.sendTwiml(res, responseMessage);
     } catch (error) {
       console.error('Error in receiveMessage webhook:', error);
       
       // Send error response using TwiML
-      const twiml = new MessagingResponse();
-      twiml.message('Sorry, I encountered an error processing your message. Please try again later.');
+      const errorResponse = {
+        type: 'text',
+        content: 'Sorry, I encountered an error processing your message. Please try again later.'
+      };
+      if (req.body.MessageSid) {
+        await webhookIdempotencyService.complete(req.body.MessageSid, errorResponse);
+      }
       
-      res.writeHead(200, { 'Content-Type': 'text/xml' });
-      res.end(twiml.toString());
+      this.sendTwiml(res, errorResponse);
+    }
+  }
+
+  /**
+   * Process a message in the background and send every reply through the REST API
+   * @param {Object} messageData - Incoming message data
+   */
+  replyAsynchronously = async (messageData) => {
+    const responseMessage = await this.processIncomingMessage(messageData);
+
+    await outboundQueueService.enqueueAll(messageData.from, this.toReplies(responseMessage), { kind: 'reply', typing: true });
+
+    if (messageData.messageSid) {
+      await webhookIdempotencyService.complete(messageData.messageSid, responseMessage);
+    }
+  }
+
+  /**
+   * Every reply of a processed message, in order, for the outbound queue
+   * @param {Object} responseMessage - Result of processIncomingMessage
+   * @returns {Array} - Strings, interactive messages or { body, mediaUrl } objects
+   */
+  toReplies = (responseMessage) => {
+    const first = interactiveMessageService.isInteractive(responseMessage.content)
+      ? responseMessage.content
+      : { body: responseMessage.content, mediaUrl: responseMessage.mediaUrl || null };
+    return [first, ...(responseMessage.additionalMessages || [])];
+  }
+
+  /**
+   * Write a reply as a TwiML response
+   * @param {Object} res - Express response
+   * @param {Object|null} responseMessage - { type, content, mediaUrl, statusCallback }, or null for no reply
+   */
+  sendTwiml = (res, responseMessage) => {
+    const twiml = new MessagingResponse();
+    const attributes = responseMessage && responseMessage.statusCallback ? { statusCallback: responseMessage.statusCallback } : {};
+
+    if (responseMessage && responseMessage.type === 'text') {
+      twiml.message(attributes, responseMessage.content);
+    } else if (responseMessage && responseMessage.type === 'media') {
+      const message = twiml.message(attributes, responseMessage.content);
+      message.media(responseMessage.mediaUrl);
     }
+
+    res.writeHead(200, { 'Content-Type': 'text/xml' });
+    res.end(twiml.toString());
   }
 
   /**
@@ -146,8 +267,14 @@ class WhatsAppController {
         console.error(`Message error ${ErrorCode}: ${ErrorMessage}`);
       }
 
-      // Here you can update your database with message status
-      // For now, we'll just log it
+      await messageLogService.applyStatusUpdate({
+        messageSid: MessageSid,
+        // Set on TwiML replies, which are logged before they have a SID
+        messageId: req.query.messageId || null,
+        status: MessageStatus,
+        errorCode: ErrorCode,
+        errorMessage: ErrorMessage
+      });
       
       res.status(200).send('OK');
     } catch (error) {
@@ -185,31 +312,61 @@ class WhatsAppController {
     }
   }
 
+  /**
+   * Collect the media items of an inbound message
+   * @param {Object} params - Webhook parameters
+   * @param {number} numMedia - NumMedia from the webhook
+   * @returns {Array} - [{ url, contentType }]
+   */
+  collectMedia = (params, numMedia) => {
+    const media = [];
+    for (let i = 0; i < numMedia; i++) {
+      if (params[`MediaUrl${i}`]) {
+        media.push({ url: params[`MediaUrl${i}`], contentType: params[`MediaContentType${i}`] || null });
+      }
+    }
+    return media;
+  }
+
   /**
    * Process incoming message and determine response
    * @param {Object} messageData - Incoming message data
    * @returns {Object} - Response object
    */
   processIncomingMessage = async (messageData) => {
-    const { body, from, numMedia, mediaUrl, mediaContentType, profileName } = messageData;
+    const { from, messageSid, location = null, profileName, payload } = messageData;
+    let { body, media = [] } = messageData;
     
     try {
       console.log(`Processing message from ${from} (${profileName}): ${body}`);
 
       // Get or create user
       const user = await databaseService.getOrCreateUserFromWhatsApp(from, profileName);
-      
-      // Handle media messages
-      if (numMedia > 0) {
-        console.log(`Received media: ${mediaContentType} - ${mediaUrl}`);
-        return {
-          type: 'text',
-          content: 'Thank you for sending media! I can help you with property listings and viewings. Send "help" to see what I can do.'
-        };
+
+      const loggedMessage = await messageLogService.logInbound({
+        messageSid,
+        phoneNumber: from,
+        userId: user.id,
+        body,
+        media
+      });
+
+      // Voice notes are transcribed and handled as if the user had typed the text
+      const audio = media.find(item => transcriptionService.isAudio(item));
+      if (audio) {
+        const transcript = await this.transcribeVoiceNote(audio, loggedMessage);
+        if (!transcript) {
+          return {
+            type: 'text',
+            content: '🎙️ Sorry, I couldn\'t make out that voice note. Could you send it again or type your message?'
+          };
+        }
+        body = [body, transcript].filter(text => text && text.trim()).join('\n');
+        media = media.filter(item => !transcriptionService.isAudio(item));
       }
 
-      // Handle empty messages
-      if (!body || !body.trim()) {
+      // Handle empty messages (media and location pins without text are handled by the conversation service)
+      if ((!body || !body.trim()) && media.length === 0 && !location) {
         return {
           type: 'text',
           content: 'Hello! I\'m your AI real estate assistant. Send me a message and I\'ll help you with properties!'
@@ -217,7 +374,7 @@ class WhatsAppController {
       }
 
       // Handle sandbox join messages
-      const message = body.toLowerCase().trim();
+      const message = (body || '').toLowerCase().trim();
       if (message.startsWith('join')) {
         return {
           type: 'text',
@@ -227,20 +384,33 @@ class WhatsAppController {
 
       // The controller is now simplified. It just passes the message and user
       // to the conversation service, which holds all the complex logic.
-      const responseMessages = await conversationService.processMessage(body, user);
+      // The model calls, tokens and latency of the turn are reported per router mode.
+      const responseMessages = await llmGatewayService.trackTurn(config.llm.router, () =>
+        conversationService.processMessage(body || '', user, { payload, media, location, messageSid }));
+
+      // Remember the exchange so the next turns are understood in context
+      const historyText = body || (location ? '📍 Shared a location' : `📷 Sent ${media.length} photo(s)`);
+      await conversationHistoryService.recordExchange(user.phone_number, historyText, responseMessages);
       
       // Join multiple messages if needed (for WhatsApp we'll send the first one via TwiML)
       const responseText = Array.isArray(responseMessages) ? responseMessages[0] : responseMessages;
-      
-      // Send additional messages via API if there are multiple responses
-      if (Array.isArray(responseMessages) && responseMessages.length > 1) {
-        // Send additional messages asynchronously via Twilio API
-        this.sendAdditionalMessages(from, responseMessages.slice(1));
+      // Delivered via the API by receiveMessage if there are multiple responses
+      const additionalMessages = Array.isArray(responseMessages) ? responseMessages.slice(1) : [];
+
+      // A { body, mediaUrl } reply is a photo with its caption
+      if (responseText && responseText.mediaUrl && !interactiveMessageService.isInteractive(responseText)) {
+        return {
+          type: 'media',
+          content: responseText.body,
+          mediaUrl: responseText.mediaUrl,
+          additionalMessages
+        };
       }
       
       return {
         type: 'text',
-        content: responseText
+        content: responseText,
+        additionalMessages
       };
 
     } catch (error) {
@@ -253,19 +423,131 @@ class WhatsAppController {
   }
 
   /**
-   * Send additional messages asynchronously
+   * Transcribe a voice note and record the transcript on its logged message
+   * @param {Object} audio - Audio media item { url, contentType }
+   * @param {Object|null} loggedMessage - Inbound message log entry
+   * @returns {Promise<string|null>} - Transcript, or null if there is nothing to process
+   */
+  transcribeVoiceNote = async (audio, loggedMessage) => {
+    try {
+      const result = await transcriptionService.transcribeMedia(audio);
+      await messageLogService.recordTranscription(loggedMessage, result);
+      return result.text || null;
+    } catch (error) {
+      console.error('❌ [TRANSCRIPTION] Failed to transcribe voice note:', error.message);
+      await messageLogService.recordTranscription(loggedMessage, {
+        provider: transcriptionService.provider.name,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Queue additional messages behind the TwiML reply
    * @param {string} to - Phone number to send to
    * @param {Array} messages - Additional messages to send
    */
   sendAdditionalMessages = async (to, messages) => {
     try {
-      for (let i = 0; i < messages.length; i++) {
-        // Add a small delay between messages to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
-        await twilioService.sendWhatsAppMessage(to, messages[i]);
+      // The short delay lets the inline TwiML reply arrive first; the queue paces the rest
+      await outboundQueueService.enqueueAll(to, messages, { kind: 'reply', delayMs: 1000 });
+    } catch (error) {
+      console.error('Error queueing additional messages:', error);
+    }
+  }
+
+  /**
+   * Inspect the outbound queue
+   * GET /api/whatsapp/outbound?status=dead&limit=50
+   */
+  getOutboundQueue = async (req, res) => {
+    try {
+      const { status, limit } = req.query;
+      const validStatuses = Object.values(OutboundMessage.STATUS);
+
+      if (status && !validStatuses.includes(status)) {
+        return res.status(400).json({
+          error: `Invalid status. Use one of: ${validStatuses.join(', ')}`
+        });
       }
+
+      const data = await outboundQueueService.inspect({
+        status: status || null,
+        limit: Math.min(parseInt(limit, 10) || 50, 500)
+      });
+
+      res.json({
+        success: true,
+        data
+      });
     } catch (error) {
-      console.error('Error sending additional messages:', error);
+      console.error('Error in getOutboundQueue:', error);
+      res.status(500).json({
+        error: 'Failed to inspect outbound queue',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Requeue a dead-lettered message
+   * POST /api/whatsapp/outbound/:id/retry
+   */
+  retryOutboundMessage = async (req, res) => {
+    try {
+      const message = await outboundQueueService.retryDeadLetter(req.params.id);
+
+      if (!message) {
+        return res.status(404).json({
+          error: 'Dead-lettered message not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: message,
+        message: 'Message requeued'
+      });
+    } catch (error) {
+      console.error('Error in retryOutboundMessage:', error);
+      res.status(500).json({
+        error: 'Failed to requeue message',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the message thread for a phone number
+   * GET /api/whatsapp/messages/:phoneNumber?limit=50&before=2024-01-01T00:00:00Z
+   */
+  getMessageThread = async (req, res) => {
+    try {
+      const { phoneNumber } = req.params;
+      const { limit, before } = req.query;
+
+      if (before && isNaN(Date.parse(before))) {
+        return res.status(400).json({
+          error: 'Invalid before timestamp'
+        });
+      }
+
+      const data = await messageLogService.getThread(phoneNumber, {
+        limit: Math.min(parseInt(limit, 10) || 50, 500),
+        before: before || null
+      });
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      console.error('Error in getMessageThread:', error);
+      res.status(500).json({
+        error: 'Failed to get message thread',
+        details: error.message
+      });
     }
   }
 
@@ -277,6 +559,11 @@ class WhatsAppController {
     res.json({
       status: 'healthy',
       service: 'WhatsApp Bot',
+      webhookSecurity: getRejectionStats(),
+      replyMode: config.webhook.replyMode,
+      inboundWorker: inboundWorkerService.getStats(),
+      transcription: transcriptionService.getStats(),
+      llm: llmGatewayService.getStats(),
       timestamp: new Date().toISOString()
     });
   }
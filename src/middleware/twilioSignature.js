@@ -0,0 +1,102 @@
+const twilioService = require('../services/twilioService');
+const { config } = require('../config/environment');
+
+// Running tally of rejected webhook requests, exposed through the health check
+const rejectionStats = {
+  total: 0,
+  missingSignature: 0,
+  invalidSignature: 0,
+  lastRejectedAt: null
+};
+
+/**
+ * Build the list of URLs Twilio may have signed for this request.
+ * Tunnels and reverse proxies rewrite the host and protocol, so besides the
+ * configured base URL we also try the forwarded and raw Host headers.
+ * @param {Object} req - Express request
+ * @returns {Array<string>} - Candidate URLs, most trusted first
+ */
+const getCandidateUrls = (req) => {
+  const path = req.originalUrl;
+  const candidates = [];
+
+  if (config.webhook.baseUrl) {
+    candidates.push(`${config.webhook.baseUrl.replace(/\/+$/, '')}${path}`);
+  }
+
+  const forwardedHost = req.get('X-Forwarded-Host');
+  const forwardedProto = req.get('X-Forwarded-Proto');
+  if (forwardedHost) {
+    const proto = (forwardedProto || 'https').split(',')[0].trim();
+    candidates.push(`${proto}://${forwardedHost.split(',')[0].trim()}${path}`);
+  }
+
+  const host = req.get('Host');
+  if (host) {
+    candidates.push(`https://${host}${path}`);
+    candidates.push(`${req.protocol}://${host}${path}`);
+  }
+
+  return [...new Set(candidates)];
+};
+
+/**
+ * Record and answer a rejected webhook request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} reason - Rejection reason key
+ */
+const rejectRequest = (req, res, reason) => {
+  rejectionStats.total++;
+  rejectionStats[reason]++;
+  rejectionStats.lastRejectedAt = new Date().toISOString();
+
+  console.warn(`🚫 [WEBHOOK] Rejected ${req.method} ${req.originalUrl} from ${req.ip}: ${reason} (total rejected: ${rejectionStats.total})`);
+
+  res.status(403).json({
+    error: true,
+    message: 'Invalid Twilio signature',
+    path: req.path,
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Twilio webhook signature validation middleware
+ * Verifies the X-Twilio-Signature header against the request URL and POST params
+ */
+const validateTwilioSignature = (req, res, next) => {
+  if (!config.webhook.validateSignature) {
+    return next();
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  if (!signature) {
+    return rejectRequest(req, res, 'missingSignature');
+  }
+
+  const params = req.body || {};
+  const isValid = getCandidateUrls(req).some(url =>
+    twilioService.validateWebhookSignature(config.twilio.authToken, signature, url, params)
+  );
+
+  if (!isValid) {
+    return rejectRequest(req, res, 'invalidSignature');
+  }
+
+  next();
+};
+
+/**
+ * Get webhook rejection counters
+ * @returns {Object} - Copy of the rejection stats
+ */
+const getRejectionStats = () => ({
+  enabled: config.webhook.validateSignature,
+  ...rejectionStats
+});
+
+module.exports = {
+  validateTwilioSignature,
+  getRejectionStats
+};
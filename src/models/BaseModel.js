@@ -1,14 +1,21 @@
-const { supabase, supabaseAdmin } = require('../config/database');
+const { storage, adminStorage } = require('../config/database');
 
 /**
  * Base Model class providing common database operations
- * All model classes should extend this base class
+ * All model classes should extend this base class.
+ * CRUD goes through a storage adapter (Supabase or in-memory, see
+ * config/database.js); `db` exposes the adapter's query client for
+ * relational selects.
  */
 class BaseModel {
   constructor(tableName) {
     this.tableName = tableName;
-    this.db = supabase;      // Default to user client
-    this.adminDb = supabaseAdmin; // Admin client for privileged operations
+    this.userStorage = storage;
+    this.adminStorage = adminStorage;
+    this.db = storage.client;            // Default to user client
+    this.adminDb = adminStorage.client;  // Admin client for privileged operations
+
+    storage.registerTable(tableName, this.constructor.schema, this.constructor.uniqueKeys, this.constructor.defaults);
   }
 
   /**
@@ -23,10 +30,19 @@ class BaseModel {
    * Use regular database client for normal operations
    */
   useUserDb() {
-    this.db = supabase;
+    this.db = this.userStorage.client;
     return this;
   }
 
+  /**
+   * Storage adapter matching the active client
+   * (some models swap `db` directly, so this follows `db`)
+   * @returns {Object} - Storage adapter
+   */
+  activeStorage() {
+    return this.db === this.adminDb ? this.adminStorage : this.userStorage;
+  }
+
   /**
    * Find a record by ID
    * @param {string} id - Record ID
@@ -35,17 +51,7 @@ class BaseModel {
    */
   async findById(id, select = '*') {
     try {
-      const { data, error } = await this.db
-        .from(this.tableName)
-        .select(select)
-        .eq('id', id)
-        .single();
-
-      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
-        throw error;
-      }
-
-      return data || null;
+      return await this.activeStorage().findById(this.tableName, id, select);
     } catch (error) {
       console.error(`Error finding ${this.tableName} by ID:`, error);
       throw error;
@@ -61,36 +67,7 @@ class BaseModel {
    */
   async findAll(filters = {}, select = '*', options = {}) {
     try {
-      let query = this.db.from(this.tableName).select(select);
-
-      // Apply filters
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-          query = query.eq(key, value);
-        }
-      });
-
-      // Apply options
-      if (options.limit) {
-        query = query.limit(options.limit);
-      }
-
-      if (options.offset) {
-        query = query.range(options.offset, options.offset + (options.limit || 100) - 1);
-      }
-
-      if (options.orderBy) {
-        const { column, ascending = true } = options.orderBy;
-        query = query.order(column, { ascending });
-      }
-
-      const { data, error } = await query;
-
-      if (error) {
-        throw error;
-      }
-
-      return data || [];
+      return await this.activeStorage().findAll(this.tableName, filters, select, options);
     } catch (error) {
       console.error(`Error finding ${this.tableName} records:`, error);
       throw error;
@@ -105,22 +82,7 @@ class BaseModel {
    */
   async findOne(filters = {}, select = '*') {
     try {
-      let query = this.db.from(this.tableName).select(select);
-
-      // Apply filters
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-          query = query.eq(key, value);
-        }
-      });
-
-      const { data, error } = await query.single();
-
-      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
-        throw error;
-      }
-
-      return data || null;
+      return await this.activeStorage().findOne(this.tableName, filters, select);
     } catch (error) {
       console.error(`Error finding one ${this.tableName} record:`, error);
       throw error;
@@ -135,17 +97,7 @@ class BaseModel {
    */
   async create(data, select = '*') {
     try {
-      const { data: created, error } = await this.db
-        .from(this.tableName)
-        .insert(data)
-        .select(select)
-        .single();
-
-      if (error) {
-        throw error;
-      }
-
-      return created;
+      return await this.activeStorage().create(this.tableName, data, select);
     } catch (error) {
       console.error(`Error creating ${this.tableName} record:`, error);
       throw error;
@@ -161,18 +113,7 @@ class BaseModel {
    */
   async updateById(id, data, select = '*') {
     try {
-      const { data: updated, error } = await this.db
-        .from(this.tableName)
-        .update(data)
-        .eq('id', id)
-        .select(select)
-        .single();
-
-      if (error && error.code !== 'PGRST116') {
-        throw error;
-      }
-
-      return updated || null;
+      return await this.activeStorage().updateById(this.tableName, id, data, select);
     } catch (error) {
       console.error(`Error updating ${this.tableName} record:`, error);
       throw error;
@@ -186,16 +127,7 @@ class BaseModel {
    */
   async deleteById(id) {
     try {
-      const { error } = await this.db
-        .from(this.tableName)
-        .delete()
-        .eq('id', id);
-
-      if (error) {
-        throw error;
-      }
-
-      return true;
+      return await this.activeStorage().deleteById(this.tableName, id);
     } catch (error) {
       console.error(`Error deleting ${this.tableName} record:`, error);
       throw error;
@@ -209,22 +141,7 @@ class BaseModel {
    */
   async count(filters = {}) {
     try {
-      let query = this.db.from(this.tableName).select('*', { count: 'exact', head: true });
-
-      // Apply filters
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-          query = query.eq(key, value);
-        }
-      });
-
-      const { count, error } = await query;
-
-      if (error) {
-        throw error;
-      }
-
-      return count || 0;
+      return await this.activeStorage().count(this.tableName, filters);
     } catch (error) {
       console.error(`Error counting ${this.tableName} records:`, error);
       throw error;
@@ -0,0 +1,178 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * ConversationState Model
+ * Persists half-finished conversation flows (onboarding, deletions, viewing
+ * negotiations) so they survive restarts and are shared between instances.
+ * Rows are unique on (namespace, state_key).
+ */
+class ConversationState extends BaseModel {
+  constructor() {
+    super('conversation_states');
+    // State is written on behalf of the bot, never the end user
+    this.useAdminDb();
+  }
+
+  /**
+   * Schema definition
+   */
+  static get schema() {
+    return {
+      id: 'uuid (primary key)',
+      namespace: 'text (not null)',
+      state_key: 'text (not null)',
+      data: 'jsonb (not null)',
+      version: 'integer (not null, default 1)',
+      expires_at: 'timestamptz (nullable)',
+      created_at: 'timestamptz',
+      updated_at: 'timestamptz'
+    };
+  }
+
+  /**
+   * Column defaults, as the database fills them on insert
+   */
+  static get defaults() {
+    return { version: 1 };
+  }
+
+  /**
+   * Composite unique keys
+   */
+  static get uniqueKeys() {
+    return [['namespace', 'state_key']];
+  }
+
+  /**
+   * Find a state row by namespace and key
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key (usually a phone number)
+   * @returns {Object|null} - State row or null if not found
+   */
+  async findByKey(namespace, key) {
+    return await this.findOne({ namespace, state_key: key });
+  }
+
+  /**
+   * Get all unexpired state rows in a namespace
+   * @param {string} namespace - State namespace
+   * @returns {Array} - Array of state rows
+   */
+  async findActiveByNamespace(namespace) {
+    const { data, error } = await this.db
+      .from(this.tableName)
+      .select('*')
+      .eq('namespace', namespace)
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Insert a new state row
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   * @param {Object} data - State payload
+   * @param {string|null} expiresAt - ISO expiry timestamp
+   * @returns {Object|null} - Created row, or null if the key already exists
+   */
+  async insertState(namespace, key, data, expiresAt) {
+    const now = new Date().toISOString();
+    const { data: created, error } = await this.db
+      .from(this.tableName)
+      .insert({
+        namespace,
+        state_key: key,
+        data,
+        version: 1,
+        expires_at: expiresAt,
+        created_at: now,
+        updated_at: now
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      if (error.code === '23505') { // unique_violation: someone else created it first
+        return null;
+      }
+      throw error;
+    }
+
+    return created;
+  }
+
+  /**
+   * Update a state row only if it is still at the expected version
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   * @param {Object} data - State payload
+   * @param {string|null} expiresAt - ISO expiry timestamp
+   * @param {number} expectedVersion - Version the caller read
+   * @returns {Object|null} - Updated row, or null if the version moved on
+   */
+  async updateIfVersion(namespace, key, data, expiresAt, expectedVersion) {
+    const { data: updated, error } = await this.db
+      .from(this.tableName)
+      .update({
+        data,
+        version: expectedVersion + 1,
+        expires_at: expiresAt,
+        updated_at: new Date().toISOString()
+      })
+      .eq('namespace', namespace)
+      .eq('state_key', key)
+      .eq('version', expectedVersion)
+      .select('*');
+
+    if (error) {
+      throw error;
+    }
+
+    return updated && updated.length > 0 ? updated[0] : null;
+  }
+
+  /**
+   * Delete a state row
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   * @returns {boolean} - True when the delete ran
+   */
+  async deleteByKey(namespace, key) {
+    const { error } = await this.db
+      .from(this.tableName)
+      .delete()
+      .eq('namespace', namespace)
+      .eq('state_key', key);
+
+    if (error) {
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Delete every expired state row
+   * @returns {number} - Number of rows removed
+   */
+  async deleteExpired() {
+    const { data, error } = await this.db
+      .from(this.tableName)
+      .delete()
+      .lt('expires_at', new Date().toISOString())
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    return data ? data.length : 0;
+  }
+}
+
+module.exports = new ConversationState();
@@ -0,0 +1,145 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * Message Model
+ * Log of every inbound and outbound WhatsApp message, with the delivery
+ * status reported by Twilio's status callbacks.
+ */
+class Message extends BaseModel {
+  constructor() {
+    super('messages');
+    // The log is written on behalf of the bot, never the end user
+    this.useAdminDb();
+  }
+
+  /**
+   * Schema definition
+   */
+  static get schema() {
+    return {
+      id: 'uuid (primary key)',
+      direction: 'varchar(10) (inbound|outbound, not null)',
+      message_sid: 'varchar(64) (unique, nullable until sent)',
+      user_id: 'uuid (foreign key to users)',
+      phone_number: 'varchar(50) (not null)',
+      body: 'text',
+      media: 'jsonb (array of { url, contentType })',
+      transcript: 'text (inbound voice notes: text the turn was processed as)',
+      transcription: 'jsonb ({ provider, language, latencyMs } or { provider, error })',
+      kind: 'varchar(50) (reply, notification, calendar_invite, ...)',
+      property_id: 'uuid (foreign key to properties)',
+      appointment_id: 'uuid (foreign key to viewing_appointments)',
+      status: 'varchar(20) (not null)',
+      error_code: 'varchar(20)',
+      error_message: 'text',
+      status_updated_at: 'timestamptz',
+      created_at: 'timestamptz',
+      updated_at: 'timestamptz'
+    };
+  }
+
+  /**
+   * Message statuses
+   */
+  static get STATUS() {
+    return {
+      RECEIVED: 'received',
+      QUEUED: 'queued',
+      SENT: 'sent',
+      DELIVERED: 'delivered',
+      READ: 'read',
+      FAILED: 'failed',
+      UNDELIVERED: 'undelivered'
+    };
+  }
+
+  /**
+   * Position of each status in the delivery lifecycle. Callbacks can arrive out
+   * of order, so a status only replaces one with a lower rank.
+   */
+  static get STATUS_RANK() {
+    return {
+      received: 0,
+      queued: 1,
+      sent: 2,
+      delivered: 3,
+      read: 4,
+      failed: 5,
+      undelivered: 5
+    };
+  }
+
+  /**
+   * Find a message by Twilio SID
+   * @param {string} messageSid - Twilio message SID
+   * @returns {Object|null} - Message or null if not found
+   */
+  async findBySid(messageSid) {
+    return await this.findOne({ message_sid: messageSid });
+  }
+
+  /**
+   * Get a phone number's conversation, newest first
+   * @param {string} phoneNumber - Phone number (without whatsapp: prefix)
+   * @param {Object} options - { limit, before (ISO timestamp) }
+   * @returns {Array} - Messages with linked property and appointment
+   */
+  async getThread(phoneNumber, { limit = 50, before = null } = {}) {
+    let query = this.db
+      .from(this.tableName)
+      .select(`
+        *,
+        properties:property_id (
+          id,
+          address
+        ),
+        viewing_appointments:appointment_id (
+          id,
+          appointment_date,
+          start_time,
+          status
+        )
+      `)
+      .eq('phone_number', phoneNumber);
+
+    if (before) {
+      query = query.lt('created_at', before);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get outbound messages to a phone number that have not been delivered
+   * @param {string} phoneNumber - Phone number (without whatsapp: prefix)
+   * @returns {Array} - Queued, sent, failed or undelivered outbound messages
+   */
+  async getUndelivered(phoneNumber) {
+    const { QUEUED, SENT, FAILED, UNDELIVERED } = Message.STATUS;
+    const { data, error } = await this.db
+      .from(this.tableName)
+      .select('*')
+      .eq('phone_number', phoneNumber)
+      .eq('direction', 'outbound')
+      .in('status', [QUEUED, SENT, FAILED, UNDELIVERED])
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+}
+
+module.exports = new Message();
+module.exports.STATUS = Message.STATUS;
+module.exports.STATUS_RANK = Message.STATUS_RANK;
@@ -0,0 +1,222 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * OutboundMessage Model
+ * Durable queue of bot-initiated WhatsApp messages. Rows move
+ * pending -> sending -> sent, or end up dead (the dead-letter list)
+ * once retries are exhausted or the failure is permanent.
+ */
+class OutboundMessage extends BaseModel {
+  constructor() {
+    super('outbound_messages');
+    // Queue rows are written on behalf of the bot, never the end user
+    this.useAdminDb();
+  }
+
+  /**
+   * Schema definition
+   */
+  static get schema() {
+    return {
+      id: 'uuid (primary key)',
+      recipient: 'varchar(50) (not null)',
+      body: 'text (not null)',
+      media_url: 'varchar(1000) (nullable)',
+      interactive: 'jsonb (nullable, buttons or list picker; body holds the plain-text version)',
+      kind: 'varchar(50) (not null, default notification)',
+      status: 'varchar(20) (not null, default pending)',
+      attempts: 'integer (not null, default 0)',
+      sequence: 'bigint (not null)',
+      next_attempt_at: 'timestamptz (not null)',
+      last_error: 'text (nullable)',
+      message_sid: 'varchar(64) (nullable)',
+      message_id: 'uuid (foreign key to messages)',
+      sent_at: 'timestamptz (nullable)',
+      created_at: 'timestamptz',
+      updated_at: 'timestamptz'
+    };
+  }
+
+  /**
+   * Column defaults, as the database fills them on insert
+   */
+  static get defaults() {
+    return { kind: 'notification', status: 'pending', attempts: 0 };
+  }
+
+  /**
+   * Queue statuses
+   */
+  static get STATUS() {
+    return {
+      PENDING: 'pending',
+      SENDING: 'sending',
+      SENT: 'sent',
+      DEAD: 'dead'
+    };
+  }
+
+  /**
+   * Get undelivered messages (pending, or stuck in sending) in queue order
+   * @param {number} limit - Maximum rows to return
+   * @returns {Array} - Rows ordered by sequence
+   */
+  async findUndelivered(limit = 200) {
+    const { PENDING, SENDING } = OutboundMessage.STATUS;
+    const { data, error } = await this.db
+      .from(this.tableName)
+      .select('*')
+      .in('status', [PENDING, SENDING])
+      .order('sequence', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get the first undelivered message of each recipient, in queue order. The queue is read a
+   * page at a time until enough recipients are found, so one recipient's backlog can't hide
+   * everyone queued behind it.
+   * @param {number} limit - Maximum recipients to return
+   * @param {number} pageSize - Rows read per query
+   * @returns {Array} - One row per recipient, ordered by sequence
+   */
+  async findQueueHeads(limit = 200, pageSize = 200) {
+    const { PENDING, SENDING } = OutboundMessage.STATUS;
+    const heads = new Map();
+    let after = null;
+
+    while (heads.size < limit) {
+      let query = this.db
+        .from(this.tableName)
+        .select('*')
+        .in('status', [PENDING, SENDING]);
+      if (after !== null) {
+        query = query.gt('sequence', after);
+      }
+      const { data, error } = await query
+        .order('sequence', { ascending: true })
+        .limit(pageSize);
+
+      if (error) {
+        throw error;
+      }
+
+      for (const row of data || []) {
+        if (!heads.has(row.recipient) && heads.size < limit) {
+          heads.set(row.recipient, row);
+        }
+      }
+      if (!data || data.length < pageSize) break;
+      after = data[data.length - 1].sequence;
+    }
+
+    return [...heads.values()];
+  }
+
+  /**
+   * Claim a message for sending. Only succeeds if nobody else claimed it since it was read.
+   * @param {Object} message - Row as read from findUndelivered or findQueueHeads
+   * @param {string} lockedUntil - ISO time after which a stuck claim may be taken over
+   * @returns {Object|null} - Claimed row, or null if another worker got there first
+   */
+  async claim(message, lockedUntil) {
+    const { data, error } = await this.db
+      .from(this.tableName)
+      .update({
+        status: OutboundMessage.STATUS.SENDING,
+        attempts: message.attempts + 1,
+        next_attempt_at: lockedUntil,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', message.id)
+      .eq('status', message.status)
+      .eq('attempts', message.attempts)
+      .select('*');
+
+    if (error) {
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Mark a message as delivered to Twilio
+   * @param {string} id - Message ID
+   * @param {string} messageSid - Twilio message SID
+   * @returns {Object|null} - Updated row
+   */
+  async markSent(id, messageSid) {
+    const now = new Date().toISOString();
+    return await this.updateById(id, {
+      status: OutboundMessage.STATUS.SENT,
+      message_sid: messageSid,
+      sent_at: now,
+      last_error: null,
+      updated_at: now
+    });
+  }
+
+  /**
+   * Put a message back in the queue for another attempt
+   * @param {string} id - Message ID
+   * @param {string} nextAttemptAt - ISO time of the next attempt
+   * @param {string} lastError - Error from the failed attempt
+   * @returns {Object|null} - Updated row
+   */
+  async reschedule(id, nextAttemptAt, lastError) {
+    return await this.updateById(id, {
+      status: OutboundMessage.STATUS.PENDING,
+      next_attempt_at: nextAttemptAt,
+      last_error: lastError,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Move a message to the dead-letter list
+   * @param {string} id - Message ID
+   * @param {string} lastError - Error that made it give up
+   * @returns {Object|null} - Updated row
+   */
+  async markDead(id, lastError) {
+    return await this.updateById(id, {
+      status: OutboundMessage.STATUS.DEAD,
+      last_error: lastError,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get messages with a given status, newest first
+   * @param {string} status - Queue status
+   * @param {number} limit - Maximum rows to return
+   * @returns {Array} - Rows
+   */
+  async findByStatus(status, limit = 50) {
+    return await this.findAll({ status }, '*', {
+      limit,
+      orderBy: { column: 'created_at', ascending: false }
+    });
+  }
+
+  /**
+   * Count messages per status
+   * @returns {Object} - { pending, sending, sent, dead }
+   */
+  async countByStatus() {
+    const counts = {};
+    for (const status of Object.values(OutboundMessage.STATUS)) {
+      counts[status] = await this.count({ status });
+    }
+    return counts;
+  }
+}
+
+module.exports = new OutboundMessage();
+module.exports.STATUS = OutboundMessage.STATUS;
@@ -22,12 +22,19 @@ class Property extends BaseModel {
       price: 'numeric (required)',
       bedrooms: 'int',
       bathrooms: 'int',
-      availability: 'jsonb',
+      availability: 'jsonb (list of weekly, date, blackout and validity entries)',
+      viewing_slot_minutes: 'int (nullable, owner/agent setting or default when null)',
+      viewing_buffer_minutes: 'int (nullable, owner/agent setting or default when null)',
+      timezone: 'varchar(64) (IANA zone, nullable, taken from the city or country when missing)',
       status: 'varchar(50) (required)',
+      listing_type: 'varchar(10) (rent|sale, default rent)',
       area: 'numeric',
       price_per_sqm: 'numeric (computed)',
       neighborhood: 'text',
       district_id: 'uuid (foreign key to districts)',
+      latitude: 'numeric (nullable)',
+      longitude: 'numeric (nullable)',
+      location_precision: 'varchar(20) (address|district|city, nullable)',
       floor: 'varchar(50)',
       elevator: 'boolean',
       furnished: 'boolean',
@@ -45,6 +52,13 @@ class Property extends BaseModel {
     };
   }
 
+  /**
+   * Column defaults, as the database fills them on insert
+   */
+  static get defaults() {
+    return { listing_type: 'rent' };
+  }
+
   /**
    * Property status constants
    */
@@ -72,12 +86,14 @@ class Property extends BaseModel {
           id,
           name,
           phone_number,
+          timezone,
           user_roles:role_id (role)
         ),
         agent:agent_id (
           id,
           name,
           phone_number,
+          timezone,
           user_roles:role_id (role)
         ),
         apartment_types:type_id (
@@ -0,0 +1,154 @@
+const BaseModel = require('./BaseModel');
+
+/**
+ * PropertyMedia Model
+ * Photos attached to a property. Files live in the media storage backend;
+ * rows keep their storage key, display order and which one is the cover.
+ */
+class PropertyMedia extends BaseModel {
+  constructor() {
+    super('property_media');
+    // Media is attached by the bot on behalf of owners and agents
+    this.useAdminDb();
+  }
+
+  /**
+   * Schema definition
+   */
+  static get schema() {
+    return {
+      id: 'uuid (primary key)',
+      property_id: 'uuid (foreign key to properties)',
+      uploaded_by: 'uuid (foreign key to users)',
+      storage_driver: 'varchar(20) (local|supabase)',
+      storage_key: 'varchar(500) (not null)',
+      content_type: 'varchar(100)',
+      size_bytes: 'integer',
+      position: 'integer (not null, display order)',
+      is_cover: 'boolean (default false)',
+      caption: 'text',
+      source_url: 'varchar(1000) (Twilio media URL)',
+      message_sid: 'varchar(64)',
+      created_at: 'timestamptz',
+      updated_at: 'timestamptz'
+    };
+  }
+
+  /**
+   * Column defaults, as the database fills them on insert
+   */
+  static get defaults() {
+    return { is_cover: false };
+  }
+
+  /**
+   * Get a property's media in display order
+   * @param {string} propertyId - Property ID
+   * @returns {Array} - Media rows
+   */
+  async findByProperty(propertyId) {
+    const { data, error } = await this.db
+      .from(this.tableName)
+      .select('*')
+      .eq('property_id', propertyId)
+      .order('position', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get the position after the last media of a property
+   * @param {string} propertyId - Property ID
+   * @returns {number} - Next position (1-based)
+   */
+  async getNextPosition(propertyId) {
+    const { data, error } = await this.db
+      .from(this.tableName)
+      .select('position')
+      .eq('property_id', propertyId)
+      .order('position', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0].position + 1 : 1;
+  }
+
+  /**
+   * Get a property's cover photo
+   * @param {string} propertyId - Property ID
+   * @returns {Object|null} - Cover media row or null
+   */
+  async findCover(propertyId) {
+    const { data, error } = await this.db
+      .from(this.tableName)
+      .select('*')
+      .eq('property_id', propertyId)
+      .eq('is_cover', true)
+      .order('updated_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Get the cover photos of several properties
+   * @param {Array} propertyIds - Property IDs
+   * @returns {Array} - Cover media rows (at most one per property)
+   */
+  async findCovers(propertyIds) {
+    if (propertyIds.length === 0) return [];
+
+    const { data, error } = await this.db
+      .from(this.tableName)
+      .select('*')
+      .in('property_id', propertyIds)
+      .eq('is_cover', true)
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    // A lost race can leave two covers; the newest one wins, as in findCover
+    const covers = new Map();
+    for (const row of data || []) {
+      if (!covers.has(row.property_id)) covers.set(row.property_id, row);
+    }
+    return [...covers.values()];
+  }
+
+  /**
+   * Make one media row the property's cover photo
+   * @param {string} propertyId - Property ID
+   * @param {string} mediaId - Media ID
+   * @returns {Object|null} - Updated media row
+   */
+  async setCover(propertyId, mediaId) {
+    const now = new Date().toISOString();
+    const { error } = await this.db
+      .from(this.tableName)
+      .update({ is_cover: false, updated_at: now })
+      .eq('property_id', propertyId)
+      .eq('is_cover', true);
+
+    if (error) {
+      throw error;
+    }
+
+    return await this.updateById(mediaId, { is_cover: true, updated_at: now });
+  }
+}
+
+module.exports = new PropertyMedia();
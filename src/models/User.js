@@ -20,6 +20,10 @@ class User extends BaseModel {
       phone_number: 'varchar(50) (unique, required)',
       name: 'varchar(255)',
       role_id: 'uuid (foreign key to user_roles)',
+      viewing_slot_minutes: 'int (nullable, default for the properties they own or manage)',
+      viewing_buffer_minutes: 'int (nullable, default for the properties they own or manage)',
+      viewing_travel_minutes: 'int (nullable, time needed between viewings at different addresses)',
+      timezone: 'varchar(64) (IANA zone, nullable, taken from the phone number when missing)',
       created_at: 'timestamptz',
       updated_at: 'timestamptz'
     };
@@ -105,10 +109,11 @@ class User extends BaseModel {
    * @param {string} userData.phone_number - Phone number
    * @param {string} userData.name - User name (optional)
    * @param {string} userData.role - Role name (renter, agent, owner)
+   * @param {string} userData.timezone - IANA time zone (optional)
    * @returns {Object} - Created user with role
    */
   async createUserWithRole(userData) {
-    const { phone_number, name, role } = userData;
+    const { phone_number, name, role, timezone = null } = userData;
     const cleanNumber = phone_number.replace('whatsapp:', '');
     let roleRecord = null;
     if (role) {
@@ -125,7 +130,9 @@ class User extends BaseModel {
       phone_number: cleanNumber,
       name,
       onboarded: !!role, // If role is provided, mark as onboarded
-      ...(roleRecord ? { role_id: roleRecord.id } : {})
+      ...(roleRecord ? { role_id: roleRecord.id } : {}),
+      // Most users have no zone of their own (it comes from their phone number)
+      ...(timezone ? { timezone } : {})
     });
     return await this.getUserWithRole(user.id);
   }
@@ -238,7 +245,8 @@ class User extends BaseModel {
     const userData = {
       phone_number: phoneNumber,
       name: defaultData.name || null,
-      role: defaultData.role || null
+      role: defaultData.role || null,
+      timezone: defaultData.timezone || null
     };
     return await this.createUserWithRole(userData);
   }
@@ -321,6 +321,28 @@ class ViewingAppointment extends BaseModel {
     return data || [];
   }
 
+  /**
+   * Get the requests still waiting for an owner's or agent's answer at a set of properties
+   * @param {Array<string>} propertyIds - Property IDs
+   * @returns {Array} - Pending appointments, oldest first
+   */
+  async getPendingForProperties(propertyIds) {
+    if (propertyIds.length === 0) return [];
+
+    const { data, error } = await this.db
+      .from('viewing_appointments')
+      .select('*')
+      .in('property_id', propertyIds)
+      .eq('status', 'pending_owner_approval')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
   /**
    * Get past appointments
    * @param {string} userId - Optional user ID filter
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const SupabaseAdapter = require('./SupabaseAdapter');
+const MemoryDatabase = require('./MemoryDatabase');
+
+/**
+ * In-memory storage adapter
+ * Runs the same storage interface as the Supabase adapter against a
+ * MemoryDatabase, so the app and integration tests work without a Supabase
+ * project. Data lives for the lifetime of the process.
+ */
+class MemoryAdapter extends SupabaseAdapter {
+  /**
+   * @param {MemoryDatabase} database - Shared database (user and admin adapters use the same one)
+   */
+  constructor(database = new MemoryDatabase()) {
+    super(database, 'memory');
+    this.database = database;
+  }
+
+  /**
+   * Register a model table so relationships, defaults and unique keys are known
+   * @param {string} tableName - Table name
+   * @param {Object} schema - Model schema definition
+   * @param {Array<Array<string>>} uniqueKeys - Composite unique keys
+   * @param {Object} defaults - Column defaults ({ column: value })
+   */
+  registerTable(tableName, schema, uniqueKeys, defaults) {
+    this.database.registerTable(tableName, schema, uniqueKeys, defaults);
+  }
+
+  /**
+   * Load seed rows from a JSON file ({ "table": [rows] })
+   * @param {string} seedFile - Path to the seed file
+   */
+  loadSeedFile(seedFile) {
+    try {
+      this.database.load(JSON.parse(fs.readFileSync(seedFile, 'utf8')));
+      console.log(`🌱 [DATABASE] Loaded memory seed data from ${seedFile}`);
+    } catch (error) {
+      console.error(`❌ [DATABASE] Could not load memory seed data from ${seedFile}:`, error.message);
+    }
+  }
+
+  /**
+   * Drop all stored rows (handy between integration tests)
+   */
+  reset() {
+    this.database.reset();
+  }
+
+  async ping() {
+    return null;
+  }
+}
+
+module.exports = MemoryAdapter;
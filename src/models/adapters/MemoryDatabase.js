@@ -0,0 +1,631 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory database with a Supabase-compatible query builder
+ * Supports the subset of PostgREST the models and services use: filters
+ * (eq, neq, gt, gte, lt, lte, like, ilike, is, in, not, or, match), ordering,
+ * limit/range, single/maybeSingle, counts, insert/update/delete with returning
+ * selects, and embedded resources (`alias:fk_column(...)`, `table!inner(...)`,
+ * filters on `embedded.column`). Relationships come from the
+ * "foreign key to <table>" notes in each model's schema.
+ */
+
+const JOIN_HINTS = ['inner', 'left'];
+
+/**
+ * Build an error shaped like the ones Supabase returns
+ * @param {string} code - PostgREST / Postgres error code
+ * @param {string} message - Error message
+ * @returns {Object} - Error object
+ */
+const dbError = (code, message) => ({ code, message, details: null, hint: null });
+
+/**
+ * Deep copy a value the way a JSON round trip through the database would
+ * @param {any} value - Value to copy
+ * @returns {any} - Copy (Dates become ISO strings)
+ */
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Parse a literal from a filter string
+ * @param {string} raw - Raw literal
+ * @returns {any} - Parsed value
+ */
+const parseLiteral = (raw) => {
+  if (raw === 'null') return null;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (raw !== '' && !isNaN(Number(raw))) return Number(raw);
+  return raw;
+};
+
+/**
+ * Split a string on commas that are not inside parentheses
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Parts
+ */
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+};
+
+/**
+ * Parse a PostgREST select string into fields
+ * @param {string} select - Select string
+ * @returns {Array<Object>} - Fields: { type: 'all' } | { type: 'column', name, alias } | { type: 'embed', alias, target, hints, fields }
+ */
+const parseSelect = (select = '*') => {
+  return splitTopLevel(select.replace(/\s+/g, '')).map(token => {
+    const parenIndex = token.indexOf('(');
+    if (parenIndex === -1) {
+      if (token === '*') return { type: 'all' };
+      const [alias, name] = token.includes(':') ? token.split(':') : [null, token];
+      return { type: 'column', name: name.split('::')[0], alias };
+    }
+
+    const head = token.slice(0, parenIndex);
+    const body = token.slice(parenIndex + 1, token.lastIndexOf(')'));
+    const [alias, rest] = head.includes(':') ? head.split(':') : [null, head];
+    const [target, ...hints] = rest.split('!');
+    return { type: 'embed', alias, target, hints, fields: parseSelect(body) };
+  });
+};
+
+/**
+ * Turn a LIKE pattern into a regular expression
+ * @param {string} pattern - LIKE pattern (% and _ wildcards)
+ * @param {boolean} caseInsensitive - ILIKE semantics
+ * @returns {RegExp} - Equivalent regular expression
+ */
+const likeToRegExp = (pattern, caseInsensitive) => {
+  const source = String(pattern)
+    .split('')
+    .map(char => (char === '%' ? '.*' : char === '_' ? '.' : char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+};
+
+/**
+ * Compare two column values, numerically when both sides are numbers
+ * @param {any} a - Left value
+ * @param {any} b - Right value
+ * @returns {number} - Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    return String(a) === String(b) ? 0 : String(a) < String(b) ? -1 : 1;
+  }
+  const numA = Number(a);
+  const numB = Number(b);
+  if (a !== '' && b !== '' && !isNaN(numA) && !isNaN(numB)) {
+    return numA - numB;
+  }
+  const strA = String(a);
+  const strB = String(b);
+  return strA === strB ? 0 : strA < strB ? -1 : 1;
+};
+
+/**
+ * Evaluate one filter operator against a value
+ * @param {string} operator - PostgREST operator
+ * @param {any} actual - Column value
+ * @param {any} expected - Filter value
+ * @returns {boolean} - Whether the value passes
+ */
+const testOperator = (operator, actual, expected) => {
+  switch (operator) {
+    case 'is':
+      return expected === null ? actual === null || actual === undefined : actual === expected;
+    case 'in':
+      return actual !== null && actual !== undefined && expected.some(value => compareValues(actual, value) === 0);
+    default:
+      break;
+  }
+
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+
+  switch (operator) {
+    case 'eq': return compareValues(actual, expected) === 0;
+    case 'neq': return compareValues(actual, expected) !== 0;
+    case 'gt': return compareValues(actual, expected) > 0;
+    case 'gte': return compareValues(actual, expected) >= 0;
+    case 'lt': return compareValues(actual, expected) < 0;
+    case 'lte': return compareValues(actual, expected) <= 0;
+    case 'like': return likeToRegExp(expected, false).test(String(actual));
+    case 'ilike': return likeToRegExp(expected, true).test(String(actual));
+    default:
+      throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+};
+
+/**
+ * Parse a filter value written inside an or() expression
+ * @param {string} operator - Operator
+ * @param {string} raw - Raw value text
+ * @returns {any} - Parsed value
+ */
+const parseFilterValue = (operator, raw) => {
+  if (operator === 'in') {
+    return raw.replace(/^\(|\)$/g, '').split(',').map(value => value.replace(/^"|"$/g, ''));
+  }
+  if (operator === 'is') {
+    return parseLiteral(raw);
+  }
+  return raw.replace(/^"|"$/g, '');
+};
+
+/**
+ * Compile an or()/and() expression into a row predicate
+ * @param {string} expression - e.g. "name.ilike.%x%,phone_number.ilike.%x%"
+ * @param {boolean} any - true for or(), false for and()
+ * @returns {Function} - row => boolean
+ */
+const compileLogicalExpression = (expression, any = true) => {
+  const predicates = splitTopLevel(expression).map(condition => {
+    const nested = condition.match(/^(not\.)?(and|or)\((.*)\)$/);
+    if (nested) {
+      const predicate = compileLogicalExpression(nested[3], nested[2] === 'or');
+      return nested[1] ? row => !predicate(row) : predicate;
+    }
+
+    const [column, ...rest] = condition.split('.');
+    const negate = rest[0] === 'not';
+    if (negate) rest.shift();
+    const operator = rest.shift();
+    const value = parseFilterValue(operator, rest.join('.'));
+    return row => testOperator(operator, row[column], value) !== negate;
+  });
+
+  return any
+    ? row => predicates.some(predicate => predicate(row))
+    : row => predicates.every(predicate => predicate(row));
+};
+
+/**
+ * Query builder over a MemoryDatabase table. Thenable, like the Supabase builder.
+ */
+class MemoryQuery {
+  constructor(database, tableName) {
+    // Non-enumerable so logging a query does not dump the whole database
+    Object.defineProperty(this, 'database', { value: database });
+    this.tableName = tableName;
+    this.action = 'select';
+    this.columns = null;
+    this.countMode = null;
+    this.headOnly = false;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offset = 0;
+    this.singleMode = null;
+    this.payload = null;
+  }
+
+  select(columns = '*', options = {}) {
+    this.columns = columns;
+    if (options.count) this.countMode = options.count;
+    if (options.head) this.headOnly = true;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.payload = values;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  /**
+   * Add a filter; dotted columns ("districts.district") filter an embedded resource
+   * @param {string} column - Column, optionally prefixed by embed aliases
+   * @param {string} operator - Operator
+   * @param {any} value - Filter value
+   * @param {boolean} negate - Invert the result
+   * @returns {MemoryQuery} - this
+   */
+  addFilter(column, operator, value, negate = false) {
+    const segments = column.split('.');
+    const name = segments.pop();
+    this.filters.push({
+      path: segments.join('.'),
+      test: row => testOperator(operator, row[name], value) !== negate
+    });
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(column, 'eq', value); }
+  neq(column, value) { return this.addFilter(column, 'neq', value); }
+  gt(column, value) { return this.addFilter(column, 'gt', value); }
+  gte(column, value) { return this.addFilter(column, 'gte', value); }
+  lt(column, value) { return this.addFilter(column, 'lt', value); }
+  lte(column, value) { return this.addFilter(column, 'lte', value); }
+  like(column, pattern) { return this.addFilter(column, 'like', pattern); }
+  ilike(column, pattern) { return this.addFilter(column, 'ilike', pattern); }
+  is(column, value) { return this.addFilter(column, 'is', value); }
+  in(column, values) { return this.addFilter(column, 'in', values); }
+
+  not(column, operator, value) {
+    return this.addFilter(column, operator, value, true);
+  }
+
+  filter(column, operator, value) {
+    const negate = operator.startsWith('not.');
+    const baseOperator = negate ? operator.slice(4) : operator;
+    const parsed = typeof value === 'string' ? parseFilterValue(baseOperator, value) : value;
+    return this.addFilter(column, baseOperator, parsed, negate);
+  }
+
+  match(conditions) {
+    Object.entries(conditions).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  or(expression, options = {}) {
+    this.filters.push({
+      path: options.foreignTable || options.referencedTable || '',
+      test: compileLogicalExpression(expression, true)
+    });
+    return this;
+  }
+
+  order(column, options = {}) {
+    // Ordering embedded resources is not supported; the root order is what callers rely on
+    if (!options.foreignTable && !options.referencedTable) {
+      const ascending = options.ascending !== false;
+      this.orders.push({ column, ascending, nullsFirst: options.nullsFirst ?? !ascending });
+    }
+    return this;
+  }
+
+  limit(count, options = {}) {
+    if (!options.foreignTable && !options.referencedTable) {
+      this.limitCount = count;
+    }
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle';
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (error) {
+      result = { data: null, error: dbError(error.code || 'MEMORY', error.message), count: null, status: 400 };
+    }
+    return Promise.resolve(result).then(onFulfilled, onRejected);
+  }
+
+  /**
+   * Check the filters registered for an embed path
+   * @param {string} path - Embed path ('' for the root table)
+   * @param {Object} row - Row to test
+   * @returns {boolean} - Whether the row passes every filter on that path
+   */
+  passesFilters(path, row) {
+    return this.filters.every(filter => filter.path !== path || filter.test(row));
+  }
+
+  /**
+   * Project a row through parsed select fields, resolving embeds
+   * @param {string} tableName - Table the row belongs to
+   * @param {Object} row - Stored row
+   * @param {Array<Object>} fields - Parsed select fields
+   * @param {string} path - Embed path of this row
+   * @returns {Object|null} - Projected row, or null when an inner embed has no match
+   */
+  project(tableName, row, fields, path) {
+    const projected = {};
+
+    for (const field of fields) {
+      if (field.type === 'all') {
+        Object.assign(projected, clone(row));
+        continue;
+      }
+
+      if (field.type === 'column') {
+        projected[field.alias || field.name] = row[field.name] === undefined ? null : clone(row[field.name]);
+        continue;
+      }
+
+      const relation = this.database.resolveRelation(tableName, field.target, field.hints);
+      const key = field.alias || field.target;
+      const embedPath = path ? `${path}.${key}` : key;
+      const isInner = field.hints.includes('inner');
+
+      if (relation.type === 'one') {
+        const foreignKey = row[relation.column];
+        const related = foreignKey === null || foreignKey === undefined
+          ? null
+          : this.database.rows(relation.table).find(candidate => compareValues(candidate.id, foreignKey) === 0);
+        const embedded = related && this.passesFilters(embedPath, related)
+          ? this.project(relation.table, related, field.fields, embedPath)
+          : null;
+
+        if (!embedded && isInner) return null;
+        projected[key] = embedded;
+      } else {
+        const children = this.database.rows(relation.table)
+          .filter(candidate => compareValues(candidate[relation.column], row.id) === 0)
+          .filter(candidate => this.passesFilters(embedPath, candidate))
+          .map(candidate => this.project(relation.table, candidate, field.fields, embedPath))
+          .filter(Boolean);
+
+        if (children.length === 0 && isInner) return null;
+        projected[key] = children;
+      }
+    }
+
+    return projected;
+  }
+
+  /**
+   * Sort stored rows by the requested order
+   * @param {Array<Object>} rows - Rows to sort in place
+   */
+  sortRows(rows) {
+    if (this.orders.length === 0) return;
+    rows.sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const aNull = a.stored[column] === null || a.stored[column] === undefined;
+        const bNull = b.stored[column] === null || b.stored[column] === undefined;
+        if (aNull || bNull) {
+          if (aNull && bNull) continue;
+          return aNull === nullsFirst ? -1 : 1;
+        }
+        const diff = compareValues(a.stored[column], b.stored[column]);
+        if (diff !== 0) return ascending ? diff : -diff;
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Shape a list of projected rows into a Supabase-style response
+   * @param {Array<Object>} rows - Projected rows
+   * @param {number|null} count - Exact count, if requested
+   * @returns {Object} - { data, error, count, status }
+   */
+  respond(rows, count = null) {
+    if (this.singleMode) {
+      if (rows.length === 1) {
+        return { data: rows[0], error: null, count, status: 200 };
+      }
+      if (rows.length === 0 && this.singleMode === 'maybeSingle') {
+        return { data: null, error: null, count, status: 200 };
+      }
+      return {
+        data: null,
+        error: dbError('PGRST116', `JSON object requested, multiple (or no) rows returned (${rows.length} rows)`),
+        count,
+        status: 406
+      };
+    }
+    return { data: this.headOnly ? null : rows, error: null, count, status: 200 };
+  }
+
+  execute() {
+    const rows = this.database.rows(this.tableName);
+    const fields = this.columns ? parseSelect(this.columns) : null;
+
+    if (this.action === 'insert') {
+      const inserted = (Array.isArray(this.payload) ? this.payload : [this.payload])
+        .map(values => this.database.insertRow(this.tableName, values));
+      return fields ? this.respond(inserted.map(row => this.project(this.tableName, row, fields, ''))) : this.respond([]);
+    }
+
+    const matched = rows.filter(row => this.passesFilters('', row));
+
+    if (this.action === 'update') {
+      const values = clone(this.payload);
+      matched.forEach(row => Object.assign(row, values));
+      return fields ? this.respond(matched.map(row => this.project(this.tableName, row, fields, ''))) : this.respond([]);
+    }
+
+    if (this.action === 'delete') {
+      const projected = fields ? matched.map(row => this.project(this.tableName, row, fields, '')) : [];
+      this.database.tables.set(this.tableName, rows.filter(row => !matched.includes(row)));
+      return this.respond(projected);
+    }
+
+    const results = matched
+      .map(row => ({ stored: row, projected: this.project(this.tableName, row, fields || parseSelect('*'), '') }))
+      .filter(result => result.projected !== null);
+    this.sortRows(results);
+
+    const count = this.countMode ? results.length : null;
+    const end = this.limitCount === null ? undefined : this.offset + this.limitCount;
+    return this.respond(results.slice(this.offset, end).map(result => result.projected), count);
+  }
+}
+
+/**
+ * In-memory tables plus the schema metadata models register
+ */
+class MemoryDatabase {
+  constructor() {
+    this.tables = new Map();
+    this.schemas = new Map();
+  }
+
+  /**
+   * Register a table from a model schema definition
+   * @param {string} tableName - Table name
+   * @param {Object} schema - Model schema ({ column: 'type (notes)' })
+   * @param {Array<Array<string>>} uniqueKeys - Composite unique keys
+   * @param {Object} defaults - Column defaults ({ column: value })
+   */
+  registerTable(tableName, schema = {}, uniqueKeys = [], defaults = {}) {
+    const foreignKeys = {};
+    const unique = [...uniqueKeys];
+
+    Object.entries(schema).forEach(([column, definition]) => {
+      const foreignKey = definition.match(/foreign key to (\w+)/);
+      if (foreignKey) foreignKeys[column] = foreignKey[1];
+
+      if (/\bunique\b/.test(definition)) unique.push([column]);
+    });
+
+    this.schemas.set(tableName, { columns: Object.keys(schema), foreignKeys, defaults: { ...defaults }, uniqueKeys: unique });
+    this.rows(tableName);
+  }
+
+  /**
+   * Get the schema metadata for a table
+   * @param {string} tableName - Table name
+   * @returns {Object} - { columns, foreignKeys, defaults, uniqueKeys }
+   */
+  schemaOf(tableName) {
+    return this.schemas.get(tableName) || { columns: [], foreignKeys: {}, defaults: {}, uniqueKeys: [] };
+  }
+
+  /**
+   * Get the stored rows of a table, creating it on first use
+   * @param {string} tableName - Table name
+   * @returns {Array<Object>} - Live row array
+   */
+  rows(tableName) {
+    if (!this.tables.has(tableName)) {
+      this.tables.set(tableName, []);
+    }
+    return this.tables.get(tableName);
+  }
+
+  /**
+   * Work out how an embedded resource relates to its parent table
+   * @param {string} sourceTable - Parent table
+   * @param {string} target - Embedded table name or foreign key column
+   * @param {Array<string>} hints - "!" hints (join type or foreign key column)
+   * @returns {Object} - { type: 'one'|'many', table, column }
+   */
+  resolveRelation(sourceTable, target, hints = []) {
+    const sourceSchema = this.schemaOf(sourceTable);
+
+    if (!this.schemas.has(target)) {
+      const table = sourceSchema.foreignKeys[target];
+      if (!table) {
+        throw Object.assign(new Error(`Could not find a relationship between '${sourceTable}' and '${target}'`), { code: 'PGRST200' });
+      }
+      return { type: 'one', table, column: target };
+    }
+
+    const columnHint = hints.find(hint => !JOIN_HINTS.includes(hint));
+    if (columnHint) {
+      return { type: 'one', table: target, column: columnHint };
+    }
+
+    const column = Object.keys(sourceSchema.foreignKeys).find(key => sourceSchema.foreignKeys[key] === target);
+    if (column) {
+      return { type: 'one', table: target, column };
+    }
+
+    const targetForeignKeys = this.schemaOf(target).foreignKeys;
+    const reverseColumn = Object.keys(targetForeignKeys).find(key => targetForeignKeys[key] === sourceTable);
+    if (reverseColumn) {
+      return { type: 'many', table: target, column: reverseColumn };
+    }
+
+    throw Object.assign(new Error(`Could not find a relationship between '${sourceTable}' and '${target}'`), { code: 'PGRST200' });
+  }
+
+  /**
+   * Insert a row, filling ids, timestamps and schema defaults
+   * @param {string} tableName - Table name
+   * @param {Object} values - Column values
+   * @returns {Object} - Stored row
+   */
+  insertRow(tableName, values) {
+    const schema = this.schemaOf(tableName);
+    const now = new Date().toISOString();
+    const row = { ...clone(schema.defaults), ...clone(values) };
+
+    if (row.id === undefined) row.id = crypto.randomUUID();
+    ['created_at', 'updated_at'].forEach(column => {
+      if (schema.columns.includes(column) && row[column] === undefined) row[column] = now;
+    });
+
+    const rows = this.rows(tableName);
+    const duplicateKey = [['id'], ...schema.uniqueKeys].find(columns =>
+      rows.some(existing => columns.every(column =>
+        row[column] !== null && row[column] !== undefined && compareValues(existing[column], row[column]) === 0
+      ))
+    );
+    if (duplicateKey) {
+      throw Object.assign(
+        new Error(`duplicate key value violates unique constraint "${tableName}_${duplicateKey.join('_')}_key"`),
+        { code: '23505' }
+      );
+    }
+
+    rows.push(row);
+    return row;
+  }
+
+  /**
+   * Load rows from a seed object ({ table: [rows] })
+   * @param {Object} seed - Seed data
+   */
+  load(seed) {
+    Object.entries(seed).forEach(([tableName, rows]) => {
+      rows.forEach(row => this.insertRow(tableName, row));
+    });
+  }
+
+  /**
+   * Drop every stored row, keeping registered schemas
+   */
+  reset() {
+    this.tables.forEach((rows, tableName) => this.tables.set(tableName, []));
+  }
+
+  /**
+   * Start a query, mirroring supabase.from()
+   * @param {string} tableName - Table name
+   * @returns {MemoryQuery} - Query builder
+   */
+  from(tableName) {
+    return new MemoryQuery(this, tableName);
+  }
+}
+
+module.exports = MemoryDatabase;
@@ -0,0 +1,207 @@
+/**
+ * Supabase storage adapter
+ * Implements the storage interface used by BaseModel on top of a Supabase
+ * (PostgREST) client. The raw client stays available as `client` for the
+ * relational selects models and services build themselves.
+ */
+class SupabaseAdapter {
+  /**
+   * @param {Object} client - Supabase client (or anything with the same query builder)
+   * @param {string} name - Adapter name for logs
+   */
+  constructor(client, name = 'supabase') {
+    this.client = client;
+    this.name = name;
+  }
+
+  /**
+   * Register a model table and its schema.
+   * Supabase owns its schema through migrations, so there is nothing to do here.
+   */
+  registerTable() {}
+
+  /**
+   * Apply equality filters, skipping undefined and null values
+   * @param {Object} query - Query builder
+   * @param {Object} filters - Filter conditions
+   * @returns {Object} - Query builder
+   */
+  applyFilters(query, filters = {}) {
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        query = query.eq(key, value);
+      }
+    });
+    return query;
+  }
+
+  /**
+   * Find a record by ID
+   * @param {string} tableName - Table name
+   * @param {string} id - Record ID
+   * @param {string} select - Columns to select
+   * @returns {Object|null} - Record or null if not found
+   */
+  async findById(tableName, id, select = '*') {
+    const { data, error } = await this.client
+      .from(tableName)
+      .select(select)
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+      throw error;
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Find all records with optional filtering
+   * @param {string} tableName - Table name
+   * @param {Object} filters - Filter conditions
+   * @param {string} select - Columns to select
+   * @param {Object} options - Query options (limit, offset, orderBy)
+   * @returns {Array} - Array of records
+   */
+  async findAll(tableName, filters = {}, select = '*', options = {}) {
+    let query = this.applyFilters(this.client.from(tableName).select(select), filters);
+
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+
+    if (options.offset) {
+      query = query.range(options.offset, options.offset + (options.limit || 100) - 1);
+    }
+
+    if (options.orderBy) {
+      const { column, ascending = true } = options.orderBy;
+      query = query.order(column, { ascending });
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Find one record with optional filtering
+   * @param {string} tableName - Table name
+   * @param {Object} filters - Filter conditions
+   * @param {string} select - Columns to select
+   * @returns {Object|null} - Record or null if not found
+   */
+  async findOne(tableName, filters = {}, select = '*') {
+    const query = this.applyFilters(this.client.from(tableName).select(select), filters);
+    const { data, error } = await query.single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Create a new record
+   * @param {string} tableName - Table name
+   * @param {Object} data - Record data
+   * @param {string} select - Columns to return
+   * @returns {Object} - Created record
+   */
+  async create(tableName, data, select = '*') {
+    const { data: created, error } = await this.client
+      .from(tableName)
+      .insert(data)
+      .select(select)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return created;
+  }
+
+  /**
+   * Update a record by ID
+   * @param {string} tableName - Table name
+   * @param {string} id - Record ID
+   * @param {Object} data - Updated data
+   * @param {string} select - Columns to return
+   * @returns {Object|null} - Updated record or null if not found
+   */
+  async updateById(tableName, id, data, select = '*') {
+    const { data: updated, error } = await this.client
+      .from(tableName)
+      .update(data)
+      .eq('id', id)
+      .select(select)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return updated || null;
+  }
+
+  /**
+   * Delete a record by ID
+   * @param {string} tableName - Table name
+   * @param {string} id - Record ID
+   * @returns {boolean} - True once the delete has run
+   */
+  async deleteById(tableName, id) {
+    const { error } = await this.client
+      .from(tableName)
+      .delete()
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Count records with optional filtering
+   * @param {string} tableName - Table name
+   * @param {Object} filters - Filter conditions
+   * @returns {number} - Number of records
+   */
+  async count(tableName, filters = {}) {
+    const query = this.applyFilters(
+      this.client.from(tableName).select('*', { count: 'exact', head: true }),
+      filters
+    );
+    const { count, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Check that the backend answers queries
+   * @returns {Promise<Object|null>} - Error object, or null when reachable
+   */
+  async ping() {
+    const { error } = await this.client
+      .from('user_roles')
+      .select('id')
+      .limit(1);
+
+    return error || null;
+  }
+}
+
+module.exports = SupabaseAdapter;
@@ -14,9 +14,13 @@ const City = require('./City');
 const District = require('./District');
 const User = require('./User');
 const Property = require('./Property');
+const PropertyMedia = require('./PropertyMedia');
 const UserPreference = require('./UserPreference');
 const ViewingTimeSlot = require('./ViewingTimeSlot');
 const ViewingAppointment = require('./ViewingAppointment');
+const ConversationState = require('./ConversationState');
+const OutboundMessage = require('./OutboundMessage');
+const Message = require('./Message');
 
 module.exports = {
   // Base
@@ -32,9 +36,15 @@ module.exports = {
   // Core entities
   User,
   Property,
+  PropertyMedia,
   UserPreference,
   
   // Viewing system
   ViewingTimeSlot,
-  ViewingAppointment
+  ViewingAppointment,
+  
+  // Conversation system
+  ConversationState,
+  OutboundMessage,
+  Message
 }; 
\ No newline at end of file
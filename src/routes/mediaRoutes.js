@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/mediaController');
+
+// Property photos sent with search results and details (signed links)
+router.get('/:mediaId', mediaController.serveMedia);
+
+module.exports = router;
@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const whatsappController = require('../controllers/whatsappController');
+const { validateTwilioSignature } = require('../middleware/twilioSignature');
+
+// Every webhook must carry a valid Twilio signature
+router.use(validateTwilioSignature);
 
 // Webhook Routes for receiving messages from Twilio
 router.post('/whatsapp', whatsappController.receiveMessage);
 router.post('/whatsapp/status', whatsappController.messageStatus);
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
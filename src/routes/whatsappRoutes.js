@@ -8,4 +8,11 @@ router.post('/send-template', whatsappController.sendTemplateMessage);
 router.get('/status/:messageSid', whatsappController.getMessageStatus);
 router.get('/health', whatsappController.healthCheck);
 
+// Message log
+router.get('/messages/:phoneNumber', whatsappController.getMessageThread);
+
+// Outbound queue inspection
+router.get('/outbound', whatsappController.getOutboundQueue);
+router.post('/outbound/:id/retry', whatsappController.retryOutboundMessage);
+
 module.exports = router; 
\ No newline at end of file
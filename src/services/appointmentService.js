@@ -2,39 +2,94 @@ const ViewingAppointment = require('../models/ViewingAppointment');
 const ViewingTimeSlot = require('../models/ViewingTimeSlot');
 const Property = require('../models/Property');
 const User = require('../models/User');
-const twilioService = require('./twilioService');
-const openaiService = require('./openaiService');
+const outboundQueueService = require('./outboundQueueService');
+const interactiveMessageService = require('./interactiveMessageService');
+const { PAYLOAD_ACTIONS } = interactiveMessageService;
+const llmGatewayService = require('./llmGatewayService');
+const { LLM_OPERATIONS } = llmGatewayService;
+const stateStoreService = require('./stateStoreService');
+const fastPathService = require('./fastPathService');
+const dateTimeParserService = require('./dateTimeParserService');
+const timezoneService = require('./timezoneService');
+const zonedTime = require('./scheduling/zonedTime');
+const viewingSlots = require('./scheduling/slots');
+const availabilityRules = require('./scheduling/availabilityRules');
+const calendarService = require('./calendarService');
+const icsCalendar = require('./scheduling/icsCalendar');
+const { config } = require('../config/environment');
+
+// State store namespace for in-flight viewing requests, keyed by buyer phone number
+const PENDING_REQUESTS_NAMESPACE = 'appointment_pending_requests';
 
 /**
  * Appointment Booking Service
  * Handles privacy-first, bot-mediated property viewing appointments
  */
 class AppointmentService {
-  constructor() {
-    // Track pending appointment requests
-    this.pendingRequests = new Map();
+  /**
+   * Get the pending appointment request for a user
+   * Requests live in the shared state store so they survive restarts.
+   * @param {string} phone - User phone number
+   * @returns {Promise<Object|null>} - Pending request (with `version`) or null
+   */
+  async getPendingRequest(phone) {
+    return await stateStoreService.get(PENDING_REQUESTS_NAMESPACE, phone);
+  }
+
+  /**
+   * Store the pending appointment request for a user
+   * @param {string} phone - User phone number
+   * @param {object} request - Pending request payload
+   * @param {number} [expectedVersion] - Version read earlier, for optimistic updates
+   * @returns {Promise<Object>} - Stored request
+   */
+  async setPendingRequest(phone, request, expectedVersion) {
+    return await stateStoreService.set(PENDING_REQUESTS_NAMESPACE, phone, request, {
+      ttlMs: config.stateStore.pendingRequestTtlMinutes * 60 * 1000,
+      expectedVersion
+    });
+  }
+
+  /**
+   * Remove the pending appointment request for a user
+   * @param {string} phone - User phone number
+   */
+  async deletePendingRequest(phone) {
+    await stateStoreService.delete(PENDING_REQUESTS_NAMESPACE, phone);
+  }
+
+  /**
+   * Get every unexpired pending appointment request
+   * @returns {Promise<Array>} - [phone, request] pairs
+   */
+  async getAllPendingRequests() {
+    return await stateStoreService.entries(PENDING_REQUESTS_NAMESPACE);
   }
 
   /**
    * Get current date and time for context
+   * @param {string} timezone - IANA time zone to read the clock in
    * @returns {Object} - Current date/time info
    */
-  getCurrentDateTime() {
+  getCurrentDateTime(timezone = config.scheduling.timezone) {
     const now = new Date();
-    const lisbon = new Date(now.toLocaleString("en-US", {timeZone: "Europe/Lisbon"}));
+    const local = zonedTime.getZonedParts(now, timezone);
     
     return {
-      currentDate: lisbon.toISOString().split('T')[0], // YYYY-MM-DD
-      currentTime: lisbon.toTimeString().slice(0, 5), // HH:MM
-      currentDateTime: lisbon,
-      dayOfWeek: lisbon.toLocaleDateString('en-US', { weekday: 'long' }),
-      formatted: lisbon.toLocaleDateString('en-US', { 
+      currentDate: local.date, // YYYY-MM-DD
+      currentTime: local.time, // HH:MM
+      currentDateTime: now,
+      timezone,
+      dayOfWeek: zonedTime.WEEKDAYS[local.weekday],
+      formatted: now.toLocaleDateString('en-US', { 
+        timeZone: timezone,
         weekday: 'long', 
         year: 'numeric', 
         month: 'long', 
         day: 'numeric',
         hour: '2-digit',
-        minute: '2-digit'
+        minute: '2-digit',
+        hourCycle: 'h23'
       })
     };
   }
@@ -81,37 +136,38 @@ class AppointmentService {
    */
   async getAvailableSlotsForProperty(propertyId, daysAhead = 7) {
     try {
-      const property = await Property.findById(propertyId);
+      // With its city and country, for the time zone of properties that don't store one
+      const property = await Property.getPropertyWithDetails(propertyId);
       if (!property) return [];
       
       const availableSlots = [];
-      const today = new Date();
+      // Dates are counted in the property's time zone, starting tomorrow
+      const localToday = zonedTime.getZonedParts(new Date(), timezoneService.forProperty(property)).date;
+      const dates = Array.from({ length: daysAhead }, (_, i) => zonedTime.addDays(localToday, i + 1));
+      // Weekly rules, one-off dates, blackouts and the validity window set by the owner
+      const rules = availabilityRules.normalize(property.availability);
       
       // Scenario 1: Owner has set specific availability rules
-      if (property.availability && property.availability.length > 0) {
+      if (availabilityRules.hasWindows(rules)) {
         console.log(`[APPOINTMENT] Using owner-defined availability for property ${propertyId}`);
-        const availabilityRules = property.availability; // e.g., [{day: "Monday", startTime: "14:00", endTime: "17:00"}]
+        const settings = await this.getSlotSettings(property);
 
-        for (let i = 1; i <= daysAhead; i++) {
-          const checkDate = new Date();
-          checkDate.setDate(today.getDate() + i);
-          const dayOfWeek = checkDate.toLocaleString('en-US', { weekday: 'long' });
+        // The owner's and agent's viewings at all their properties, widened by travel time
+        const busy = await calendarService.getBusyRanges(property, dates[0], dates[dates.length - 1]);
 
-          const rulesForDay = availabilityRules.filter(rule => rule.day === dayOfWeek);
+        for (const date of dates) {
+          const dayOfWeek = zonedTime.WEEKDAYS[zonedTime.weekdayOf(date)];
 
-          for (const rule of rulesForDay) {
-            // Here, we would ideally break the rule's time range into smaller, bookable slots (e.g., 1-hour increments).
-            // For simplicity in this step, we will treat the entire rule as a single bookable slot.
-            // A more advanced implementation would generate slots like 14:00-15:00, 15:00-16:00, etc.
-            
-            const isBooked = await this.isTimeRangeBooked(propertyId, checkDate, rule.startTime, rule.endTime);
+          for (const window of availabilityRules.windowsOn(rules, date, property)) {
+            // Each window is split into viewings; only those the owner or agent can't attend are dropped
+            for (const slot of viewingSlots.splitWindow(window.startTime, window.endTime, settings)) {
+              if ((busy[date] || []).some(range => viewingSlots.overlaps(slot, range))) continue;
 
-            if (!isBooked) {
               availableSlots.push({
-                date: checkDate.toISOString().split('T')[0],
-                dateFormatted: checkDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }),
-                timeSlot: { start_time: rule.startTime, end_time: rule.endTime, id: `${rule.day}-${rule.startTime}` }, // Create a synthetic ID
-                timeFormatted: `${rule.startTime} - ${rule.endTime}`
+                date,
+                dateFormatted: zonedTime.formatDate(date, 'short'),
+                timeSlot: { start_time: slot.startTime, end_time: slot.endTime, id: `${dayOfWeek}-${slot.startTime}` }, // Create a synthetic ID
+                timeFormatted: `${slot.startTime} - ${slot.endTime}`
               });
             }
           }
@@ -121,19 +177,19 @@ class AppointmentService {
         console.log(`[APPOINTMENT] No owner-defined availability for property ${propertyId}, using generic slots.`);
       const timeSlots = await ViewingTimeSlot.getAllTimeSlots();
       
-      for (let i = 1; i <= daysAhead; i++) {
-        const checkDate = new Date(today);
-        checkDate.setDate(today.getDate() + i);
-        const dateStr = checkDate.toISOString().split('T')[0];
-        
-        if (checkDate.getDay() === 0 || checkDate.getDay() === 6) continue;
+      for (const dateStr of dates) {
+        const weekday = zonedTime.weekdayOf(dateStr);
+        if (weekday === 0 || weekday === 6) continue;
         
         for (const slot of timeSlots) {
+            // Blackouts and the validity window still apply to the generic slots
+            const range = { startTime: slot.start_time, endTime: slot.end_time };
+            if (!availabilityRules.isOpen(rules, dateStr, range, property)) continue;
             const isAvailable = await ViewingTimeSlot.isSlotAvailable(slot.id, dateStr, propertyId);
           if (isAvailable) {
             availableSlots.push({
               date: dateStr,
-                dateFormatted: checkDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }),
+                dateFormatted: zonedTime.formatDate(dateStr, 'short'),
               timeSlot: slot,
               timeFormatted: ViewingTimeSlot.formatTimeSlot(slot)
             });
@@ -150,32 +206,26 @@ class AppointmentService {
   }
 
   /**
-   * Checks if a specific time range is already booked for a property on a given date.
-   * @param {string} propertyId - The ID of the property.
-   * @param {Date} date - The date to check.
-   * @param {string} startTime - The start time of the range (HH:MM).
-   * @param {string} endTime - The end time of the range (HH:MM).
-   * @returns {Promise<boolean>} - True if the time range is booked.
+   * Viewing length and gap for a property: its own setting, else its agent's or owner's, else the default
+   * @param {object} property - Property object
+   * @returns {Promise<object>} - { slotMinutes, bufferMinutes }
    */
-  async isTimeRangeBooked(propertyId, date, startTime, endTime) {
-    const dateStr = date.toISOString().split('T')[0];
-    
-    // This check handles overlapping time ranges.
-    const { data, error } = await ViewingAppointment.db
-      .from('viewing_appointments')
-      .select('id')
-      .eq('property_id', propertyId)
-      .eq('appointment_date', dateStr)
-      .lt('start_time', endTime) // An existing appointment starts before the new one ends
-      .gt('end_time', startTime)   // And it ends after the new one starts
-      .limit(1);
-
-    if (error) {
-      console.error('Error checking if time range is booked:', error);
-      return true; // Fail safe
+  async getSlotSettings(property) {
+    const isSet = value => value !== null && value !== undefined;
+    let slotMinutes = property.viewing_slot_minutes;
+    let bufferMinutes = property.viewing_buffer_minutes;
+
+    const managerId = property.agent_id || property.owner_id;
+    if ((!isSet(slotMinutes) || !isSet(bufferMinutes)) && managerId) {
+      const manager = await User.findById(managerId);
+      if (!isSet(slotMinutes)) slotMinutes = manager?.viewing_slot_minutes;
+      if (!isSet(bufferMinutes)) bufferMinutes = manager?.viewing_buffer_minutes;
     }
 
-    return data && data.length > 0;
+    return {
+      slotMinutes: isSet(slotMinutes) ? slotMinutes : config.scheduling.slotMinutes,
+      bufferMinutes: isSet(bufferMinutes) ? bufferMinutes : config.scheduling.bufferMinutes
+    };
   }
 
   /**
@@ -189,6 +239,10 @@ class AppointmentService {
     try {
       const propertyEmoji = this.getPropertyEmoji(property.property_type);
       
+      // Times are the property's; people in another zone also see them on their own clock
+      const timezone = timezoneService.forProperty(property);
+      const timeFor = slot => `${slot.timeFormatted}${timezoneService.localTimeNote(slot.date, slot.timeSlot.start_time, slot.timeSlot.end_time, timezone, user)}`;
+      
       let response = `${propertyEmoji} *Property Viewing - ${property.address}*\n\n`;
       response += `🗓️ *Available Viewing Times:*\n\n`;
       
@@ -199,7 +253,7 @@ class AppointmentService {
       for (const [date, slots] of Object.entries(slotsByDate)) {
         response += `📅 *${slots[0].dateFormatted}*\n`;
         for (const slot of slots) {
-          response += `${slotNumber}. ${slot.timeFormatted}\n`;
+          response += `${slotNumber}. ${timeFor(slot)}\n`;
           slotNumber++;
         }
         response += '\n';
@@ -209,14 +263,26 @@ class AppointmentService {
       response += `Example: "I want slot 3" or just "3"`;
       
       // Store the context for follow-up
-      this.pendingRequests.set(user.phone_number, {
+      await this.setPendingRequest(user.phone_number, {
         type: 'slot_selection',
         property: property,
         availableSlots: availableSlots,
         timestamp: new Date()
       });
+
+      // A list picker holds at most 10 items; later slots stay reachable by number
+      const listedSlots = availableSlots.slice(0, 10);
+      let listBody = `${propertyEmoji} *Property Viewing - ${property.address}*\n\n🗓️ Pick one of the available viewing times.`;
+      if (availableSlots.length > listedSlots.length) {
+        listBody += `\n\n💡 Showing the first ${listedSlots.length} of ${availableSlots.length} times.`;
+      }
+      const items = listedSlots.map((slot, index) => ({
+        id: interactiveMessageService.payloadId(PAYLOAD_ACTIONS.SLOT, index + 1),
+        title: slot.dateFormatted,
+        description: timeFor(slot)
+      }));
       
-      return [response];
+      return [interactiveMessageService.list(listBody, 'Choose a time', items, { fallbackText: response })];
     } catch (error) {
       console.error('Error showing available slots:', error);
       return ['❌ Error displaying available times. Please try again.'];
@@ -244,7 +310,7 @@ class AppointmentService {
       response += `💼 I'll coordinate with the owner/agent and get back to you!`;
       
       // Store the context for follow-up
-      this.pendingRequests.set(user.phone_number, {
+      await this.setPendingRequest(user.phone_number, {
         type: 'preference_collection',
         property: property,
         originalMessage: originalMessage,
@@ -266,7 +332,7 @@ class AppointmentService {
    */
   async processSlotSelection(message, user) {
     try {
-      const pendingRequest = this.pendingRequests.get(user.phone_number);
+      const pendingRequest = await this.getPendingRequest(user.phone_number);
       if (!pendingRequest || pendingRequest.type !== 'slot_selection') {
         return ['🤔 I don\'t have any pending viewing requests from you. Please search for a property first.'];
       }
@@ -284,7 +350,7 @@ class AppointmentService {
         return [`❌ Invalid slot number. Please choose between 1 and ${pendingRequest.availableSlots.length}`];
       }
 
-      // Book the appointment
+      // Book the appointment; it is refused if the time was taken since the list was shown
       const appointment = await this.bookAppointment({
         userId: user.id,
         propertyId: pendingRequest.property.id,
@@ -299,7 +365,7 @@ class AppointmentService {
         await this.notifyOwnerAgentForConfirmation(pendingRequest.property, selectedSlot, user, appointment.appointment);
 
         // Clear pending request from the buyer's side
-        this.pendingRequests.delete(user.phone_number);
+        await this.deletePendingRequest(user.phone_number);
 
         return [
           `👍 Great! I've sent your request to the property owner/agent for confirmation.\n\nI will let you know as soon as they respond!`
@@ -322,24 +388,27 @@ class AppointmentService {
    */
   async processBuyerPreferences(message, user) {
     try {
-      const pendingRequest = this.pendingRequests.get(user.phone_number);
+      const pendingRequest = await this.getPendingRequest(user.phone_number);
       if (!pendingRequest || pendingRequest.type !== 'preference_collection') {
         return ['🤔 I don\'t have any pending viewing requests from you. Please search for a property first.'];
       }
 
-      // Parse preferences using AI
-      const preferences = await this.parseTimePreferences(message);
+      // Read on the buyer's clock, kept in the property's time zone
+      const preferences = await this.parseTimePreferences(message, {
+        timezone: timezoneService.forProperty(pendingRequest.property),
+        reader: user
+      });
       
       // Store buyer preferences
       pendingRequest.buyerPreferences = preferences;
       pendingRequest.type = 'coordinating';
-      this.pendingRequests.set(user.phone_number, pendingRequest);
+      await this.setPendingRequest(user.phone_number, pendingRequest, pendingRequest.version);
 
       // Contact owner/agent
       await this.contactOwnerAgentForAvailability(pendingRequest.property, preferences, user);
 
       return [
-        `📝 Got it! You prefer: *${preferences.summary}*\n\n⏳ I'm now coordinating with the property owner/agent.\n\n🔔 I'll get back to you within a few hours with available times!\n\n💡 In the meantime, feel free to search for other properties.`
+        `📝 Got it! You prefer: *${preferences.localSummary || preferences.summary}*\n\n⏳ I'm now coordinating with the property owner/agent.\n\n🔔 I'll get back to you within a few hours with available times!\n\n💡 In the meantime, feel free to search for other properties.`
       ];
 
     } catch (error) {
@@ -358,7 +427,7 @@ class AppointmentService {
     try {
       console.log(`📅 [APPOINTMENT] Processing coordination response from ${user.phone_number}: "${message}"`);
       
-      const pendingRequest = this.pendingRequests.get(user.phone_number);
+      const pendingRequest = await this.getPendingRequest(user.phone_number);
       console.log(`📅 [APPOINTMENT] Pending request for ${user.phone_number}:`, pendingRequest ? {
         type: pendingRequest.type,
         hasProposedAppointment: !!pendingRequest.proposedAppointment,
@@ -370,6 +439,9 @@ class AppointmentService {
         return null; // Not in coordination state
       }
 
+      // Times are arranged in the property's zone
+      const timezone = timezoneService.forProperty(pendingRequest.property);
+
       // If still in 'coordinating' state, this might be a response to owner's counter-offer
       // Check if this looks like a confirmation or new preference
       const isConfirmation = await this.isConfirmationMessage(message);
@@ -379,7 +451,7 @@ class AppointmentService {
         // Buyer seems to be confirming something during coordination
         // This could be agreement to a counter-offer from the owner
         // For now, we'll parse this as new preferences and let coordination continue
-        const preferences = await this.parseTimePreferences(message);
+        const preferences = await this.parseTimePreferences(message, { timezone, reader: user });
         
         // Update buyer preferences
         pendingRequest.buyerPreferences = {
@@ -388,7 +460,7 @@ class AppointmentService {
           summary: `${pendingRequest.buyerPreferences.summary} (confirmed: ${message})`
         };
         pendingRequest.type = 'coordinating';
-        this.pendingRequests.set(user.phone_number, pendingRequest);
+        await this.setPendingRequest(user.phone_number, pendingRequest, pendingRequest.version);
 
         // Re-contact owner/agent with confirmation
         await this.contactOwnerAgentForAvailability(pendingRequest.property, pendingRequest.buyerPreferences, user);
@@ -424,48 +496,57 @@ class AppointmentService {
           const calendarInvite = await this.generateCalendarInviteForAppointment(appointment.appointment);
           
           // Send calendar invite to buyer
-          await twilioService.sendWhatsAppMessage(user.phone_number, calendarInvite);
+          const linked = { propertyId: pendingRequest.property.id, appointmentId: appointment.appointment.id };
+          await outboundQueueService.enqueue(user.phone_number, calendarInvite, { kind: 'calendar_invite', ...linked });
           
           // Send calendar invite to owner/agent
           const ownerAgent = pendingRequest.property.owner || pendingRequest.property.agent;
           if (ownerAgent?.phone_number) {
-            await twilioService.sendWhatsAppMessage(ownerAgent.phone_number, calendarInvite);
+            await outboundQueueService.enqueue(ownerAgent.phone_number, calendarInvite, { kind: 'calendar_invite', ...linked });
           }
           
           // Notify owner/agent of confirmation
           await this.notifyAppointmentConfirmed(pendingRequest.property, appointmentDetails, user);
           
           // Clear pending request
-          this.pendingRequests.delete(user.phone_number);
+          await this.deletePendingRequest(user.phone_number);
 
+          const localTime = timezoneService.localTimeNote(appointmentDetails.date, appointmentDetails.startTime, appointmentDetails.endTime, timezone, user);
           return [
-            `✅ *Viewing Confirmed!*\n\n📍 ${pendingRequest.property.address}\n📅 ${appointmentDetails.dateFormatted}\n⏰ ${appointmentDetails.timeFormatted}\n\n🎉 Great! The property owner/agent has been notified.\n\n📧 You'll both receive calendar invites shortly!`
+            `✅ *Viewing Confirmed!*\n\n📍 ${pendingRequest.property.address}\n📅 ${appointmentDetails.dateFormatted}\n⏰ ${appointmentDetails.timeFormatted}${localTime}\n\n🎉 Great! The property owner/agent has been notified.\n\n📧 You'll both receive calendar invites shortly!`
           ];
+        } else if (appointment.conflict) {
+          // Another viewing took the owner's/agent's time since they offered it: ask the buyer for new times
+          pendingRequest.type = 'coordinating';
+          await this.setPendingRequest(user.phone_number, pendingRequest, pendingRequest.version);
+          return ['❌ Sorry, the owner/agent is no longer free at that time.\n\n📝 Send me other days or times that suit you and I\'ll check with them again.'];
         } else {
           console.error('❌ [APPOINTMENT] Failed to book appointment:', appointment.error);
           return ['❌ Sorry, there was an issue booking the appointment. Please try again.'];
         }
       }
       
-      // Check if this is providing new time preferences during coordination
-      const hasTimeReference = /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday|\d{1,2}\s*(?:am|pm)|morning|afternoon|evening|noon|\d+\s*(?:am|pm))\b/i.test(message);
+      // Check if this is providing new time preferences during coordination (times that have
+      // already passed don't count)
+      const parsed = dateTimeParserService.parse(message, { timezone: timezoneService.forUser(user) });
+      const hasTimeReference = !!parsed && parsed.ranges.length > 0;
       
       if (hasTimeReference) {
         console.log(`📅 [APPOINTMENT] Time reference detected, updating preferences`);
         
         // Treat as new preferences
-        const preferences = await this.parseTimePreferences(message);
+        const preferences = await this.parseTimePreferences(message, { timezone, reader: user });
         
         // Update buyer preferences
         pendingRequest.buyerPreferences = preferences;
         pendingRequest.type = 'coordinating';
-        this.pendingRequests.set(user.phone_number, pendingRequest);
+        await this.setPendingRequest(user.phone_number, pendingRequest, pendingRequest.version);
 
         // Contact owner/agent again
         await this.contactOwnerAgentForAvailability(pendingRequest.property, preferences, user);
 
         return [
-          `📝 Got your updated preferences: *${preferences.summary}*\n\n⏳ I'm coordinating with the property owner/agent again.\n\n🔔 I'll get back to you with their availability!`
+          `📝 Got your updated preferences: *${preferences.localSummary || preferences.summary}*\n\n⏳ I'm coordinating with the property owner/agent again.\n\n🔔 I'll get back to you with their availability!`
         ];
       } else {
         console.log(`📅 [APPOINTMENT] No time reference or confirmation detected, returning null`);
@@ -484,6 +565,12 @@ class AppointmentService {
    * @returns {Promise<object>} - Confirmation analysis
    */
   async isConfirmationMessage(message) {
+    // Plain yes/no answers don't need the model
+    const answer = fastPathService.parseYesNo(message);
+    if (answer) {
+      return { isConfirmation: answer === 'yes', confidence: 1, type: answer === 'yes' ? 'confirmation' : 'rejection' };
+    }
+
     try {
       const systemPrompt = `Analyze if a message is a confirmation/agreement in the context of scheduling a property viewing.
 
@@ -510,8 +597,8 @@ Examples:
 - "sounds good" → {"isConfirmation": true, "confidence": 0.85, "type": "confirmation"}  
 - "actually 4 PM" → {"isConfirmation": false, "confidence": 0.8, "type": "negotiation"}`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.DETECT_CONFIRMATION, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Analyze: "${message}"` }
@@ -520,7 +607,7 @@ Examples:
         max_tokens: 150
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanContent = content.replace(/```json\s*|\s*```/g, '').trim();
       const result = JSON.parse(cleanContent);
       
@@ -564,9 +651,10 @@ Examples:
       }
 
       const propertyEmoji = this.getPropertyEmoji(property.property_type);
-      const message = `${propertyEmoji} *Viewing Confirmed!*\n\n📍 Property: ${property.address}\n👤 Visitor: Potential buyer/renter\n📅 Date: ${appointmentDetails.dateFormatted}\n⏰ Time: ${appointmentDetails.timeFormatted}\n\n✅ The interested party has confirmed the viewing time.\n\n📧 You'll receive a calendar invite shortly!\n\n💡 Reply "DETAILS" for visitor contact info.`;
+      const localTime = timezoneService.localTimeNote(appointmentDetails.date, appointmentDetails.startTime, appointmentDetails.endTime, timezoneService.forProperty(property), ownerAgent);
+      const message = `${propertyEmoji} *Viewing Confirmed!*\n\n📍 Property: ${property.address}\n👤 Visitor: Potential buyer/renter\n📅 Date: ${appointmentDetails.dateFormatted}\n⏰ Time: ${appointmentDetails.timeFormatted}${localTime}\n\n✅ The interested party has confirmed the viewing time.\n\n📧 You'll receive a calendar invite shortly!\n\n💡 Reply "DETAILS" for visitor contact info.`;
 
-      await twilioService.sendWhatsAppMessage(ownerAgent.phone_number, message);
+      await outboundQueueService.enqueue(ownerAgent.phone_number, message, { propertyId: property.id });
     } catch (error) {
       console.error('Error notifying appointment confirmation:', error);
     }
@@ -581,10 +669,18 @@ Examples:
    * @param {string} details.startTime - The start time.
    * @param {string} details.endTime - The end time.
    * @param {string} [details.timeSlotId] - The optional fixed time slot ID.
-   * @returns {Promise<object>} - Booking result
+   * @returns {Promise<object>} - Booking result; { success: false, conflict } when the owner or agent is busy then
    */
   async bookAppointment({ userId, propertyId, date, startTime, endTime, timeSlotId = null, status = 'pending_owner_approval' }) {
     try {
+      // The owner and agent can't be at two viewings at once, whichever of their properties they're at
+      const property = await Property.findById(propertyId);
+      const conflict = property && await calendarService.findConflict(property, date, startTime, endTime);
+      if (conflict) {
+        console.log(`⛔ [APPOINTMENT] ${date} ${startTime}-${endTime} clashes with viewing ${conflict.appointmentId} at ${conflict.address}`);
+        return { success: false, error: 'The owner/agent already has a viewing at that time', conflict };
+      }
+
       let finalTimeSlotId = timeSlotId;
       
       // If no timeSlotId provided or it's a synthetic ID, create a real time slot
@@ -615,6 +711,15 @@ Examples:
         status: status
       });
 
+      // Another booking can pass the check above at the same time; now that this one is on the
+      // calendar, give the time back if one made before it clashes
+      const rival = property && await calendarService.findConflict(property, date, startTime, endTime, appointment);
+      if (rival) {
+        await ViewingAppointment.cancelAppointment(appointment.id);
+        console.log(`⛔ [APPOINTMENT] ${date} ${startTime}-${endTime} was taken by viewing ${rival.appointmentId} at ${rival.address} while booking`);
+        return { success: false, error: 'The owner/agent already has a viewing at that time', conflict: rival };
+      }
+
       return { success: true, appointment };
     } catch (error) {
       console.error('Error booking appointment:', error);
@@ -636,56 +741,45 @@ Examples:
       }
       
       // Get property and user details
-      const property = await Property.findById(appointment.property_id);
+      const property = await Property.getPropertyWithDetails(appointment.property_id);
       const user = await User.findById(appointment.user_id);
       
       if (!property || !user) {
         throw new Error("Could not retrieve property or user for calendar invite.");
       }
 
-      const now = new Date();
-      const appointmentDate = new Date(`${appointment.appointment_date}T${appointment.start_time}`);
-      const endDate = new Date(`${appointment.appointment_date}T${appointment.end_time}`);
-
-      // Validate dates
-      if (isNaN(appointmentDate.getTime()) || isNaN(endDate.getTime())) {
-        throw new Error("Invalid appointment date or time");
-      }
-
-      const formatICSDate = (date) => date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-
-      // Generate unique ID for the event
-      const eventUID = `${appointment.id}@reagentbot.com`;
-
-      const icsContent = `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//ReAgent Bot//Property Viewing//EN
-CALSCALE:GREGORIAN
-METHOD:REQUEST
-BEGIN:VEVENT
-UID:${eventUID}
-DTSTAMP:${formatICSDate(now)}
-DTSTART:${formatICSDate(appointmentDate)}
-DTEND:${formatICSDate(endDate)}
-SUMMARY:Property Viewing - ${property.address}
-DESCRIPTION:Property viewing appointment\\n\\nProperty: ${property.address}\\nViewer: ${user.name || 'Potential buyer/renter'}\\nDate: ${appointment.appointment_date}\\nTime: ${appointment.start_time} - ${appointment.end_time}\\nStatus: ${appointment.status}\\n\\nGenerated by ReAgent Bot
-LOCATION:${property.address}
-STATUS:CONFIRMED
-TRANSP:OPAQUE
-BEGIN:VALARM
-TRIGGER:-PT15M
-ACTION:DISPLAY
-DESCRIPTION:Property viewing in 15 minutes
-END:VALARM
-END:VEVENT
-END:VCALENDAR`;
+      // Appointment dates and times are the property's wall clock
+      const timezone = timezoneService.forProperty(property);
+      const startTime = appointment.start_time.slice(0, 5);
+      const endTime = appointment.end_time.slice(0, 5);
+
+      const icsContent = icsCalendar.buildEvent({
+        uid: `${appointment.id}@reagentbot.com`,
+        date: appointment.appointment_date,
+        startTime,
+        endTime,
+        timezone,
+        summary: `Property Viewing - ${property.address}`,
+        description: [
+          'Property viewing appointment',
+          '',
+          `Property: ${property.address}`,
+          `Viewer: ${user.name || 'Potential buyer/renter'}`,
+          `Date: ${appointment.appointment_date}`,
+          `Time: ${startTime} - ${endTime} (${timezone})`,
+          `Status: ${appointment.status}`,
+          '',
+          'Generated by ReAgent Bot'
+        ],
+        location: property.address
+      });
 
       const inviteMessage = `📅 *Calendar Invite*
 
 🏠 **Property Viewing**
 📍 **Location:** ${property.address}
-📅 **Date:** ${new Date(appointment.appointment_date).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
-⏰ **Time:** ${appointment.start_time} - ${appointment.end_time}
+📅 **Date:** ${new Date(`${appointment.appointment_date}T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+⏰ **Time:** ${startTime} - ${endTime} (${timezoneService.label(timezone)} time)
 👤 **Attendee:** ${user.name || 'Potential buyer/renter'}
 
 📧 **Calendar Event Data:**
@@ -729,9 +823,19 @@ ${icsContent}
       }
 
       const propertyEmoji = this.getPropertyEmoji(property.property_type);
-      const message = `${propertyEmoji} *New Viewing Request*\n\n📍 Property: ${property.address}\n👤 A potential buyer/renter is interested.\n📅 Date: ${slot.dateFormatted}\n⏰ Time: ${slot.timeFormatted}\n\n*Please reply to this message to confirm, decline, or suggest a new time.*\n\nExamples:\n- "Confirm ${appointment.id.substring(0, 4)}"\n- "Decline ${appointment.id.substring(0, 4)}"\n- "Suggest Tuesday at 3pm for ${appointment.id.substring(0, 4)}"`;
-
-      await twilioService.sendWhatsAppMessage(ownerAgent.phone_number, message);
+      const localTime = timezoneService.localTimeNote(slot.date, slot.timeSlot.start_time, slot.timeSlot.end_time, timezoneService.forProperty(property), ownerAgent);
+      const message = `${propertyEmoji} *New Viewing Request*\n\n📍 Property: ${property.address}\n👤 A potential buyer/renter is interested.\n📅 Date: ${slot.dateFormatted}\n⏰ Time: ${slot.timeFormatted}${localTime}\n\n*Please reply to this message to confirm, decline, or suggest a new time.*\n\nExamples:\n- "Confirm ${appointment.id.substring(0, 4)}"\n- "Decline ${appointment.id.substring(0, 4)}"\n- "Suggest Tuesday at 3pm for ${appointment.id.substring(0, 4)}"`;
+
+      const buttons = interactiveMessageService.buttons(message, [
+        { id: interactiveMessageService.payloadId(PAYLOAD_ACTIONS.APPOINTMENT_CONFIRM, appointment.id), title: 'Confirm' },
+        { id: interactiveMessageService.payloadId(PAYLOAD_ACTIONS.APPOINTMENT_DECLINE, appointment.id), title: 'Decline' }
+      ], { fallbackText: message });
+
+      await outboundQueueService.enqueue(ownerAgent.phone_number, message, {
+        interactive: buttons,
+        propertyId: property.id,
+        appointmentId: appointment.id
+      });
     } catch (error) {
       console.error('Error notifying owner/agent for confirmation:', error);
     }
@@ -752,9 +856,10 @@ ${icsContent}
       }
 
       const propertyEmoji = this.getPropertyEmoji(property.property_type);
-      const message = `${propertyEmoji} *New Viewing Request*\n\n📍 Property: ${property.address}\n👤 Interested Party: Potential buyer/renter\n📅 Date: ${slot.dateFormatted}\n⏰ Time: ${slot.timeFormatted}\n\n✅ The viewing has been confirmed automatically.\n📧 You'll receive a calendar invite shortly.\n\n💡 Reply "CANCEL" if you need to reschedule.`;
+      const localTime = timezoneService.localTimeNote(slot.date, slot.timeSlot.start_time, slot.timeSlot.end_time, timezoneService.forProperty(property), ownerAgent);
+      const message = `${propertyEmoji} *New Viewing Request*\n\n📍 Property: ${property.address}\n👤 Interested Party: Potential buyer/renter\n📅 Date: ${slot.dateFormatted}\n⏰ Time: ${slot.timeFormatted}${localTime}\n\n✅ The viewing has been confirmed automatically.\n📧 You'll receive a calendar invite shortly.\n\n💡 Reply "CANCEL" if you need to reschedule.`;
 
-      await twilioService.sendWhatsAppMessage(ownerAgent.phone_number, message);
+      await outboundQueueService.enqueue(ownerAgent.phone_number, message, { propertyId: property.id });
     } catch (error) {
       console.error('Error notifying owner/agent:', error);
     }
@@ -777,7 +882,7 @@ ${icsContent}
       const propertyEmoji = this.getPropertyEmoji(property.property_type);
       const message = `${propertyEmoji} *Viewing Request*\n\n📍 Property: ${property.address}\n👤 Interested Party: Potential buyer/renter\n\n🗓️ *Their Preferences:*\n${preferences.summary}\n\n❓ *When are you available for a viewing?*\n\nPlease reply with your available times, for example:\n"Tuesday 2-4 PM" or "Wednesday morning"\n\n⏰ I'll coordinate with the interested party!`;
 
-      await twilioService.sendWhatsAppMessage(ownerAgent.phone_number, message);
+      await outboundQueueService.enqueue(ownerAgent.phone_number, message, { propertyId: property.id });
     } catch (error) {
       console.error('Error contacting owner/agent:', error);
     }
@@ -794,36 +899,25 @@ ${icsContent}
   async generateCalendarInvite(property, slot, attendee1, attendee2) {
     try {
       const now = new Date();
-      const appointmentDate = new Date(slot.date + 'T' + slot.timeSlot.start_time);
-      const endDate = new Date(slot.date + 'T' + slot.timeSlot.end_time);
-      
-      // Format dates for ICS (YYYYMMDDTHHMMSSZ)
-      const formatICSDate = (date) => {
-        return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-      };
-
-      const icsContent = `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//ReAgent Bot//Property Viewing//EN
-CALSCALE:GREGORIAN
-METHOD:REQUEST
-BEGIN:VEVENT
-UID:${now.getTime()}@reagentbot.com
-DTSTAMP:${formatICSDate(now)}
-DTSTART:${formatICSDate(appointmentDate)}
-DTEND:${formatICSDate(endDate)}
-SUMMARY:Property Viewing - ${property.address}
-DESCRIPTION:Property viewing appointment\\n\\nProperty: ${property.address}\\nType: ${property.property_type}\\nPrice: €${property.price}\\n\\nAttendees: Potential buyer/renter and property representative
-LOCATION:${property.address}
-STATUS:CONFIRMED
-TRANSP:OPAQUE
-BEGIN:VALARM
-TRIGGER:-PT15M
-ACTION:DISPLAY
-DESCRIPTION:Property viewing in 15 minutes
-END:VALARM
-END:VEVENT
-END:VCALENDAR`;
+      const icsContent = icsCalendar.buildEvent({
+        uid: `${now.getTime()}@reagentbot.com`,
+        date: slot.date,
+        startTime: slot.timeSlot.start_time,
+        endTime: slot.timeSlot.end_time,
+        timezone: timezoneService.forProperty(property),
+        summary: `Property Viewing - ${property.address}`,
+        description: [
+          'Property viewing appointment',
+          '',
+          `Property: ${property.address}`,
+          `Type: ${property.property_type}`,
+          `Price: €${property.price}`,
+          '',
+          'Attendees: Potential buyer/renter and property representative'
+        ],
+        location: property.address,
+        now
+      });
 
       const inviteMessage = `📅 *Calendar Invite Details*\n\nHere is the calendar event data. You can copy the text below and save it as an ".ics" file to import it into your calendar.\n\n\`\`\`\n${icsContent}\`\`\``;
 
@@ -836,13 +930,23 @@ END:VCALENDAR`;
   }
 
   /**
-   * Parse time preferences using AI with current date/time context
+   * Parse time preferences, with the model only for messages the date/time parser can't read
    * @param {string} message - User's preference message
-   * @returns {Promise<object>} - Parsed preferences
+   * @param {object} options - { timezone, reader }: the zone the property's viewings are arranged in,
+   *   and the user who wrote the message, whose own clock the days and times are read on
+   * @returns {Promise<object>} - Parsed preferences in timezone; ranges holds the explicit date ranges
+   *   when the parser read them, localSummary the reader's wording when their zone differs
    */
-  async parseTimePreferences(message) {
+  async parseTimePreferences(message, { timezone = config.scheduling.timezone, reader = null } = {}) {
+    const readerZone = reader ? timezoneService.forUser(reader) : timezone;
+    const parsed = dateTimeParserService.parse(message, { timezone: readerZone });
+    if (parsed && parsed.ranges.length > 0) {
+      return this.toTimePreferences(dateTimeParserService.inZone(parsed, timezone));
+    }
+
     try {
-      const currentDateTime = this.getCurrentDateTime();
+      const currentDateTime = this.getCurrentDateTime(readerZone);
+      const tomorrow = zonedTime.addDays(currentDateTime.currentDate, 1);
       
       const systemPrompt = `Parse viewing time preferences from user message with current date/time context.
 
@@ -852,7 +956,7 @@ CURRENT CONTEXT:
 - Current DateTime: ${currentDateTime.formatted}
 
 Extract and interpret relative time references:
-- "tomorrow" = ${new Date(Date.now() + 24*60*60*1000).toISOString().split('T')[0]}
+- "tomorrow" = ${tomorrow}
 - "today" = ${currentDateTime.currentDate}
 - "next Monday" = calculate based on current date
 - "this weekend" = upcoming Saturday/Sunday
@@ -875,11 +979,11 @@ Return JSON: {
 }
 
 Examples:
-- "tomorrow at 2pm" → {"absoluteDates": ["${new Date(Date.now() + 24*60*60*1000).toISOString().split('T')[0]}"], "preferredDateTime": "${new Date(Date.now() + 24*60*60*1000).toISOString().split('T')[0]} 14:00"}
+- "tomorrow at 2pm" → {"absoluteDates": ["${tomorrow}"], "preferredDateTime": "${tomorrow} 14:00"}
 - "Monday morning" → {"days": ["monday"], "times": ["morning"]}`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.PARSE_TIME_PREFERENCES, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: message }
@@ -888,7 +992,7 @@ Examples:
         max_tokens: 300
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanContent = content.replace(/```json\s*|\s*```/g, '').trim();
       const result = JSON.parse(cleanContent);
       
@@ -904,11 +1008,40 @@ Examples:
         flexibility: 'high',
         urgency: 'medium',
         summary: message,
-        contextDateTime: this.getCurrentDateTime()
+        contextDateTime: this.getCurrentDateTime(readerZone)
       };
     }
   }
 
+  /**
+   * Shape a date/time parse as buyer time preferences
+   * @param {object} parsed - Result of dateTimeParserService.parse
+   * @returns {object} - { days, times, absoluteDates, flexibility, urgency, summary, localSummary, preferredDateTime, ranges, timezone, contextDateTime }
+   */
+  toTimePreferences(parsed) {
+    const { ranges } = parsed;
+    const timed = ranges.filter(range => range.startTime);
+    const today = zonedTime.getZonedParts(new Date(), parsed.timezone).date;
+
+    let flexibility = 'high';
+    if (timed.length === 1 && ranges.length === 1) flexibility = 'low';
+    else if (timed.length > 0) flexibility = 'medium';
+
+    return {
+      days: [...new Set(ranges.map(range => range.day.toLowerCase()))],
+      times: [...new Set(timed.map(range => range.label || `${range.startTime}-${range.endTime}`))],
+      absoluteDates: [...new Set(ranges.map(range => range.date))],
+      flexibility,
+      urgency: ranges[0].date <= zonedTime.addDays(today, 1) ? 'high' : 'medium',
+      summary: parsed.summary,
+      localSummary: parsed.localSummary || null,
+      preferredDateTime: flexibility === 'low' ? `${timed[0].date} ${timed[0].startTime}` : null,
+      ranges,
+      timezone: parsed.timezone,
+      contextDateTime: this.getCurrentDateTime(parsed.timezone)
+    };
+  }
+
   /**
    * Check if message is an appointment-related request using AI intelligence
    * @param {string} message - User's message
@@ -968,8 +1101,8 @@ Return JSON:
 
 IMPORTANT: Be liberal with appointment detection in real estate context. If someone expresses ANY interest in a property, it's likely a viewing request.`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.DETECT_APPOINTMENT_REQUEST, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Analyze for appointment intent: "${message}"` }
@@ -978,7 +1111,7 @@ IMPORTANT: Be liberal with appointment detection in real estate context. If some
         max_tokens: 200
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanContent = content.replace(/```json\s*|\s*```/g, '').trim();
       const result = JSON.parse(cleanContent);
       
@@ -1038,20 +1171,6 @@ IMPORTANT: Be liberal with appointment detection in real estate context. If some
       return groups;
     }, {});
   }
-
-  /**
-   * Clean up expired pending requests (called periodically)
-   */
-  cleanupExpiredRequests() {
-    const now = new Date();
-    const expiredThreshold = 30 * 60 * 1000; // 30 minutes
-    
-    for (const [phone, request] of this.pendingRequests.entries()) {
-      if (now - request.timestamp > expiredThreshold) {
-        this.pendingRequests.delete(phone);
-      }
-    }
-  }
 }
 
 module.exports = new AppointmentService(); 
\ No newline at end of file
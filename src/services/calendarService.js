@@ -0,0 +1,240 @@
+const Property = require('../models/Property');
+const User = require('../models/User');
+const ViewingAppointment = require('../models/ViewingAppointment');
+const timezoneService = require('./timezoneService');
+const viewingSlots = require('./scheduling/slots');
+const zonedTime = require('./scheduling/zonedTime');
+const { config } = require('../config/environment');
+
+const DAY_MINUTES = 24 * 60;
+
+// Columns timezoneService.forProperty reads a property's zone from
+const ZONE_COLUMNS = 'timezone, districts:district_id(cities:city_id(city, countries:country_id(country)))';
+
+/**
+ * Calendar Service
+ * Per-person viewing calendars: an owner or agent attends the viewings of every
+ * property they own or are assigned to, so a booking at one listing takes their
+ * time at all the others, plus travel time when the addresses differ. Viewing
+ * times are local to their property, so busy times are moved onto the clock of
+ * the property being booked (a Lisbon flat and an Azores flat are an hour apart).
+ */
+class CalendarService {
+  /**
+   * People who attend the viewings of a property
+   * @param {object} property - Property object
+   * @returns {Array<string>} - User IDs of its owner and agent
+   */
+  getAttendeeIds(property) {
+    return [...new Set([property.owner_id, property.agent_id].filter(Boolean))];
+  }
+
+  /**
+   * Travel time a person needs between viewings at different addresses
+   * @param {object} user - User object
+   * @returns {number} - Minutes
+   */
+  getTravelMinutes(user) {
+    const minutes = user?.viewing_travel_minutes;
+    return minutes !== null && minutes !== undefined ? minutes : config.scheduling.travelMinutes;
+  }
+
+  /**
+   * Get the properties a person owns or is assigned to as agent
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - [{ id, address, owner_id, agent_id, timezone, districts }]
+   */
+  async getPropertiesFor(userId) {
+    const { data, error } = await Property.db
+      .from('properties')
+      .select(`id, address, owner_id, agent_id, ${ZONE_COLUMNS}`)
+      .or(`owner_id.eq.${userId},agent_id.eq.${userId}`);
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Time zone of a property, loading its location when the caller's copy doesn't have it
+   * @param {object} property - Property object
+   * @returns {Promise<string>} - IANA time zone
+   */
+  async getTimezone(property) {
+    if (property.timezone || property.districts || !property.id) {
+      return timezoneService.forProperty(property);
+    }
+
+    const { data, error } = await Property.db
+      .from('properties')
+      .select(ZONE_COLUMNS)
+      .eq('id', property.id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return timezoneService.forProperty(data);
+  }
+
+  /**
+   * Get the viewings held at a set of properties over a date range, in one query
+   * @param {Array} properties - Properties with id and address (and their location, for the zone)
+   * @param {string} fromDate - First date (YYYY-MM-DD)
+   * @param {string} toDate - Last date (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Calendar entries; declined requests don't hold a time
+   */
+  async getAppointments(properties, fromDate, toDate) {
+    if (properties.length === 0) return [];
+    const byId = new Map(properties.map(property => [property.id, property]));
+
+    const { data, error } = await ViewingAppointment.db
+      .from('viewing_appointments')
+      .select('id, property_id, appointment_date, start_time, end_time, status, created_at')
+      .in('property_id', [...byId.keys()])
+      .gte('appointment_date', fromDate)
+      .lte('appointment_date', toDate)
+      .neq('status', 'declined')
+      .order('appointment_date')
+      .order('start_time');
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map(appointment => ({
+      appointmentId: appointment.id,
+      propertyId: appointment.property_id,
+      address: byId.get(appointment.property_id)?.address || null,
+      date: appointment.appointment_date,
+      startTime: appointment.start_time.slice(0, 5),
+      endTime: appointment.end_time.slice(0, 5),
+      timezone: timezoneService.forProperty(byId.get(appointment.property_id)),
+      status: appointment.status,
+      createdAt: appointment.created_at
+    }));
+  }
+
+  /**
+   * Get a person's calendar: the viewings of every property they own or manage
+   * @param {string} userId - User ID
+   * @param {string} fromDate - First date (YYYY-MM-DD)
+   * @param {string} toDate - Last date (YYYY-MM-DD)
+   * @returns {Promise<Array>} - [{ appointmentId, propertyId, address, date, startTime, endTime, timezone, status, createdAt }]
+   *   by date and time, each on its own property's clock
+   */
+  async getCalendar(userId, fromDate, toDate) {
+    const properties = await this.getPropertiesFor(userId);
+    return this.getAppointments(properties, fromDate, toDate);
+  }
+
+  /**
+   * Get the times a property can't be viewed because its owner or agent is busy.
+   * Viewings at another address are widened by that person's travel time, and
+   * viewings at properties in other zones are moved onto this property's clock.
+   * @param {object} property - Property object with owner_id, agent_id and address
+   * @param {string} fromDate - First date (YYYY-MM-DD), local to the property
+   * @param {string} toDate - Last date (YYYY-MM-DD), local to the property
+   * @returns {Promise<object>} - { 'YYYY-MM-DD': [{ startTime, endTime, appointment }] }
+   */
+  async getBusyRanges(property, fromDate, toDate) {
+    const timezone = await this.getTimezone(property);
+    const attendees = (await Promise.all(this.getAttendeeIds(property).map(id => User.findById(id)))).filter(Boolean);
+
+    // A day in another zone can start or end on a neighbouring day here
+    const [queryFrom, queryTo] = [zonedTime.addDays(fromDate, -1), zonedTime.addDays(toDate, 1)];
+
+    // Without an owner or agent on record only the property's own viewings count
+    const calendars = attendees.length > 0
+      ? await Promise.all(attendees.map(async attendee => ({
+        travelMinutes: this.getTravelMinutes(attendee),
+        entries: await this.getCalendar(attendee.id, queryFrom, queryTo)
+      })))
+      : [{ travelMinutes: 0, entries: await this.getAppointments([{ ...property, timezone }], queryFrom, queryTo) }];
+
+    const byDate = {};
+    for (const { travelMinutes, entries } of calendars) {
+      for (const entry of entries) {
+        const padding = this.isSameAddress(entry, property) ? 0 : travelMinutes;
+        for (const range of this.toLocalRanges(entry, timezone, padding)) {
+          if (range.date < fromDate || range.date > toDate) continue;
+          (byDate[range.date] = byDate[range.date] || []).push({ startTime: range.startTime, endTime: range.endTime, appointment: entry });
+        }
+      }
+    }
+    return byDate;
+  }
+
+  /**
+   * Put a calendar entry on another zone's clock, widened by travel time and split at midnight
+   * @param {object} entry - Calendar entry, local to entry.timezone
+   * @param {string} timezone - IANA time zone of the property being booked
+   * @param {number} padding - Minutes added before and after
+   * @returns {Array} - [{ date, startTime, endTime }] in timezone, one per day it touches
+   */
+  toLocalRanges(entry, timezone, padding) {
+    const start = zonedTime.convert(entry.date, entry.startTime, entry.timezone || timezone, timezone);
+    const end = zonedTime.convert(entry.date, entry.endTime, entry.timezone || timezone, timezone);
+    const daysBetween = (Date.parse(end.date) - Date.parse(start.date)) / 86400000;
+
+    // Minutes from the start of start.date
+    const from = viewingSlots.toMinutes(start.time) - padding;
+    const to = daysBetween * DAY_MINUTES + viewingSlots.toMinutes(end.time) + padding;
+
+    const ranges = [];
+    for (let day = Math.floor(from / DAY_MINUTES); day * DAY_MINUTES < to; day++) {
+      const dayStart = day * DAY_MINUTES;
+      ranges.push({
+        date: zonedTime.addDays(start.date, day),
+        startTime: viewingSlots.toClock(Math.max(from, dayStart) - dayStart),
+        endTime: viewingSlots.toClock(Math.min(to, dayStart + DAY_MINUTES) - dayStart)
+      });
+    }
+    return ranges;
+  }
+
+  /**
+   * Find a viewing that keeps the property's owner or agent from attending a time range
+   * @param {object} property - Property object
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {string} startTime - Start time (HH:MM)
+   * @param {string} endTime - End time (HH:MM)
+   * @param {object} [booked] - Appointment already booked for the range: only viewings booked
+   *   before it count, so of two bookings that clash the first one keeps the time
+   * @returns {Promise<object|null>} - The clashing calendar entry, or null if the time is free
+   */
+  async findConflict(property, date, startTime, endTime, booked = null) {
+    const busy = await this.getBusyRanges(property, date, date);
+    const clash = (busy[date] || []).find(range =>
+      viewingSlots.overlaps({ startTime, endTime }, range) && (!booked || this.isBookedBefore(range.appointment, booked)));
+    return clash ? clash.appointment : null;
+  }
+
+  /**
+   * Check whether a calendar entry was booked before an appointment (by ID when booked at the same instant)
+   * @param {object} entry - Calendar entry
+   * @param {object} appointment - Appointment row
+   * @returns {boolean} - True if the entry came first
+   */
+  isBookedBefore(entry, appointment) {
+    const [entryAt, appointmentAt] = [Date.parse(entry.createdAt), Date.parse(appointment.created_at)];
+    return entryAt < appointmentAt || (entryAt === appointmentAt && entry.appointmentId < appointment.id);
+  }
+
+  /**
+   * Check whether a calendar entry is at the property's address (another unit in the same building counts)
+   * @param {object} entry - Calendar entry
+   * @param {object} property - Property object
+   * @returns {boolean} - True if no travel is needed between them
+   */
+  isSameAddress(entry, property) {
+    if (entry.propertyId === property.id) return true;
+    const normalize = address => (address || '').trim().toLowerCase();
+    return !!entry.address && normalize(entry.address) === normalize(property.address);
+  }
+}
+
+module.exports = new CalendarService();
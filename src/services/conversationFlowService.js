@@ -0,0 +1,145 @@
+const { CONVERSATION_STATE, INPUT_TYPES, FLOWS } = require('./conversationFlows/definitions');
+const { config } = require('../config/environment');
+
+/**
+ * Thrown when a handler tries to move a conversation to a state its flow
+ * definition does not allow from the current one.
+ */
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Invalid conversation transition from ${from || 'no state'} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Conversation Flow Service
+ * Engine for the declarative flows in conversationFlows/definitions.js. It
+ * finds the handler for a conversation state, checks transitions between
+ * states and works out how long each state lasts.
+ */
+class ConversationFlowService {
+  constructor() {
+    this.steps = new Map(); // state -> step definition with its flow name
+    this.statesByPendingRequest = new Map(); // pending request type -> state
+
+    for (const [flowName, flow] of Object.entries(FLOWS)) {
+      for (const [state, step] of Object.entries(flow.states)) {
+        this.steps.set(state, {
+          state,
+          flow: flowName,
+          handler: step.handler,
+          inputs: step.inputs || [INPUT_TYPES.TEXT],
+          payloads: step.payloads || [],
+          entry: !!step.entry,
+          next: step.next || [],
+          timeoutMinutes: step.timeoutMinutes || flow.timeoutMinutes || config.stateStore.conversationTtlMinutes
+        });
+        if (step.pendingRequestType) {
+          this.statesByPendingRequest.set(step.pendingRequestType, state);
+        }
+      }
+    }
+
+    for (const step of this.steps.values()) {
+      const unknown = step.next.filter(state => !this.steps.has(state));
+      if (unknown.length > 0) {
+        throw new Error(`Flow ${step.flow} state ${step.state} moves to unknown states: ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Check that every state's handler exists on the service that runs the flows
+   * @param {object} service - Object with the handler methods (ConversationService)
+   */
+  assertHandlers(service) {
+    const missing = [...this.steps.values()].filter(step => typeof service[step.handler] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Missing conversation flow handlers: ${missing.map(step => `${step.state} -> ${step.handler}`).join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the definition of a state
+   * @param {string} state - Conversation state
+   * @returns {object|null} - { state, flow, handler, inputs, payloads, entry, next, timeoutMinutes } or null
+   */
+  getStep(state) {
+    return (state && this.steps.get(state)) || null;
+  }
+
+  /**
+   * Find the state whose handler takes a message of this kind
+   * @param {string} state - Current conversation state
+   * @param {string} inputType - One of INPUT_TYPES
+   * @returns {object|null} - Step definition, or null if the message is handled outside the flow
+   */
+  getHandlerFor(state, inputType) {
+    const step = this.getStep(state);
+    return step && step.inputs.includes(inputType) ? step : null;
+  }
+
+  /**
+   * Find the state that takes a button or list payload
+   * @param {string} state - Current conversation state
+   * @param {string} action - Payload action
+   * @returns {object|null} - Step definition, or null if the payload does not belong to the state
+   */
+  getPayloadHandlerFor(state, action) {
+    const step = this.getStep(state);
+    return step && step.payloads.includes(action) ? step : null;
+  }
+
+  /**
+   * Get the state that goes with a pending appointment request
+   * @param {string} type - Pending request type
+   * @returns {string|null} - Conversation state, or null if the type has none
+   */
+  getStateForPendingRequest(type) {
+    return this.statesByPendingRequest.get(type) || null;
+  }
+
+  /**
+   * How long a state lasts without a reply
+   * @param {string} [state] - Conversation state (none for context-only state)
+   * @returns {number} - Timeout in milliseconds
+   */
+  getTimeoutMs(state) {
+    const step = this.getStep(state);
+    return (step ? step.timeoutMinutes : config.stateStore.conversationTtlMinutes) * 60 * 1000;
+  }
+
+  /**
+   * Check a move between states. Leaving a flow, staying in the same state and
+   * starting a flow at an entry state are always allowed; anything else must be
+   * listed in the current state's `next`.
+   * @param {string} [from] - Current state
+   * @param {string} [to] - New state
+   * @param {string} phone - User phone number, for the log
+   * @throws {InvalidTransitionError} - If the move is not allowed
+   */
+  assertTransition(from, to, phone) {
+    if (!to || to === from) return;
+
+    const target = this.getStep(to);
+    const current = this.getStep(from);
+    const allowed = target && (target.entry || (current && current.next.includes(to)));
+
+    if (!allowed) {
+      console.error(`⛔ [FLOW] Rejected transition ${from || 'none'} -> ${to} for ${phone}`);
+      throw new InvalidTransitionError(from, to);
+    }
+
+    if (current && current.flow !== target.flow) {
+      console.log(`🔀 [FLOW] ${phone} left the ${current.flow} flow for ${target.flow}`);
+    }
+  }
+}
+
+module.exports = new ConversationFlowService();
+module.exports.InvalidTransitionError = InvalidTransitionError;
+module.exports.CONVERSATION_STATE = CONVERSATION_STATE;
+module.exports.INPUT_TYPES = INPUT_TYPES;
@@ -0,0 +1,124 @@
+const { PAYLOAD_ACTIONS } = require('../interactiveMessageService');
+const { config } = require('../../config/environment');
+
+const CONVERSATION_STATE = {
+  AWAITING_ROLE: 'awaiting_role_selection',
+  AWAITING_DELETION_PROPERTY_SELECTION: 'awaiting_deletion_property_selection',
+  AWAITING_DELETION_CONFIRMATION: 'awaiting_deletion_confirmation',
+  AWAITING_AVAILABILITY_PROPERTY_SELECTION: 'awaiting_availability_property_selection',
+  AWAITING_AVAILABILITY_TEXT: 'awaiting_availability_text',
+  AWAITING_MEDIA_PROPERTY_SELECTION: 'awaiting_media_property_selection',
+  // Appointment booking states
+  AWAITING_SLOT_SELECTION: 'awaiting_appointment_slot_selection',
+  AWAITING_TIME_PREFERENCES: 'awaiting_buyer_time_preferences',
+  AWAITING_APPOINTMENT_CONFIRMATION: 'awaiting_appointment_confirmation',
+  APPOINTMENT_COORDINATING: 'appointment_coordinating'
+};
+
+// Kinds of inbound message a state can accept; the rest are handled outside the flow
+const INPUT_TYPES = {
+  TEXT: 'text',
+  MEDIA: 'media',
+  LOCATION: 'location'
+};
+
+/**
+ * Conversation flows. Each state names:
+ * - handler: ConversationService method called with (message, user, conversationState)
+ * - inputs: message kinds the handler takes (default text only); photos and location
+ *   pins sent in other states interrupt the flow instead
+ * - payloads: button/list actions routed to the handler, with the payload value as the message
+ * - entry: whether the flow can start (or restart) in this state from anywhere; only the
+ *   first step of a flow is an entry
+ * - next: states the handler may move to; leaving the flow is always allowed
+ * - timeoutMinutes: how long the state lasts without a reply (default: the flow's, then
+ *   CONVERSATION_STATE_TTL_MINUTES)
+ * - pendingRequestType: the appointmentService pending request type that goes with the state
+ */
+const FLOWS = {
+  onboarding: {
+    states: {
+      [CONVERSATION_STATE.AWAITING_ROLE]: {
+        handler: 'handleRoleSelection',
+        inputs: Object.values(INPUT_TYPES),
+        payloads: [PAYLOAD_ACTIONS.ROLE],
+        entry: true,
+        next: []
+      }
+    }
+  },
+
+  availability: {
+    states: {
+      [CONVERSATION_STATE.AWAITING_AVAILABILITY_PROPERTY_SELECTION]: {
+        handler: 'handleAvailabilityPropertySelection',
+        entry: true,
+        next: [CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT]
+      },
+      [CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT]: {
+        handler: 'handleAvailabilityResponse',
+        next: []
+      }
+    }
+  },
+
+  deletion: {
+    states: {
+      [CONVERSATION_STATE.AWAITING_DELETION_PROPERTY_SELECTION]: {
+        handler: 'handleDeletionPropertySelection',
+        entry: true,
+        next: [CONVERSATION_STATE.AWAITING_DELETION_CONFIRMATION]
+      },
+      [CONVERSATION_STATE.AWAITING_DELETION_CONFIRMATION]: {
+        handler: 'handleDeletionResponse',
+        payloads: [PAYLOAD_ACTIONS.DELETE_CONFIRM],
+        next: []
+      }
+    }
+  },
+
+  media: {
+    states: {
+      [CONVERSATION_STATE.AWAITING_MEDIA_PROPERTY_SELECTION]: {
+        handler: 'handleMediaPropertySelection',
+        payloads: [PAYLOAD_ACTIONS.MEDIA_PROPERTY],
+        entry: true,
+        next: []
+      }
+    }
+  },
+
+  // Booking states mirror the buyer's pending request, so they last as long as it does
+  booking: {
+    timeoutMinutes: config.stateStore.pendingRequestTtlMinutes,
+    states: {
+      [CONVERSATION_STATE.AWAITING_SLOT_SELECTION]: {
+        handler: 'handleSlotSelection',
+        payloads: [PAYLOAD_ACTIONS.SLOT],
+        entry: true,
+        pendingRequestType: 'slot_selection',
+        next: []
+      },
+      [CONVERSATION_STATE.AWAITING_TIME_PREFERENCES]: {
+        handler: 'handleTimePreferences',
+        entry: true,
+        pendingRequestType: 'preference_collection',
+        next: [CONVERSATION_STATE.APPOINTMENT_COORDINATING]
+      },
+      [CONVERSATION_STATE.APPOINTMENT_COORDINATING]: {
+        handler: 'handleAppointmentCoordination',
+        pendingRequestType: 'coordinating',
+        next: [CONVERSATION_STATE.AWAITING_APPOINTMENT_CONFIRMATION]
+      },
+      // Entered when the owner answers, which can be long after the buyer's last message;
+      // the coordinating state lasts as long as the request, so the buyer is still in it
+      [CONVERSATION_STATE.AWAITING_APPOINTMENT_CONFIRMATION]: {
+        handler: 'handleAppointmentConfirmation',
+        pendingRequestType: 'awaiting_buyer_confirmation',
+        next: [CONVERSATION_STATE.APPOINTMENT_COORDINATING]
+      }
+    }
+  }
+};
+
+module.exports = { CONVERSATION_STATE, INPUT_TYPES, FLOWS };
@@ -0,0 +1,144 @@
+const stateStoreService = require('./stateStoreService');
+const interactiveMessageService = require('./interactiveMessageService');
+const { config } = require('../config/environment');
+
+// State store namespace for per-user conversation history, keyed by phone number
+const HISTORY_NAMESPACE = 'conversation_history';
+
+/**
+ * Conversation History Service
+ * Keeps the last turns of each user's conversation so LLM operations can
+ * read a message in context ("oh I mean 3000", "the second one"). The window
+ * is bounded: each turn is cut to a fixed length, and turns that fall out of
+ * the window are folded into a short summary of the user's earlier requests,
+ * so the tokens a history adds to a prompt stay predictable.
+ */
+class ConversationHistoryService {
+  /**
+   * Record one exchange: the user's message and the bot's replies
+   * @param {string} phone - User phone number
+   * @param {string} userMessage - Text the user sent (or its transcript)
+   * @param {Array|string} replies - Handler response messages
+   */
+  async recordExchange(phone, userMessage, replies) {
+    try {
+      const history = await this.getHistory(phone);
+      const now = new Date().toISOString();
+
+      const userText = this.clip(userMessage);
+      if (userText) {
+        history.turns.push({ role: 'user', content: userText, at: now });
+      }
+      const replyText = this.clip(this.repliesToText(replies));
+      if (replyText) {
+        history.turns.push({ role: 'assistant', content: replyText, at: now });
+      }
+
+      this.trim(history);
+      await stateStoreService.set(HISTORY_NAMESPACE, phone, history, {
+        ttlMs: config.history.ttlMinutes * 60 * 1000
+      });
+    } catch (error) {
+      // History only improves understanding, so losing a turn must never fail a reply
+      console.error('❌ [HISTORY] Failed to record exchange:', error.message);
+    }
+  }
+
+  /**
+   * Get a user's stored history
+   * @param {string} phone - User phone number
+   * @returns {Promise<object>} - { turns: [{ role, content, at }], earlierRequests: [string] }
+   */
+  async getHistory(phone) {
+    const stored = await stateStoreService.get(HISTORY_NAMESPACE, phone);
+    return {
+      turns: stored?.turns ? [...stored.turns] : [],
+      earlierRequests: stored?.earlierRequests ? [...stored.earlierRequests] : []
+    };
+  }
+
+  /**
+   * Get the history window as chat messages to place before the current user message
+   * @param {string} phone - User phone number
+   * @returns {Promise<Array>} - [{ role, content }], empty if there is no history
+   */
+  async getMessages(phone) {
+    try {
+      const { turns, earlierRequests } = await this.getHistory(phone);
+      const messages = [];
+
+      if (earlierRequests.length > 0) {
+        messages.push({
+          role: 'system',
+          content: `Summary of earlier messages from the user, oldest first: ${earlierRequests.map(text => `"${text}"`).join('; ')}`
+        });
+      }
+      for (const turn of turns) {
+        messages.push({ role: turn.role, content: turn.content });
+      }
+
+      return messages;
+    } catch (error) {
+      console.error('❌ [HISTORY] Failed to load history:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Forget a user's history
+   * @param {string} phone - User phone number
+   */
+  async clear(phone) {
+    await stateStoreService.delete(HISTORY_NAMESPACE, phone);
+  }
+
+  /**
+   * Keep the last `maxTurns` turns and fold older user turns into the summary
+   * @param {object} history - History to trim in place
+   */
+  trim(history) {
+    const overflow = history.turns.length - config.history.maxTurns;
+    if (overflow > 0) {
+      const dropped = history.turns.splice(0, overflow);
+      // Bot replies are mostly listings and prompts; the user's requests carry the context
+      for (const turn of dropped) {
+        if (turn.role === 'user') {
+          history.earlierRequests.push(this.clip(turn.content, config.history.maxSummaryRequestChars));
+        }
+      }
+    }
+
+    // Oldest requests go first once the summary is over budget
+    while (history.earlierRequests.length > 0 && history.earlierRequests.join('; ').length > config.history.maxSummaryChars) {
+      history.earlierRequests.shift();
+    }
+  }
+
+  /**
+   * Plain text of a handler response, for the history
+   * @param {Array|string} replies - Strings, interactive messages or { body, mediaUrl } photos
+   * @returns {string} - Replies joined by blank lines
+   */
+  repliesToText(replies) {
+    return (Array.isArray(replies) ? replies : [replies])
+      .filter(Boolean)
+      .map(reply => (typeof reply === 'object' && !interactiveMessageService.isInteractive(reply)
+        ? reply.body
+        : interactiveMessageService.toPlainText(reply)))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * Shorten a text to a maximum length
+   * @param {string} text - Text
+   * @param {number} [maxLength] - Maximum length (default: the per-turn limit)
+   * @returns {string} - Trimmed text, with "…" when it was cut
+   */
+  clip(text, maxLength = config.history.maxTurnChars) {
+    const trimmed = (text || '').trim();
+    return trimmed.length > maxLength ? `${trimmed.slice(0, maxLength - 1)}…` : trimmed;
+  }
+}
+
+module.exports = new ConversationHistoryService();
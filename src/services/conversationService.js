@@ -1,4 +1,6 @@
 const openaiService = require('./openaiService');
+const llmGatewayService = require('./llmGatewayService');
+const { LLM_OPERATIONS } = llmGatewayService;
 const dataValidationService = require('./dataValidationService');
 const databaseIntegrityService = require('./databaseIntegrityService');
 const propertyParsingService = require('./propertyParsingService');
@@ -6,110 +8,166 @@ const searchService = require('./searchService');
 const propertyManagementService = require('./propertyManagementService');
 const displayService = require('./displayService');
 const appointmentService = require('./appointmentService');
+const interactiveMessageService = require('./interactiveMessageService');
+const propertyMediaService = require('./propertyMediaService');
+const { PAYLOAD_ACTIONS } = interactiveMessageService;
 const User = require('../models/User');
 const UserRole = require('../models/UserRole');
 const Property = require('../models/Property');
-const twilioService = require('./twilioService');
+const outboundQueueService = require('./outboundQueueService');
+const stateStoreService = require('./stateStoreService');
+const { StateVersionConflictError } = require('./stateStoreService');
+const conversationFlowService = require('./conversationFlowService');
+const conversationHistoryService = require('./conversationHistoryService');
+const messageRouterService = require('./messageRouterService');
+const fastPathService = require('./fastPathService');
+const dateTimeParserService = require('./dateTimeParserService');
+const timezoneService = require('./timezoneService');
+const calendarService = require('./calendarService');
+const zonedTime = require('./scheduling/zonedTime');
+const availabilityRules = require('./scheduling/availabilityRules');
+const { ROUTES } = require('./messageRouting/routes');
+const { CONVERSATION_STATE, INPUT_TYPES, InvalidTransitionError } = conversationFlowService;
+const { config } = require('../config/environment');
 const ViewingAppointment = require('../models/ViewingAppointment');
 const { ROLES } = require('../models/UserRole');
 const { UserRoleClass } = require('../models/UserRole');
 
-// Add a new constant for conversation states
-const CONVERSATION_STATE = {
-  AWAITING_ROLE: 'awaiting_role_selection',
-  AWAITING_DELETION_CONFIRMATION: 'awaiting_deletion_confirmation',
-  AWAITING_AVAILABILITY_PROPERTY_SELECTION: 'awaiting_availability_property_selection',
-  AWAITING_AVAILABILITY_TEXT: 'awaiting_availability_text',
-  // Appointment booking states
-  AWAITING_SLOT_SELECTION: 'awaiting_appointment_slot_selection',
-  AWAITING_TIME_PREFERENCES: 'awaiting_buyer_time_preferences',
-  AWAITING_APPOINTMENT_CONFIRMATION: 'awaiting_appointment_confirmation',
-  APPOINTMENT_COORDINATING: 'appointment_coordinating'
+// Reserved commands that work in any state (the whole message must be the command)
+const GLOBAL_COMMANDS = {
+  cancel: 'cancel',
+  cancelar: 'cancel',
+  menu: 'menu',
+  help: 'help',
+  ajuda: 'help',
+  reset: 'reset',
+  'start over': 'reset',
+  'recomeçar': 'reset'
 };
 
+// Conversation state fields that are context rather than part of a flow, so "cancel" keeps them
+const CONTEXT_FIELDS = ['lastSearchResults', 'lastSearchTime', 'lastQuery', 'recentPropertyId'];
+
+// What the bot is waiting for in each state, shown by "help"
+const STATE_HELP = {
+  [CONVERSATION_STATE.AWAITING_DELETION_PROPERTY_SELECTION]: "I'm waiting for you to choose the property to delete. Reply with its number.",
+  [CONVERSATION_STATE.AWAITING_DELETION_CONFIRMATION]: "I'm waiting for you to confirm deleting a property. Reply *yes* to delete it or *no* to keep it.",
+  [CONVERSATION_STATE.AWAITING_AVAILABILITY_PROPERTY_SELECTION]: "I'm waiting for you to choose the property to set viewing times for. Reply with its number.",
+  [CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT]: "I'm waiting for your viewing times. Describe them like *Mondays 9am-12pm and Wednesdays 2-5pm* or *away Aug 1-15*, say *list* to see them, *remove 2* to drop one, or *done* to finish.",
+  [CONVERSATION_STATE.AWAITING_MEDIA_PROPERTY_SELECTION]: "I'm waiting to know which property your photos are for. Pick it from the list or reply with its number.",
+  [CONVERSATION_STATE.AWAITING_SLOT_SELECTION]: "I'm waiting for you to pick a viewing time. Choose one from the list or reply with its number.",
+  [CONVERSATION_STATE.AWAITING_TIME_PREFERENCES]: "I'm waiting for the days and times that suit you for the viewing, e.g. *Tuesday or Wednesday afternoon*.",
+  [CONVERSATION_STATE.AWAITING_APPOINTMENT_CONFIRMATION]: "I'm waiting for you to confirm the proposed viewing time. Reply *yes* to confirm or suggest another time.",
+  [CONVERSATION_STATE.APPOINTMENT_COORDINATING]: "I'm arranging your viewing with the owner/agent and will message you as soon as they reply."
+};
+
+// Commands while setting viewing times (matched on the normalized message): list the entries,
+// remove some by number, or finish
+const AVAILABILITY_COMMANDS = {
+  list: /^(?:(?:show|list|see|view)(?: me)?(?: my)?(?: (?:availability|viewing times|times|rules|entries))?|(?:ver|mostrar|listar)(?: a)?(?: minha)? disponibilidade)$/,
+  remove: /^(?:remove|delete|drop|apagar|remover|eliminar|tirar)\s+(?:(?:rules?|entry|entries|numbers?)\s+)?#?(\d+(?:\s*(?:,|and|e|&)\s*#?\d+)*)$/,
+  removeAll: /^(?:remove|delete|clear|apagar|remover|limpar)(?: (?:all|everything|tudo|todas?))$/,
+  done: /^(?:done|finished|that'?s (?:all|it)|all good|pronto|terminei|e tudo|ja esta)$/
+};
+
+// State store namespace for per-user conversation state, keyed by phone number
+const CONVERSATION_STATE_NAMESPACE = 'conversation';
+// State store namespace for the last location pin each user shared, keyed by phone number
+const SHARED_LOCATION_NAMESPACE = 'shared_location';
+
 class ConversationService {
   constructor() {
-    // Track conversation states for users
-    this.conversationStates = new Map();
+    // Fail at startup rather than mid-conversation if a flow names a missing handler
+    conversationFlowService.assertHandlers(this);
   }
 
   /**
    * Starts the onboarding process for a new user.
    * @param {object} user - The newly created user object.
    * @param {string} initialMessage - The first message the user sent.
+   * @param {number} [expectedVersion] - Version of the state the onboarding replaces
    * @returns {Promise<Array>} - Welcome and role selection messages.
    */
-  async startNewUserOnboarding(user, initialMessage) {
+  async startNewUserOnboarding(user, initialMessage, expectedVersion) {
     console.log(`👋 [CONVERSATION] Starting onboarding for new user: ${user.phone_number}`);
     
     // Set the state to indicate we're waiting for them to select a role
-    this.setConversationState(user.phone_number, {
+    await this.setConversationState(user.phone_number, {
       state: CONVERSATION_STATE.AWAITING_ROLE,
       initialMessage: initialMessage // Save their first message
-    });
+    }, expectedVersion);
 
     const welcomeMessage = "Welcome to ReAgentBot! I'm your intelligent real estate assistant.";
     const roleList = ROLES.map(r => `- *${displayService.capitalizeFirst(r)}*`).join('\n');
     const roleQuestion = `To get started, could you let me know your primary goal? Please reply with one of the following roles:\n\n${roleList}`;
 
-    return [welcomeMessage, roleQuestion];
+    return [welcomeMessage, this.buildRolePicker('To get started, could you let me know your primary goal?', roleQuestion)];
+  }
+
+  /**
+   * Build the role selection list
+   * @param {string} body - Question shown above the list
+   * @param {string} fallbackText - Plain-text version of the question
+   * @returns {Object} - Interactive list message
+   */
+  buildRolePicker(body, fallbackText) {
+    const items = ROLES.map(role => ({
+      id: interactiveMessageService.payloadId(PAYLOAD_ACTIONS.ROLE, role),
+      title: displayService.capitalizeFirst(role)
+    }));
+    return interactiveMessageService.list(body, 'Choose a role', items, { fallbackText });
   }
 
   /**
    * Process user messages and route to appropriate handlers
    * @param {string} message - User's message
    * @param {object} user - User object with role information
-   * @returns {Promise<Array>} - Response messages
+   * @param {object} options - { payload } of a tapped button or list item, { media } attached
+   *   to the message ([{ url, contentType }]), a shared { location } pin and the { messageSid }
+   * @returns {Promise<Array>} - Response messages (strings or interactive messages)
    */
-  async processMessage(message, user) {
+  async processMessage(message, user, { payload = null, media = [], location = null, messageSid = null } = {}) {
     try {
       console.log(`🤖 [CONVERSATION] Processing message from ${user.phone_number}: "${message}"`);
-        const conversationState = this.getConversationState(user.phone_number);
+        const conversationState = await this.getConversationState(user.phone_number);
         
       // If the user has no role and we are not already asking for it, start the onboarding flow.
       // This is the new, correct entry point for the "Handshake."
       if (!user.onboarded && conversationState.state !== CONVERSATION_STATE.AWAITING_ROLE) {
-        return await this.startNewUserOnboarding(user, message);
+        return await this.startNewUserOnboarding(user, message, conversationState.version);
         }
-        
-      // Handle the role selection from the onboarding flow
-      if (conversationState.state === CONVERSATION_STATE.AWAITING_ROLE) {
-        return await this.handleRoleSelection(message, user, conversationState);
-          }
-          
-      // Handle property deletion confirmation
-      if (conversationState.state === CONVERSATION_STATE.AWAITING_DELETION_CONFIRMATION) {
-        return await this.handleDeletionResponse(message, user, conversationState);
-      }
 
-      // Handle availability setting
-      if (conversationState.state === CONVERSATION_STATE.AWAITING_AVAILABILITY_PROPERTY_SELECTION) {
-        return await this.handleAvailabilityPropertySelection(message, user, conversationState);
+      // Tapped buttons and list items carry a payload that identifies the answer exactly
+      if (payload) {
+        const payloadResponse = await this.handlePayload(payload, user, conversationState);
+        if (payloadResponse) {
+          return payloadResponse;
+        }
       }
-      if (conversationState.state === CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT) {
-        return await this.handleAvailabilityResponse(message, user, conversationState);
+        
+      // Escape commands are checked before any flow gets the message
+      const command = this.parseGlobalCommand(message);
+      if (command && user.onboarded && media.length === 0 && !location) {
+        return await this.handleGlobalCommand(command, user, conversationState);
       }
 
-      // Handle appointment booking states
-      if (conversationState.state === CONVERSATION_STATE.AWAITING_SLOT_SELECTION) {
-        return await this.handleSlotSelection(message, user, conversationState);
-      }
-      if (conversationState.state === CONVERSATION_STATE.AWAITING_TIME_PREFERENCES) {
-        return await this.handleTimePreferences(message, user, conversationState);
+      // Messages in the middle of a flow go to the handler of its current state
+      const inputType = media.length > 0 ? INPUT_TYPES.MEDIA : location ? INPUT_TYPES.LOCATION : INPUT_TYPES.TEXT;
+      const step = conversationFlowService.getHandlerFor(conversationState.state, inputType);
+      if (step) {
+        return await this[step.handler](message, user, conversationState);
       }
-      if (conversationState.state === CONVERSATION_STATE.AWAITING_APPOINTMENT_CONFIRMATION) {
-        return await this.handleAppointmentConfirmation(message, user, conversationState);
+
+      // Photos from owners and agents are attached to one of their listings
+      if (media.length > 0) {
+        return await this.handleInboundMedia(message, media, user, conversationState, { messageSid });
       }
-      if (conversationState.state === CONVERSATION_STATE.APPOINTMENT_COORDINATING) {
-        return await this.handleAppointmentCoordination(message, user, conversationState);
-          }
-
-      // Check for owner responses to appointment requests before anything else
-      const ownerResponse = await this.handleOwnerAppointmentResponse(message, user);
-      if (ownerResponse) {
-        return ownerResponse;
+
+      // A shared location pin searches around it
+      if (location) {
+        return await this.handleSharedLocation(message, location, user);
       }
-      
+
       // For existing users, add a personalized greeting if they send a simple "Hi"
       const greetingResponse = this.handleGreeting(message, user);
       if (greetingResponse) {
@@ -117,82 +175,384 @@ class ConversationService {
         return greetingResponse;
       }
 
-      // Check for direct appointment requests
-      const appointmentCheck = await appointmentService.isAppointmentRequest(message);
-      if (appointmentCheck.isAppointmentRequest) {
-        console.log(`📅 [CONVERSATION] Appointment request detected with confidence: ${appointmentCheck.confidence}`);
-        
-        // CRITICAL FIX: Check if this is an owner/agent providing availability
-        if (user.user_roles?.role === 'owner' || user.user_roles?.role === 'agent') {
+      // Numbered references, owner answers and the main commands are recognized without the model
+      const recognized = fastPathService.recognize(message, { role: user.user_roles?.role });
+      if (recognized) {
+        console.log(`⚡ [FAST PATH] "${message}" → ${recognized.intent}`);
+        return await this.dispatchRoute(recognized, message, user);
+      }
+
+      // Free text: one routing call, or the original chain of checks (LLM_ROUTER=legacy)
+      if (config.llm.router === 'legacy') {
+        return await this.routeLegacy(message, user);
+      }
+      return await this.routeSinglePass(message, user, conversationState);
+
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        // Already logged by the flow engine; the conversation stays where it was
+        return ["⚠️ Sorry, I got mixed up about what we were doing. Say *help* to see where we are, or *cancel* to start over."];
+      }
+      if (error instanceof StateVersionConflictError) {
+        // Another message from this user (or another instance) moved the conversation on
+        console.warn(`⚠️ [CONVERSATION] State changed while processing message from ${user.phone_number}`);
+        return ["⏳ I was still working on your previous message. Could you send that again?"];
+      }
+      console.error('❌ [CONVERSATION] Error processing message:', error);
+      return await this.generateIntelligentErrorResponse(message, error, user, 'message_processing');
+    }
+  }
+
+  /**
+   * Route free text through the original chain of checks, one model call each
+   * (kept behind LLM_ROUTER=legacy to compare cost and behaviour with the single-pass router)
+   * @param {string} message - User's message
+   * @param {object} user - User object
+   * @returns {Promise<Array>} - Response messages
+   */
+  async routeLegacy(message, user) {
+    // Check for owner responses to appointment requests before anything else
+    const ownerResponse = await this.handleOwnerAppointmentResponse(message, user);
+    if (ownerResponse) {
+      return ownerResponse;
+    }
+    
+    // Check for direct appointment requests
+    const appointmentCheck = await appointmentService.isAppointmentRequest(message);
+    if (appointmentCheck.isAppointmentRequest) {
+      console.log(`📅 [CONVERSATION] Appointment request detected with confidence: ${appointmentCheck.confidence}`);
+      
+      // CRITICAL FIX: Check if this is an owner/agent providing availability
+      if (user.user_roles?.role === 'owner' || user.user_roles?.role === 'agent') {
+        console.log(`🏠 [CONVERSATION] Owner/agent providing availability: "${message}"`);
+        return await this.handleOwnerAvailabilityResponse(message, user);
+      }
+      
+      // This is a high-level intent. Let the contextual handler manage it
+      // to see if it applies to a recent search.
+      const contextualResult = await this.handleContextualRequest(message, user);
+      if (contextualResult) return contextualResult;
+      
+      // If contextual handler didn't handle it, provide intelligent guidance
+      const conversationState = await this.getConversationState(user.phone_number);
+      const hasRecentSearch = conversationState.lastSearchResults?.results?.length > 0;
+      
+      if (hasRecentSearch) {
+        return [`🤔 I can see you're interested in booking a viewing! \n\n💡 To help you book an appointment, please be more specific:\n• "I want to book property 1"\n• "I'm interested in viewing the first property"\n• "Book viewing for the apartment in [location]"\n\n📋 Or say "show me properties again" to see your search results.`];
+        } else {
+        return [`🏠 I'd love to help you book a property viewing!\n\n🔍 First, let me help you find properties. Try searching like:\n• "Show me 2-bedroom apartments in Lisbon"\n• "Properties under €2000 in Porto"\n• "Houses for sale in Cascais"\n\n💡 Once you find something you like, I can arrange the viewing!`];
+      }
+    }
+
+    // Check for other context-dependent requests (property details, etc.)
+    const contextRequest = await this.parseContextRequest(message, user);
+    if (contextRequest.isPropertyRequest || contextRequest.isPropertyInterest || contextRequest.isSearchRefinement) {
+      const contextualResult = await this.handleContextualRequest(message, user, contextRequest);
+      if (contextualResult) return contextualResult;
+    }
+
+    // Step 1: Classify the intent using OpenAI, with the recent conversation as context
+    const history = await conversationHistoryService.getMessages(user.phone_number);
+    const intent = await openaiService.classifyPropertyIntent(message, user, history);
+    console.log(`🧠 [CONVERSATION] Classified intent:`, intent);
+
+    // Step 2: Route to appropriate handler based on intent
+    return await this.dispatchIntent(intent.intent, message, user, { intent });
+  }
+
+  /**
+   * Route free text with a single model call (messageRouterService), then dispatch deterministically
+   * @param {string} message - User's message
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state
+   * @returns {Promise<Array>} - Response messages
+   */
+  async routeSinglePass(message, user, conversationState) {
+    const history = await conversationHistoryService.getMessages(user.phone_number);
+    const route = await messageRouterService.route(message, user, { history, conversationState });
+    return await this.dispatchRoute(route, message, user);
+  }
+
+  /**
+   * Run the handler for a route from fastPathService or messageRouterService
+   * @param {object} route - { intent, propertyNumber, search, ownerResponse }
+   * @param {string} message - User's message
+   * @param {object} user - User object
+   * @returns {Promise<Array>} - Response messages
+   */
+  async dispatchRoute(route, message, user) {
+    const isProvider = user.user_roles?.role === 'owner' || user.user_roles?.role === 'agent';
+
+    switch (route.intent) {
+      case ROUTES.OWNER_APPOINTMENT_RESPONSE:
+        if (route.ownerResponse) {
+          const ownerResponse = await this.applyOwnerAppointmentResponse(route.ownerResponse, user);
+          if (ownerResponse) return ownerResponse;
+        }
+        break;
+
+      case ROUTES.OWNER_AVAILABILITY:
+        if (isProvider) {
           console.log(`🏠 [CONVERSATION] Owner/agent providing availability: "${message}"`);
           return await this.handleOwnerAvailabilityResponse(message, user);
         }
-        
-        // This is a high-level intent. Let the contextual handler manage it
-        // to see if it applies to a recent search.
-        const contextualResult = await this.handleContextualRequest(message, user);
+        break;
+
+      case ROUTES.PROPERTY_DETAILS:
+      case ROUTES.PROPERTY_INTEREST:
+      case ROUTES.SEARCH_REFINEMENT: {
+        const contextualResult = await this.handleContextualRequest(message, user, {
+          isPropertyRequest: route.intent === ROUTES.PROPERTY_DETAILS,
+          isPropertyInterest: route.intent === ROUTES.PROPERTY_INTEREST,
+          propertyNumber: route.propertyNumber,
+          isSearchRefinement: route.intent === ROUTES.SEARCH_REFINEMENT,
+          searchTerms: route.search?.query || null,
+          parsedSearch: route.search,
+          isAppointmentRequest: false,
+          confidence: route.confidence
+        });
         if (contextualResult) return contextualResult;
-        
-        // If contextual handler didn't handle it, provide intelligent guidance
-        const conversationState = this.getConversationState(user.phone_number);
-        const hasRecentSearch = conversationState.lastSearchResults?.results?.length > 0;
-        
-        if (hasRecentSearch) {
-          return [`🤔 I can see you're interested in booking a viewing! \n\n💡 To help you book an appointment, please be more specific:\n• "I want to book property 1"\n• "I'm interested in viewing the first property"\n• "Book viewing for the apartment in [location]"\n\n📋 Or say "show me properties again" to see your search results.`];
-          } else {
-          return [`🏠 I'd love to help you book a property viewing!\n\n🔍 First, let me help you find properties. Try searching like:\n• "Show me 2-bedroom apartments in Lisbon"\n• "Properties under €2000 in Porto"\n• "Houses for sale in Cascais"\n\n💡 Once you find something you like, I can arrange the viewing!`];
-        }
+        break;
       }
 
-      // Check for other context-dependent requests (property details, etc.)
-      const contextRequest = await this.parseContextRequest(message, user);
-      if (contextRequest.isPropertyRequest || contextRequest.isPropertyInterest || contextRequest.isSearchRefinement) {
-        const contextualResult = await this.handleContextualRequest(message, user, contextRequest);
-        if (contextualResult) return contextualResult;
-      }
+      case ROUTES.SEARCH:
+        return await this.handleSearch(message, user, { parsed: route.search });
 
-      // Step 1: Classify the intent using OpenAI
-      const intent = await openaiService.classifyPropertyIntent(message, user);
-      console.log(`🧠 [CONVERSATION] Classified intent:`, intent);
+      default:
+        return await this.dispatchIntent(route.intent, message, user, { intent: route });
+    }
+
+    return await this.dispatchIntent(ROUTES.UNCLEAR, message, user, { intent: route });
+  }
 
-      // Step 2: Route to appropriate handler based on intent
-      switch (intent.intent) {
-        case 'search':
+  /**
+   * Run the handler for a classified intent
+   * @param {string} intentName - Intent from classifyPropertyIntent or messageRouterService
+   * @param {string} message - User's message
+   * @param {object} user - User object
+   * @param {object} options - { intent } classification, passed on to handleUnclearIntent
+   * @returns {Promise<Array>} - Response messages
+   */
+  async dispatchIntent(intentName, message, user, { intent = null } = {}) {
+    switch (intentName) {
+      case 'search':
+        return await this.handleSearch(message, user);
+
+      case 'view_own_listings':
+        return await this.handleViewOwnListings(user);
+
+      case 'update_property':
+      case 'manage_property':
+        return await this.handlePropertyManagement(message, user);
+
+      case 'add_property':
+        // Start the async process and immediately return an acknowledgement.
+        this.handleAddProperty(message, user);
+        return ["Got it! I'm processing your listings now. This may take a moment..."];
+
+      case 'delete_property':
+        return await this.handleDeleteProperty(user);
+
+      case 'set_availability':
+        return await this.handleSetAvailability(user);
+
+      case 'unclear':
+      default:
+        // Fallback: If intent is unclear, check if it's a property link
+        const urlRegex = /(https?:\/\/[^\s]+)/g;
+        const foundUrl = message.match(urlRegex);
+        if (foundUrl) {
+          return await this.handlePropertyLink(user, foundUrl[0]);
+        }
+        // "What's near me?" style questions are searches even without property words
+        if (searchService.parseProximity(message)) {
           return await this.handleSearch(message, user);
+        }
+        return await this.handleUnclearIntent(message, user, intent);
+    }
+  }
 
-        case 'view_own_listings':
-          return await this.handleViewOwnListings(user);
-
-        case 'update_property':
-        case 'manage_property':
-          return await this.handlePropertyManagement(message, user);
-
-        case 'add_property':
-          // Start the async process and immediately return an acknowledgement.
-          this.handleAddProperty(message, user);
-          return ["Got it! I'm processing your listings now. This may take a moment..."];
-
-        case 'delete_property':
-          return await this.handleDeleteProperty(user);
-
-        case 'set_availability':
-          return await this.handleSetAvailability(user);
-
-        case 'unclear':
-        default:
-          // Fallback: If intent is unclear, check if it's a property link
-          const urlRegex = /(https?:\/\/[^\s]+)/g;
-          const foundUrl = message.match(urlRegex);
-          if (foundUrl) {
-            return await this.handlePropertyLink(user, foundUrl[0]);
-          }
-          return await this.handleUnclearIntent(message, user, intent);
-      }
+  /**
+   * Route a button or list payload straight to its handler
+   * @param {string} payload - Payload ID (see interactiveMessageService.payloadId)
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state
+   * @returns {Promise<Array|null>} - Response messages, or null if the payload no longer applies
+   */
+  async handlePayload(payload, user, conversationState) {
+    const { action, value } = interactiveMessageService.parsePayload(payload);
+    console.log(`👆 [CONVERSATION] Payload ${action}:${value} from ${user.phone_number}`);
+
+    // Answers to the current flow state (role, slot, property pickers) go to its handler
+    const step = conversationFlowService.getPayloadHandlerFor(conversationState.state, action);
+    if (step) {
+      return await this[step.handler](value, user, conversationState);
+    }
 
-    } catch (error) {
-      console.error('❌ [CONVERSATION] Error processing message:', error);
-      return await this.generateIntelligentErrorResponse(message, error, user, 'message_processing');
+    switch (action) {
+      case PAYLOAD_ACTIONS.MENU:
+        return await this.handleMenuSelection(value, user, conversationState);
+
+      case PAYLOAD_ACTIONS.APPOINTMENT_CONFIRM:
+        return await this.applyOwnerAppointmentResponse({ intent: 'confirm', appointmentId: value }, user);
+
+      case PAYLOAD_ACTIONS.APPOINTMENT_DECLINE:
+        return await this.applyOwnerAppointmentResponse({ intent: 'decline', appointmentId: value }, user);
     }
+
+    // Stale or unknown payload (e.g. an old list tapped again): treat the button text as a normal message
+    return null;
+  }
+
+  /**
+   * Recognize a reserved command such as "cancel" or "help"
+   * @param {string} message - User's message
+   * @returns {string|null} - 'cancel', 'menu', 'help' or 'reset', or null for any other message
+   */
+  parseGlobalCommand(message) {
+    const normalized = (message || '').toLowerCase().trim().replace(/[.!?]+$/, '');
+    return GLOBAL_COMMANDS[normalized] || null;
+  }
+
+  /**
+   * Run a reserved command
+   * @param {string} command - 'cancel', 'menu', 'help' or 'reset'
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state
+   * @returns {Promise<Array>} - Response messages
+   */
+  async handleGlobalCommand(command, user, conversationState) {
+    console.log(`⌨️ [CONVERSATION] Command "${command}" from ${user.phone_number} in state ${conversationState.state || 'none'}`);
+
+    switch (command) {
+      case 'cancel':
+        return await this.handleCancelCommand(user, conversationState);
+      case 'menu':
+        return [this.buildMenu(user)];
+      case 'help':
+        return this.buildHelp(user, conversationState);
+      case 'reset':
+        return await this.handleResetCommand(user);
+    }
+  }
+
+  /**
+   * Abort the current flow and any unfinished viewing request, keeping search context
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state
+   * @returns {Promise<Array>} - Response messages
+   */
+  async handleCancelCommand(user, conversationState) {
+    const pendingRequest = await appointmentService.getPendingRequest(user.phone_number);
+
+    if (!conversationState.state && !pendingRequest) {
+      return ["There's nothing to cancel right now.", this.buildMenu(user)];
+    }
+
+    await this.exitFlow(user.phone_number, conversationState);
+    if (pendingRequest) {
+      await appointmentService.deletePendingRequest(user.phone_number);
+    }
+
+    console.log(`🛑 [CONVERSATION] Cancelled ${conversationState.state || pendingRequest.type} for ${user.phone_number}`);
+    return ['✅ Cancelled. What would you like to do instead?', this.buildMenu(user)];
+  }
+
+  /**
+   * Forget everything the bot remembers about the conversation
+   * @param {object} user - User object
+   * @returns {Promise<Array>} - Response messages
+   */
+  async handleResetCommand(user) {
+    await this.clearConversationState(user.phone_number);
+    await appointmentService.deletePendingRequest(user.phone_number);
+    await stateStoreService.delete(SHARED_LOCATION_NAMESPACE, user.phone_number);
+    await conversationHistoryService.clear(user.phone_number);
+
+    console.log(`🔄 [CONVERSATION] Reset conversation for ${user.phone_number}`);
+    return ["🔄 Done! I've cleared our conversation, including your searches and any unfinished requests.", this.buildMenu(user)];
+  }
+
+  /**
+   * Build the role-specific main menu
+   * @param {object} user - User object
+   * @returns {Object} - Interactive list message
+   */
+  buildMenu(user) {
+    const role = user.user_roles?.role;
+    const options = role === 'owner' || role === 'agent'
+      ? [
+        { value: 'listings', title: 'View my listings', description: 'See the properties you manage' },
+        { value: 'add', title: 'Add a property', description: 'List a new property' },
+        { value: 'availability', title: 'Set my availability', description: 'Choose when viewings can happen' },
+        { value: 'photos', title: 'Add photos', description: 'Attach photos to a listing' },
+        { value: 'help', title: 'Help', description: 'What I can do for you' }
+      ]
+      : [
+        { value: 'search', title: 'Search properties', description: 'Find homes by area, price and size' },
+        { value: 'nearby', title: 'Search near me', description: 'Find homes around a location' },
+        { value: 'help', title: 'Help', description: 'What I can do for you' }
+      ];
+
+    const items = options.map(option => ({
+      id: interactiveMessageService.payloadId(PAYLOAD_ACTIONS.MENU, option.value),
+      title: option.title,
+      description: option.description
+    }));
+    // Typed replies go through intent detection, so the plain-text menu lists phrases rather than numbers
+    const fallbackText = `📋 *Menu*\n\n${options.map(option => `• ${option.title}`).join('\n')}\n\nJust type what you'd like to do.`;
+
+    return interactiveMessageService.list('📋 What would you like to do?', 'Show options', items, { fallbackText });
+  }
+
+  /**
+   * Handle a tapped main menu option
+   * @param {string} option - Menu option value
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state
+   * @returns {Promise<Array|null>} - Response messages, or null for an unknown option
+   */
+  async handleMenuSelection(option, user, conversationState) {
+    switch (option) {
+      case 'listings':
+        return await this.handleViewOwnListings(user);
+      case 'add':
+        return ['🏠 Send me the listing in one message, e.g. *Add property: Rua do Sol 12, Rato, Lisbon, T2, 80m2, €1.500 per month*. You can attach photos to it too.'];
+      case 'availability':
+        return await this.handleSetAvailability(user);
+      case 'photos':
+        return ['📷 Send the photos with a caption naming the property, e.g. *Photos of my Rato apartment*. The first photo becomes the cover.'];
+      case 'search':
+        return ["🔍 Tell me what you're looking for, e.g. *2-bedroom apartments in Lisbon under €2000*."];
+      case 'nearby':
+        return ['📍 Share a location pin and I\'ll show properties around it, or name a place, e.g. *apartments within 1 km of Chiado*.'];
+      case 'help':
+        return this.buildHelp(user, conversationState);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build help for the user's role and, when a flow is in progress, what it is waiting for
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state
+   * @returns {Array} - Response messages
+   */
+  buildHelp(user, conversationState) {
+    const role = user.user_roles?.role;
+    const commands = `⌨️ *Commands*\n• *menu* - show what I can do\n• *cancel* - stop what we're doing\n• *reset* - start over from scratch\n• *help* - show this message`;
+
+    const stateHelp = STATE_HELP[conversationState.state];
+    if (stateHelp) {
+      return [`💡 ${stateHelp}\n\nSay *cancel* to stop and do something else.\n\n${commands}`];
+    }
+
+    const abilities = role === 'owner' || role === 'agent'
+      ? `• List a property by sending its details\n• Send photos of your listings\n• View and update your listings\n• Set when viewings can happen`
+      : `• Search properties, e.g. "T2 in Lisbon under €1500"\n• Search near a shared location or a place\n• See details and photos of a result\n• Book a viewing`;
+
+    return [`🤖 *How I can help*\n${abilities}\n\n${commands}`];
   }
 
   /**
@@ -235,7 +595,10 @@ class ConversationService {
     if (!role || !UserRoleClass.isValidRole(role)) {
       const roleList = ROLES.map(r => `*${displayService.capitalizeFirst(r)}*`).join(', ');
       return [
-        `I'm sorry, I didn't understand that role. Please choose one of the following options: ${roleList}.`
+        this.buildRolePicker(
+          "I'm sorry, I didn't understand that role. Please choose one of the options below.",
+          `I'm sorry, I didn't understand that role. Please choose one of the following options: ${roleList}.`
+        )
       ];
     }
     // Update the user's role in the database and set onboarded: true
@@ -243,7 +606,7 @@ class ConversationService {
     // Fetch fresh user with role info
     const updatedUser = await User.getUserByPhoneWithRole(user.phone_number);
     console.log(`✅ [CONVERSATION] User ${user.phone_number} role set to: ${role}`);
-    this.clearConversationState(user.phone_number);
+    await this.clearConversationState(user.phone_number);
     let followUpMessages = [`Great! You're all set up as a ${displayService.capitalizeFirst(role)}. Let's get started.`];
     const { initialMessage } = conversationState;
     if (initialMessage && initialMessage.trim().toLowerCase() !== requestedRoleRaw) {
@@ -316,14 +679,21 @@ class ConversationService {
    * Handle property search requests
    * @param {string} message - Search query
    * @param {object} user - User object
+   * @param {object} options - { location } pin to search around, when the user just shared one, and
+   *   the { parsed } search from messageRouterService, if it already extracted the filters
    * @returns {Promise<Array>} - Search results
    */
-  async handleSearch(message, user) {
+  async handleSearch(message, user, { location = null, parsed = null } = {}) {
     try {
       console.log(`🔍 [CONVERSATION] Handling search request: "${message}"`);
 
+      const { near, missingLocation } = await this.resolveSearchArea(message, user, location);
+      if (missingLocation) {
+        return ["📍 To search around you, share your location first: tap 📎 (or +) → *Location* → *Send your current location*.\n\nYou can also name a place, e.g. \"apartments within 1 km of Rato\"."];
+      }
+
       // Perform the search
-      const searchResults = await searchService.searchProperties(message, user);
+      const searchResults = await searchService.searchProperties(message, user, { near, parsed });
       
       // Check if the query is ambiguous and needs clarification
       if (searchResults.isAmbiguous && searchResults.clarificationNeeded) {
@@ -346,14 +716,17 @@ class ConversationService {
       }
       
       // Store search results in conversation state for context
-      this.setConversationState(user.phone_number, {
+      await this.setConversationState(user.phone_number, {
         lastSearchResults: searchResults,
         lastSearchTime: new Date(),
         lastQuery: message
       });
       
-      // Format results for WhatsApp display
-      const formattedMessages = displayService.formatSearchResults(searchResults, false);
+      // Format results for WhatsApp display, with each listing's cover photo
+      const coverUrls = searchResults.totalCount > 0
+        ? await propertyMediaService.getCoverUrls(searchResults.results.map(p => p.id))
+        : {};
+      const formattedMessages = displayService.formatSearchResults(searchResults, false, coverUrls);
       
       // Add intelligent follow-up suggestions based on search
       if (searchResults.totalCount > 0) {
@@ -384,6 +757,64 @@ class ConversationService {
     }
   }
 
+  /**
+   * Remember a shared location pin and search around it
+   * @param {string} message - Text sent with the pin (usually empty)
+   * @param {object} location - { latitude, longitude, address, label }
+   * @param {object} user - User object
+   * @returns {Promise<Array>} - Search results
+   */
+  async handleSharedLocation(message, location, user) {
+    console.log(`📍 [CONVERSATION] ${user.phone_number} shared a location: ${location.latitude},${location.longitude}`);
+
+    await stateStoreService.set(SHARED_LOCATION_NAMESPACE, user.phone_number, {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      label: location.label || null,
+      sharedAt: new Date().toISOString()
+    }, { ttlMs: config.search.sharedLocationTtlMinutes * 60 * 1000 });
+
+    // A bare pin looks for anything nearby; text sent with it can narrow the search
+    return await this.handleSearch((message || '').trim() || 'properties near me', user, { location });
+  }
+
+  /**
+   * Work out the area of a proximity search: a place named in the message, the pin just
+   * shared, or the last pin the user shared
+   * @param {string} message - Search query
+   * @param {object} user - User object
+   * @param {object|null} location - Pin shared with this message
+   * @returns {Promise<object>} - { near } (null for an ordinary search), or { missingLocation: true }
+   *   when the user asked about "here" without having shared a pin
+   */
+  async resolveSearchArea(message, user, location = null) {
+    const proximity = searchService.parseProximity(message);
+    if (!proximity && !location) {
+      return { near: null };
+    }
+
+    const radiusKm = proximity?.radiusKm || config.search.defaultRadiusKm;
+
+    if (proximity?.place) {
+      const { latitude, longitude, label } = proximity.place;
+      return { near: { latitude, longitude, radiusKm, label } };
+    }
+
+    const center = location || await stateStoreService.get(SHARED_LOCATION_NAMESPACE, user.phone_number);
+    if (!center) {
+      return { missingLocation: true };
+    }
+
+    return {
+      near: {
+        latitude: center.latitude,
+        longitude: center.longitude,
+        radiusKm,
+        label: center.label || 'your location'
+      }
+    };
+  }
+
   /**
    * Generate intelligent follow-up suggestions based on search results
    * @param {object} searchResults - Search results object
@@ -508,19 +939,126 @@ class ConversationService {
     }
   }
 
+  /**
+   * Start deleting one of the user's properties
+   * @param {object} user - User object
+   * @returns {Promise<Array>} - Confirmation question, or a list of properties to choose from
+   */
+  async handleDeleteProperty(user) {
+    if (!user || (user.user_roles?.role !== 'owner' && user.user_roles?.role !== 'agent')) {
+      return await this.generateIntelligentPermissionResponse('delete_property', user);
+    }
+
+    const userProperties = await propertyManagementService.getUserProperties(user);
+    if (!userProperties || userProperties.length === 0) {
+      return ["You don't have any properties to delete."];
+    }
+
+    if (userProperties.length === 1) {
+      // Only one property, so it is chosen for them; the flow still starts at the selection step
+      const selection = await this.setConversationState(user.phone_number, {
+        state: CONVERSATION_STATE.AWAITING_DELETION_PROPERTY_SELECTION,
+        properties: userProperties
+      });
+      return await this.askDeletionConfirmation(user, userProperties[0], selection.version);
+    }
+
+    let response = "Which property would you like to delete? Please reply with the number.\n\n";
+    userProperties.forEach((prop, index) => {
+      response += `${index + 1}. ${prop.address}\n`;
+    });
+
+    await this.setConversationState(user.phone_number, {
+      state: CONVERSATION_STATE.AWAITING_DELETION_PROPERTY_SELECTION,
+      properties: userProperties
+    });
+
+    return [response];
+  }
+
+  /**
+   * Handle the choice of property to delete
+   * @param {string} message - The user's message (property number)
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state
+   * @returns {Promise<Array>} - Confirmation question
+   */
+  async handleDeletionPropertySelection(message, user, conversationState) {
+    const propertyNumber = parseInt(message.trim());
+    const { properties } = conversationState;
+
+    if (isNaN(propertyNumber) || propertyNumber < 1 || propertyNumber > properties.length) {
+      return ["That's not a valid number. Please reply with the number of the property."];
+    }
+
+    return await this.askDeletionConfirmation(user, properties[propertyNumber - 1], conversationState.version);
+  }
+
+  /**
+   * Ask the user to confirm deleting a property
+   * @param {object} user - User object
+   * @param {object} property - Property to delete
+   * @param {number} [expectedVersion] - Version of the state the question replaces
+   * @returns {Promise<Array>} - Yes/no buttons
+   */
+  async askDeletionConfirmation(user, property, expectedVersion) {
+    await this.setConversationState(user.phone_number, {
+      state: CONVERSATION_STATE.AWAITING_DELETION_CONFIRMATION,
+      property
+    }, expectedVersion);
+
+    const question = `🗑️ Delete your property at *${property.address}*? This cannot be undone.`;
+    return [interactiveMessageService.buttons(question, [
+      { id: interactiveMessageService.payloadId(PAYLOAD_ACTIONS.DELETE_CONFIRM, 'yes'), title: 'Yes, delete it' },
+      { id: interactiveMessageService.payloadId(PAYLOAD_ACTIONS.DELETE_CONFIRM, 'no'), title: 'No, keep it' }
+    ], { fallbackText: `${question}\n\nReply *yes* to delete it or *no* to keep it.` })];
+  }
+
+  /**
+   * Handle the answer to a deletion confirmation
+   * @param {string} message - The user's answer
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state
+   * @returns {Promise<Array>} - Result of the deletion
+   */
+  async handleDeletionResponse(message, user, conversationState) {
+    const { property } = conversationState;
+    const answer = message.trim().toLowerCase();
+
+    if (/^(no|n|não|nao|keep)\b/.test(answer)) {
+      await this.exitFlow(user.phone_number, conversationState);
+      return [`👍 OK, your property at *${property.address}* stays listed.`];
+    }
+
+    if (!/^(yes|y|sim|delete|confirm)\b/.test(answer)) {
+      return [`Please reply *yes* to delete your property at *${property.address}* or *no* to keep it.`];
+    }
+
+    try {
+      const result = await propertyManagementService.deleteProperty(property.id, user);
+      await this.exitFlow(user.phone_number, conversationState);
+      return [`🗑️ ${result.message}.`];
+    } catch (error) {
+      console.error(`❌ [CONVERSATION] Error deleting property ${property.id}:`, error);
+      await this.exitFlow(user.phone_number, conversationState);
+      return ["I'm sorry, I couldn't delete that property. Please try again later."];
+    }
+  }
+
   /**
    * Handle adding new properties using the intelligent parsing service.
    * This function now runs asynchronously and sends a follow-up message.
    * @param {string} message - Property details
    * @param {object} user - User object
+   * @param {object} options - { media, messageSid } of photos sent with the listing
    */
-  async handleAddProperty(message, user) {
+  async handleAddProperty(message, user, { media = [], messageSid = null } = {}) {
     try {
       console.log(`➕ [CONVERSATION] Starting async property add for ${user.phone_number}`);
 
       // Check permissions first.
       if (!user || (user.user_roles?.role !== 'owner' && user.user_roles?.role !== 'agent')) {
-        await twilioService.sendWhatsAppMessage(user.phone_number, "You don't have permission to add properties.");
+        await outboundQueueService.enqueue(user.phone_number, "You don't have permission to add properties.", { kind: 'property_import' });
         return;
       }
 
@@ -528,15 +1066,200 @@ class ConversationService {
       const result = await propertyParsingService.processPropertyListings(user.phone_number, message, user);
       
       // Format the final result message.
-      const finalMessage = propertyParsingService.formatPropertyAdditionResponse(result);
+      let finalMessage = propertyParsingService.formatPropertyAdditionResponse(result);
+
+      // A single new listing becomes the target for photos sent with it or right after it
+      const addedProperties = Array.isArray(result) ? result.filter(r => r.success && r.property) : [];
+      if (addedProperties.length === 1) {
+        const property = addedProperties[0].property;
+        await this.rememberRecentProperty(user.phone_number, property.id);
+        if (media.length > 0) {
+          const attachResult = await propertyMediaService.attachMedia(property, media, user, { messageSid });
+          finalMessage += `\n\n${displayService.formatMediaAttached(property, attachResult)}`;
+        }
+      } else if (media.length > 0) {
+        finalMessage += "\n\n📸 Your photos weren't attached. Please send them again with the listing's address or district as the caption.";
+      }
 
       // Send the final result as a new, outbound message.
-      await twilioService.sendWhatsAppMessage(user.phone_number, finalMessage);
+      await outboundQueueService.enqueue(user.phone_number, finalMessage, { kind: 'property_import' });
 
     } catch (error) {
       console.error('❌ [CONVERSATION] Async add property error:', error);
       // Notify the user of the failure in a new message.
-      await twilioService.sendWhatsAppMessage(user.phone_number, "I'm sorry, I encountered an error while trying to add your properties. Please try again.");
+      await outboundQueueService.enqueue(user.phone_number, "I'm sorry, I encountered an error while trying to add your properties. Please try again.", { kind: 'property_import' });
+    }
+  }
+
+  /**
+   * Attach photos sent by an owner or agent to one of their properties.
+   * The target comes from the caption ("Add these to my Rato apartment"), then the
+   * property they last added or attached photos to, then their only property;
+   * otherwise they are asked to pick one. A caption that is a new listing creates it
+   * with the photos.
+   * @param {string} message - Caption (may be empty)
+   * @param {Array} media - [{ url, contentType }]
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state
+   * @param {object} options - { messageSid }
+   * @returns {Promise<Array>} - Response messages
+   */
+  async handleInboundMedia(message, media, user, conversationState, { messageSid = null } = {}) {
+    const role = user.user_roles?.role;
+    if (role !== 'owner' && role !== 'agent') {
+      return ["📎 Thanks for sending that! I can only read text for now. Tell me what you're looking for, e.g. \"2-bedroom apartment in Lisbon under €1500\"."];
+    }
+
+    const photos = media.filter(item => propertyMediaService.isSupported(item.contentType));
+    if (photos.length === 0) {
+      return ["📎 I can only attach photos (JPEG, PNG or WebP) to your listings for now."];
+    }
+
+    const caption = (message || '').trim();
+    const makeCover = /\bcover\b/i.test(caption);
+    console.log(`📸 [CONVERSATION] ${photos.length} photo(s) from ${user.phone_number}${caption ? ` with caption "${caption}"` : ''}`);
+
+    // More photos while we're asking where the first ones go join the same batch
+    if (conversationState.state === CONVERSATION_STATE.AWAITING_MEDIA_PROPERTY_SELECTION) {
+      await this.setConversationState(user.phone_number, {
+        ...conversationState,
+        pendingMedia: [...conversationState.pendingMedia, ...photos]
+      }, conversationState.version);
+      return ["📸 Got it, I'll add this one too. Which property are these photos for? Please reply with the number."];
+    }
+
+    const userProperties = await propertyManagementService.getUserProperties(user);
+    let property = null;
+
+    if (caption && userProperties.length > 0) {
+      property = await this.identifyPropertyFromCaption(caption, userProperties);
+    }
+
+    // A new listing always states a price, "add these to my flat" does not
+    if (!property && /\d/.test(caption)) {
+      const intent = await openaiService.classifyPropertyIntent(caption, user);
+      if (intent.intent === 'add_property') {
+        this.handleAddProperty(caption, user, { media: photos, messageSid });
+        return ["Got it! I'm processing your listing and its photos now. This may take a moment..."];
+      }
+    }
+
+    if (userProperties.length === 0) {
+      return ["📸 Nice photos! Add the property first (send its details, e.g. \"T2 in Rato, 85m2, €1800/month\") and then send the photos."];
+    }
+
+    if (!property && conversationState.recentPropertyId) {
+      property = userProperties.find(p => p.id === conversationState.recentPropertyId) || null;
+    }
+    if (!property && userProperties.length === 1) {
+      property = userProperties[0];
+    }
+
+    if (!property) {
+      return await this.askMediaProperty(user, conversationState, userProperties, {
+        pendingMedia: photos, caption, makeCover, messageSid
+      });
+    }
+
+    return await this.attachPhotosToProperty(property, photos, user, { messageSid, caption, makeCover });
+  }
+
+  /**
+   * Find the property a photo caption refers to
+   * @param {string} caption - Photo caption
+   * @param {Array} userProperties - User's properties
+   * @returns {Promise<object|null>} - Property, or null if the caption doesn't name one
+   */
+  async identifyPropertyFromCaption(caption, userProperties) {
+    const parsed = await openaiService.parseUpdateRequest(caption, userProperties);
+    const identification = parsed?.propertyIdentification;
+
+    // 'single' only says the user has one property, which handleInboundMedia falls back to anyway
+    if (!identification || ['single', 'selection_needed'].includes(identification.method)) {
+      return null;
+    }
+
+    const result = await propertyManagementService.identifyProperty(identification, userProperties);
+    return result.success ? result.property : null;
+  }
+
+  /**
+   * Ask which property incoming photos belong to, keeping the photos until the user answers
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state
+   * @param {Array} userProperties - User's properties
+   * @param {object} pending - { pendingMedia, caption, makeCover, messageSid }
+   * @returns {Promise<Array>} - Property picker
+   */
+  async askMediaProperty(user, conversationState, userProperties, pending) {
+    await this.setConversationState(user.phone_number, {
+      state: CONVERSATION_STATE.AWAITING_MEDIA_PROPERTY_SELECTION,
+      ...pending,
+      properties: userProperties.map(p => ({ id: p.id, address: p.address, property_type: p.property_type }))
+    }, conversationState.version);
+
+    let fallbackText = "📸 Which property are these photos for? Please reply with the number.\n\n";
+    userProperties.forEach((prop, index) => {
+      fallbackText += `${index + 1}. ${prop.address}\n`;
+    });
+
+    const items = userProperties.map((prop, index) => ({
+      id: interactiveMessageService.payloadId(PAYLOAD_ACTIONS.MEDIA_PROPERTY, index + 1),
+      title: displayService.truncateText(prop.address, 21),
+      description: [prop.districts?.district, `€${displayService.formatPrice(prop.price)}`].filter(Boolean).join(' · ')
+    }));
+
+    return [interactiveMessageService.list('📸 Which property are these photos for?', 'Choose property', items, { fallbackText })];
+  }
+
+  /**
+   * Handle the user's answer to "which property are these photos for?"
+   * @param {string} message - Property number
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state
+   * @returns {Promise<Array>} - Confirmation message
+   */
+  async handleMediaPropertySelection(message, user, conversationState) {
+    const propertyNumber = parseInt(message.trim());
+    const { properties, pendingMedia, caption, makeCover, messageSid } = conversationState;
+
+    if (isNaN(propertyNumber) || propertyNumber < 1 || propertyNumber > properties.length) {
+      return ["That's not a valid number. Please reply with the number of the property for your photos."];
+    }
+
+    return await this.attachPhotosToProperty(properties[propertyNumber - 1], pendingMedia, user, {
+      messageSid, caption, makeCover
+    });
+  }
+
+  /**
+   * Attach photos to a property and remember it for photos that follow
+   * @param {object} property - Property (id, address, property_type)
+   * @param {Array} photos - [{ url, contentType }]
+   * @param {object} user - User object
+   * @param {object} options - { messageSid, caption, makeCover }
+   * @returns {Promise<Array>} - Confirmation message
+   */
+  async attachPhotosToProperty(property, photos, user, options) {
+    const attachResult = await propertyMediaService.attachMedia(property, photos, user, options);
+    await this.rememberRecentProperty(user.phone_number, property.id);
+    return [displayService.formatMediaAttached(property, attachResult)];
+  }
+
+  /**
+   * Remember the property a user last added or attached photos to, so photos sent
+   * without a caption go to it. Resolves a pending "which property?" question.
+   * @param {string} phone - User phone number
+   * @param {string} propertyId - Property ID
+   */
+  async rememberRecentProperty(phone, propertyId) {
+    try {
+      const state = await this.getConversationState(phone);
+      const baseState = state.state === CONVERSATION_STATE.AWAITING_MEDIA_PROPERTY_SELECTION ? {} : state;
+      await this.setConversationState(phone, { ...baseState, recentPropertyId: propertyId }, state.version);
+    } catch (error) {
+      // Only a convenience for the next photo, so a lost race is not worth failing over
+      console.warn(`⚠️ [CONVERSATION] Could not remember recent property for ${phone}:`, error.message);
     }
   }
 
@@ -575,25 +1298,88 @@ class ConversationService {
   }
 
   /**
-   * Conversation state management
+   * Get the conversation state for a user from the state store
+   * @param {string} phone - User phone number
+   * @returns {Promise<object>} - State (empty object if none); `state.version` holds the stored version
    */
-  getConversationState(phone) {
-    return this.conversationStates.get(phone) || {};
+  async getConversationState(phone) {
+    return (await stateStoreService.get(CONVERSATION_STATE_NAMESPACE, phone)) || {};
   }
 
-  setConversationState(phone, state) {
-    this.conversationStates.set(phone, state);
-    
-    // Auto-clear state after 10 minutes to prevent memory leaks
-    setTimeout(() => {
-      if (this.conversationStates.has(phone)) {
-        this.conversationStates.delete(phone);
+  /**
+   * Save the conversation state for a user. The move to `state.state` must be allowed by
+   * the flow definitions, and the state expires after its flow's timeout.
+   * @param {string} phone - User phone number
+   * @param {object} state - New state
+   * @param {number} [expectedVersion] - Version the new state was derived from; the write
+   *   fails with StateVersionConflictError if another message changed the state meanwhile
+   * @returns {Promise<object>} - Stored state
+   * @throws {InvalidTransitionError} - If the flow does not allow the move
+   */
+  async setConversationState(phone, state, expectedVersion) {
+    const current = await this.getConversationState(phone);
+    conversationFlowService.assertTransition(current.state, state.state, phone);
+
+    return await stateStoreService.set(CONVERSATION_STATE_NAMESPACE, phone, state, {
+      ttlMs: conversationFlowService.getTimeoutMs(state.state),
+      expectedVersion
+    });
+  }
+
+  /**
+   * Leave the current flow, keeping context such as the last search results
+   * @param {string} phone - User phone number
+   * @param {object} conversationState - Current conversation state
+   */
+  async exitFlow(phone, conversationState) {
+    const context = {};
+    for (const field of CONTEXT_FIELDS) {
+      if (conversationState[field] !== undefined) {
+        context[field] = conversationState[field];
       }
-    }, 10 * 60 * 1000);
+    }
+
+    if (Object.keys(context).length > 0) {
+      await this.setConversationState(phone, context, conversationState.version);
+    } else {
+      await this.clearConversationState(phone);
+    }
+  }
+
+  /**
+   * Move a user to the booking state that matches their pending viewing request,
+   * or out of the booking flow once the request is gone
+   * @param {object} user - User object
+   * @param {object} data - Extra state fields (e.g. the property being booked)
+   * @returns {Promise<string|null>} - New state, or null if the user left the flow
+   */
+  async followPendingRequest(user, data = {}) {
+    const [pendingRequest, conversationState] = await Promise.all([
+      appointmentService.getPendingRequest(user.phone_number),
+      this.getConversationState(user.phone_number)
+    ]);
+    const nextState = pendingRequest ? conversationFlowService.getStateForPendingRequest(pendingRequest.type) : null;
+
+    if (!nextState) {
+      await this.exitFlow(user.phone_number, conversationState);
+      return null;
+    }
+
+    await this.setConversationState(user.phone_number, {
+      ...conversationState,
+      state: nextState,
+      property: pendingRequest.property,
+      ...data
+    }, conversationState.version);
+    return nextState;
   }
 
-  clearConversationState(phone) {
-    this.conversationStates.delete(phone);
+  /**
+   * Clear the conversation state for a user
+   * @param {string} phone - User phone number
+   */
+  async clearConversationState(phone) {
+    await stateStoreService.delete(CONVERSATION_STATE_NAMESPACE, phone);
   }
 
   /**
@@ -644,8 +1430,8 @@ User role: ${user?.user_roles?.role || 'renter'}
 
 IMPORTANT: Return ONLY plain text - no JSON, no markdown, no formatting. Keep it conversational and under 100 words.`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.REPLY_ERROR, {
+        input: originalMessage,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: originalMessage }
@@ -654,7 +1440,7 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown, no formatting. Keep it
         max_tokens: 150
       });
 
-      return [response.choices[0].message.content.trim()];
+      return [response.content.trim()];
     } catch (aiError) {
       console.error('AI error response generation failed:', aiError);
       return [`🤖 I understand you're looking for "${originalMessage}". Could you try being more specific?`];
@@ -677,8 +1463,8 @@ User role: ${user?.user_roles?.role || 'renter'}
 
 IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and under 80 words.`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.REPLY_NO_RESULTS, {
+        input: originalMessage,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: originalMessage }
@@ -687,7 +1473,7 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
         max_tokens: 120
       });
 
-      return response.choices[0].message.content.trim();
+      return response.content.trim();
     } catch (aiError) {
       console.error('AI no-results response generation failed:', aiError);
       return `🔍 No matches for "${originalMessage}". Try nearby areas or different criteria?`;
@@ -710,8 +1496,8 @@ User role: ${user?.user_roles?.role || 'renter'}
 
 IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it conversational and under 80 words.`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.REPLY_UNCLEAR, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: message }
@@ -720,7 +1506,7 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it conversational
         max_tokens: 120
       });
 
-      return [response.choices[0].message.content.trim()];
+      return [response.content.trim()];
     } catch (aiError) {
       console.error('AI unclear response generation failed:', aiError);
       return [`🤔 I want to help with "${message}" but need more context. Are you looking to search properties or something else?`];
@@ -742,8 +1528,8 @@ User role: ${user?.user_roles?.role || 'none'}
 
 IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and under 80 words.`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.REPLY_PERMISSION, {
+        input: operation,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: operation }
@@ -752,7 +1538,7 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
         max_tokens: 120
       });
 
-      return [response.choices[0].message.content.trim()];
+      return [response.content.trim()];
     } catch (aiError) {
       console.error('AI permission response generation failed:', aiError);
       return [`🤔 I'd love to help with that! Let me suggest some things I can help you with instead.`];
@@ -784,8 +1570,8 @@ Context: ${updateResult.message}
 
 Return a single WhatsApp message.`;
 
-        const response = await openaiService.client.chat.completions.create({
-          model: 'gpt-4o-mini',
+        const response = await llmGatewayService.complete(LLM_OPERATIONS.REPLY_MANAGEMENT_FAILURE, {
+          input: originalMessage,
           messages: [
             { role: 'system', content: systemPrompt },
             { role: 'user', content: originalMessage }
@@ -794,7 +1580,7 @@ Return a single WhatsApp message.`;
           max_tokens: 200
         });
 
-        return [response.choices[0].message.content.trim()];
+        return [response.content.trim()];
       } else {
         return [updateResult.message];
       }
@@ -819,8 +1605,8 @@ User role: ${user?.user_roles?.role || 'renter'}
 
 IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and under 80 words.`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.REPLY_CONTACT, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: message }
@@ -829,7 +1615,7 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
         max_tokens: 120
       });
 
-      return [response.choices[0].message.content.trim()];
+      return [response.content.trim()];
     } catch (aiError) {
       console.error('AI contact response generation failed:', aiError);
       return [`📞 I'd love to help you get contact info! First search for properties, then ask for specific contact details.`];
@@ -845,7 +1631,10 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
   async parseContextRequest(message, user) {
     try {
       // Get conversation context for AI
-      const conversationState = this.getConversationState(user.phone_number);
+      const [conversationState, history] = await Promise.all([
+        this.getConversationState(user.phone_number),
+        conversationHistoryService.getMessages(user.phone_number)
+      ]);
       const hasRecentSearch = conversationState.lastSearchResults?.results?.length > 0;
       const lastViewedProperty = conversationState.lastViewedProperty;
       const hasLastSearchQuery = conversationState.lastQuery;
@@ -885,6 +1674,12 @@ INTELLIGENT ANALYSIS RULES:
    - "properties above price 4000" → NEW SEARCH with price filter
    - "in lisbon" → NEW SEARCH with location filter
 
+5. USE THE CONVERSATION HISTORY (the earlier messages) to resolve references:
+   - "the second one" → the second property the assistant listed
+   - For a search_refinement, "searchTerms" must be the COMPLETE updated search: the
+     previous search with the correction applied (previous "T2 in Lisbon under 2000" +
+     "oh i mean 3000" → "T2 in Lisbon under 3000")
+
 Return JSON:
 {
   "intent": "property_details|property_interest|search_refinement|other",
@@ -911,17 +1706,18 @@ CRITICAL ANALYSIS RULES:
 
 Message to analyze: "${message}"`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.PARSE_CONTEXT_REQUEST, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
+          ...history,
           { role: 'user', content: `Analyze context: "${message}"` }
         ],
         temperature: 0.1,
         max_tokens: 300
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanContent = content.replace(/```json\s*|\s*```/g, '').trim();
       const result = JSON.parse(cleanContent);
 
@@ -968,13 +1764,13 @@ Message to analyze: "${message}"`;
       // We should use that directly instead of the whole sentence.
       const searchQuery = contextRequest.searchTerms || message;
       console.log(`🔍 [CONTEXT] Search refinement detected. Passing search term: "${searchQuery}"`);
-      return await this.handleSearch(searchQuery, user);
+      return await this.handleSearch(searchQuery, user, { parsed: contextRequest.parsedSearch });
     }
 
     // Handle property interest (like "i am interested in this" or "i am interested in number 5")
     if (contextRequest.isPropertyInterest) {
       console.log(`🎯 [CONTEXT] Property interest detected. Checking recent search results.`);
-        const conversationState = this.getConversationState(user.phone_number);
+        const conversationState = await this.getConversationState(user.phone_number);
         const lastSearchResults = conversationState.lastSearchResults;
 
       if (!lastSearchResults || !lastSearchResults.results || lastSearchResults.results.length === 0) {
@@ -996,25 +1792,8 @@ Message to analyze: "${message}"`;
         // Set up appointment booking state and delegate to appointment service
         const appointmentResult = await appointmentService.handleViewingInterest(message, user, property.id);
         
-        // Check if appointment service is expecting slot selection or time preferences
-        const pendingRequest = appointmentService.pendingRequests.get(user.phone_number);
-        if (pendingRequest) {
-          if (pendingRequest.type === 'slot_selection') {
-            this.setConversationState(user.phone_number, {
-              ...conversationState,
-              state: CONVERSATION_STATE.AWAITING_SLOT_SELECTION,
-              property: property,
-              availableSlots: pendingRequest.availableSlots
-            });
-          } else if (pendingRequest.type === 'preference_collection') {
-            this.setConversationState(user.phone_number, {
-              ...conversationState,
-              state: CONVERSATION_STATE.AWAITING_TIME_PREFERENCES,
-              property: property,
-              originalMessage: message
-            });
-          }
-        }
+        // Follow the appointment service into slot selection or time preferences
+        await this.followPendingRequest(user, { property, originalMessage: message });
         
         return appointmentResult;
       }
@@ -1027,25 +1806,8 @@ Message to analyze: "${message}"`;
         // Set up appointment booking state and delegate to appointment service
         const appointmentResult = await appointmentService.handleViewingInterest(message, user, property.id);
         
-        // Check if appointment service is expecting slot selection or time preferences
-        const pendingRequest = appointmentService.pendingRequests.get(user.phone_number);
-        if (pendingRequest) {
-          if (pendingRequest.type === 'slot_selection') {
-            this.setConversationState(user.phone_number, {
-              ...conversationState,
-              state: CONVERSATION_STATE.AWAITING_SLOT_SELECTION,
-              property: property,
-              availableSlots: pendingRequest.availableSlots
-            });
-          } else if (pendingRequest.type === 'preference_collection') {
-            this.setConversationState(user.phone_number, {
-              ...conversationState,
-              state: CONVERSATION_STATE.AWAITING_TIME_PREFERENCES,
-              property: property,
-              originalMessage: message
-            });
-          }
-        }
+        // Follow the appointment service into slot selection or time preferences
+        await this.followPendingRequest(user, { property, originalMessage: message });
         
         return appointmentResult;
       }
@@ -1060,7 +1822,7 @@ Message to analyze: "${message}"`;
     }
     
     // Get the user's last search results from the conversation state.
-        const conversationState = this.getConversationState(user.phone_number);
+        const conversationState = await this.getConversationState(user.phone_number);
         const lastSearchResults = conversationState.lastSearchResults;
 
     if (!lastSearchResults || !lastSearchResults.results || lastSearchResults.results.length === 0) {
@@ -1075,8 +1837,10 @@ Message to analyze: "${message}"`;
         }
 
     // Now, determine the specific action: view details or book appointment.
-        const appointmentCheck = await appointmentService.isAppointmentRequest(message);
-        if (appointmentCheck.isAppointmentRequest) {
+    // The single-pass router has already told them apart; otherwise ask the model.
+    const isAppointmentRequest = contextRequest.isAppointmentRequest
+      ?? (await appointmentService.isAppointmentRequest(message)).isAppointmentRequest;
+    if (isAppointmentRequest) {
       console.log(`📅 [CONTEXT] Initiating viewing for property #${contextRequest.propertyNumber}`);
           return await appointmentService.handleViewingInterest(message, user, property.id);
     } else {
@@ -1096,12 +1860,12 @@ Message to analyze: "${message}"`;
   async generateDetailedPropertyInfo(property, user) {
     try {
       // Store this property as the last viewed for context in future messages
-      const currentState = this.getConversationState(user.phone_number);
-      this.setConversationState(user.phone_number, {
+      const currentState = await this.getConversationState(user.phone_number);
+      await this.setConversationState(user.phone_number, {
         ...currentState,
         lastViewedProperty: property,
         lastViewedTime: new Date()
-      });
+      }, currentState.version);
       
       const typeEmoji = displayService.getPropertyEmoji(property.property_type || 'apartment');
       const statusEmoji = displayService.getStatusEmoji(property.status);
@@ -1114,6 +1878,7 @@ Message to analyze: "${message}"`;
       if (property.bathrooms) response += `🚿 *Bathrooms:* ${property.bathrooms}\n`;
       if (property.area_sqm) response += `📐 *Area:* ${property.area_sqm}m²\n`;
       if (property.floor) response += `🏢 *Floor:* ${property.floor}\n`;
+      if (property.distanceKm !== undefined) response += `📏 *Distance:* ${displayService.formatDistance(property.distanceKm)} away\n`;
       
       response += `${statusEmoji} *Status:* ${displayService.capitalizeFirst(property.status)}\n`;
       
@@ -1141,7 +1906,14 @@ Message to analyze: "${message}"`;
         response += '\n';
       }
 
-      const messages = [response];
+      // Photos: the cover carries the details, the rest of the gallery follows
+      const gallery = await propertyMediaService.getGalleryUrls(property.id);
+      const messages = gallery.urls.length > 0
+        ? [
+          ...displayService.withPhoto(response, gallery.urls[0], `${typeEmoji} *${property.address}*`),
+          ...displayService.formatGallery(gallery.urls.slice(1), gallery.total)
+        ]
+        : [response];
 
       // Add contact information if requested or if it's available
       if (property.users) {
@@ -1188,8 +1960,8 @@ User role: ${user?.user_roles?.role || 'renter'}
 
 IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and under 80 words.`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.REPLY_NO_SEARCH_CONTEXT, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: message }
@@ -1198,7 +1970,7 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
         max_tokens: 120
       });
 
-      return [response.choices[0].message.content.trim()];
+      return [response.content.trim()];
     } catch (aiError) {
       console.error('AI no-search-context response generation failed:', aiError);
       return [
@@ -1278,12 +2050,16 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
     }
 
     if (userProperties.length === 1) {
-      // If they only have one property, skip selection
-      this.setConversationState(user.phone_number, {
+      // If they only have one property, pick it for them; the flow still starts at the selection step
+      const selection = await this.setConversationState(user.phone_number, {
+        state: CONVERSATION_STATE.AWAITING_AVAILABILITY_PROPERTY_SELECTION,
+        properties: userProperties
+      });
+      await this.setConversationState(user.phone_number, {
         state: CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT,
         property: userProperties[0]
-      });
-      return [`Let's set the availability for your property at *${userProperties[0].address}*.\n\nPlease describe your available viewing times (e.g., "Mondays 9am-12pm and Wednesdays 2-5pm").`];
+      }, selection.version);
+      return [`Let's set the availability for your property at *${userProperties[0].address}*.\n\n${this.buildAvailabilityPrompt(userProperties[0], 'Mondays 9am-12pm and Wednesdays 2-5pm, 30-min viewings', user)}`];
     }
 
     let response = "For which property would you like to set the availability? Please reply with the number.\n\n";
@@ -1291,7 +2067,7 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
       response += `${index + 1}. ${prop.address}\n`;
     });
 
-    this.setConversationState(user.phone_number, {
+    await this.setConversationState(user.phone_number, {
       state: CONVERSATION_STATE.AWAITING_AVAILABILITY_PROPERTY_SELECTION,
       properties: userProperties
     });
@@ -1316,16 +2092,48 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
 
     const selectedProperty = properties[propertyNumber - 1];
     
-    this.setConversationState(user.phone_number, {
+    await this.setConversationState(user.phone_number, {
       state: CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT,
       property: selectedProperty
-    });
+    }, conversationState.version);
+
+    return [`Great. Let's set the availability for *${selectedProperty.address}*.\n\n${this.buildAvailabilityPrompt(selectedProperty, 'Weekdays from 10am to 1pm, 30-min viewings', user)}`];
+  }
+
+  /**
+   * Ask for viewing times, listing the ones a property already has
+   * @param {object} property - Property object
+   * @param {string} example - Example of weekly times
+   * @param {object} user - Owner/agent setting them, told which clock to use when theirs differs
+   * @returns {string} - Prompt text
+   */
+  buildAvailabilityPrompt(property, example, user) {
+    const entries = availabilityRules.normalize(property.availability);
+    const current = entries.length > 0
+      ? `Current viewing times:\n${this.formatAvailabilityEntries(entries)}\n\nSend new times, *remove 2* to drop one, or *done* to keep them.\n\n`
+      : '';
+    // Viewing times are the property's local times, wherever the owner is
+    const timezone = timezoneService.forProperty(property);
+    const clock = !timezoneService.sameClock(timezoneService.forUser(user), timezone)
+      ? `\n\n🌍 Use ${timezoneService.label(timezone)} time, where the property is.`
+      : '';
+    return `${current}Please describe your available viewing times (e.g., "${example}"). ` +
+      'You can add exceptions and limits too, like "except the 24th", "away Aug 1-15" or "only until it\'s rented".' + clock;
+  }
 
-    return [`Great. Let's set the availability for *${selectedProperty.address}*.\n\nPlease describe your available viewing times (e.g., "Weekdays from 10am to 1pm").`];
+  /**
+   * Number availability entries for messages
+   * @param {Array} entries - Typed availability entries
+   * @returns {string} - One numbered line per entry
+   */
+  formatAvailabilityEntries(entries) {
+    return entries.map((entry, index) => `${index + 1}. ${availabilityRules.describe(entry)}`).join('\n');
   }
 
   /**
-   * Handles the user's availability text, parses it, and saves it.
+   * Handles the user's availability text: new weekly times, one-off dates,
+   * exceptions and limits are added to the property's rules, and "list",
+   * "remove 2" and "done" manage them. The flow stays open until "done".
    * @param {string} message The user's availability text.
    * @param {object} user The user object.
    * @param {object} conversationState The current conversation state.
@@ -1334,32 +2142,106 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
   async handleAvailabilityResponse(message, user, conversationState) {
     console.log(`🗓️ [CONVERSATION] Parsing availability: "${message}"`);
     const { property } = conversationState;
+    const timezone = timezoneService.forProperty(property);
+    const normalized = fastPathService.normalize(message);
 
-    const result = await openaiService.parseAvailability(message);
-
-    if (!result.success || !result.schedule || result.schedule.length === 0) {
-      return ["I'm sorry, I couldn't understand that schedule. Please try again, for example: *Mondays and Fridays 10am - 1pm*."];
+    if (AVAILABILITY_COMMANDS.done.test(normalized)) {
+      await this.clearConversationState(user.phone_number);
+      return [`✅ All set. I'll offer viewings at *${property.address}* in these times.\n\n💡 Say *set availability* to change them again.`];
     }
 
     try {
-      // Save the structured schedule to the property's `availability` field
-      await Property.updateById(property.id, { availability: result.schedule });
-      
-      this.clearConversationState(user.phone_number);
+      const current = await Property.findById(property.id);
+      const entries = availabilityRules.normalize(current?.availability);
 
-      let confirmationMessage = `✅ Availability for *${property.address}* has been updated successfully.\n\nI will now offer the following slots to interested users:\n`;
-      result.schedule.forEach(slot => {
-        confirmationMessage += `\n- *${slot.day}:* ${slot.startTime} - ${slot.endTime}`;
-      });
+      if (AVAILABILITY_COMMANDS.list.test(normalized)) {
+        return [entries.length > 0
+          ? `🗓️ Viewing times for *${property.address}*:\n\n${this.formatAvailabilityEntries(entries)}\n\n💡 Send more times, *remove 2* to drop one, or *done* to finish.`
+          : `🗓️ *${property.address}* has no viewing times yet. Describe them like *Mondays 9am-12pm*.`];
+      }
 
-      return [confirmationMessage];
+      const removal = normalized.match(AVAILABILITY_COMMANDS.remove);
+      if (removal || AVAILABILITY_COMMANDS.removeAll.test(normalized)) {
+        const numbers = removal ? removal[1].match(/\d+/g).map(Number) : entries.map((_, index) => index + 1);
+        const invalid = numbers.filter(number => number < 1 || number > entries.length);
+        if (invalid.length > 0 || entries.length === 0) {
+          return [entries.length > 0
+            ? `❌ There is no entry ${invalid.join(', ')}. Choose between 1 and ${entries.length}:\n\n${this.formatAvailabilityEntries(entries)}`
+            : '🗓️ There are no viewing times to remove.'];
+        }
+        return await this.saveAvailability(user, conversationState, entries.filter((_, index) => !numbers.includes(index + 1)), {},
+          `🗑️ Removed ${numbers.length === 1 ? `entry ${numbers[0]}` : `${numbers.length} entries`}.`);
+      }
+
+      // Weekly times, dates, exceptions and limits are read locally; the model only gets plain weekly schedules it misses
+      let changes = dateTimeParserService.parseAvailabilityRules(message, { timezone });
+      const slotSettings = dateTimeParserService.parseSlotSettings(message);
+      const hasChanges = changes && (changes.weekly.length + changes.dates.length + changes.blackouts.length + changes.excludedDays.length > 0 || changes.validity);
+      const hasSlotSettings = Object.keys(slotSettings).length > 0;
+
+      if (!hasChanges && !hasSlotSettings) {
+        if (changes?.untimed) {
+          return ['🕒 Which times on those days? For example: *Saturdays 10am-1pm*.'];
+        }
+        const result = await openaiService.parseAvailability(message, { timezone });
+        if (!result.success || !result.schedule || result.schedule.length === 0) {
+          return ["I'm sorry, I couldn't understand that schedule. Please try again, for example: *Mondays and Fridays 10am - 1pm* or *away Aug 1-15*."];
+        }
+        changes = { weekly: result.schedule };
+      }
+
+      const today = zonedTime.getZonedParts(new Date(), timezone).date;
+      const next = hasChanges || !hasSlotSettings
+        ? availabilityRules.apply(availabilityRules.prune(entries, today), changes)
+        : entries;
+
+      // A viewing length or gap can come with the times ("30-min viewings, 15 min gap") or on its own
+      const updates = {};
+      if (slotSettings.slotMinutes > 0) updates.viewing_slot_minutes = slotSettings.slotMinutes;
+      if (slotSettings.bufferMinutes !== undefined) updates.viewing_buffer_minutes = slotSettings.bufferMinutes;
+
+      return await this.saveAvailability(user, conversationState, next, updates,
+        `✅ Availability for *${property.address}* has been updated successfully.`);
     } catch (error) {
       console.error(`❌ [CONVERSATION] Error saving availability for property ${property.id}:`, error);
-      this.clearConversationState(user.phone_number);
+      await this.clearConversationState(user.phone_number);
       return ["I'm sorry, there was an error saving the availability. Please try again later."];
     }
   }
 
+  /**
+   * Store a property's availability entries and show them, keeping the flow open for more changes
+   * @param {object} user - User object
+   * @param {object} conversationState - Current conversation state with the property
+   * @param {Array} entries - Typed availability entries to store
+   * @param {object} updates - Other property columns to store (viewing length and gap)
+   * @param {string} heading - First line of the reply
+   * @returns {Promise<Array>} - Confirmation message
+   */
+  async saveAvailability(user, conversationState, entries, updates, heading) {
+    const { property } = conversationState;
+    const saved = { ...updates, availability: entries };
+    await Property.updateById(property.id, saved);
+    console.log(`🗓️ [CONVERSATION] Saved ${entries.length} availability entries for property ${property.id}`);
+
+    await this.setConversationState(user.phone_number, {
+      state: CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT,
+      property: { ...property, ...saved }
+    }, conversationState.version);
+
+    let confirmationMessage = `${heading}\n\n`;
+    confirmationMessage += entries.length > 0
+      ? `I will now offer viewings in these times to interested users:\n${this.formatAvailabilityEntries(entries)}`
+      : 'There are no viewing times set, so I will suggest general times to interested users.';
+
+    const { slotMinutes, bufferMinutes } = await appointmentService.getSlotSettings({ ...property, ...saved });
+    confirmationMessage += `\n\n🕒 Each viewing lasts ${slotMinutes} min` +
+      (bufferMinutes > 0 ? `, with ${bufferMinutes} min between viewings.` : ', back to back.') +
+      `\n💡 Send more times or exceptions, *remove 2* to drop an entry, or *done* to finish.`;
+
+    return [confirmationMessage];
+  }
+
   /**
    * Handle slot selection during appointment booking
    * @param {string} message - User's slot selection
@@ -1377,12 +2259,12 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
       const result = await appointmentService.processSlotSelection(message, user);
       
       // Clear the conversation state since appointment service handles it
-      this.clearConversationState(user.phone_number);
+      await this.clearConversationState(user.phone_number);
       
       return result;
     } catch (error) {
       console.error('Error handling slot selection:', error);
-      this.clearConversationState(user.phone_number);
+      await this.clearConversationState(user.phone_number);
       return ['❌ Error processing your selection. Please try again.'];
     }
   }
@@ -1401,10 +2283,8 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
       // Use appointment service to process preferences
       const result = await appointmentService.processBuyerPreferences(message, user);
       
-      // Update conversation state to coordinating
-      this.setConversationState(user.phone_number, {
-        ...conversationState,
-        state: CONVERSATION_STATE.APPOINTMENT_COORDINATING,
+      // Move on to coordinating once the preferences were accepted
+      await this.followPendingRequest(user, {
         lastPreferences: message,
         lastPreferencesTime: new Date()
       });
@@ -1412,7 +2292,7 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
       return result;
     } catch (error) {
       console.error('Error handling time preferences:', error);
-      this.clearConversationState(user.phone_number);
+      await this.clearConversationState(user.phone_number);
       return ['❌ Error processing your preferences. Please try again.'];
     }
   }
@@ -1432,17 +2312,17 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
       const result = await appointmentService.processCoordinationResponse(message, user);
       
       if (result) {
-        // Clear conversation state if appointment is confirmed
-        this.clearConversationState(user.phone_number);
+        // Confirmed (request gone) or back to coordinating a different time
+        await this.followPendingRequest(user);
         return result;
       }
       
       // If appointment service didn't handle it, treat as general message
-      this.clearConversationState(user.phone_number);
+      await this.clearConversationState(user.phone_number);
       return await this.processMessage(message, user);
     } catch (error) {
       console.error('Error handling appointment confirmation:', error);
-      this.clearConversationState(user.phone_number);
+      await this.clearConversationState(user.phone_number);
       return ['❌ Error processing your confirmation. Please try again.'];
     }
   }
@@ -1466,10 +2346,8 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
         const result = await appointmentService.processCoordinationResponse(message, user);
         
         if (result) {
-          // Update conversation state based on result
-          if (result[0].includes('confirmed') || result[0].includes('Confirmed')) {
-            this.clearConversationState(user.phone_number);
-          }
+          // The flow ends once the appointment is confirmed and the request is gone
+          await this.followPendingRequest(user);
           return result;
         }
       }
@@ -1503,12 +2381,9 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
     try {
       console.log(`🏠 [CONVERSATION] Processing owner availability: "${message}"`);
       
-      // Parse the availability using OpenAI to extract structured date/time
-      const availability = await this.parseOwnerAvailabilityWithDates(message);
-      
       // Find pending coordination requests for this owner's properties
       const ownerId = user.id;
-      const pendingCoordinations = this.findPendingCoordinationsForOwner(ownerId);
+      const pendingCoordinations = await this.findPendingCoordinationsForOwner(ownerId);
       
       if (pendingCoordinations.length === 0) {
         return [`📅 Thank you for providing your availability!\n\n🤔 However, I don't currently have any pending viewing requests that need coordination.\n\n💡 If someone shows interest in your properties, I'll contact you again to arrange viewings.`];
@@ -1517,14 +2392,23 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
       // For now, handle the most recent pending coordination
       const coordination = pendingCoordinations[0];
       
+      // Read the date and time on the owner's clock, kept in the property's time zone
+      const availability = await this.parseOwnerAvailabilityWithDates(message, {
+        timezone: timezoneService.forProperty(coordination.property),
+        readerZone: timezoneService.forUser(user)
+      });
+      if (!availability) {
+        return [`🤔 I couldn't work out a day and time from "${message}".\n\nPlease reply with both, for example *Saturday at 10am*, *Tue 2-4pm* or *amanhã às 15h*.`];
+      }
+      
       // Create proposed appointment details with proper date/time structure
       const proposedAppointment = {
         property: coordination.property,
         buyer: coordination.buyer,
         ownerAvailability: availability,
-        date: availability.parsedDate || new Date().toISOString().split('T')[0], // Default to today if no specific date
-        dateFormatted: availability.dateFormatted || 'As discussed',
-        timeFormatted: availability.timeFormatted || availability.summary,
+        date: availability.parsedDate,
+        dateFormatted: availability.dateFormatted,
+        timeFormatted: availability.timeFormatted,
         startTime: availability.startTime,
         endTime: availability.endTime
       };
@@ -1533,7 +2417,7 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
       await this.notifyBuyerOfOwnerAvailability(coordination.buyer, proposedAppointment);
       
       return [
-        `✅ Perfect! I've noted your availability: *${availability.summary}*\n\n📞 I'm now coordinating with the interested party.\n\n🔔 I'll let you know once they confirm the viewing time!\n\n💡 You can also say "show my properties" to see all your listings.`
+        `✅ Perfect! I've noted your availability: *${availability.localSummary || availability.summary}*\n\n📞 I'm now coordinating with the interested party.\n\n🔔 I'll let you know once they confirm the viewing time!\n\n💡 You can also say "show my properties" to see all your listings.`
       ];
       
     } catch (error) {
@@ -1545,167 +2429,105 @@ IMPORTANT: Return ONLY plain text - no JSON, no markdown. Keep it friendly and u
   /**
    * Parse owner availability message to extract structured date/time information
    * @param {string} message - Owner's availability message (e.g., "Saturday at 10am")
-   * @returns {Promise<object>} - Parsed availability with date/time components
+   * @param {object} options - { timezone, readerZone }: the zone the property's viewings are arranged in,
+   *   and the owner's own, which the message is read in (the property's when not given)
+   * @returns {Promise<object|null>} - Parsed availability with date/time components, or null if no
+   *   date and time could be read (the owner is asked again rather than given a guessed time)
    */
-  async parseOwnerAvailabilityWithDates(message) {
+  async parseOwnerAvailabilityWithDates(message, { timezone = config.scheduling.timezone, readerZone = timezone } = {}) {
+    // Most answers ("Saturday at 10am", "amanhã às 15h") are read without the model
+    const parsed = dateTimeParserService.parse(message, { timezone: readerZone });
+    const range = parsed?.ranges.find(candidate => candidate.startTime);
+    if (range) {
+      const availability = this.toOwnerAvailability(range, message, timezone, readerZone);
+      console.log('📅 [CONVERSATION] Parsed owner availability:', availability);
+      return availability;
+    }
+
     try {
-      // Get current date/time context
-      const now = new Date();
-      const lisbon = new Date(now.toLocaleString("en-US", {timeZone: "Europe/Lisbon"}));
-      const currentDate = lisbon.toISOString().split('T')[0];
-      const currentTime = lisbon.toTimeString().slice(0, 5);
-      const dayOfWeek = lisbon.toLocaleDateString('en-US', { weekday: 'long' });
-      
-      // Calculate next week dates for reference
-      const tomorrow = new Date(lisbon);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      const nextWeek = new Date(lisbon);
-      nextWeek.setDate(nextWeek.getDate() + 7);
-      
-      const systemPrompt = `Parse owner/agent availability message to extract structured date and time information for property viewings.
-
-CURRENT CONTEXT:
-- Current Date: ${currentDate} (${dayOfWeek})
-- Current Time: ${currentTime}
-- Tomorrow: ${tomorrow.toISOString().split('T')[0]}
-- Next Week: ${nextWeek.toISOString().split('T')[0]}
-
-INTERPRET RELATIVE REFERENCES:
-- "tomorrow" = ${tomorrow.toISOString().split('T')[0]}
-- "today" = ${currentDate}
-- "Saturday" = next upcoming Saturday
-- "next Monday" = upcoming Monday after current week
-- "this weekend" = upcoming Saturday/Sunday
-
-EXTRACT:
-- Specific date (if mentioned) or calculate from day name
-- Start time (required)
-- End time (estimate +1 hour if not specified)
-- Summary text
-
-EXAMPLES:
-"Saturday at 10am" → {
-  "parsedDate": "${(() => {
-    const sat = new Date(lisbon);
-    const daysSinceMonday = (sat.getDay() + 6) % 7;
-    const daysUntilSaturday = (6 - daysSinceMonday) % 7;
-    if (daysUntilSaturday === 0 && sat.getHours() >= 10) {
-      sat.setDate(sat.getDate() + 7);
-    } else {
-      sat.setDate(sat.getDate() + daysUntilSaturday);
-    }
-    return sat.toISOString().split('T')[0];
-  })()}",
-  "dateFormatted": "Saturday, ${(() => {
-    const sat = new Date(lisbon);
-    const daysSinceMonday = (sat.getDay() + 6) % 7;
-    const daysUntilSaturday = (6 - daysSinceMonday) % 7;
-    if (daysUntilSaturday === 0 && sat.getHours() >= 10) {
-      sat.setDate(sat.getDate() + 7);
-    } else {
-      sat.setDate(sat.getDate() + daysUntilSaturday);
-    }
-    return sat.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  })()}",
-  "startTime": "10:00",
-  "endTime": "11:00", 
-  "timeFormatted": "10:00 - 11:00",
-  "summary": "Saturday at 10am"
-}
+      const systemPrompt = `Parse an owner/agent's availability message into one viewing date and time.
 
-"Tuesday 2-4 PM" → {
-  "parsedDate": "${(() => {
-    const tue = new Date(lisbon);
-    const daysSinceMonday = (tue.getDay() + 6) % 7;
-    const daysUntilTuesday = (1 - daysSinceMonday + 7) % 7;
-    if (daysUntilTuesday === 0 && tue.getHours() >= 14) {
-      tue.setDate(tue.getDate() + 7);
-    } else {
-      tue.setDate(tue.getDate() + daysUntilTuesday);
-    }
-    return tue.toISOString().split('T')[0];
-  })()}",
-  "dateFormatted": "Tuesday, ${(() => {
-    const tue = new Date(lisbon);
-    const daysSinceMonday = (tue.getDay() + 6) % 7;
-    const daysUntilTuesday = (1 - daysSinceMonday + 7) % 7;
-    if (daysUntilTuesday === 0 && tue.getHours() >= 14) {
-      tue.setDate(tue.getDate() + 7);
-    } else {
-      tue.setDate(tue.getDate() + daysUntilTuesday);
-    }
-    return tue.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  })()}",
-  "startTime": "14:00",
-  "endTime": "16:00",
-  "timeFormatted": "14:00 - 16:00",
-  "summary": "Tuesday 2-4 PM"
-}
+CALENDAR (${readerZone}): ${dateTimeParserService.describeCalendar(readerZone)}
 
-"Tomorrow at 3pm" → {
-  "parsedDate": "${tomorrow.toISOString().split('T')[0]}",
-  "dateFormatted": "Tomorrow, ${tomorrow.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}",
-  "startTime": "15:00", 
-  "endTime": "16:00",
-  "timeFormatted": "15:00 - 16:00",
-  "summary": "Tomorrow at 3pm"
-}
+Pick the date from the calendar above. Use 24-hour times. If no end time is given, the viewing lasts one hour.
+If the message doesn't say which day or what time, return null for that field.
 
-Return JSON with these exact fields. Use 24-hour format for times. If no end time specified, add 1 hour to start time.
-Always calculate dates relative to current context.`;
+Return JSON: {"parsedDate": "YYYY-MM-DD or null", "startTime": "HH:MM or null", "endTime": "HH:MM or null"}`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.PARSE_OWNER_AVAILABILITY, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Parse availability: "${message}"` }
         ],
         temperature: 0.1,
-        max_tokens: 400
+        max_tokens: 100
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanContent = content.replace(/```json\s*|\s*```/g, '').trim();
       const result = JSON.parse(cleanContent);
-      
+
       // Validate required fields
-      if (!result.startTime) {
-        throw new Error('No start time extracted');
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(result.parsedDate || '') || !/^\d{2}:\d{2}$/.test(result.startTime || '')) {
+        throw new Error('No date and start time extracted');
       }
-      
-      console.log('📅 [CONVERSATION] Parsed owner availability:', result);
-      return result;
-      
+
+      const endTime = /^\d{2}:\d{2}$/.test(result.endTime || '') && result.endTime > result.startTime
+        ? result.endTime
+        : zonedTime.addMinutes(result.startTime, 60);
+      const availability = this.toOwnerAvailability(
+        dateTimeParserService.toRange(result.parsedDate, { startTime: result.startTime, endTime }, readerZone),
+        message,
+        timezone,
+        readerZone
+      );
+      console.log('📅 [CONVERSATION] Parsed owner availability with the model:', availability);
+      return availability;
+
     } catch (error) {
       console.error('Error parsing owner availability with dates:', error);
-      
-      // Fallback to simple parsing with current date context
-      const availability = await appointmentService.parseTimePreferences(message);
-      const fallbackDate = new Date();
-      fallbackDate.setDate(fallbackDate.getDate() + 1); // Default to tomorrow
-      
-      return {
-        parsedDate: fallbackDate.toISOString().split('T')[0],
-        dateFormatted: 'As discussed',
-        startTime: '10:00',
-        endTime: '11:00',
-        timeFormatted: '10:00 - 11:00',
-        summary: availability.summary || message
-      };
+      return null;
     }
   }
 
   /**
-   * Find pending appointment coordinations for an owner
-   * @param {string} ownerId - Owner's user ID
-   * @returns {Array} - Pending coordinations
+   * Shape a parsed range as the owner availability a proposed appointment is built from
+   * @param {object} local - Range from dateTimeParserService, read in readerZone
+   * @param {string} message - Owner's message
+   * @param {string} timezone - IANA time zone of the property, which the availability is kept in
+   * @param {string} readerZone - IANA time zone the range was read in
+   * @returns {object} - { parsedDate, dateFormatted, startTime, endTime, timeFormatted, start, end, timezone, summary, localSummary }
+   */
+  toOwnerAvailability(local, message, timezone, readerZone = timezone) {
+    const range = dateTimeParserService.rangeInZone(local, readerZone, timezone);
+    const [summary, localSummary] = [dateTimeParserService.describe([range]), dateTimeParserService.describe([local])];
+    return {
+      parsedDate: range.date,
+      dateFormatted: zonedTime.formatDate(range.date),
+      startTime: range.startTime,
+      endTime: range.endTime,
+      timeFormatted: `${range.startTime} - ${range.endTime}`,
+      start: range.start,
+      end: range.end,
+      timezone,
+      summary,
+      localSummary: localSummary === summary ? null : localSummary
+    };
+  }
+
+  /**
+   * Find pending appointment coordinations for an owner or agent
+   * @param {string} ownerId - Owner/agent user ID
+   * @returns {Promise<Array>} - Pending coordinations at properties they own or manage
    */
-  findPendingCoordinationsForOwner(ownerId) {
+  async findPendingCoordinationsForOwner(ownerId) {
     const pendingCoordinations = [];
+    const propertyIds = (await calendarService.getPropertiesFor(ownerId)).map(property => property.id);
     
     // Check appointment service pending requests for coordination involving this owner's properties
-    for (const [buyerPhone, request] of appointmentService.pendingRequests.entries()) {
-      if (request.type === 'coordinating' && request.property?.owner_id === ownerId) {
+    for (const [buyerPhone, request] of await appointmentService.getAllPendingRequests()) {
+      if (request.type === 'coordinating' && propertyIds.includes(request.property?.id)) {
         pendingCoordinations.push({
           buyerPhone: buyerPhone,
           buyer: { phone_number: buyerPhone },
@@ -1726,21 +2548,21 @@ Always calculate dates relative to current context.`;
   async notifyBuyerOfOwnerAvailability(buyer, proposedAppointment) {
     try {
       const propertyEmoji = this.getPropertyEmoji(proposedAppointment.property.property_type);
-      const message = `${propertyEmoji} *Great News!*\n\n📍 Property: ${proposedAppointment.property.address}\n\n🗓️ The owner/agent is available: *${proposedAppointment.ownerAvailability.summary}*\n\n💡 Does this time work for you?\n\n✅ Reply "Yes" to confirm\n❌ Reply "No" to suggest a different time\n\n📅 I'll finalize the viewing once you confirm!`;
+      const { date, startTime, endTime, ownerAvailability } = proposedAppointment;
+      const localTime = timezoneService.localTimeNote(date, startTime, endTime, ownerAvailability.timezone, buyer);
+      const message = `${propertyEmoji} *Great News!*\n\n📍 Property: ${proposedAppointment.property.address}\n\n🗓️ The owner/agent is available: *${ownerAvailability.summary}*${localTime}\n\n💡 Does this time work for you?\n\n✅ Reply "Yes" to confirm\n❌ Reply "No" to suggest a different time\n\n📅 I'll finalize the viewing once you confirm!`;
 
-      await twilioService.sendWhatsAppMessage(buyer.phone_number, message);
+      await outboundQueueService.enqueue(buyer.phone_number, message, { propertyId: proposedAppointment.property.id });
       
       // Update buyer's pending request to await confirmation
-      const pendingRequest = appointmentService.pendingRequests.get(buyer.phone_number);
+      const pendingRequest = await appointmentService.getPendingRequest(buyer.phone_number);
       if (pendingRequest) {
         pendingRequest.type = 'awaiting_buyer_confirmation';
         pendingRequest.proposedAppointment = proposedAppointment;
-        appointmentService.pendingRequests.set(buyer.phone_number, pendingRequest);
+        await appointmentService.setPendingRequest(buyer.phone_number, pendingRequest, pendingRequest.version);
         
-        // CRITICAL FIX: Update conversation state to match appointment service state
-        this.setConversationState(buyer.phone_number, {
-          state: CONVERSATION_STATE.AWAITING_APPOINTMENT_CONFIRMATION,
-          property: proposedAppointment.property,
+        // Move the buyer's conversation along with the request
+        await this.followPendingRequest(buyer, {
           proposedAppointment: proposedAppointment,
           lastOwnerResponse: new Date()
         });
@@ -1782,8 +2604,8 @@ Return JSON:
   "type": "specific_time|general_availability|confirmation"
 }`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.DETECT_TIME_REFERENCE, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Analyze: "${message}"` }
@@ -1792,7 +2614,7 @@ Return JSON:
         max_tokens: 200
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanContent = content.replace(/```json\s*|\s*```/g, '').trim();
       const result = JSON.parse(cleanContent);
       
@@ -1838,12 +2660,50 @@ Return JSON:
       return null; // Not a valid response to an appointment request
     }
 
-    // Find the appointment by its full ID, using the short ID to search
-    const appointment = await ViewingAppointment.findOne({ 'id::text': { like: `${parsedResponse.appointmentId}%` } });
+    return await this.applyOwnerAppointmentResponse(parsedResponse, user);
+  }
+
+  /**
+   * Find the appointments an owner/agent's answer refers to. Buttons carry the full ID;
+   * typed replies quote the short ID printed in the request, matched as a prefix of
+   * the requests still waiting for them.
+   * @param {string} reference - Full appointment ID or its first characters
+   * @param {object} user - Owner/agent user object
+   * @returns {Promise<Array>} - Matching appointments at properties they own or manage
+   */
+  async findOwnerAppointments(reference, user) {
+    const propertyIds = (await calendarService.getPropertiesFor(user.id)).map(property => property.id);
+    const id = reference.toLowerCase();
+
+    if (id.length === 36) {
+      const appointment = await ViewingAppointment.findById(id);
+      return appointment && propertyIds.includes(appointment.property_id) ? [appointment] : [];
+    }
+
+    const pending = await ViewingAppointment.getPendingForProperties(propertyIds);
+    return pending.filter(appointment => appointment.id.toLowerCase().startsWith(id));
+  }
 
-    if (!appointment) {
+  /**
+   * Apply an owner/agent's answer to a viewing request
+   * @param {object} parsedResponse - { intent: confirm|decline|suggest_new_time, appointmentId, newTimeSuggestion }
+   * @param {object} user - Owner/agent user object
+   * @returns {Promise<Array|null>} - Response messages
+   */
+  async applyOwnerAppointmentResponse(parsedResponse, user) {
+    if (user.user_roles?.role !== 'owner' && user.user_roles?.role !== 'agent') {
+      return null;
+    }
+
+    const matches = await this.findOwnerAppointments(parsedResponse.appointmentId, user);
+
+    if (matches.length === 0) {
       return [`I couldn't find an appointment matching the ID "${parsedResponse.appointmentId}". Please check the ID and try again.`];
     }
+    if (matches.length > 1) {
+      return [`More than one of your viewing requests starts with "${parsedResponse.appointmentId}". Please reply with a few more characters of the ID, e.g. "Confirm ${matches[0].id.substring(0, 8)}".`];
+    }
+    const [appointment] = matches;
 
     const property = await Property.findById(appointment.property_id);
     if (!property) {
@@ -1856,30 +2716,33 @@ Return JSON:
       return ["There was an error finding the buyer for this appointment."];
     }
 
+    const linked = { propertyId: property.id, appointmentId: appointment.id };
+
     switch (parsedResponse.intent) {
       case 'confirm':
         await ViewingAppointment.updateById(appointment.id, { status: 'confirmed' });
         
         // Notify the buyer
-        await twilioService.sendWhatsAppMessage(buyer.phone_number, `Great news! Your viewing for the property at *${property.address}* has been confirmed for *${appointment.appointment_date}* at *${appointment.start_time}*.`);
+        await outboundQueueService.enqueue(buyer.phone_number, `Great news! Your viewing for the property at *${property.address}* has been confirmed for *${appointment.appointment_date}* at *${appointment.start_time}*.`, linked);
 
         // Generate and send calendar invites
         const calendarInvite = await appointmentService.generateCalendarInviteForAppointment(appointment);
-        await twilioService.sendWhatsAppMessage(buyer.phone_number, calendarInvite);
-        await twilioService.sendWhatsAppMessage(user.phone_number, calendarInvite);
+        await outboundQueueService.enqueue(buyer.phone_number, calendarInvite, { kind: 'calendar_invite', ...linked });
+        await outboundQueueService.enqueue(user.phone_number, calendarInvite, { kind: 'calendar_invite', ...linked });
 
         return [`You have confirmed the appointment. I have notified the buyer.`];
 
       case 'decline':
         await ViewingAppointment.updateById(appointment.id, { status: 'declined' });
-        await twilioService.sendWhatsAppMessage(buyer.phone_number, `Unfortunately, the owner is not available for the viewing at *${property.address}* on *${appointment.appointment_date}*. Please feel free to request another time.`);
+        await outboundQueueService.enqueue(buyer.phone_number, `Unfortunately, the owner is not available for the viewing at *${property.address}* on *${appointment.appointment_date}*. Please feel free to request another time.`, linked);
         return [`You have declined the appointment. I have notified the buyer.`];
 
       case 'suggest_new_time':
         // Notify the buyer of the new suggestion
-        await twilioService.sendWhatsAppMessage(
+        await outboundQueueService.enqueue(
           buyer.phone_number,
-          `The owner has suggested a new time for the viewing at *${property.address}*: *${parsedResponse.newTimeSuggestion}*. \n\nDoes this time work for you? Please reply to confirm or suggest another time for appointment ID ${appointment.id.substring(0,4)}.`
+          `The owner has suggested a new time for the viewing at *${property.address}*: *${parsedResponse.newTimeSuggestion}*. \n\nDoes this time work for you? Please reply to confirm or suggest another time for appointment ID ${appointment.id.substring(0,4)}.`,
+          linked
         );
         return [`I have sent your suggestion of *${parsedResponse.newTimeSuggestion}* to the buyer. I will let you know when they respond.`];
     }
@@ -48,6 +48,7 @@ class DataValidationService {
         ['active', 'inactive', 'pending', 'sold', 'rented'], 
         'active'
       );
+      normalized.listing_type = this.validateEnum(propertyData.listing_type, ['rent', 'sale'], 'rent');
 
       if (propertyData.description) {
         normalized.description = this.normalizeString(propertyData.description);
@@ -10,6 +10,7 @@ const {
   ViewingTimeSlot,
   ViewingAppointment
 } = require('../models');
+const timezoneService = require('./timezoneService');
 
 /**
  * Database Service
@@ -63,7 +64,8 @@ class DatabaseService {
    */
   async getOrCreateUserFromWhatsApp(phoneNumber, name = null) {
       const cleanNumber = phoneNumber.replace('whatsapp:', '');
-      return await User.getOrCreateUser(cleanNumber, { name });
+      // New users read times in the zone of their number's country
+      return await User.getOrCreateUser(cleanNumber, { name, timezone: timezoneService.forPhoneNumber(cleanNumber) });
   }
 
   /**
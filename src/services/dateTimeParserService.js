@@ -0,0 +1,773 @@
+const { config } = require('../config/environment');
+const fastPathService = require('./fastPathService');
+const zonedTime = require('./scheduling/zonedTime');
+const { WEEKDAYS } = zonedTime;
+
+// How long a viewing offered at a single time ("Saturday at 10am") is assumed to last
+const SINGLE_TIME_MINUTES = 60;
+
+// Parts of the day, as local clock ranges
+const PERIODS = {
+  morning: { pattern: 'mornings?|manhas?', startTime: '09:00', endTime: '12:00' },
+  lunchtime: { pattern: 'lunch ?time|lunch|hora de almoco|ao almoco', startTime: '12:00', endTime: '14:00' },
+  afternoon: { pattern: 'afternoons?|tardes?', startTime: '14:00', endTime: '18:00' },
+  evening: { pattern: 'evenings?|tonight|after work|noites?|depois do trabalho|ao fim do dia|final do dia', startTime: '18:00', endTime: '20:00' },
+  'all day': { pattern: 'all day|any ?time|todo o dia|o dia todo|qualquer hora', startTime: '09:00', endTime: '19:00' }
+};
+const PERIOD = new RegExp(`(?<!mais )\\b(?:early |late )?(${Object.values(PERIODS).map(period => period.pattern).join('|')})\\b`, 'g');
+
+// Weekday names, Sunday first. A plural ("mondays", "às segundas") or "every" makes a weekly rule.
+const WEEKDAY_NAMES = [
+  { plural: 'sundays|domingos', singular: 'sunday|sun|domingo' },
+  { plural: 'mondays|segundas(?:-feiras| feiras)?|segunda-feiras', singular: 'monday|mon|segunda(?:-feira| feira)?' },
+  { plural: 'tuesdays|tercas(?:-feiras| feiras)?|terca-feiras', singular: 'tuesday|tues?|terca(?:-feira| feira)?' },
+  { plural: 'wednesdays|quartas(?:-feiras| feiras)?|quarta-feiras', singular: 'wednesday|wed|quarta(?:-feira| feira)?' },
+  { plural: 'thursdays|quintas(?:-feiras| feiras)?|quinta-feiras', singular: 'thursday|thurs?|thu|quinta(?:-feira| feira)?' },
+  { plural: 'fridays|sextas(?:-feiras| feiras)?|sexta-feiras', singular: 'friday|fri|sexta(?:-feira| feira)?' },
+  { plural: 'saturdays|sabados', singular: 'saturday|sat|sabado' }
+];
+const ANY_WEEKDAY = WEEKDAY_NAMES.map(name => `${name.plural}|${name.singular}`).join('|');
+const WEEKDAY = new RegExp(`\\b(?:(every|each|todas as|todos os|nas|nos|aos|as|next|proxim[oa]|this|est[ea]|on|na|no)\\s+)?(${ANY_WEEKDAY})\\b(\\s+que vem)?`, 'g');
+const RECURRING_MODIFIERS = ['every', 'each', 'todas as', 'todos os', 'nas', 'nos', 'aos', 'as'];
+const NEXT_MODIFIERS = ['next', 'proximo', 'proxima'];
+
+// Month names; short forms that are also common words ("mar", "set", "out", "ago") need the full name
+const MONTH_NAMES = [
+  'january|jan|janeiro', 'february|feb|fevereiro|fev', 'march|marco', 'april|apr|abril|abr', 'may|maio', 'june|jun|junho',
+  'july|jul|julho', 'august|aug|agosto', 'september|sept?|setembro', 'october|oct|outubro', 'november|nov|novembro', 'december|dec|dezembro|dez'
+];
+const ANY_MONTH = MONTH_NAMES.join('|');
+const NOT_A_TIME = '(?!\\s*(?::|h\\b|am\\b|pm\\b))';
+
+// A clock time: "10", "10:30", "10.30", "10h", "10h30", "10am", "10 pm", "15 horas"
+const TIME = '(\\d{1,2})(?:[:.h](\\d{2}))?(?!\\d)\\s*(am|pm|h(?:oras?)?(?![a-z]))?';
+const NOT_AFTER_NUMBER = '(?<![\\d/.,€])';
+const TIME_BETWEEN = new RegExp(`\\b(?:between|entre)(?:\\s+(?:as|os|a|o))?\\s+${TIME}\\s+(?:and|e)(?:\\s+(?:as|os|a|o))?\\s+${TIME}`, 'g');
+const TIME_RANGE = new RegExp(`${NOT_AFTER_NUMBER}\\b(?:(?:from|das?|dos?|de)\\s+)?${TIME}\\s*(?:-|–|to|till|until|ate(?:\\s+[ao]s?)?|as|a)\\s*${TIME}`, 'g');
+const SINGLE_TIME = new RegExp(`${NOT_AFTER_NUMBER}(?:\\b(at|around|as|a|pelas|por volta das)\\s+)?\\b${TIME}`, 'g');
+
+// How long viewings last and the gap between them ("30-min viewings", "15 min gap", "visitas de 45 minutos").
+// These are durations, never clock times.
+const DURATION = '(\\d{1,3})\\s*-?\\s*(min(?:ute)?s?|minutos|h|hours?|horas?)(?![a-z])';
+const SLOT_LENGTH = new RegExp(`${DURATION}\\s+(?:long\\s+)?(?:viewings?|slots?|visits?|visitas?|appointments?)\\b|` +
+  `\\b(?:viewings?|slots?|visits?|visitas?)\\s+(?:of|de)\\s+${DURATION}`, 'g');
+const SLOT_GAP = new RegExp(`${DURATION}\\s+(?:gaps?|buffers?|breaks?|pauses?|(?:in )?between|intervalos?|pausas?|entre)\\b|` +
+  `\\b(?:gaps?|buffers?|breaks?|intervalos?|pausas?)\\s+(?:of|de)\\s+${DURATION}|` +
+  `\\b(no gaps?|no buffer|no breaks?|back to back|sem intervalos?|sem pausas?)\\b`, 'g');
+
+// Date spans ("Aug 1-15", "1 to 15 August", "de 1 a 15 de agosto") are spelled out as two dates
+const DAY_NUMBER = '(\\d{1,2})(?:st|nd|rd|th|o|a)?';
+const SPAN_WORDS = '-|–|to|till|until|through|thru|a|ate|ao';
+const MONTH_DAY_SPAN = new RegExp(`\\b(${ANY_MONTH})\\s+${DAY_NUMBER}\\s*(?:${SPAN_WORDS})\\s*${DAY_NUMBER}\\b(?!\\s*(?:[/:]|${ANY_MONTH}))`, 'g');
+const DAY_SPAN_MONTH = new RegExp(`\\b${DAY_NUMBER}\\s*(?:${SPAN_WORDS})\\s*${DAY_NUMBER}\\s+(?:of\\s+|de\\s+)?(${ANY_MONTH})\\b`, 'g');
+const SPAN_CONNECTOR = new RegExp(`^\\s*(?:${SPAN_WORDS})\\s*$`);
+// Longest span parse() spells out day by day ("1 to 15 August" is fifteen days)
+const MAX_SPAN_DAYS = 31;
+
+// Availability exceptions ("except the 24th", "away Aug 1-15", "não posso dia 24"), which run to the end of their clause
+const EXCEPTION = /\b(?:except(?: for| on)?|excluding|apart from|but not|not (?:on|available(?: on)?)|unavailable(?: on)?|away|off|on (?:holiday|vacation)|closed|exceto|excepto|(?<!pelo )menos|nao (?:posso|estou|estarei|disponivel)|indisponivel|de ferias|ausente)\b/;
+const CLAUSE_BREAK = /[.;\n]|,\s*(?=[a-z])|\b(?:but|mas)\b/;
+
+// When availability applies at all ("only until it's rented", "until Dec 31", "a partir de 1 de novembro")
+const UNTIL_RENTED = /\b(?:only )?(?:until|till|ate)\s+(?:(?:it|the (?:apartment|flat|house|property|place|room)|o (?:apartamento|imovel|quarto)|a casa)\s+)?(?:is |gets |has been |be |ser |estar |ficar |seja |for )?(?:rented(?: out)?|sold|let|taken|arrendad[oa]|alugad[oa]|vendid[oa])\b/g;
+const VALID_FROM = /\b(?:from|starting(?: on| from)?|as of|beginning|a partir d[eoa]s?(?: dia)?|desde(?: o dia)?)\s*$/;
+const VALID_UNTIL = /\b(?:until|till|up to|through|ate(?: (?:ao|a|o))?(?: dia)?)\s*$/;
+
+// Words that add weekly rules to the existing ones instead of replacing them
+const APPEND_WORDS = /\b(?:also|add|plus|too|as well|extra|tambem|adicionar|acrescentar)\b/;
+
+/**
+ * Date/Time Parser Service
+ * Deterministic reader for viewing times in English and Portuguese ("Saturday
+ * at 10am", "Tue 2-4pm", "amanhã às 15h", "next week mornings", "this weekend",
+ * "24/10 das 14h às 16h", "weekdays 9am-12pm"). It resolves every mention to
+ * explicit local date ranges in a time zone, so nothing is left for the model
+ * to calculate, and returns null when a message names no day or time at all.
+ */
+class DateTimeParserService {
+  /**
+   * Parse the days and times in a message
+   * @param {string} message - User's message
+   * @param {object} options - { timezone, now }: the zone dates are resolved in (defaults to
+   *   config.scheduling.timezone) and the reference instant (defaults to the current time)
+   * @returns {object|null} - { timezone, ranges, schedule, untimed, summary } or null if no day or time was found.
+   *   ranges are upcoming [{ date, day, startTime, endTime, start, end, label }] with start/end as
+   *   ISO 8601 with the zone's offset (times are null when only a day was given); schedule is the
+   *   weekly rules [{ day, startTime, endTime }] the message implies; untimed is true when a day
+   *   was named without a time
+   */
+  parse(message, { timezone = config.scheduling.timezone, now = new Date() } = {}) {
+    const today = zonedTime.getZonedParts(now, timezone);
+    const text = this.spellOutSpans(this.prepare(message));
+    const tokens = this.joinSpans(text, this.tokenize(text, today));
+    if (tokens.length === 0) return null;
+
+    const groups = this.groupTokens(tokens);
+    if (groups.length === 0) return null;
+
+    const ranges = [];
+    const schedule = [];
+    for (const group of groups) {
+      const times = group.times.length > 0 ? group.times : [null];
+      const days = group.days.length > 0 ? group.days : [{ implied: true }];
+
+      for (const day of days) {
+        for (const time of times) {
+          const date = this.resolveDate(day, time, today);
+          ranges.push(this.toRange(date, time, timezone));
+
+          // Days of a span are bound to their dates, so they imply no weekly rule
+          const weekday = day.implied || day.span ? null : (day.weekday ?? zonedTime.weekdayOf(day.date));
+          if (time && weekday !== null) {
+            schedule.push({ day: WEEKDAYS[weekday], startTime: time.startTime, endTime: time.endTime });
+          }
+        }
+      }
+    }
+
+    const upcoming = this.unique(ranges, range => `${range.date} ${range.startTime} ${range.endTime}`)
+      .filter(range => range.date > today.date || (range.date === today.date && (!range.endTime || range.endTime > today.time)))
+      .sort((a, b) => `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`));
+
+    return {
+      timezone,
+      ranges: upcoming,
+      schedule: this.unique(schedule, rule => `${rule.day} ${rule.startTime} ${rule.endTime}`),
+      untimed: groups.some(group => group.days.length > 0 && group.times.length === 0),
+      summary: this.describe(upcoming)
+    };
+  }
+
+  /**
+   * Normalize a message and spell out words that stand for clock times
+   * @param {string} message - User's message
+   * @returns {string} - Lower-case, accent-free text
+   */
+  prepare(message) {
+    return fastPathService.normalize(message)
+      .replace(/\b([ap])\.m\.?/g, '$1m')
+      .replace(/\b(?:noon|midday|meio(?:-| )dia)\b/g, '12h')
+      .replace(/\b(?:o'clock|horas em ponto)\b/g, '');
+  }
+
+  /**
+   * Find the day and time mentions in a message, in the order they appear.
+   * Patterns run from most to least specific, and each match is blanked out
+   * so a later pattern can't read the same words again ("24/10" is never also
+   * a time, "amanhã" never also "manhã").
+   * @param {string} text - Prepared text
+   * @param {object} today - Local { date, time, weekday } in the parse time zone
+   * @returns {Array} - [{ index, length, days: [daySpec], time }] where a daySpec is { date } or
+   *   { weekday, mode: 'upcoming'|'next'|'recurring' } and time is { startTime, endTime, label, bare }
+   */
+  tokenize(text, today) {
+    const tokens = [];
+    let remaining = text.replace(SLOT_LENGTH, match => ' '.repeat(match.length)).replace(SLOT_GAP, match => ' '.repeat(match.length));
+
+    const scan = (pattern, read) => {
+      remaining = remaining.replace(pattern, (...args) => {
+        const match = args[0];
+        const index = args[args.length - 2];
+        const token = read(args.slice(1, -2), match);
+        if (!token) return match;
+        tokens.push({ index, length: match.length, days: [], time: null, ...token });
+        return ' '.repeat(match.length);
+      });
+    };
+
+    const dates = (...offsets) => offsets.map(offset => ({ date: zonedTime.addDays(today.date, offset) }));
+    const weekendOffset = today.weekday === 0 ? 0 : 6 - today.weekday;
+    const nextMondayOffset = (8 - today.weekday) % 7 || 7;
+    const daysLeftThisWeek = { 0: 1, 6: 2 }[today.weekday] || 6 - today.weekday;
+
+    // Relative days
+    scan(/\b(?:the )?day after tomorrow\b|\bdepois de amanha\b/g, () => ({ days: dates(2) }));
+    scan(/\b(?:tomorrow|tmrw|tmr|amanha)\b/g, () => ({ days: dates(1) }));
+    scan(/\b(?:this|esta) (morning|afternoon|evening|manha|tarde|noite)\b|\btonight\b/g, ([part], match) => ({
+      days: dates(0),
+      time: this.toPeriod(part || match)
+    }));
+    scan(/\b(?:today|hoje)\b/g, () => ({ days: dates(0) }));
+
+    // Weekends and weeks
+    scan(/\b(?:next|the following) weekend\b|\bproximo fim de semana\b|\bfim de semana que vem\b/g, () => ({
+      days: today.weekday === 0 ? dates(6, 7) : dates(weekendOffset + 7, weekendOffset + 8)
+    }));
+    scan(/\b(?:every |each )?weekends\b|\b(?:every|each) weekend\b|\b(?:todos os |aos )?fins de semana\b/g, () => ({
+      days: [6, 0].map(weekday => ({ weekday, mode: 'recurring' }))
+    }));
+    scan(/\b(?:(?:this|the) )?weekend\b|\b(?:(?:este|neste|no|ao) )?fim de semana\b/g, () => ({
+      days: today.weekday === 0 ? dates(0) : dates(weekendOffset, weekendOffset + 1)
+    }));
+    scan(/\b(?:every )?(?:week ?days?|working days|business days)\b|\bdias uteis\b|\b(?:durante a|em dias de) semana\b/g, () => ({
+      days: [1, 2, 3, 4, 5].map(weekday => ({ weekday, mode: 'recurring' }))
+    }));
+    scan(/\b(?:next|the following) week\b|\b(?:na )?proxima semana\b|\bsemana que vem\b/g, () => ({
+      days: dates(...[0, 1, 2, 3, 4].map(day => nextMondayOffset + day))
+    }));
+    // The rest of the working week, or of the weekend once it has started
+    scan(/\bthis week\b|\b(?:esta|nesta) semana\b/g, () => ({
+      days: dates(...Array.from({ length: daysLeftThisWeek }, (_, day) => day))
+    }));
+
+    // Calendar dates
+    scan(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, ([year, month, day]) => this.toDateToken(today, day, month, year));
+    scan(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/g, ([day, month, year]) => this.toDateToken(today, day, month, year));
+    scan(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|o|a)?\\s+(?:of\\s+|de\\s+)?(${ANY_MONTH})\\b(?:,?\\s+(?:de\\s+)?(\\d{4}))?`, 'g'),
+      ([day, month, year]) => this.toDateToken(today, day, this.monthNumber(month), year));
+    scan(new RegExp(`\\b(${ANY_MONTH})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b${NOT_A_TIME}(?:,?\\s+(\\d{4}))?`, 'g'),
+      ([month, day, year]) => this.toDateToken(today, day, this.monthNumber(month), year));
+    scan(new RegExp(`\\b(?:on )?(?:the )?(\\d{1,2})(?:st|nd|rd|th)\\b|\\bdia (\\d{1,2})\\b${NOT_A_TIME}`, 'g'),
+      ([ordinal, day]) => this.toDayOfMonthToken(today, ordinal || day));
+
+    // Weekday names
+    scan(WEEKDAY, ([modifier, name, upcoming]) => {
+      const weekday = WEEKDAY_NAMES.findIndex(names => new RegExp(`^(?:${names.plural}|${names.singular})$`).test(name));
+      const plural = new RegExp(`^(?:${WEEKDAY_NAMES[weekday].plural})$`).test(name);
+      let mode = 'upcoming';
+      if (plural || RECURRING_MODIFIERS.includes(modifier)) mode = 'recurring';
+      else if (NEXT_MODIFIERS.includes(modifier) && !upcoming) mode = 'next';
+      return { days: [{ weekday, mode }] };
+    });
+
+    // Clock times and parts of the day
+    scan(TIME_BETWEEN, (groups) => this.toTimeRange(groups));
+    scan(TIME_RANGE, (groups) => this.toTimeRange(groups));
+    scan(SINGLE_TIME, ([preposition, hour, minutes, marker]) => {
+      // A bare number ("2 bedrooms") is only a time after "at"/"às" or with am/pm, "h" or minutes
+      if (!preposition && !marker && !minutes) return null;
+      const start = this.toMinutes(hour, minutes, marker);
+      if (start === null) return null;
+      return { time: { startTime: this.toClock(start), endTime: zonedTime.addMinutes(this.toClock(start), SINGLE_TIME_MINUTES), label: null, bare: false } };
+    });
+    scan(PERIOD, ([part]) => ({ time: this.toPeriod(part) }));
+
+    return tokens.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Read viewing length and gap settings from a message
+   * @param {string} message - User's message (e.g. "Weekdays 2-5pm, 30-min viewings with a 15 min gap")
+   * @returns {object} - { slotMinutes, bufferMinutes }, each only when mentioned
+   */
+  parseSlotSettings(message) {
+    const text = this.prepare(message);
+    const minutes = (amount, unit) => parseInt(amount, 10) * (unit.startsWith('h') ? 60 : 1);
+    const settings = {};
+
+    const length = new RegExp(SLOT_LENGTH.source).exec(text);
+    if (length) {
+      const [amount, unit] = length[1] ? length.slice(1, 3) : length.slice(3, 5);
+      settings.slotMinutes = minutes(amount, unit);
+    }
+
+    const gap = new RegExp(SLOT_GAP.source).exec(text);
+    if (gap) {
+      if (gap[5]) settings.bufferMinutes = 0;
+      else settings.bufferMinutes = gap[1] ? minutes(gap[1], gap[2]) : minutes(gap[3], gap[4]);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Read availability rules from a message: weekly times, one-off dates,
+   * exceptions and the period the rules apply in ("every weekday evening
+   * except the 24th", "away Aug 1-15", "only until the apartment is rented")
+   * @param {string} message - User's message
+   * @param {object} options - { timezone, now } as for parse
+   * @returns {object|null} - { weekly, dates, blackouts, excludedDays, validity, append, untimed } or null if
+   *   nothing was found. weekly is [{ day, startTime, endTime }], dates [{ date, startTime, endTime }],
+   *   blackouts [{ from, until, startTime, endTime }] (times null for whole days), excludedDays weekday
+   *   names taken out of the weekly rules, validity { from, until, untilRented } or null, and append is
+   *   true when the weekly rules are meant to be added to the existing ones ("also Saturdays 10-12")
+   */
+  parseAvailabilityRules(message, { timezone = config.scheduling.timezone, now = new Date() } = {}) {
+    const today = zonedTime.getZonedParts(now, timezone);
+    let text = this.spellOutSpans(this.prepare(message));
+    const append = APPEND_WORDS.test(text);
+    const blank = (from, to) => {
+      text = text.slice(0, from) + ' '.repeat(to - from) + text.slice(to);
+    };
+
+    const validity = {};
+    text = text.replace(UNTIL_RENTED, match => {
+      validity.untilRented = true;
+      return ' '.repeat(match.length);
+    });
+
+    // Exceptions are read on their own so "except the 24th" never adds the 24th
+    const blackouts = [];
+    const exceptedDays = [];
+    let exception;
+    while ((exception = EXCEPTION.exec(text))) {
+      const start = exception.index + exception[0].length;
+      const clauseEnd = text.slice(start).search(CLAUSE_BREAK);
+      const end = clauseEnd === -1 ? text.length : start + clauseEnd;
+      const read = this.readExceptions(text.slice(start, end), today);
+      blackouts.push(...read.blackouts);
+      exceptedDays.push(...read.weekdays);
+      blank(exception.index, end);
+    }
+
+    // A date span, or a date after "from"/"until", bounds when the rules apply
+    const tokens = this.tokenize(text, today);
+    for (let i = 0; i < tokens.length; i++) {
+      const [token, next] = [tokens[i], tokens[i + 1]];
+      const date = this.singleDate(token);
+      if (!date) continue;
+
+      if (this.isDateSpan(text, token, next)) {
+        [validity.from, validity.until] = [date, this.singleDate(next)].sort();
+        blank(token.index, next.index + next.length);
+        i++;
+      } else if (VALID_UNTIL.test(text.slice(0, token.index))) {
+        validity.until = date;
+        blank(token.index, token.index + token.length);
+      } else if (VALID_FROM.test(text.slice(0, token.index))) {
+        validity.from = date;
+        blank(token.index, token.index + token.length);
+      }
+    }
+
+    // Weekdays ("Tuesdays", "Tuesday") make weekly rules; dates and "next Tuesday" are one-off additions
+    const weekly = [];
+    const dates = [];
+    let untimed = false;
+    for (const group of this.groupTokens(this.tokenize(text, today))) {
+      if (group.days.length === 0) continue;
+      if (group.times.length === 0) {
+        untimed = true;
+        continue;
+      }
+      for (const day of group.days) {
+        for (const { startTime, endTime } of group.times) {
+          if (day.weekday !== undefined && day.mode !== 'next') {
+            weekly.push({ day: WEEKDAYS[day.weekday], startTime, endTime });
+          } else {
+            const date = this.resolveDate(day, { startTime }, today);
+            if (date > today.date || (date === today.date && endTime > today.time)) dates.push({ date, startTime, endTime });
+          }
+        }
+      }
+    }
+
+    // "except Fridays" takes Fridays out of the weekly rules; "except Friday" only does so next to weekly rules
+    const excludedDays = [];
+    for (const { weekday, mode, times } of exceptedDays) {
+      if (times.length === 0 && (mode === 'recurring' || (mode === 'upcoming' && weekly.length > 0))) {
+        excludedDays.push(WEEKDAYS[weekday]);
+      } else {
+        const date = this.resolveDate({ weekday, mode }, null, today);
+        blackouts.push(...(times.length > 0 ? times : [null]).map(time => ({
+          from: date, until: date, startTime: time?.startTime || null, endTime: time?.endTime || null
+        })));
+      }
+    }
+
+    const result = {
+      weekly: this.unique(weekly, rule => `${rule.day} ${rule.startTime} ${rule.endTime}`),
+      dates: this.unique(dates, range => `${range.date} ${range.startTime} ${range.endTime}`),
+      blackouts: this.mergeBlackouts(blackouts.filter(blackout => blackout.until >= today.date)),
+      excludedDays: this.unique(excludedDays, day => day),
+      validity: Object.keys(validity).length > 0 ? { from: null, until: null, untilRented: false, ...validity } : null,
+      append,
+      untimed
+    };
+    const found = result.weekly.length + result.dates.length + result.blackouts.length + result.excludedDays.length > 0 || result.validity;
+    return found || untimed ? result : null;
+  }
+
+  /**
+   * Read the dates an exception names. Date spans become one blackout;
+   * weekdays are returned apart, as the caller decides whether they are
+   * a single date or a day dropped from the weekly rules.
+   * @param {string} text - Prepared text after the exception word ("the 24th and Aug 1 to Aug 15")
+   * @param {object} today - Local { date, time, weekday }
+   * @returns {object} - { blackouts: [{ from, until, startTime, endTime }], weekdays: [{ weekday, mode, times }] }
+   */
+  readExceptions(text, today) {
+    const tokens = this.tokenize(text, today);
+    const rest = [];
+    const blackouts = [];
+    for (let i = 0; i < tokens.length; i++) {
+      if (this.isDateSpan(text, tokens[i], tokens[i + 1])) {
+        const [from, until] = [this.singleDate(tokens[i]), this.singleDate(tokens[i + 1])].sort();
+        blackouts.push({ from, until, startTime: null, endTime: null });
+        i++;
+      } else {
+        rest.push(tokens[i]);
+      }
+    }
+
+    const weekdays = [];
+    for (const group of this.groupTokens(rest)) {
+      for (const day of group.days) {
+        if (day.weekday !== undefined) {
+          weekdays.push({ weekday: day.weekday, mode: day.mode, times: group.times });
+          continue;
+        }
+        const times = group.times.length > 0 ? group.times : [null];
+        blackouts.push(...times.map(time => ({
+          from: day.date, until: day.date, startTime: time?.startTime || null, endTime: time?.endTime || null
+        })));
+      }
+    }
+    return { blackouts, weekdays };
+  }
+
+  /**
+   * The calendar date of a token that names exactly one date and no time
+   * @param {object} token - Token from tokenize
+   * @returns {string|null} - 'YYYY-MM-DD' or null
+   */
+  singleDate(token) {
+    return token && token.days.length === 1 && token.days[0].date && !token.time ? token.days[0].date : null;
+  }
+
+  /**
+   * Check whether two tokens are the ends of a date span ("Aug 1 to Aug 15", "24/10 - 26/10")
+   * @param {string} text - Text the tokens were read from
+   * @param {object} token - First token
+   * @param {object} next - Following token
+   * @returns {boolean} - True if both name a date and only a span word is between them
+   */
+  isDateSpan(text, token, next) {
+    return !!(this.singleDate(token) && this.singleDate(next) &&
+      SPAN_CONNECTOR.test(text.slice(token.index + token.length, next.index)));
+  }
+
+  /**
+   * Spell out spans that share a month ("aug 1-15" becomes "aug 1 to aug 15") so both ends read as dates
+   * @param {string} text - Prepared text
+   * @returns {string} - Text with each span as two dates
+   */
+  spellOutSpans(text) {
+    return text
+      .replace(MONTH_DAY_SPAN, '$1 $2 to $1 $3')
+      .replace(DAY_SPAN_MONTH, '$1 $3 to $2 $3');
+  }
+
+  /**
+   * Turn each pair of tokens that makes a date span into one token naming every day of it
+   * @param {string} text - Text the tokens were read from
+   * @param {Array} tokens - Tokens in message order
+   * @returns {Array} - Tokens, spans as { days: [{ date, span: true }] } (at most MAX_SPAN_DAYS days)
+   */
+  joinSpans(text, tokens) {
+    const joined = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const [token, next] = [tokens[i], tokens[i + 1]];
+      if (!this.isDateSpan(text, token, next)) {
+        joined.push(token);
+        continue;
+      }
+
+      const [from, until] = [this.singleDate(token), this.singleDate(next)].sort();
+      const days = [];
+      for (let date = from; date <= until && days.length < MAX_SPAN_DAYS; date = zonedTime.addDays(date, 1)) {
+        days.push({ date, span: true });
+      }
+      joined.push({ index: token.index, length: next.index + next.length - token.index, days, time: null });
+      i++;
+    }
+    return joined;
+  }
+
+  /**
+   * Join whole-day blackouts that follow on from each other ("next week" is one span, not five days)
+   * @param {Array} blackouts - [{ from, until, startTime, endTime }]
+   * @returns {Array} - Blackouts in date order
+   */
+  mergeBlackouts(blackouts) {
+    const sorted = this.unique(blackouts, blackout => `${blackout.from} ${blackout.until} ${blackout.startTime}`)
+      .sort((a, b) => `${a.from} ${a.startTime}`.localeCompare(`${b.from} ${b.startTime}`));
+    const merged = [];
+    for (const blackout of sorted) {
+      const previous = merged[merged.length - 1];
+      if (previous && !previous.startTime && !blackout.startTime && blackout.from <= zonedTime.addDays(previous.until, 1)) {
+        if (blackout.until > previous.until) previous.until = blackout.until;
+      } else {
+        merged.push({ ...blackout });
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Group day and time mentions that belong together. A day mentioned after
+   * a time starts a new group ("Tue 2-4pm and Thu 10am"), and a time-only
+   * group followed by a day-only one is merged ("at 10am on Saturday").
+   * @param {Array} tokens - Tokens in message order
+   * @returns {Array} - [{ days, times }]
+   */
+  groupTokens(tokens) {
+    const groups = [];
+    let current = null;
+    for (const token of tokens) {
+      if (!current || (token.days.length > 0 && current.times.length > 0)) {
+        current = { days: [], times: [] };
+        groups.push(current);
+      }
+      current.days.push(...token.days);
+      if (token.time) current.times.push(token.time);
+    }
+
+    const merged = [];
+    for (const group of groups) {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.days.length === 0 && group.times.length === 0) {
+        previous.days.push(...group.days);
+      } else {
+        merged.push(group);
+      }
+    }
+
+    // "Saturday the 24th" is one date, not a weekday and a date
+    const namesDate = (days, weekday) => days.some(day => day.date && zonedTime.weekdayOf(day.date) === weekday);
+    const distinct = group => ({
+      ...group,
+      days: group.days.filter(day => day.weekday === undefined || day.mode === 'recurring' || !namesDate(group.days, day.weekday))
+    });
+
+    // Markerless ranges ("2-5") only count next to a day
+    return merged
+      .map(distinct)
+      .map(group => group.days.length > 0 ? group : { ...group, times: group.times.filter(time => !time.bare) })
+      .filter(group => group.days.length > 0 || group.times.length > 0);
+  }
+
+  /**
+   * Pick the calendar date a day mention refers to
+   * @param {object} day - Day spec from tokenize, or { implied: true } for a time without a day
+   * @param {object|null} time - Time the day is paired with
+   * @param {object} today - Local { date, time, weekday }
+   * @returns {string} - 'YYYY-MM-DD'
+   */
+  resolveDate(day, time, today) {
+    const stillAhead = !time || time.startTime > today.time;
+    if (day.implied) return zonedTime.addDays(today.date, stillAhead ? 0 : 1);
+    if (day.date) return day.date;
+
+    // "next Friday" is never today; "Friday" and "Fridays" are today only if the time is still ahead
+    let offset = (day.weekday - today.weekday + 7) % 7;
+    if (offset === 0 && (day.mode === 'next' || !stillAhead)) offset = 7;
+    return zonedTime.addDays(today.date, offset);
+  }
+
+  /**
+   * Build an explicit range for a date and time
+   * @param {string} date - 'YYYY-MM-DD'
+   * @param {object|null} time - { startTime, endTime, label }
+   * @param {string} timezone - IANA time zone
+   * @returns {object} - { date, day, startTime, endTime, start, end, label }
+   */
+  toRange(date, time, timezone) {
+    return {
+      date,
+      day: WEEKDAYS[zonedTime.weekdayOf(date)],
+      startTime: time?.startTime || null,
+      endTime: time?.endTime || null,
+      start: time ? zonedTime.toZonedIso(date, time.startTime, timezone) : null,
+      end: time ? zonedTime.toZonedIso(date, time.endTime, timezone) : null,
+      label: time?.label || null
+    };
+  }
+
+  /**
+   * Move a range to another time zone's clock; whole days keep their date
+   * @param {object} range - Range from toRange
+   * @param {string} fromZone - IANA time zone the range was read in
+   * @param {string} toZone - IANA time zone to express it in
+   * @returns {object} - Range on toZone's clock, ending at 24:00 if it would run past midnight
+   */
+  rangeInZone(range, fromZone, toZone) {
+    if (!range.startTime || fromZone === toZone) return range;
+
+    const start = zonedTime.convert(range.date, range.startTime, fromZone, toZone);
+    const end = zonedTime.convert(range.date, range.endTime, fromZone, toZone);
+    return {
+      ...range,
+      date: start.date,
+      day: WEEKDAYS[zonedTime.weekdayOf(start.date)],
+      startTime: start.time,
+      endTime: end.date === start.date ? end.time : '24:00'
+    };
+  }
+
+  /**
+   * Express a parse read on one person's clock in another time zone, e.g. a buyer
+   * abroad writing "tomorrow at 2pm" about a property in Lisbon
+   * @param {object} parsed - Result of parse
+   * @param {string} timezone - IANA time zone to express it in
+   * @returns {object} - Parse with ranges and summary in timezone; localSummary keeps the original wording if it differs
+   */
+  inZone(parsed, timezone) {
+    if (parsed.timezone === timezone) return parsed;
+
+    const ranges = parsed.ranges.map(range => this.rangeInZone(range, parsed.timezone, timezone));
+    const summary = this.describe(ranges);
+    return { ...parsed, timezone, ranges, summary, localSummary: summary === parsed.summary ? null : parsed.summary };
+  }
+
+  /**
+   * Read a time range match, carrying am/pm across ("2-4pm" is 14:00-16:00, "10-12pm" is 10:00-12:00)
+   * @param {Array} groups - [startHour, startMinutes, startMarker, endHour, endMinutes, endMarker]
+   * @returns {object|null} - Token with the time, or null if it isn't a valid range
+   */
+  toTimeRange([startHour, startMinutes, startMarker, endHour, endMinutes, endMarker]) {
+    const meridiem = marker => (/^[ap]m$/.test(marker || '') ? marker : null);
+    let end = this.toMinutes(endHour, endMinutes, endMarker || meridiem(startMarker));
+    let start = this.toMinutes(startHour, startMinutes, startMarker || meridiem(endMarker));
+    if (start === null || end === null) return null;
+
+    // "10-12pm": the shared pm only applies to the start when it keeps the range forward
+    if (!startMarker && meridiem(endMarker) && start >= end) {
+      start = this.toMinutes(startHour, startMinutes, endMarker === 'pm' ? 'am' : 'pm');
+    }
+    // "11 to 1": an unmarked end before the start is in the afternoon
+    if (end <= start && !endMarker && end < 12 * 60) end += 12 * 60;
+    if (start === null || end <= start) return null;
+
+    return {
+      time: {
+        startTime: this.toClock(start),
+        endTime: this.toClock(end),
+        label: null,
+        bare: !startMarker && !endMarker && !startMinutes && !endMinutes
+      }
+    };
+  }
+
+  /**
+   * Convert an hour mention to minutes after midnight
+   * @param {string} hour - Hour digits
+   * @param {string} minutes - Minute digits, if any
+   * @param {string} marker - 'am', 'pm', 'h'/'horas' (24-hour clock), or nothing
+   * @returns {number|null} - Minutes after midnight, or null if not a valid time
+   */
+  toMinutes(hour, minutes, marker) {
+    let h = parseInt(hour, 10);
+    const m = minutes ? parseInt(minutes, 10) : 0;
+    if (h > 23 || m > 59) return null;
+
+    if (marker === 'am' || marker === 'pm') {
+      if (h > 12) return null;
+      if (marker === 'pm' && h < 12) h += 12;
+      if (marker === 'am' && h === 12) h = 0;
+    } else if (!marker && !minutes && !hour.startsWith('0') && h >= 1 && h <= 7) {
+      // Nobody offers viewings at 3 in the morning: bare small hours are afternoon
+      h += 12;
+    }
+    return h * 60 + m;
+  }
+
+  /**
+   * Format minutes after midnight as HH:MM
+   * @param {number} minutes - Minutes after midnight
+   * @returns {string} - HH:MM
+   */
+  toClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Time range for a part of the day
+   * @param {string} word - Matched period word ("mornings", "tarde", "tonight")
+   * @returns {object} - { startTime, endTime, label, bare }
+   */
+  toPeriod(word) {
+    const [label, period] = Object.entries(PERIODS).find(([, { pattern }]) => new RegExp(`^(?:${pattern})$`).test(word));
+    return { startTime: period.startTime, endTime: period.endTime, label, bare: false };
+  }
+
+  /**
+   * Token for a calendar date; without a year, a date already past this year means next year
+   * @param {object} today - Local { date }
+   * @param {string} day - Day of month
+   * @param {string|number} month - Month number
+   * @param {string} year - Year, if given
+   * @returns {object|null} - Token, or null if the date doesn't exist
+   */
+  toDateToken(today, day, month, year) {
+    const currentYear = parseInt(today.date.slice(0, 4), 10);
+    let fullYear = year ? parseInt(year.length === 2 ? `20${year}` : year, 10) : currentYear;
+    const format = y => `${y}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+    if (!year && format(fullYear) < today.date) fullYear += 1;
+    const date = format(fullYear);
+    const valid = new Date(`${date}T00:00:00Z`).toISOString().startsWith(date);
+    return valid ? { days: [{ date }] } : null;
+  }
+
+  /**
+   * Token for a bare day of the month ("the 24th", "dia 24"): this month, or next month if it has passed
+   * @param {object} today - Local { date }
+   * @param {string} day - Day of month
+   * @returns {object|null} - Token, or null if the date doesn't exist
+   */
+  toDayOfMonthToken(today, day) {
+    let [year, month] = today.date.split('-').map(Number);
+    if (parseInt(day, 10) < parseInt(today.date.slice(8), 10)) {
+      month = month === 12 ? 1 : month + 1;
+      if (month === 1) year += 1;
+    }
+    return this.toDateToken(today, day, month, String(year));
+  }
+
+  /**
+   * Month number for a month name
+   * @param {string} name - Matched month name
+   * @returns {number} - 1-12
+   */
+  monthNumber(name) {
+    return MONTH_NAMES.findIndex(names => new RegExp(`^(?:${names})$`).test(name)) + 1;
+  }
+
+  /**
+   * Describe ranges for messages, e.g. "Saturday, Oct 24, 10:00 - 11:00"
+   * @param {Array} ranges - Ranges from parse
+   * @param {number} max - How many ranges to list before summarizing the rest
+   * @returns {string} - Description
+   */
+  describe(ranges, max = 3) {
+    const listed = ranges.slice(0, max).map(range => range.startTime
+      ? `${zonedTime.formatDate(range.date)}, ${range.startTime} - ${range.endTime}`
+      : zonedTime.formatDate(range.date));
+    const more = ranges.length > max ? ` (+${ranges.length - max} more)` : '';
+    return `${listed.join('; ')}${more}`;
+  }
+
+  /**
+   * The coming days with their dates, for prompts that still need the model
+   * @param {string} timezone - IANA time zone
+   * @param {number} days - How many days to list
+   * @param {Date} now - Reference instant
+   * @returns {string} - e.g. "Monday 2026-10-19 (today), Tuesday 2026-10-20, ..."
+   */
+  describeCalendar(timezone = config.scheduling.timezone, days = 14, now = new Date()) {
+    const today = zonedTime.getZonedParts(now, timezone);
+    return Array.from({ length: days }, (_, offset) => {
+      const date = zonedTime.addDays(today.date, offset);
+      return `${WEEKDAYS[zonedTime.weekdayOf(date)]} ${date}${offset === 0 ? ` (today, now ${today.time})` : ''}`;
+    }).join(', ');
+  }
+
+  /**
+   * Drop repeated items
+   * @param {Array} items - Items
+   * @param {Function} key - Identity of an item
+   * @returns {Array} - First occurrence of each item
+   */
+  unique(items, key) {
+    const seen = new Set();
+    return items.filter(item => {
+      const id = key(item);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+}
+
+module.exports = new DateTimeParserService();
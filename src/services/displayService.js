@@ -1,3 +1,6 @@
+// WhatsApp shows at most this many characters as a photo caption
+const MEDIA_CAPTION_LIMIT = 1024;
+
 /**
  * Display Service
  * Formats property data for optimal WhatsApp display
@@ -44,14 +47,24 @@ class DisplayService {
    * Formats search results for WhatsApp display.
    * @param {object} searchResults - The search results object from searchService.
    * @param {boolean} isRefinement - Whether this is a refinement search.
-   * @returns {Array} An array of formatted messages.
+   * @param {object} coverUrls - Property ID -> cover photo URL, for results that have photos.
+   * @returns {Array} An array of formatted messages (strings and { body, mediaUrl } photo messages).
    */
-  formatSearchResults(searchResults, isRefinement = false) {
+  formatSearchResults(searchResults, isRefinement = false, coverUrls = {}) {
+    const simplifiedNote = searchResults.simplified
+      ? `\n⚠️ _I used a simplified search this time, so some details of your request may have been missed._`
+      : '';
+
     if (searchResults.totalCount === 0) {
-      return ["I couldn't find any properties matching your search. Try broadening your criteria!"];
+      return [`I couldn't find any properties matching your search. Try broadening your criteria!${simplifiedNote}`];
     }
 
-    const header = `🔍 Found *${searchResults.totalCount}* properties for your search! Here are the top ${searchResults.results.length}:`;
+    let header = `🔍 Found *${searchResults.totalCount}* properties for your search! Here are the top ${searchResults.results.length}:`;
+    const appliedFilters = this.formatAppliedFilters(searchResults.appliedFilters);
+    if (appliedFilters) {
+      header += `\n🎯 *Filters:* ${appliedFilters}`;
+    }
+    header += simplifiedNote;
     const messages = [header];
 
     searchResults.results.forEach((property, index) => {
@@ -67,6 +80,9 @@ class DisplayService {
         }
         message += `📍 *Location:* ${location}\n`;
       }
+      if (property.distanceKm !== undefined) {
+        message += `📏 *Distance:* ${this.formatDistance(property.distanceKm)} away\n`;
+      }
       message += '\n'; // Extra space
 
       // Core stats
@@ -98,7 +114,7 @@ class DisplayService {
       
       message += `\n_To see details or book a viewing, reference property ID: *${property.id.substring(0, 4)}*_`;
       
-      messages.push(message);
+      messages.push(...this.withPhoto(message, coverUrls[property.id], `*${index + 1}. ${property.address}*`));
     });
 
     return messages;
@@ -226,6 +242,52 @@ class DisplayService {
     return message;
   }
 
+  /**
+   * Pair a message with its photo. WhatsApp carries one photo per message and shows the
+   * message text as its caption, so each card travels with its own photo; a card too long
+   * for a caption follows its photo as a separate text message.
+   * @param {string} text - Message text
+   * @param {string|null} mediaUrl - Photo URL, or null for a text-only message
+   * @param {string} shortCaption - Caption used when the text is too long
+   * @returns {Array} - Messages (strings and { body, mediaUrl } objects)
+   */
+  withPhoto(text, mediaUrl, shortCaption) {
+    if (!mediaUrl) return [text];
+    if (text.length <= MEDIA_CAPTION_LIMIT) return [{ body: text, mediaUrl }];
+    return [{ body: shortCaption, mediaUrl }, text];
+  }
+
+  /**
+   * Format the remaining photos of a property gallery, one captioned message each
+   * @param {Array} urls - Photo URLs after the first one
+   * @param {number} total - Number of photos the property has
+   * @returns {Array} - { body, mediaUrl } photo messages
+   */
+  formatGallery(urls, total) {
+    return urls.map((mediaUrl, index) => ({ body: `📷 ${index + 2}/${total}`, mediaUrl }));
+  }
+
+  formatMediaAttached(property, attachResult) {
+    const { added, failed, total, coverChanged } = attachResult;
+    const typeEmoji = this.getPropertyEmoji(property.property_type);
+
+    if (added.length === 0) {
+      return `❌ I couldn't save ${failed === 1 ? 'that photo' : 'those photos'} for ${property.address}. Please try sending ${failed === 1 ? 'it' : 'them'} again.`;
+    }
+
+    let message = `📸 *${added.length} photo${added.length === 1 ? '' : 's'} added!*\n\n`;
+    message += `${typeEmoji} ${property.address}\n`;
+    message += `🖼️ ${total} photo${total === 1 ? '' : 's'} in this listing`;
+    if (coverChanged) {
+      message += `\n⭐ ${added.length === 1 ? 'This photo' : 'The first one'} is now the cover photo`;
+    }
+    if (failed > 0) {
+      message += `\n\n⚠️ ${failed} photo${failed === 1 ? '' : 's'} couldn't be saved, please send ${failed === 1 ? 'it' : 'them'} again.`;
+    }
+
+    return message;
+  }
+
   // Utility methods
 
   getPropertyEmoji(propertyType) {
@@ -248,6 +310,72 @@ class DisplayService {
     return emojis[status] || '❓';
   }
 
+  /**
+   * Describe the filters a search actually applied, e.g. "for rent • in Lisbon • 2 beds • under €2,000 • elevator"
+   * @param {object} appliedFilters - appliedFilters from SearchService.searchProperties
+   * @returns {string} - Filter summary, or an empty string if nothing beyond status was applied
+   */
+  formatAppliedFilters(appliedFilters) {
+    if (!appliedFilters) return '';
+
+    const parts = [];
+    const range = (r, format) => {
+      if (r.exact !== undefined) return format(r.exact);
+      if (r.min !== undefined && r.max !== undefined) return `${format(r.min)}-${format(r.max)}`;
+      if (r.max !== undefined) return `up to ${format(r.max)}`;
+      return `${format(r.min)}+`;
+    };
+
+    if (appliedFilters.listing_type) parts.push(`for ${appliedFilters.listing_type}`);
+    if (appliedFilters.apartment_type) parts.push(appliedFilters.apartment_type.toUpperCase());
+
+    const location = appliedFilters.location;
+    if (location) {
+      parts.push(`in ${[location.district, location.city, location.country].filter(Boolean).join(', ')}`);
+    }
+    if (appliedFilters.near) {
+      parts.push(`within ${this.formatDistance(appliedFilters.near.radiusKm)} of ${appliedFilters.near.label}`);
+    }
+
+    if (appliedFilters.bedrooms) parts.push(`${range(appliedFilters.bedrooms, n => n)} beds`);
+    if (appliedFilters.bathrooms) parts.push(`${range(appliedFilters.bathrooms, n => n)} baths`);
+
+    const price = appliedFilters.price;
+    if (price) {
+      if (price.max !== undefined && price.min === undefined) {
+        parts.push(`under €${this.formatPrice(price.max)}`);
+      } else if (price.min !== undefined && price.max === undefined) {
+        parts.push(`over €${this.formatPrice(price.min)}`);
+      } else {
+        parts.push(range(price, n => `€${this.formatPrice(n)}`));
+      }
+    }
+
+    if (appliedFilters.area) parts.push(range(appliedFilters.area, n => `${n}m²`));
+    if (appliedFilters.floor) parts.push(`${appliedFilters.floor} floor`);
+    if (appliedFilters.built_year) parts.push(`built ${range(appliedFilters.built_year, n => n)}`);
+    if (appliedFilters.available_from) parts.push(`available by ${appliedFilters.available_from}`);
+    if (appliedFilters.amenities) {
+      parts.push(...appliedFilters.amenities.map(amenity => amenity.replace(/_/g, ' ')));
+    }
+    if (appliedFilters.status && appliedFilters.status !== 'active') parts.push(appliedFilters.status);
+
+    return parts.join(' • ');
+  }
+
+  /**
+   * Formats a distance for display: metres below 1 km, kilometres above.
+   * @param {number} km - Distance in kilometres.
+   * @returns {string} The formatted distance, e.g. "850 m" or "1.4 km".
+   */
+  formatDistance(km) {
+    if (km < 1) {
+      // Locations are district centroids, so finer steps would suggest false precision
+      return `${Math.max(Math.round(km * 20) * 50, 50)} m`;
+    }
+    return `${Number(km.toFixed(1))} km`;
+  }
+
   /**
    * Formats a price with commas for readability.
    * @param {number} price - The price to format.
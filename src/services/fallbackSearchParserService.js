@@ -0,0 +1,287 @@
+const City = require('../models/City');
+const District = require('../models/District');
+const geocodingService = require('./geocodingService');
+
+// Confidence reported for rule-based parses, below what the model reports
+const FALLBACK_CONFIDENCE = 0.4;
+
+// Known place names are reloaded after this long, so districts added with new listings are picked up
+const PLACES_REFRESH_MS = 10 * 60 * 1000;
+
+// An amount with optional currency and multiplier: "€1.500", "1500 eur", "2k", "2,5k", "300 mil", "1.2 million"
+const AMOUNT = '€?\\s*(\\d+(?:[.,]\\d+)*)\\s*(k|mil|million|milhoes|milhao)?\\s*(?:€|eur|euros?)?';
+const MAX_PRICE = new RegExp(`\\b(?:under|below|up to|max(?:imum)?|less than|no more than|budget(?: of)?|ate|no maximo|menos de|abaixo de)\\s*${AMOUNT}`);
+const MIN_PRICE = new RegExp(`\\b(?:over|above|more than|from|min(?:imum)?|at least|acima de|mais de|desde|a partir de|pelo menos)\\s*${AMOUNT}`);
+// "between 800 and 1200", "from 800 to 1200", "de 800 a/até 1200"
+const PRICE_RANGE = new RegExp(`\\b(?:between|entre|from|de|desde)\\s*${AMOUNT}\\s*(?:and|e|-|to|a|ate)\\s*${AMOUNT}`, 'g');
+// A bare amount only counts as a price with a currency sign or multiplier ("apartment in 3000" stays unparsed)
+const MARKED_PRICE = /(?:€\s*(\d+(?:[.,]\d+)*)\s*(k|mil)?|(\d+(?:[.,]\d+)*)\s*(k|mil|million|milhoes|milhao)?\s*(?:€|eur\b|euros?\b)|\b(\d+(?:[.,]\d+)*)\s*(k|mil|million|milhoes|milhao)\b)/;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5,
+  um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5
+};
+const COUNT = `(\\d|${Object.keys(NUMBER_WORDS).join('|')})`;
+const BEDROOMS = new RegExp(`(?:(at least|min(?:imum)?|pelo menos)\\s+)?\\b${COUNT}\\s*(\\+)?\\s*-?\\s*(?:bed(?:room)?s?|br|quartos?)\\b`);
+const BATHROOMS = new RegExp(`(?:(at least|min(?:imum)?|pelo menos)\\s+)?\\b${COUNT}\\s*(\\+)?\\s*-?\\s*(?:bath(?:room)?s?|wc|casas? de banho)\\b`);
+const TYPOLOGY = /\bt([0-5])(\+)?(?=\b|\s|$)/;
+const STUDIO = /\b(?:studio|estudio)\b/;
+
+// "80 m2" but not "within 500 m" (radius searches are handled by searchService.parseProximity)
+const AREA = /(?:\b(over|above|more than|at least|min(?:imum)?|under|below|up to|max(?:imum)?|mais de|menos de|ate)\s+)?(\d+(?:[.,]\d+)?)\s*(?:m2|m²|sqm|sq\.? ?m|square met(?:er|re)s?|metros quadrados)/;
+const MAX_WORDS = /^(under|below|up to|max(?:imum)?|menos de|ate)$/;
+
+const LISTING_TYPES = {
+  rent: /\b(?:rent|rental|renting|to let|lease|arrendar|arrendamento|alugar|aluguer|aluguel)\b/,
+  sale: /\b(?:buy|buying|sale|purchase|comprar|compra|venda|vender)\b/
+};
+
+// "casa de banho" (bathroom) is removed before property types are matched
+const PROPERTY_TYPES = {
+  apartment: /\b(?:apartments?|flats?|apartamentos?|penthouse|duplex)\b/,
+  house: /\b(?:houses?|villas?|moradias?|casas?|vivendas?)\b/,
+  commercial: /\b(?:commercial|shops?|stores?|lojas?|comercial)\b/,
+  land: /\b(?:land|plots?|terrenos?|lote)\b/
+};
+
+const AMENITIES = {
+  elevator: /\b(?:elevator|lift|elevador)\b/,
+  furnished: /\b(?:furnished|mobilado|mobiliado)\b/,
+  air_conditioning: /\b(?:air[- ]?con(?:ditioning)?|a\/c|ar condicionado)\b/,
+  work_room: /\b(?:work ?room|home office|office|escritorio)\b/
+};
+const UNFURNISHED = /\b(?:unfurnished|not furnished|sem mobilia|nao mobilado)\b/;
+
+const SORTINGS = [
+  { pattern: /\b(?:cheapest|lowest price|least expensive|mais barat[oa]s?)\b/, sorting: { field: 'price', order: 'asc' } },
+  { pattern: /\b(?:most expensive|highest price|mais car[oa]s?)\b/, sorting: { field: 'price', order: 'desc' } },
+  { pattern: /\b(?:biggest|largest|most space|maior(?:es)?)\b/, sorting: { field: 'area', order: 'desc' } }
+];
+
+/**
+ * Fallback Search Parser Service
+ * Offline, rule-based replacement for openaiService.parseSearchQuery, used when
+ * the model errors or times out. It understands prices (€, "k", "under",
+ * "até"), T0-T5 and bedroom counts, areas in m², the city and district names
+ * in our cities/districts tables, rent vs sale, property types and amenity
+ * keywords, in English and Portuguese. Results carry `simplified: true` and a
+ * lower confidence so the reply can say a simplified search was used.
+ */
+class FallbackSearchParserService {
+  constructor() {
+    this.places = null;       // [{ name, normalized, type }] longest name first
+    this.placesLoadedAt = 0;
+  }
+
+  /**
+   * Parse a search query into the same shape as openaiService.parseSearchQuery
+   * @param {string} message - User's search message
+   * @returns {Promise<object>} - { filters, sorting, limit, searchTerms, userIntent, priorityFeatures,
+   *   confidence, ambiguityWarnings, simplified }
+   */
+  async parse(message) {
+    const text = geocodingService.normalize(message).replace(/\s+/g, ' ');
+    const filters = { status: 'active' };
+
+    const price = this.findPrice(text);
+    if (price) filters.price = { ...price, currency: 'EUR' };
+
+    const bedrooms = this.findBedrooms(text);
+    if (bedrooms) filters.bedrooms = bedrooms;
+
+    const bathrooms = this.findCount(BATHROOMS, text);
+    if (bathrooms) filters.bathrooms = bathrooms;
+
+    const area = this.findArea(text);
+    if (area) filters.area = area;
+
+    const listingTypes = Object.keys(LISTING_TYPES).filter(type => LISTING_TYPES[type].test(text));
+    if (listingTypes.length === 1) filters.listing_type = listingTypes[0];
+
+    const withoutBathrooms = text.replace(/\bcasas? de banho\b/g, '');
+    const propertyType = Object.keys(PROPERTY_TYPES).find(type => PROPERTY_TYPES[type].test(withoutBathrooms));
+    if (propertyType) filters.property_type = propertyType;
+
+    const location = await this.findLocation(text);
+    if (location) filters.location = location;
+
+    const amenities = {};
+    for (const [amenity, pattern] of Object.entries(AMENITIES)) {
+      if (pattern.test(text)) amenities[amenity] = true;
+    }
+    if (UNFURNISHED.test(text)) amenities.furnished = false;
+    if (Object.keys(amenities).length > 0) filters.amenities = amenities;
+
+    const sorting = SORTINGS.find(entry => entry.pattern.test(text))?.sorting || { field: 'created_at', order: 'desc' };
+
+    console.log(`🧩 [SEARCH] Fallback parse of "${message}":`, JSON.stringify(filters));
+
+    return {
+      filters,
+      sorting,
+      limit: 10,
+      searchTerms: [],
+      userIntent: filters.listing_type === 'sale' ? 'buying' : filters.listing_type === 'rent' ? 'renting' : 'browsing',
+      priorityFeatures: Object.keys(amenities).filter(amenity => amenities[amenity]),
+      confidence: FALLBACK_CONFIDENCE,
+      ambiguityWarnings: ['Parsed with simplified rules because the AI parser was unavailable'],
+      simplified: true
+    };
+  }
+
+  /**
+   * Extract price bounds
+   * @param {string} text - Normalized message
+   * @returns {object|null} - { min, max }
+   */
+  findPrice(text) {
+    // The upper bound decides whether a range is a price: "de 3 a 4 quartos" is not
+    const range = [...text.matchAll(PRICE_RANGE)].find(match => this.looksLikePrice(text, match, 3));
+    if (range) {
+      return { min: this.parseAmount(range[1], range[2]), max: this.parseAmount(range[3], range[4]) };
+    }
+
+    const price = {};
+    const max = text.match(MAX_PRICE);
+    const min = text.match(MIN_PRICE);
+    if (max && this.looksLikePrice(text, max)) price.max = this.parseAmount(max[1], max[2]);
+    if (min && this.looksLikePrice(text, min)) price.min = this.parseAmount(min[1], min[2]);
+    if (Object.keys(price).length > 0) return price;
+
+    // A lone marked amount is a budget
+    const marked = text.match(MARKED_PRICE);
+    if (marked) {
+      const [amount, multiplier] = [marked[1] || marked[3] || marked[5], marked[2] || marked[4] || marked[6]];
+      return { max: this.parseAmount(amount, multiplier) };
+    }
+    return null;
+  }
+
+  /**
+   * Check that a bound like "under 80" is a price rather than an area, a radius or a room count
+   * @param {string} text - Normalized message
+   * @param {Array} match - PRICE_RANGE, MIN_PRICE or MAX_PRICE match
+   * @param {number} group - Index of the amount group to judge (its multiplier follows it)
+   * @returns {boolean} - True if it reads as a price
+   */
+  looksLikePrice(text, match, group = 1) {
+    const [matched, amount, multiplier] = [match[0], match[group], match[group + 1]];
+    const following = text.slice(match.index + matched.length);
+    if (/^\s*(?:m2|m²|sqm|sq|square|metros|m\b|km\b|kms?\b|bed|br\b|quarto|bath|wc)/.test(following)) return false;
+    return /€|eur/.test(matched) || !!multiplier || this.parseAmount(amount) >= 100;
+  }
+
+  /**
+   * Turn a written amount into euros
+   * @param {string} amount - Number as written ("1.500", "2,5")
+   * @param {string} multiplier - "k", "mil", "million"/"milhoes"/"milhao" or undefined
+   * @returns {number|null} - Amount
+   */
+  parseAmount(amount, multiplier) {
+    if (!amount) return null;
+    const digits = amount.replace(/[.,](?=\d{3}\b)/g, '').replace(',', '.');
+    const value = parseFloat(digits);
+    if (!Number.isFinite(value)) return null;
+
+    const factor = !multiplier ? 1 : /^(k|mil)$/.test(multiplier) ? 1000 : 1000000;
+    return Math.round(value * factor);
+  }
+
+  /**
+   * Extract the bedroom count from "T2", "2 bedrooms", "3+ quartos" or "studio"
+   * @param {string} text - Normalized message
+   * @returns {object|null} - { exact } or { min }
+   */
+  findBedrooms(text) {
+    const typology = text.match(TYPOLOGY);
+    if (typology) {
+      const count = parseInt(typology[1], 10);
+      return typology[2] ? { min: count } : { exact: count };
+    }
+    if (STUDIO.test(text)) return { exact: 0 };
+    return this.findCount(BEDROOMS, text);
+  }
+
+  /**
+   * Extract a room count
+   * @param {RegExp} pattern - BEDROOMS or BATHROOMS
+   * @param {string} text - Normalized message
+   * @returns {object|null} - { exact } or { min } for "at least 2" / "2+"
+   */
+  findCount(pattern, text) {
+    const match = text.match(pattern);
+    if (!match) return null;
+
+    const count = NUMBER_WORDS[match[2]] || parseInt(match[2], 10);
+    return match[1] || match[3] ? { min: count } : { exact: count };
+  }
+
+  /**
+   * Extract an area bound in square metres
+   * @param {string} text - Normalized message
+   * @returns {object|null} - { min } or { max }
+   */
+  findArea(text) {
+    const match = text.match(AREA);
+    if (!match) return null;
+
+    const size = Math.round(parseFloat(match[2].replace(',', '.')));
+    return match[1] && MAX_WORDS.test(match[1]) ? { max: size } : { min: size };
+  }
+
+  /**
+   * Find the district and/or city mentioned in a message
+   * @param {string} text - Normalized message
+   * @returns {Promise<object|null>} - { country, city, district } or null
+   */
+  async findLocation(text) {
+    const places = await this.getPlaces();
+    const mentioned = (name) => new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text);
+
+    const district = places.find(place => place.type === 'district' && mentioned(place.normalized));
+    const city = places.find(place => place.type === 'city' && mentioned(place.normalized));
+    if (district || city) {
+      return { country: null, city: city ? city.name : null, district: district ? district.name : null };
+    }
+
+    // Other spellings of known places ("Lisboa") come from the geocoding table
+    const place = geocodingService.findPlace(text);
+    if (!place) return null;
+    return {
+      country: null,
+      city: place.city,
+      district: place.precision === 'district' ? place.label : null
+    };
+  }
+
+  /**
+   * Load city and district names from the database, refreshing them periodically
+   * @returns {Promise<Array>} - Places, longest name first
+   */
+  async getPlaces() {
+    if (this.places && Date.now() - this.placesLoadedAt < PLACES_REFRESH_MS) {
+      return this.places;
+    }
+
+    try {
+      const [cities, districts] = await Promise.all([City.findAll(), District.findAll()]);
+      this.places = [
+        ...cities.map(city => ({ name: city.city, type: 'city' })),
+        ...districts.map(district => ({ name: district.district, type: 'district' }))
+      ]
+        .filter(place => place.name)
+        .map(place => ({ ...place, normalized: geocodingService.normalize(place.name) }))
+        .sort((a, b) => b.normalized.length - a.normalized.length);
+      this.placesLoadedAt = Date.now();
+    } catch (error) {
+      // Keep whatever was loaded before; the geocoding table still covers the main places
+      console.error('❌ [SEARCH] Could not load place names for the fallback parser:', error.message);
+      this.places = this.places || [];
+      this.placesLoadedAt = Date.now();
+    }
+
+    return this.places;
+  }
+}
+
+module.exports = new FallbackSearchParserService();
@@ -0,0 +1,160 @@
+const { ROUTES } = require('./messageRouting/routes');
+
+// Ordinals accepted as result numbers ("the second one", "o terceiro"). Portuguese ordinals that are
+// also weekdays or rooms ("segunda", "quarta", "quinta", "quarto") are left to the model.
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+  primeiro: 1, primeira: 1, segundo: 2, terceiro: 3, terceira: 3, quinto: 5
+};
+
+// A numbered reference to a search result: "2", "#2", "property 2", "number 2", "the 2nd", "the second one", "o imóvel 2"
+const REFERENCE = `(?:(?:the|o|a|no|na|ao|do|da)\\s+)?(?:(?:property|number|no\\.?|option|listing|imovel|numero|opcao|anuncio)\\s*)?#?\\s*` +
+  `(\\d{1,2}|${Object.keys(ORDINALS).join('|')}|\\d{1,2}(?:st|nd|rd|th|º|ª))(?:\\s+(?:one|property|listing|imovel))?`;
+
+const DETAILS_PATTERNS = [
+  new RegExp(`^(?:(?:show|send|get)\\s+(?:me\\s+)?)?(?:the\\s+)?(?:details|info|information|more info|more)\\s+(?:of|on|about|for)\\s+${REFERENCE}$`),
+  new RegExp(`^tell me (?:more )?about ${REFERENCE}$`),
+  new RegExp(`^(?:details|info)\\s+${REFERENCE}$`),
+  new RegExp(`^${REFERENCE}\\s+details$`),
+  new RegExp(`^(?:(?:ver|mostrar)\\s+)?(?:os\\s+|as\\s+)?(?:detalhes|informacoes|info|mais informacoes)\\s+(?:(?:do|da|de|sobre)\\s+)?${REFERENCE}$`)
+];
+
+const INTEREST_PATTERNS = [
+  new RegExp(`^(?:i(?:'d| would)? (?:like|want) to\\s+)?(?:book|visit|view|see)\\s+(?:a\\s+)?(?:viewing\\s+)?(?:(?:for|of)\\s+)?${REFERENCE}$`),
+  new RegExp(`^(?:i am|i'm|im)\\s+interested in\\s+${REFERENCE}$`),
+  new RegExp(`^(?:quero\\s+)?(?:marcar|agendar)\\s+(?:uma\\s+)?(?:visita\\s+)?(?:(?:ao|a|para|para o|para a|do|da|no|na)\\s+)?${REFERENCE}$`),
+  new RegExp(`^(?:quero\\s+)?(?:ver|visitar)\\s+${REFERENCE}$`),
+  new RegExp(`^(?:tenho\\s+)?interesse\\s+(?:no|na|em)\\s+${REFERENCE}$`)
+];
+
+// Owner/agent answers quoting the short appointment ID from the viewing request ("Confirm a1b2");
+// a few more characters tell apart requests whose IDs start alike
+const APPOINTMENT_ID = '#?([0-9a-f]{4,8})';
+const OWNER_ANSWERS = {
+  confirm: '(?:confirm|confirmed|accept|accepted|approve|yes|ok|confirmar|confirmo|aceitar|aceito|sim)',
+  decline: '(?:decline|declined|reject|refuse|no|recusar|recuso|rejeitar|rejeito|nao)'
+};
+const APPOINTMENT_WORDS = '(?:(?:appointment|viewing|request|visita|pedido)\\s+)?';
+
+const COMMAND_PATTERNS = {
+  [ROUTES.VIEW_OWN_LISTINGS]: [
+    /^(?:(?:show|see|view|list)\s+(?:me\s+)?)?(?:all\s+)?my (?:listings|properties|apartments|houses)$/,
+    /^(?:(?:ver|mostrar)\s+)?(?:os\s+|as\s+)?(?:meus|minhas) (?:anuncios|imoveis|propriedades|casas|apartamentos)$/
+  ],
+  [ROUTES.DELETE_PROPERTY]: [
+    /^(?:delete|remove) (?:a |my )?(?:property|listing)$/,
+    /^(?:apagar|eliminar|remover) (?:um |o |meu )?(?:imovel|anuncio)$/
+  ],
+  [ROUTES.SET_AVAILABILITY]: [
+    /^(?:set|update|change) (?:my )?(?:availability|viewing times)$/,
+    /^(?:definir|alterar|atualizar) (?:a )?(?:minha )?disponibilidade$/
+  ]
+};
+
+const YES_PATTERN = /^(?:yes|y|yeah|yep|yup|ok|okay|sure|confirm|confirmed|agreed|sounds good|that works|perfect|sim|s|claro|pode ser|combinado|confirmo|👍|✅)$/;
+const NO_PATTERN = /^(?:no|n|nope|not really|nao|nada|👎|❌)$/;
+
+// Politeness and punctuation that don't change what a short answer means
+const TRAILING_FILLER = /(?:[\s,]+(?:please|thanks|thank you|por favor|obrigad[oa]))+$/;
+
+/**
+ * Fast Path Service
+ * Deterministic recognizer that runs before any model call. It covers the
+ * messages the bot sees most (numbered references to search results, owner
+ * answers with a short appointment ID, yes/no, and the main commands) in
+ * English and Portuguese, and returns null for everything else so the model
+ * only sees the messages it is needed for. It has no dependencies, so it can
+ * be exercised on its own.
+ */
+class FastPathService {
+  /**
+   * Recognize a free-text message
+   * @param {string} message - User's message
+   * @param {object} context - { role } of the user
+   * @returns {object|null} - Route in messageRouterService's shape
+   *   ({ intent, confidence, propertyNumber, search, ownerResponse }), or null if not recognized
+   */
+  recognize(message, { role = null } = {}) {
+    const text = this.normalize(message);
+    if (!text) return null;
+
+    const route = (intent, extra = {}) => ({ intent, confidence: 1, propertyNumber: null, search: null, ownerResponse: null, ...extra });
+
+    if (role === 'owner' || role === 'agent') {
+      const ownerResponse = this.parseOwnerAnswer(text);
+      if (ownerResponse) return route(ROUTES.OWNER_APPOINTMENT_RESPONSE, { ownerResponse });
+    }
+
+    const details = this.matchReference(DETAILS_PATTERNS, text);
+    if (details) return route(ROUTES.PROPERTY_DETAILS, { propertyNumber: details });
+
+    const interest = this.matchReference(INTEREST_PATTERNS, text);
+    if (interest) return route(ROUTES.PROPERTY_INTEREST, { propertyNumber: interest });
+
+    for (const [intent, patterns] of Object.entries(COMMAND_PATTERNS)) {
+      if (patterns.some(pattern => pattern.test(text))) return route(intent);
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a short yes/no answer
+   * @param {string} message - User's message
+   * @returns {string|null} - 'yes', 'no', or null if the message is anything else
+   */
+  parseYesNo(message) {
+    const text = this.normalize(message).replace(TRAILING_FILLER, '');
+    if (YES_PATTERN.test(text)) return 'yes';
+    if (NO_PATTERN.test(text)) return 'no';
+    return null;
+  }
+
+  /**
+   * Read an owner/agent's confirm or decline for a viewing request
+   * @param {string} text - Normalized message
+   * @returns {object|null} - { intent, appointmentId, newTimeSuggestion } or null
+   */
+  parseOwnerAnswer(text) {
+    for (const [intent, words] of Object.entries(OWNER_ANSWERS)) {
+      const match = text.match(new RegExp(`^${words}\\s+${APPOINTMENT_WORDS}${APPOINTMENT_ID}$`)) ||
+        text.match(new RegExp(`^${APPOINTMENT_ID}\\s+${words}$`));
+      if (match) return { intent, appointmentId: match[1], newTimeSuggestion: null };
+    }
+    return null;
+  }
+
+  /**
+   * Find the result number referenced by the first matching pattern
+   * @param {Array<RegExp>} patterns - Patterns with the reference as their only group
+   * @param {string} text - Normalized message
+   * @returns {number|null} - 1-based result number
+   */
+  matchReference(patterns, text) {
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (!match) continue;
+
+      const reference = match[1];
+      const number = ORDINALS[reference] || parseInt(reference, 10);
+      return number > 0 ? number : null;
+    }
+    return null;
+  }
+
+  /**
+   * Lower-case a message and drop accents, surrounding punctuation and repeated spaces
+   * @param {string} message - User's message
+   * @returns {string} - Normalized text
+   */
+  normalize(message) {
+    return (message || '')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s¿¡]+|[\s.!?]+$/g, '')
+      .trim();
+  }
+}
+
+module.exports = new FastPathService();
@@ -0,0 +1,115 @@
+const centroids = require('./geocoding/locationCentroids.json');
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Geocoding Service
+ * Resolves district and city names to coordinates using a local table of
+ * centroids (geocoding/locationCentroids.json). It stands in for a real
+ * geocoder, so coordinates are only as precise as the district or city centre.
+ */
+class GeocodingService {
+  constructor() {
+    this.cities = new Map();    // normalized city name -> place
+    this.districts = new Map(); // normalized district name -> [place]
+
+    for (const city of centroids.cities) {
+      const cityPlace = { label: city.city, city: city.city, latitude: city.latitude, longitude: city.longitude, precision: 'city' };
+      [city.city, ...city.aliases].forEach(name => this.cities.set(this.normalize(name), cityPlace));
+
+      for (const district of city.districts) {
+        const key = this.normalize(district.district);
+        const places = this.districts.get(key) || [];
+        places.push({ label: district.district, city: city.city, latitude: district.latitude, longitude: district.longitude, precision: 'district' });
+        this.districts.set(key, places);
+      }
+    }
+
+    // Longest names first so "Parque das Nações" wins over a shorter name inside it
+    this.placeNames = [
+      ...[...this.districts.keys()].map(name => ({ name, type: 'district' })),
+      ...[...this.cities.keys()].map(name => ({ name, type: 'city' }))
+    ].sort((a, b) => b.name.length - a.name.length);
+  }
+
+  /**
+   * Normalize a place name for lookups (case and accents are ignored)
+   * @param {string} name - Place name
+   * @returns {string} - Normalized name
+   */
+  normalize(name) {
+    return (name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  }
+
+  /**
+   * Geocode a district and/or city
+   * @param {Object} location - { district, city }
+   * @returns {Object|null} - { label, city, latitude, longitude, precision } or null if unknown
+   */
+  geocode({ district = null, city = null } = {}) {
+    if (district) {
+      const places = this.districts.get(this.normalize(district)) || [];
+      const inCity = city ? places.find(place => this.normalize(place.city) === this.normalize(city)) : null;
+      if (inCity || places.length > 0) {
+        return inCity || places[0];
+      }
+    }
+
+    if (city) {
+      return this.cities.get(this.normalize(city)) || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the first known district or city mentioned in a text
+   * @param {string} text - Free text, e.g. "within 1 km of Rato"
+   * @returns {Object|null} - Place or null if none is mentioned
+   */
+  findPlace(text) {
+    const normalized = this.normalize(text);
+
+    for (const { name, type } of this.placeNames) {
+      if (new RegExp(`\\b${name}\\b`).test(normalized)) {
+        return type === 'district' ? this.districts.get(name)[0] : this.cities.get(name);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Coordinates of a property: its own, or its district's (or city's) centroid
+   * @param {Object} property - Property with optional districts:district_id(district, cities:city_id(city)) join
+   * @returns {Object|null} - { latitude, longitude } or null if unknown
+   */
+  getPropertyCoordinates(property) {
+    if (property.latitude != null && property.longitude != null) {
+      return { latitude: Number(property.latitude), longitude: Number(property.longitude) };
+    }
+
+    const place = this.geocode({
+      district: property.districts?.district,
+      city: property.districts?.cities?.city
+    });
+    return place ? { latitude: place.latitude, longitude: place.longitude } : null;
+  }
+
+  /**
+   * Great-circle distance between two points (haversine)
+   * @param {Object} from - { latitude, longitude }
+   * @param {Object} to - { latitude, longitude }
+   * @returns {number} - Distance in kilometres
+   */
+  distanceKm(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,52 @@
+/**
+ * Inbound Worker Service
+ * Runs inbound message jobs in the background once the webhook has been
+ * acknowledged (WEBHOOK_REPLY_MODE=async). Jobs for the same sender run one
+ * at a time in arrival order, so a conversation is never processed out of order;
+ * different senders are processed concurrently.
+ */
+class InboundWorkerService {
+  constructor() {
+    this.chains = new Map(); // sender -> promise of their last submitted job
+    this.pending = 0;
+  }
+
+  /**
+   * Schedule a job behind any earlier jobs for the same sender
+   * @param {string} sender - Sender phone number
+   * @param {Function} job - Async function to run
+   * @returns {Promise<void>} - Resolves when the job has finished (never rejects)
+   */
+  submit(sender, job) {
+    this.pending++;
+    const previous = this.chains.get(sender) || Promise.resolve();
+
+    const run = previous
+      .then(job)
+      .catch(error => {
+        console.error(`❌ [WORKER] Background job for ${sender} failed:`, error);
+      })
+      .finally(() => {
+        this.pending--;
+        if (this.chains.get(sender) === run) {
+          this.chains.delete(sender);
+        }
+      });
+
+    this.chains.set(sender, run);
+    return run;
+  }
+
+  /**
+   * Get worker statistics
+   * @returns {Object} - { pending, activeSenders }
+   */
+  getStats() {
+    return {
+      pending: this.pending,
+      activeSenders: this.chains.size
+    };
+  }
+}
+
+module.exports = new InboundWorkerService();
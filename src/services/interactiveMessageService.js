@@ -0,0 +1,270 @@
+const twilioService = require('./twilioService');
+const { config } = require('../config/environment');
+
+const INTERACTIVE_TYPES = {
+  BUTTONS: 'buttons',
+  LIST: 'list'
+};
+
+// Button/list payload actions routed by conversationService without an LLM call
+const PAYLOAD_ACTIONS = {
+  ROLE: 'role',
+  SLOT: 'slot',
+  APPOINTMENT_CONFIRM: 'appt_confirm',
+  APPOINTMENT_DECLINE: 'appt_decline',
+  MEDIA_PROPERTY: 'media_property',
+  MENU: 'menu',
+  DELETE_CONFIRM: 'delete_confirm'
+};
+
+// WhatsApp limits for interactive messages
+const LIMITS = {
+  bodyLength: 1024,
+  maxButtons: 3,
+  buttonTitleLength: 20,
+  maxListItems: 10,
+  listButtonLength: 20,
+  listItemTitleLength: 24,
+  listItemDescriptionLength: 72,
+  idLength: 200
+};
+
+/**
+ * Interactive Message Service
+ * Quick-reply buttons and list pickers that conversation handlers can return
+ * next to plain strings. They are sent through generic Twilio content
+ * templates (one per shape, filled in with content variables) and fall back
+ * to plain text whenever interactive delivery is disabled or not possible.
+ */
+class InteractiveMessageService {
+  constructor() {
+    this.contentSids = new Map(); // template name -> Promise<content SID>
+  }
+
+  /**
+   * Build a quick-reply button message
+   * @param {string} body - Message text
+   * @param {Array} buttons - [{ id, title }] (at most 3)
+   * @param {Object} options - { fallbackText } to replace the generated plain-text version
+   * @returns {Object} - Interactive message
+   */
+  buttons(body, buttons, { fallbackText = null } = {}) {
+    return { interactive: INTERACTIVE_TYPES.BUTTONS, body, buttons, fallbackText };
+  }
+
+  /**
+   * Build a list picker message
+   * @param {string} body - Message text
+   * @param {string} buttonText - Label of the button that opens the list
+   * @param {Array} items - [{ id, title, description }] (at most 10)
+   * @param {Object} options - { fallbackText } to replace the generated plain-text version
+   * @returns {Object} - Interactive message
+   */
+  list(body, buttonText, items, { fallbackText = null } = {}) {
+    return { interactive: INTERACTIVE_TYPES.LIST, body, buttonText, items, fallbackText };
+  }
+
+  /**
+   * Check whether a handler response is an interactive message
+   * @param {*} message - Handler response
+   * @returns {boolean} - True for messages built by buttons() or list()
+   */
+  isInteractive(message) {
+    return !!message && typeof message === 'object' && Object.values(INTERACTIVE_TYPES).includes(message.interactive);
+  }
+
+  /**
+   * Build a payload ID for a button or list item
+   * @param {string} action - One of PAYLOAD_ACTIONS
+   * @param {string|number} value - Action argument
+   * @returns {string} - Payload ID
+   */
+  payloadId(action, value) {
+    return `${action}:${value}`;
+  }
+
+  /**
+   * Split a payload ID into its action and argument
+   * @param {string} payload - ButtonPayload / ListId from the webhook
+   * @returns {Object} - { action, value }
+   */
+  parsePayload(payload) {
+    const separator = (payload || '').indexOf(':');
+    if (separator === -1) {
+      return { action: payload || null, value: null };
+    }
+    return { action: payload.slice(0, separator), value: payload.slice(separator + 1) };
+  }
+
+  /**
+   * Plain-text version of a message, for text-only delivery and the message log
+   * @param {string|Object} message - String or interactive message
+   * @returns {string} - Message text
+   */
+  toPlainText(message) {
+    if (!this.isInteractive(message)) return message;
+    if (message.fallbackText) return message.fallbackText;
+
+    const options = message.interactive === INTERACTIVE_TYPES.BUTTONS
+      ? message.buttons.map(button => `• *${button.title}*`)
+      : message.items.map((item, index) => `${index + 1}. *${item.title}*${item.description ? ` - ${item.description}` : ''}`);
+
+    return `${message.body}\n\n${options.join('\n')}`;
+  }
+
+  /**
+   * Check a message against WhatsApp's interactive limits
+   * @param {Object} message - Interactive message
+   * @returns {string|null} - Reason it cannot be sent interactively, or null if it can
+   */
+  validate(message) {
+    const tooLong = (text, max) => !text || text.length > max;
+
+    if (tooLong(message.body, LIMITS.bodyLength)) return 'body too long';
+
+    if (message.interactive === INTERACTIVE_TYPES.BUTTONS) {
+      if (message.buttons.length === 0 || message.buttons.length > LIMITS.maxButtons) return 'wrong number of buttons';
+      if (message.buttons.some(b => tooLong(b.title, LIMITS.buttonTitleLength) || tooLong(b.id, LIMITS.idLength))) {
+        return 'button title or id too long';
+      }
+      return null;
+    }
+
+    if (message.items.length === 0 || message.items.length > LIMITS.maxListItems) return 'wrong number of list items';
+    if (tooLong(message.buttonText, LIMITS.listButtonLength)) return 'list button text too long';
+    if (message.items.some(i => tooLong(i.title, LIMITS.listItemTitleLength) || tooLong(i.id, LIMITS.idLength) ||
+      (i.description && i.description.length > LIMITS.listItemDescriptionLength))) {
+      return 'list item title, id or description too long';
+    }
+    return null;
+  }
+
+  /**
+   * Send an interactive message, falling back to plain text when needed
+   * @param {string} to - Recipient phone number
+   * @param {Object} message - Interactive message
+   * @returns {Promise<Object>} - Send result from twilioService
+   */
+  async send(to, message) {
+    const plainText = this.toPlainText(message);
+
+    if (!config.interactive.enabled) {
+      return await twilioService.sendWhatsAppMessage(to, plainText);
+    }
+
+    const problem = this.validate(message);
+    if (problem) {
+      console.warn(`⚠️ [INTERACTIVE] Sending ${message.interactive} message as text: ${problem}`);
+      return await twilioService.sendWhatsAppMessage(to, plainText);
+    }
+
+    const { name, definition, variables } = this.buildTemplate(message);
+    let contentSid;
+    try {
+      contentSid = await this.getContentSid(name, definition);
+    } catch (error) {
+      console.error(`❌ [INTERACTIVE] Content template ${name} unavailable, sending as text:`, error.message);
+      return await twilioService.sendWhatsAppMessage(to, plainText);
+    }
+
+    try {
+      return await twilioService.sendContentMessage(to, contentSid, variables);
+    } catch (error) {
+      // Transient failures are left to the caller's retry handling
+      if (!error.status || error.status === 429 || error.status >= 500) {
+        throw error;
+      }
+      console.warn(`⚠️ [INTERACTIVE] Interactive send rejected (${error.code || error.status}), sending as text`);
+      return await twilioService.sendWhatsAppMessage(to, plainText);
+    }
+  }
+
+  /**
+   * Describe the generic content template for a message's shape and the variables that fill it
+   * @param {Object} message - Interactive message
+   * @returns {Object} - { name, definition, variables }
+   */
+  buildTemplate(message) {
+    const variables = { 1: message.body };
+    let next = 2;
+    const variable = (value) => {
+      variables[next] = value;
+      return `{{${next++}}}`;
+    };
+
+    if (message.interactive === INTERACTIVE_TYPES.BUTTONS) {
+      const actions = message.buttons.map(button => ({ title: variable(button.title), id: variable(button.id) }));
+      return {
+        name: `reagentbot_quick_reply_${actions.length}`,
+        variables,
+        definition: {
+          variables: this.sampleVariables(variables),
+          types: {
+            'twilio/quick-reply': { body: '{{1}}', actions },
+            'twilio/text': { body: '{{1}}' }
+          }
+        }
+      };
+    }
+
+    const withDescriptions = message.items.every(item => item.description);
+    const button = variable(message.buttonText);
+    const items = message.items.map(item => ({
+      item: variable(item.title),
+      id: variable(item.id),
+      ...(withDescriptions ? { description: variable(item.description) } : {})
+    }));
+    return {
+      name: `reagentbot_list_picker_${items.length}${withDescriptions ? '_desc' : ''}`,
+      variables,
+      definition: {
+        variables: this.sampleVariables(variables),
+        types: {
+          'twilio/list-picker': { body: '{{1}}', button, items },
+          'twilio/text': { body: '{{1}}' }
+        }
+      }
+    };
+  }
+
+  /**
+   * Placeholder values Twilio requires when a template with variables is created
+   * @param {Object} variables - Variables of one message
+   * @returns {Object} - Same keys with neutral sample values
+   */
+  sampleVariables(variables) {
+    const samples = {};
+    for (const key of Object.keys(variables)) {
+      samples[key] = `value_${key}`;
+    }
+    return samples;
+  }
+
+  /**
+   * Find or create the content template with a given name
+   * @param {string} name - Template friendly name
+   * @param {Object} definition - Template types
+   * @returns {Promise<string>} - Content SID
+   */
+  async getContentSid(name, definition) {
+    if (!this.contentSids.has(name)) {
+      const lookup = (async () => {
+        const existing = await twilioService.findContentTemplate(name);
+        if (existing) return existing;
+
+        console.log(`🧩 [INTERACTIVE] Creating content template ${name}`);
+        return await twilioService.createContentTemplate({ friendly_name: name, language: 'en', ...definition });
+      })();
+
+      // Forget failed lookups so the next message tries again
+      lookup.catch(() => this.contentSids.delete(name));
+      this.contentSids.set(name, lookup);
+    }
+
+    return await this.contentSids.get(name);
+  }
+}
+
+module.exports = new InteractiveMessageService();
+module.exports.INTERACTIVE_TYPES = INTERACTIVE_TYPES;
+module.exports.PAYLOAD_ACTIONS = PAYLOAD_ACTIONS;
@@ -0,0 +1,45 @@
+const OpenAI = require('openai');
+
+/**
+ * OpenAI provider
+ * Sends gateway requests to the chat completions API.
+ */
+class OpenAIProvider {
+  constructor(apiKey, model, timeoutMs) {
+    this.name = 'openai';
+    this.model = model;
+    // Without a timeout the SDK waits up to ten minutes before callers can fall back
+    this.client = new OpenAI({ apiKey, timeout: timeoutMs });
+  }
+
+  /**
+   * Run a chat completion for a gateway operation
+   * @param {string} operation - Operation name (unused; the prompt carries the instructions)
+   * @param {Object} request - { messages, temperature, max_tokens, response_format }
+   * @returns {Promise<Object>} - { content, usage }
+   */
+  async complete(operation, request) {
+    const params = {
+      model: request.model || this.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.max_tokens
+    };
+    if (request.response_format) {
+      params.response_format = request.response_format;
+    }
+
+    const response = await this.client.chat.completions.create(params);
+
+    return {
+      content: response.choices[0].message.content,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0,
+        totalTokens: response.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
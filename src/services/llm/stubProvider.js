@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const stubRules = require('./stubRules');
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, 'stubFixtures.json');
+// Rough characters-per-token ratio of English text, for usage estimates
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Stub provider
+ * Deterministic, offline replacement for the model. Each operation first checks
+ * the fixture file for a canned answer whose `match` regex fits the input, then
+ * falls back to the keyword rules in stubRules.js.
+ */
+class StubProvider {
+  constructor(fixturesPath) {
+    this.name = 'stub';
+    this.fixtures = this.loadFixtures(fixturesPath || DEFAULT_FIXTURES_PATH);
+  }
+
+  /**
+   * Load fixtures of the form { "<operation>": [{ "match": "regex", "response": any }] }
+   * @param {string} fixturesPath - Path to the JSON fixtures file
+   * @returns {Object} - Fixtures keyed by operation
+   */
+  loadFixtures(fixturesPath) {
+    try {
+      const fixtures = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+      console.log(`🧪 [LLM] Loaded stub fixtures from ${fixturesPath}`);
+      return fixtures;
+    } catch (error) {
+      console.warn(`⚠️ [LLM] Could not load stub fixtures from ${fixturesPath}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Find a fixture answer for an operation and input
+   * @param {string} operation - Operation name
+   * @param {string} input - Raw user text
+   * @returns {any|undefined} - Fixture response, or undefined if none matches
+   */
+  findFixture(operation, input) {
+    const entries = this.fixtures[operation] || [];
+    const fixture = entries.find(entry => new RegExp(entry.match, 'i').test(input));
+    return fixture ? fixture.response : undefined;
+  }
+
+  /**
+   * Answer a gateway operation
+   * @param {string} operation - Operation name
+   * @param {Object} request - Gateway request; `input` picks the answer, `messages` size the usage estimate
+   * @returns {Promise<Object>} - { content, usage }
+   */
+  async complete(operation, request) {
+    const input = (request.input || '').toString();
+
+    let response = this.findFixture(operation, input);
+    if (response === undefined) {
+      const rule = stubRules[operation];
+      if (!rule) {
+        throw new Error(`Stub provider has no rule for operation: ${operation}`);
+      }
+      response = rule(input, request);
+    }
+
+    const content = typeof response === 'string' ? response : JSON.stringify(response);
+    return { content, usage: this.estimateUsage(request.messages || [], content) };
+  }
+
+  /**
+   * Estimate the token usage the real model would report, so offline runs
+   * still give meaningful cost figures
+   * @param {Array} messages - Prompt messages
+   * @param {string} content - Answer text
+   * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+   */
+  estimateUsage(messages, content) {
+    const promptChars = messages.reduce((total, message) => total + (message.content || '').length, 0);
+    const promptTokens = Math.ceil(promptChars / CHARS_PER_TOKEN);
+    const completionTokens = Math.ceil(content.length / CHARS_PER_TOKEN);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,532 @@
+/**
+ * Stub LLM rules
+ * Keyword and regex rules that produce the same JSON shapes the prompts ask the
+ * model for. They are deliberately simple: good enough to drive every flow of
+ * the bot offline and deterministically, not to match the model's accuracy.
+ */
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const KNOWN_CITIES = ['Lisbon', 'Lisboa', 'Porto', 'Cascais', 'Sintra', 'Oeiras', 'Braga', 'Coimbra', 'Faro', 'Aveiro'];
+const KNOWN_DISTRICTS = [
+  'Rato', 'Alfama', 'Baixa', 'Chiado', 'Belém', 'Belem', 'Estrela', 'Lapa', 'Arroios', 'Benfica',
+  'Campo de Ourique', 'Príncipe Real', 'Principe Real', 'Parque das Nações', 'Avenidas Novas', 'Alvalade'
+];
+
+const AMENITY_KEYWORDS = {
+  elevator: /\b(elevator|lift|elevador)\b/i,
+  furnished: /\b(furnished|mobilado)\b/i,
+  air_conditioning: /\b(air[- ]?con(ditioning)?|a\/c|ac)\b/i,
+  work_room: /\b(work ?room|office|escritório)\b/i
+};
+
+const CONFIRMATION_PATTERN = /^(yes|yeah|yep|ok|okay|sure|fine|good|great|perfect|sounds good|that works|confirmed?|agreed?|let'?s do it|sim|claro|👍|✅)[.! ]*$/i;
+const REJECTION_PATTERN = /^(no|nope|not really|can'?t|doesn'?t work|não|nao)\b/i;
+const TIME_PATTERN = /\b(\d{1,2}\s*(am|pm|h\b|:\d{2})|monday|tuesday|wednesday|thursday|friday|saturday|sunday|weekdays?|weekends?|morning|afternoon|evening|noon|tonight|today|tomorrow|next week)\b/i;
+
+/**
+ * Parse "2k", "2.500", "€450,000" style amounts
+ * @param {string} raw - Raw amount text
+ * @returns {number|null} - Amount in euros
+ */
+const parseAmount = (raw) => {
+  if (!raw) return null;
+  const multiplier = /k$/i.test(raw) ? 1000 : 1;
+  const digits = raw.replace(/k$/i, '').replace(/[.,](?=\d{3}\b)/g, '').replace(',', '.');
+  const amount = parseFloat(digits);
+  return Number.isFinite(amount) ? Math.round(amount * multiplier) : null;
+};
+
+/**
+ * Apply a correction such as "oh I mean 3000" to the user's previous message,
+ * which is how the stub reads the conversation history
+ * @param {string} input - Correction
+ * @param {Array} messages - Gateway messages: system prompt, history, current message
+ * @returns {string} - Complete updated search
+ */
+const applyCorrection = (input, messages = []) => {
+  const previous = messages.slice(1, -1).filter(message => message.role === 'user').pop();
+  if (!previous) return input;
+
+  const amount = input.match(/\d[\d.,]*k?/i);
+  const amounts = previous.content.match(/\d[\d.,]*k?/gi);
+  if (amount && amounts) {
+    const last = amounts[amounts.length - 1];
+    const index = previous.content.lastIndexOf(last);
+    return previous.content.slice(0, index) + amount[0] + previous.content.slice(index + last.length);
+  }
+  return `${previous.content} ${input}`;
+};
+
+/**
+ * Convert "2pm", "14:30", "9" into HH:MM
+ * @param {string} hour - Hour text
+ * @param {string} minutes - Minutes text
+ * @param {string} meridiem - am/pm, if any
+ * @param {boolean} assumePm - Treat bare hours below 8 as afternoon
+ * @returns {string} - HH:MM
+ */
+const toClock = (hour, minutes, meridiem, assumePm = true) => {
+  let h = parseInt(hour, 10);
+  const m = minutes ? parseInt(minutes, 10) : 0;
+  if (meridiem) {
+    if (/pm/i.test(meridiem) && h < 12) h += 12;
+    if (/am/i.test(meridiem) && h === 12) h = 0;
+  } else if (assumePm && h < 8) {
+    h += 12;
+  }
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+};
+
+/**
+ * Find the first time range ("2-5pm", "10:00 - 13:00", "at 3pm") in a message
+ * @param {string} text - Message text
+ * @returns {Object|null} - { startTime, endTime }
+ */
+const findTimeRange = (text) => {
+  const range = text.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s*(?:-|–|to|até)\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
+  if (range) {
+    const endMeridiem = range[6];
+    return {
+      startTime: toClock(range[1], range[2], range[3] || endMeridiem),
+      endTime: toClock(range[4], range[5], endMeridiem || range[3])
+    };
+  }
+
+  const single = text.match(/(?:at|às|as)?\s*(\d{1,2})(?::(\d{2}))?\s*(am|pm|h)\b/i) || text.match(/\b(\d{1,2}):(\d{2})\b/);
+  if (single) {
+    const meridiem = /am|pm/i.test(single[3] || '') ? single[3] : null;
+    const startTime = toClock(single[1], single[2], meridiem, !meridiem && !single[2]);
+    const endHour = (parseInt(startTime.slice(0, 2), 10) + 1) % 24;
+    return { startTime, endTime: `${String(endHour).padStart(2, '0')}:${startTime.slice(3)}` };
+  }
+
+  if (/morning|manhã/i.test(text)) return { startTime: '09:00', endTime: '12:00' };
+  if (/afternoon|tarde/i.test(text)) return { startTime: '14:00', endTime: '17:00' };
+  if (/evening|noite/i.test(text)) return { startTime: '18:00', endTime: '20:00' };
+  return null;
+};
+
+/**
+ * Find weekday names mentioned in a message
+ * @param {string} text - Message text
+ * @returns {Array<string>} - Capitalized weekday names
+ */
+const findWeekdays = (text) => {
+  if (/\bweekdays?\b/i.test(text)) return WEEKDAYS.slice(1, 6);
+  if (/\bweekends?\b/i.test(text)) return ['Saturday', 'Sunday'];
+  return WEEKDAYS.filter(day => new RegExp(`\\b${day.slice(0, 3)}(${day.slice(3)})?s?\\b`, 'i').test(text));
+};
+
+/**
+ * Find the first known city or district in a message
+ * @param {Array<string>} names - Candidate names
+ * @param {string} text - Message text
+ * @returns {string|null} - Matching name
+ */
+const findName = (names, text) => names.find(name => new RegExp(`\\b${name}\\b`, 'i').test(text)) || null;
+
+/**
+ * Extract price bounds from a message
+ * @param {string} text - Message text
+ * @returns {Object|null} - { min, max }
+ */
+const findPrice = (text) => {
+  const amount = '€?\\s*(\\d+(?:[.,]\\d+)*k?)\\s*(?:€|eur|euros?)?';
+  const max = text.match(new RegExp(`(?:under|below|up to|max(?:imum)?|less than|até)\\s*${amount}`, 'i'));
+  const min = text.match(new RegExp(`(?:over|above|more than|from|min(?:imum)?|acima de)\\s*${amount}`, 'i'));
+  const around = text.match(/(?:€\s*(\d+(?:[.,]\d+)*k?)|(\d+(?:[.,]\d+)*k?)\s*(?:€|eur|euros?)\b)/i);
+
+  const price = {};
+  if (max) price.max = parseAmount(max[1]);
+  if (min) price.min = parseAmount(min[1]);
+  if (!max && !min && around) price.max = parseAmount(around[1] || around[2]);
+  return Object.keys(price).length > 0 ? price : null;
+};
+
+/**
+ * Extract a bedroom count from "T2", "2-bed", "2 bedrooms", "2 quartos"
+ * @param {string} text - Message text
+ * @returns {number|null} - Bedroom count
+ */
+const findBedrooms = (text) => {
+  const match = text.match(/\bT(\d)\b/i) || text.match(/\b(\d)\s*-?\s*(?:bed(?:room)?s?|br|quartos?)\b/i);
+  if (match) return parseInt(match[1], 10);
+  return /\bstudio\b/i.test(text) ? 0 : null;
+};
+
+/**
+ * Pick the first number referenced as "property 2", "number 3", "#4" or a bare digit
+ * @param {string} text - Message text
+ * @returns {number|null} - Referenced number
+ */
+const findReferenceNumber = (text) => {
+  const match = text.match(/(?:property|number|no\.?|#|imóvel|numero|número)\s*(\d+)/i) || text.match(/^\D*(\d{1,2})\D*$/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Next calendar date for a weekday name, or tomorrow
+ * @param {string|null} weekday - Capitalized weekday name
+ * @returns {Date} - Date of the next occurrence (never today)
+ */
+const nextDateFor = (weekday) => {
+  const date = new Date();
+  if (!weekday) {
+    date.setDate(date.getDate() + 1);
+    return date;
+  }
+  const diff = (WEEKDAYS.indexOf(weekday) - date.getDay() + 7) % 7 || 7;
+  date.setDate(date.getDate() + diff);
+  return date;
+};
+
+const rules = {
+  classify_intent: (input) => {
+    const text = input.toLowerCase();
+    const isGreeting = /^(hi|hello|hey|olá|ola|bom dia|good (morning|afternoon|evening))\b/.test(text) && text.length < 20;
+    const isAddingProperty = /\b(list|sell|selling|add property|want to sell)\b/.test(text);
+
+    let intent = 'unclear';
+    if (isGreeting) intent = 'greeting';
+    else if (/\b(buy|purchase|buying|comprar)\b/.test(text)) intent = 'buyer';
+    else if (/\b(rent|rental|lease|arrendar)\b/.test(text)) intent = 'renter';
+    else if (/\b(agent|broker)\b/.test(text)) intent = 'agent';
+    else if (isAddingProperty) intent = 'owner';
+
+    return {
+      intent,
+      hasPropertyLink: /https?:\/\/|www\./.test(text),
+      isAddingProperty,
+      confidence: intent === 'unclear' ? 0.4 : 0.8
+    };
+  },
+
+  classify_property_intent: (input) => {
+    const text = input.toLowerCase();
+    const looksLikeListing = findPrice(text) && (findBedrooms(text) !== null || /\b(m2|m²|sqm)\b/.test(text));
+
+    let intent = 'unclear';
+    let operation = 'search';
+    if (/\b(my (listings|properties|apartments|houses)|show my)\b/.test(text)) {
+      intent = 'view_own_listings';
+      operation = 'list';
+    } else if (/\b(delete|remove|delist)\b/.test(text)) {
+      intent = 'delete_property';
+      operation = 'delete';
+    } else if (/\b(availability|available on|viewing times|i am available|i'm available|schedule)\b/.test(text)) {
+      intent = 'set_availability';
+      operation = 'set_schedule';
+    } else if (/\b(mark as|as sold|as rented|off market)\b/.test(text)) {
+      intent = 'manage_property';
+      operation = 'status_change';
+    } else if (/\b(update|change|increase|reduce|lower)\b/.test(text)) {
+      intent = 'update_property';
+      operation = 'update';
+    } else if (/\b(add|list)\b.*\b(property|apartment|house|listing)\b/.test(text) || looksLikeListing && /\b(for rent|for sale|renting out|selling)\b/.test(text)) {
+      intent = 'add_property';
+      operation = 'create';
+    } else if (/\b(show|find|search|looking for|need|want|apartments?|houses?|properties|flat|t\d|studio|bed)\b/.test(text)) {
+      intent = 'search';
+    }
+
+    const confidence = intent === 'unclear' ? 0.3 : 0.8;
+    return {
+      intent,
+      operation,
+      confidence,
+      requiresSearch: intent === 'search',
+      requiresManagement: ['update_property', 'manage_property', 'delete_property'].includes(intent),
+      urgency: 'medium',
+      automationLevel: intent === 'unclear' ? 'manual' : 'full'
+    };
+  },
+
+  // Answers what the separate legacy checks would have answered, in their order
+  route_message: (input, request) => {
+    const { role = 'renter' } = request.context || {};
+    const isProvider = role === 'owner' || role === 'agent';
+    const route = { intent: 'unclear', confidence: 0.3, propertyNumber: null, search: null, ownerResponse: null };
+    const searchFor = (query) => {
+      const { filters, sorting, limit } = rules.parse_search_query(query);
+      return { query, isAmbiguous: false, clarificationMessage: null, filters, sorting, limit };
+    };
+
+    const ownerResponse = isProvider ? rules.parse_owner_response(input) : null;
+    if (ownerResponse && ownerResponse.intent !== 'unclear' && ownerResponse.appointmentId) {
+      return { ...route, intent: 'owner_appointment_response', confidence: 0.85, ownerResponse };
+    }
+
+    const isAppointmentRequest = rules.detect_appointment_request(input).isAppointmentRequest;
+    if (isProvider && isAppointmentRequest) {
+      return { ...route, intent: 'owner_availability', confidence: 0.85 };
+    }
+
+    const contextual = rules.parse_context_request(input, request);
+    if (contextual.intent === 'search_refinement') {
+      return { ...route, intent: 'search_refinement', confidence: contextual.confidence, search: searchFor(contextual.searchTerms) };
+    }
+    if (contextual.intent !== 'other') {
+      return { ...route, intent: contextual.intent, confidence: contextual.confidence, propertyNumber: contextual.propertyNumber };
+    }
+    if (isAppointmentRequest) {
+      return { ...route, intent: 'property_interest', confidence: 0.85, propertyNumber: findReferenceNumber(input) };
+    }
+
+    const { intent, confidence } = rules.classify_property_intent(input);
+    return { ...route, intent, confidence, search: intent === 'search' ? searchFor(input) : null };
+  },
+
+  classify_property_addition: (input) => {
+    const hasDetails = !!findPrice(input) && (findBedrooms(input) !== null || /\b(m2|m²|sqm)\b/i.test(input));
+    const hasIntent = /\b(add property|list my|for rent|for sale|selling|renting out)\b/i.test(input);
+    const containsProperties = hasDetails || hasIntent;
+    return {
+      containsProperties,
+      propertiesCount: containsProperties ? Math.max(1, (input.match(/€|\beur\b/gi) || []).length) : 0,
+      isStructuredListing: hasDetails,
+      confidence: hasDetails ? 0.85 : hasIntent ? 0.6 : 0.1,
+      automationReady: hasDetails
+    };
+  },
+
+  parse_context_request: (input, request) => {
+    const text = input.toLowerCase();
+    const propertyNumber = findReferenceNumber(text);
+
+    if (/\b(details?|more about|info(rmation)?|tell me)\b/.test(text) && propertyNumber) {
+      return { intent: 'property_details', propertyNumber, isSearchRefinement: false, isPropertyInterest: false, searchTerms: null, confidence: 0.85 };
+    }
+    if (/\b(interest(ed)?|book|visit|view(ing)?|see)\b/.test(text) && (propertyNumber || /\b(this|that|it)\b/.test(text))) {
+      return { intent: 'property_interest', propertyNumber, isSearchRefinement: false, isPropertyInterest: true, searchTerms: null, confidence: 0.85 };
+    }
+    if (/\b(i mean|actually|only (above|below|under|over)|cheaper|budget)\b/.test(text)) {
+      return { intent: 'search_refinement', propertyNumber: null, isSearchRefinement: true, isPropertyInterest: false, searchTerms: applyCorrection(input, request.messages), confidence: 0.75 };
+    }
+    return { intent: 'other', propertyNumber: null, isSearchRefinement: false, isPropertyInterest: false, searchTerms: null, confidence: 0.5 };
+  },
+
+  detect_appointment_request: (input) => {
+    const patterns = [
+      /(?:interest|interested)\s+in\s+(?:number\s+\d+|property\s+\d+|visiting|viewing|seeing|this|that)/i,
+      /(?:want|like|need)\s+to\s+(?:visit|view|see)\s+(?:it|this|that|number\s+\d+|property\s+\d+)/i,
+      /(?:book|schedule|arrange)\s+(?:a\s+)?(?:viewing|visit|appointment|tour)/i,
+      /(?:view|visit|see)\s+(?:property|number)\s+\d+/i,
+      /can\s+i\s+(?:see|visit|view)/i
+    ];
+    const isAppointmentRequest = patterns.some(pattern => pattern.test(input));
+    return {
+      isAppointmentRequest,
+      confidence: isAppointmentRequest ? 0.85 : 0.1,
+      intentType: isAppointmentRequest ? 'viewing' : 'inquiry',
+      hasContextualReference: /\b(this|that|it)\b/i.test(input),
+      isTimeContinuation: false,
+      keywords: []
+    };
+  },
+
+  detect_confirmation: (input) => {
+    const text = input.trim();
+    if (CONFIRMATION_PATTERN.test(text)) {
+      return { isConfirmation: true, confidence: 0.9, type: 'confirmation' };
+    }
+    if (REJECTION_PATTERN.test(text)) {
+      return { isConfirmation: false, confidence: 0.85, type: 'rejection' };
+    }
+    return { isConfirmation: false, confidence: 0.6, type: TIME_PATTERN.test(text) ? 'negotiation' : 'unknown' };
+  },
+
+  detect_time_reference: (input) => {
+    const isTimeRelated = TIME_PATTERN.test(input) || CONFIRMATION_PATTERN.test(input.trim()) || /\b(available|can do|works for)\b/i.test(input);
+    return {
+      isTimeRelated,
+      confidence: isTimeRelated ? 0.8 : 0.3,
+      timeComponents: (input.match(TIME_PATTERN) || []).slice(0, 1),
+      type: isTimeRelated ? 'specific_time' : 'unknown'
+    };
+  },
+
+  detect_ambiguous_query: () => ({
+    isAmbiguous: false,
+    confidence: 0.1,
+    shouldAskClarification: false,
+    reasoning: 'Stub provider never flags ambiguity'
+  }),
+
+  extract_property_details: (input) => {
+    const bedrooms = findBedrooms(input);
+    const price = findPrice(input);
+    return {
+      propertyType: /\b(house|moradia|villa)\b/i.test(input) ? 'house' : /\b(office|shop|commercial)\b/i.test(input) ? 'commercial' : 'apartment',
+      location: findName(KNOWN_DISTRICTS, input) || findName(KNOWN_CITIES, input),
+      priceRange: price ? String(price.max || price.min) : null,
+      bedrooms,
+      bathrooms: null,
+      features: Object.keys(AMENITY_KEYWORDS).filter(amenity => AMENITY_KEYWORDS[amenity].test(input)),
+      urgency: /\b(asap|urgent|now)\b/i.test(input) ? 'high' : 'medium',
+      investmentIntent: /\binvest/i.test(input)
+    };
+  },
+
+  convert_property_listings: (input) => {
+    // One listing per non-empty paragraph that mentions a price
+    const blocks = input.split(/\n\s*\n/).filter(block => findPrice(block) || /\d\s*(€|eur)/i.test(block));
+    return blocks.map(block => {
+      const price = findPrice(block);
+      const area = block.match(/(\d+)\s*(?:m2|m²|sqm)/i);
+      const bathrooms = block.match(/(\d)\s*(?:bath(?:room)?s?|wc|casas? de banho)/i);
+      const bedrooms = findBedrooms(block);
+      const apartmentType = block.match(/\b(T\d)\b/i);
+      return {
+        address: block.split(/[,\n]/)[0].trim(),
+        price: price ? (price.max || price.min) : 0,
+        currency: 'EUR',
+        property_type: /\b(house|moradia|villa)\b/i.test(block) ? 'house' : 'apartment',
+        bedrooms: bedrooms !== null ? bedrooms : 1,
+        bathrooms: bathrooms ? parseInt(bathrooms[1], 10) : 1,
+        area_sqm: area ? parseInt(area[1], 10) : null,
+        status: 'active',
+        listing_type: /\b(sale|sell|selling|venda)\b/i.test(block) ? 'sale' : 'rent',
+        description: block.trim(),
+        external_url: (block.match(/https?:\/\/\S+/) || [null])[0],
+        contact_name: null,
+        contact_phone: (block.match(/\+\d[\d ]{7,}/) || [null])[0],
+        apartment_type: apartmentType ? apartmentType[1].toUpperCase() : null,
+        country_name: 'Portugal',
+        city_name: findName(KNOWN_CITIES, block) || 'Lisbon',
+        district_name: findName(KNOWN_DISTRICTS, block)
+      };
+    });
+  },
+
+  parse_search_query: (input) => {
+    const filters = { status: 'active' };
+
+    const bedrooms = findBedrooms(input);
+    if (bedrooms !== null) filters.bedrooms = { exact: bedrooms };
+
+    const price = findPrice(input);
+    if (price) filters.price = { ...price, currency: 'EUR' };
+
+    const area = input.match(/(\d+)\s*(?:m2|m²|sqm)/i);
+    if (area) filters.area = { min: parseInt(area[1], 10) };
+
+    if (/\b(rent|rental|to let|arrendar)\b/i.test(input)) filters.listing_type = 'rent';
+    if (/\b(buy|sale|purchase|comprar|venda)\b/i.test(input)) filters.listing_type = 'sale';
+
+    const district = findName(KNOWN_DISTRICTS, input);
+    const city = findName(KNOWN_CITIES, input);
+    if (district || city) filters.location = { district, city, country: null };
+
+    const amenities = {};
+    Object.entries(AMENITY_KEYWORDS).forEach(([amenity, pattern]) => {
+      if (pattern.test(input)) amenities[amenity] = true;
+    });
+    if (Object.keys(amenities).length > 0) filters.amenities = amenities;
+
+    const cheapest = /\b(cheap(est)?|lowest price)\b/i.test(input);
+    return {
+      filters,
+      sorting: { field: cheapest ? 'price' : 'created_at', order: cheapest ? 'asc' : 'desc' },
+      limit: 10,
+      searchTerms: [],
+      userIntent: filters.listing_type === 'sale' ? 'buying' : filters.listing_type === 'rent' ? 'renting' : 'browsing',
+      priorityFeatures: Object.keys(amenities),
+      confidence: 0.6,
+      ambiguityWarnings: []
+    };
+  },
+
+  parse_update_request: (input) => {
+    const updates = {};
+    const price = input.match(/price\s*(?:to|=)?\s*€?\s*(\d+(?:[.,]\d+)*k?)/i) || input.match(/€\s*(\d+(?:[.,]\d+)*k?)/);
+    if (price) updates.price = parseAmount(price[1]);
+    const status = input.match(/\b(sold|rented|inactive|active)\b/i);
+    if (status) updates.status = status[1].toLowerCase();
+    const bedrooms = input.match(/(\d+)\s*bed(room)?s?/i);
+    if (bedrooms) updates.bedrooms = parseInt(bedrooms[1], 10);
+
+    const district = findName(KNOWN_DISTRICTS, input);
+    return {
+      propertyIdentification: district
+        ? { method: 'address', criteria: district, propertyId: null, ambiguous: false, confidence: 0.7 }
+        : { method: 'single', criteria: '', propertyId: null, ambiguous: false, confidence: 0.7 },
+      updates,
+      action: updates.status ? 'status_change' : 'update',
+      confidence: Object.keys(updates).length > 0 ? 0.8 : 0.2,
+      needsConfirmation: false,
+      automationReady: Object.keys(updates).length > 0
+    };
+  },
+
+  parse_availability: (input) => {
+    const range = findTimeRange(input);
+    const days = findWeekdays(input);
+    if (!range || days.length === 0) {
+      return { schedule: [] };
+    }
+    return { schedule: days.map(day => ({ day, ...range })) };
+  },
+
+  parse_owner_response: (input) => {
+    const idMatch = input.match(/\b([a-f0-9]{4})\b/i);
+    const appointmentId = idMatch ? idMatch[1].toLowerCase() : null;
+
+    if (/\b(confirm|yes|ok|accept)\b/i.test(input)) {
+      return { intent: 'confirm', appointmentId, newTimeSuggestion: null };
+    }
+    if (TIME_PATTERN.test(input) && /\b(suggest|how about|instead|can't|cannot|rather)\b/i.test(input)) {
+      const suggestion = input.match(TIME_PATTERN);
+      return { intent: 'suggest_new_time', appointmentId, newTimeSuggestion: suggestion ? input.slice(suggestion.index).trim() : input };
+    }
+    if (/\b(decline|no|reject|cancel)\b/i.test(input)) {
+      return { intent: 'decline', appointmentId, newTimeSuggestion: null };
+    }
+    return { intent: 'unclear', appointmentId, newTimeSuggestion: null };
+  },
+
+  parse_owner_availability: (input) => {
+    const range = findTimeRange(input) || { startTime: null, endTime: null };
+    const [weekday] = findWeekdays(input);
+    const date = /\btoday|hoje\b/i.test(input) ? new Date() : nextDateFor(weekday || null);
+    return {
+      parsedDate: date.toISOString().split('T')[0],
+      dateFormatted: date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' }),
+      startTime: range.startTime,
+      endTime: range.endTime,
+      timeFormatted: range.startTime ? `${range.startTime} - ${range.endTime}` : null,
+      summary: input
+    };
+  },
+
+  parse_time_preferences: (input) => {
+    const days = findWeekdays(input).map(day => day.toLowerCase());
+    const times = (input.match(/\b(morning|afternoon|evening|\d{1,2}\s*(?:am|pm))\b/gi) || []).map(time => time.toLowerCase());
+    return {
+      days,
+      times,
+      absoluteDates: [],
+      flexibility: days.length + times.length > 1 ? 'medium' : 'high',
+      urgency: /\b(asap|today|tomorrow|urgent)\b/i.test(input) ? 'high' : 'medium',
+      summary: input
+    };
+  },
+
+  reply_error: (input) => `Sorry, I couldn't complete "${input}" right now. Could you try again or rephrase it?`,
+
+  reply_no_results: () => '💡 No matches yet. Try a higher budget, fewer bedrooms or a nearby area.',
+
+  reply_zero_results_suggestion: () => 'No properties matched every filter. Try widening your budget or removing a filter.',
+
+  reply_unclear: () => "🤔 I'm not sure what you need. You can say things like \"2-bedroom apartments in Lisbon\" or \"show my listings\".",
+
+  reply_permission: () => '🔒 That option is only available to property owners and agents.',
+
+  reply_management_failure: () => "You don't have any properties yet. Send me the listing details (address, price, bedrooms) to add one first.",
+
+  reply_contact: () => '📞 Search for properties first, then ask for the contact details of a specific one, e.g. "contact for property 2".',
+
+  reply_no_search_context: () => '🔍 I need a recent search first. Try something like "apartments in Lisbon under €2000".'
+};
+
+module.exports = rules;
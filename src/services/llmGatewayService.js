@@ -0,0 +1,189 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { config } = require('../config/environment');
+
+/**
+ * Named LLM operations. Every model call in the bot goes through one of these,
+ * so providers (and the offline stub) know what kind of answer is expected.
+ */
+const LLM_OPERATIONS = {
+  // Intent and classification
+  ROUTE_MESSAGE: 'route_message',
+  CLASSIFY_INTENT: 'classify_intent',
+  CLASSIFY_PROPERTY_INTENT: 'classify_property_intent',
+  CLASSIFY_PROPERTY_ADDITION: 'classify_property_addition',
+  PARSE_CONTEXT_REQUEST: 'parse_context_request',
+  DETECT_APPOINTMENT_REQUEST: 'detect_appointment_request',
+  DETECT_CONFIRMATION: 'detect_confirmation',
+  DETECT_TIME_REFERENCE: 'detect_time_reference',
+  DETECT_AMBIGUOUS_QUERY: 'detect_ambiguous_query',
+
+  // Structured extraction
+  EXTRACT_PROPERTY_DETAILS: 'extract_property_details',
+  CONVERT_PROPERTY_LISTINGS: 'convert_property_listings',
+  PARSE_SEARCH_QUERY: 'parse_search_query',
+  PARSE_UPDATE_REQUEST: 'parse_update_request',
+  PARSE_AVAILABILITY: 'parse_availability',
+  PARSE_OWNER_RESPONSE: 'parse_owner_response',
+  PARSE_OWNER_AVAILABILITY: 'parse_owner_availability',
+  PARSE_TIME_PREFERENCES: 'parse_time_preferences',
+
+  // Free-text replies
+  REPLY_ERROR: 'reply_error',
+  REPLY_NO_RESULTS: 'reply_no_results',
+  REPLY_ZERO_RESULTS_SUGGESTION: 'reply_zero_results_suggestion',
+  REPLY_UNCLEAR: 'reply_unclear',
+  REPLY_PERMISSION: 'reply_permission',
+  REPLY_MANAGEMENT_FAILURE: 'reply_management_failure',
+  REPLY_CONTACT: 'reply_contact',
+  REPLY_NO_SEARCH_CONTEXT: 'reply_no_search_context'
+};
+
+/**
+ * LLM Gateway Service
+ * Single entry point for model calls with a swappable provider
+ * ('openai' or the offline 'stub'), chosen by LLM_PROVIDER.
+ */
+class LlmGatewayService {
+  constructor() {
+    this.provider = this.createProvider(config.llm.provider);
+    this.stats = {};
+    this.turnStats = {};
+    // Holds the counters of the conversation turn an async call chain belongs to
+    this.turns = new AsyncLocalStorage();
+    console.log(`🧠 [LLM] Using ${this.provider.name} provider`);
+  }
+
+  /**
+   * Instantiate a provider by name
+   * @param {string} providerName - 'openai' or 'stub'
+   * @returns {Object} - Provider instance
+   */
+  createProvider(providerName) {
+    switch (providerName) {
+      case 'openai': {
+        const OpenAIProvider = require('./llm/openaiProvider');
+        return new OpenAIProvider(config.openai.apiKey, config.llm.model, config.llm.timeoutMs);
+      }
+      case 'stub': {
+        const StubProvider = require('./llm/stubProvider');
+        return new StubProvider(config.llm.stubFixturesPath);
+      }
+      default:
+        throw new Error(`Unknown LLM provider: ${providerName}`);
+    }
+  }
+
+  /**
+   * Run a named operation
+   * @param {string} operation - One of LLM_OPERATIONS
+   * @param {Object} request - { messages, temperature, max_tokens, response_format, input }
+   *   where `input` is the raw user text the operation is about (used by the stub)
+   * @returns {Promise<Object>} - { content, usage, provider, operation, latencyMs }
+   */
+  async complete(operation, request) {
+    if (!Object.values(LLM_OPERATIONS).includes(operation)) {
+      throw new Error(`Unknown LLM operation: ${operation}`);
+    }
+
+    const startedAt = Date.now();
+    const stats = this.stats[operation] || (this.stats[operation] = {
+      calls: 0,
+      failures: 0,
+      totalLatencyMs: 0,
+      totalTokens: 0
+    });
+    stats.calls++;
+    const turn = this.turns.getStore();
+    if (turn) turn.calls++;
+
+    try {
+      const result = await this.provider.complete(operation, request);
+      const latencyMs = Date.now() - startedAt;
+
+      stats.totalLatencyMs += latencyMs;
+      stats.totalTokens += result.usage?.totalTokens || 0;
+      if (turn) {
+        turn.llmLatencyMs += latencyMs;
+        turn.totalTokens += result.usage?.totalTokens || 0;
+      }
+
+      return {
+        content: result.content || '',
+        usage: result.usage || { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+        provider: this.provider.name,
+        operation,
+        latencyMs
+      };
+    } catch (error) {
+      stats.failures++;
+      stats.totalLatencyMs += Date.now() - startedAt;
+      if (turn) turn.llmLatencyMs += Date.now() - startedAt;
+      throw error;
+    }
+  }
+
+  /**
+   * Handle one conversation turn, counting the model calls, tokens and latency it costs
+   * @param {string} label - Pipeline that handled the turn (the LLM_ROUTER mode)
+   * @param {Function} handler - Async function that handles the turn
+   * @returns {Promise<*>} - Whatever the handler returns
+   */
+  async trackTurn(label, handler) {
+    const turn = { calls: 0, totalTokens: 0, llmLatencyMs: 0 };
+    const startedAt = Date.now();
+
+    try {
+      return await this.turns.run(turn, handler);
+    } finally {
+      const turnMs = Date.now() - startedAt;
+      const stats = this.turnStats[label] || (this.turnStats[label] = {
+        turns: 0,
+        calls: 0,
+        totalTokens: 0,
+        llmLatencyMs: 0,
+        turnMs: 0
+      });
+      stats.turns++;
+      stats.calls += turn.calls;
+      stats.totalTokens += turn.totalTokens;
+      stats.llmLatencyMs += turn.llmLatencyMs;
+      stats.turnMs += turnMs;
+
+      console.log(`📈 [LLM] Turn (${label}): ${turn.calls} calls, ${turn.totalTokens} tokens, ${turn.llmLatencyMs}ms in the model, ${turnMs}ms in total`);
+    }
+  }
+
+  /**
+   * Get per-operation call statistics and per-turn averages
+   * @returns {Object} - { provider, operations: { [operation]: { calls, failures, avgLatencyMs, totalTokens } },
+   *   turns: { [label]: { turns, avgCalls, avgTokens, avgLlmLatencyMs, avgTurnMs } } }
+   */
+  getStats() {
+    const operations = {};
+    for (const [operation, stats] of Object.entries(this.stats)) {
+      operations[operation] = {
+        calls: stats.calls,
+        failures: stats.failures,
+        avgLatencyMs: stats.calls > 0 ? Math.round(stats.totalLatencyMs / stats.calls) : 0,
+        totalTokens: stats.totalTokens
+      };
+    }
+
+    const turns = {};
+    for (const [label, stats] of Object.entries(this.turnStats)) {
+      const average = (total) => Math.round(total / stats.turns * 10) / 10;
+      turns[label] = {
+        turns: stats.turns,
+        avgCalls: average(stats.calls),
+        avgTokens: average(stats.totalTokens),
+        avgLlmLatencyMs: average(stats.llmLatencyMs),
+        avgTurnMs: average(stats.turnMs)
+      };
+    }
+
+    return { provider: this.provider.name, operations, turns };
+  }
+}
+
+module.exports = new LlmGatewayService();
+module.exports.LLM_OPERATIONS = LLM_OPERATIONS;
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local filesystem media driver
+ * Stores media files under a directory on this machine. Suited to a single
+ * instance; use the supabase driver when several instances share media.
+ */
+class LocalMediaDriver {
+  constructor(directory) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Resolve a storage key to a file path inside the media directory
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute file path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type (unused, the key carries the extension)
+   */
+  async save(key, buffer, contentType) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} - File contents
+   */
+  async read(key) {
+    return await fs.promises.readFile(this.resolve(key));
+  }
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalMediaDriver;
@@ -0,0 +1,66 @@
+const { supabaseAdmin } = require('../../config/database');
+
+/**
+ * Supabase Storage media driver
+ * Stores media files in a Supabase Storage bucket so every instance sees them.
+ * Requires DATABASE_ADAPTER=supabase.
+ */
+class SupabaseMediaDriver {
+  constructor(bucket) {
+    this.name = 'supabase';
+    this.bucket = bucket;
+
+    if (!supabaseAdmin || !supabaseAdmin.storage) {
+      throw new Error('The supabase media driver requires the supabase database adapter');
+    }
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   */
+  async save(key, buffer, contentType) {
+    const { error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} - File contents
+   */
+  async read(key) {
+    const { data, error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .download(key);
+
+    if (error) {
+      throw error;
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  /**
+   * Delete a file
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    const { error } = await supabaseAdmin.storage
+      .from(this.bucket)
+      .remove([key]);
+
+    if (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = SupabaseMediaDriver;
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { config } = require('../config/environment');
+
+// File extensions for the media types we store
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+/**
+ * Media Storage Service
+ * Pluggable file storage for property media. The driver is chosen by
+ * MEDIA_STORAGE_DRIVER; every driver exposes save, read and delete by key.
+ */
+class MediaStorageService {
+  constructor() {
+    this.driver = this.createDriver(config.media.storageDriver);
+    console.log(`🖼️ [MEDIA] Using ${this.driver.name} media storage`);
+  }
+
+  /**
+   * Instantiate a media driver by name
+   * @param {string} driverName - 'local' or 'supabase'
+   * @returns {Object} - Driver instance
+   */
+  createDriver(driverName) {
+    switch (driverName) {
+      case 'local': {
+        const LocalMediaDriver = require('./mediaStorage/localDriver');
+        return new LocalMediaDriver(config.media.localDir);
+      }
+      case 'supabase': {
+        const SupabaseMediaDriver = require('./mediaStorage/supabaseDriver');
+        return new SupabaseMediaDriver(config.media.bucket);
+      }
+      default:
+        throw new Error(`Unknown media storage driver: ${driverName}`);
+    }
+  }
+
+  /**
+   * Name of the active driver, recorded with each stored file
+   * @returns {string} - Driver name
+   */
+  get driverName() {
+    return this.driver.name;
+  }
+
+  /**
+   * Build a unique storage key for a property's media file
+   * @param {string} propertyId - Property ID
+   * @param {string} contentType - MIME type
+   * @returns {string} - Storage key
+   */
+  buildKey(propertyId, contentType) {
+    const extension = EXTENSIONS[contentType] || 'bin';
+    return `properties/${propertyId}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${extension}`;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {string} contentType - MIME type
+   */
+  async save(key, buffer, contentType) {
+    await this.driver.save(key, buffer, contentType);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer>} - File contents
+   */
+  async read(key) {
+    return await this.driver.read(key);
+  }
+
+  /**
+   * Delete a file
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await this.driver.delete(key);
+  }
+}
+
+module.exports = new MediaStorageService();
+module.exports.EXTENSIONS = EXTENSIONS;
@@ -0,0 +1,264 @@
+const Message = require('../models/Message');
+const { STATUS, STATUS_RANK } = require('../models/Message');
+const User = require('../models/User');
+
+// Twilio statuses that are not tracked separately
+const TWILIO_STATUS_MAP = {
+  accepted: STATUS.QUEUED,
+  scheduled: STATUS.QUEUED,
+  sending: STATUS.QUEUED,
+  canceled: STATUS.FAILED,
+  receiving: STATUS.RECEIVED
+};
+
+/**
+ * Message Log Service
+ * Records inbound and outbound messages in the `messages` table and applies
+ * Twilio status callbacks. Logging never blocks messaging: every method logs
+ * and swallows its own errors.
+ */
+class MessageLogService {
+  /**
+   * Record an inbound message
+   * @param {Object} details - { messageSid, phoneNumber, userId, body, media }
+   * @returns {Promise<Object|null>} - Logged message
+   */
+  async logInbound({ messageSid, phoneNumber, userId = null, body, media = [] }) {
+    try {
+      return await Message.create({
+        direction: 'inbound',
+        message_sid: messageSid || null,
+        user_id: userId,
+        phone_number: this.cleanNumber(phoneNumber),
+        body,
+        media,
+        status: STATUS.RECEIVED,
+        status_updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [MESSAGES] Failed to log inbound message:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record an outbound message
+   * @param {Object} details - { phoneNumber, body, mediaUrl, kind, messageSid, status, userId, propertyId, appointmentId }
+   * @returns {Promise<Object|null>} - Logged message
+   */
+  async logOutbound({
+    phoneNumber,
+    body,
+    mediaUrl = null,
+    kind = 'notification',
+    messageSid = null,
+    status = STATUS.QUEUED,
+    userId = null,
+    propertyId = null,
+    appointmentId = null
+  }) {
+    try {
+      const cleanNumber = this.cleanNumber(phoneNumber);
+      return await Message.create({
+        direction: 'outbound',
+        message_sid: messageSid,
+        user_id: userId || await this.findUserId(cleanNumber),
+        phone_number: cleanNumber,
+        body,
+        media: mediaUrl ? [{ url: mediaUrl, contentType: null }] : [],
+        kind,
+        property_id: propertyId,
+        appointment_id: appointmentId,
+        status: this.normalizeStatus(status),
+        status_updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ [MESSAGES] Failed to log outbound message:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the transcript of an inbound voice note
+   * @param {Object} message - Logged inbound message (from logInbound)
+   * @param {Object} details - { text, language, provider, latencyMs } or { provider, error } when it failed
+   * @returns {Promise<Object|null>} - Updated message
+   */
+  async recordTranscription(message, { text = null, language = null, provider, latencyMs = null, error = null }) {
+    if (!message) return null;
+
+    try {
+      return await Message.updateById(message.id, {
+        transcript: text || null,
+        transcription: error ? { provider, error } : { provider, language, latencyMs },
+        updated_at: new Date().toISOString()
+      });
+    } catch (logError) {
+      console.error('❌ [MESSAGES] Failed to record transcription:', logError.message);
+      return null;
+    }
+  }
+
+  /**
+   * Attach the Twilio SID and first status to a logged outbound message
+   * @param {string} id - Message log ID
+   * @param {string} messageSid - Twilio message SID
+   * @param {string} status - Status returned by the send call
+   * @returns {Promise<Object|null>} - Updated message
+   */
+  async recordSent(id, messageSid, status = STATUS.QUEUED) {
+    try {
+      const message = await Message.findById(id);
+      if (!message) return null;
+
+      const updates = { message_sid: messageSid, updated_at: new Date().toISOString() };
+      // A status callback may already have beaten us here
+      const normalized = this.normalizeStatus(status);
+      if (STATUS_RANK[normalized] > STATUS_RANK[message.status]) {
+        updates.status = normalized;
+        updates.status_updated_at = updates.updated_at;
+      }
+      return await Message.updateById(id, updates);
+    } catch (error) {
+      console.error('❌ [MESSAGES] Failed to record sent message:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Mark a logged outbound message as failed before it reached Twilio
+   * @param {string} id - Message log ID
+   * @param {string} errorMessage - Failure reason
+   * @param {string|number} errorCode - Twilio error code, if any
+   * @returns {Promise<Object|null>} - Updated message
+   */
+  async recordFailed(id, errorMessage, errorCode = null) {
+    try {
+      const now = new Date().toISOString();
+      return await Message.updateById(id, {
+        status: STATUS.FAILED,
+        error_code: errorCode ? String(errorCode) : null,
+        error_message: errorMessage,
+        status_updated_at: now,
+        updated_at: now
+      });
+    } catch (error) {
+      console.error('❌ [MESSAGES] Failed to record failed message:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Reset a failed outbound message that is being retried
+   * @param {string} id - Message log ID
+   * @returns {Promise<Object|null>} - Updated message
+   */
+  async recordRequeued(id) {
+    try {
+      const now = new Date().toISOString();
+      return await Message.updateById(id, {
+        status: STATUS.QUEUED,
+        error_code: null,
+        error_message: null,
+        status_updated_at: now,
+        updated_at: now
+      });
+    } catch (error) {
+      console.error('❌ [MESSAGES] Failed to record requeued message:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Apply a Twilio status callback
+   * @param {Object} callback - { messageSid, messageId, status, errorCode, errorMessage };
+   *   messageId picks the log row of a TwiML reply, which has no SID until its first callback
+   * @returns {Promise<Object|null>} - Updated message, or null if unknown or stale
+   */
+  async applyStatusUpdate({ messageSid, messageId = null, status, errorCode = null, errorMessage = null }) {
+    try {
+      let message = messageId ? await Message.findById(messageId) : await Message.findBySid(messageSid);
+      if (!message) {
+        console.warn(`⚠️ [MESSAGES] Status ${status} for unknown message ${messageId || messageSid}`);
+        return null;
+      }
+
+      if (!message.message_sid && messageSid) {
+        message = await Message.updateById(message.id, { message_sid: messageSid });
+      }
+
+      const normalized = this.normalizeStatus(status);
+      if (STATUS_RANK[normalized] <= STATUS_RANK[message.status]) {
+        console.log(`📬 [MESSAGES] Ignoring stale status ${status} for ${messageSid} (already ${message.status})`);
+        return null;
+      }
+
+      const now = new Date().toISOString();
+      const updated = await Message.updateById(message.id, {
+        status: normalized,
+        error_code: errorCode ? String(errorCode) : message.error_code,
+        error_message: errorMessage || message.error_message,
+        status_updated_at: now,
+        updated_at: now
+      });
+
+      if (normalized === STATUS.FAILED || normalized === STATUS.UNDELIVERED) {
+        console.error(`❌ [MESSAGES] ${message.kind || 'Message'} ${messageSid} to ${message.phone_number} ${normalized}: ${errorCode || ''} ${errorMessage || ''}`);
+      } else {
+        console.log(`📬 [MESSAGES] ${messageSid} is now ${normalized}`);
+      }
+
+      return updated;
+    } catch (error) {
+      console.error('❌ [MESSAGES] Failed to apply status update:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get a phone number's message thread
+   * @param {string} phoneNumber - Phone number (with or without whatsapp: prefix)
+   * @param {Object} options - { limit, before }
+   * @returns {Promise<Object>} - { messages, undelivered }
+   */
+  async getThread(phoneNumber, options = {}) {
+    const cleanNumber = this.cleanNumber(phoneNumber);
+    const [messages, undelivered] = await Promise.all([
+      Message.getThread(cleanNumber, options),
+      Message.getUndelivered(cleanNumber)
+    ]);
+    return { messages, undelivered };
+  }
+
+  /**
+   * Map a Twilio status onto the tracked lifecycle
+   * @param {string} status - Twilio status
+   * @returns {string} - Tracked status
+   */
+  normalizeStatus(status) {
+    const lower = (status || '').toLowerCase();
+    if (TWILIO_STATUS_MAP[lower]) return TWILIO_STATUS_MAP[lower];
+    return STATUS_RANK[lower] !== undefined ? lower : STATUS.QUEUED;
+  }
+
+  /**
+   * Strip the whatsapp: prefix
+   * @param {string} phoneNumber - Phone number
+   * @returns {string} - Clean phone number
+   */
+  cleanNumber(phoneNumber) {
+    return (phoneNumber || '').replace('whatsapp:', '');
+  }
+
+  /**
+   * Look up the user ID for a phone number
+   * @param {string} phoneNumber - Clean phone number
+   * @returns {Promise<string|null>} - User ID
+   */
+  async findUserId(phoneNumber) {
+    const user = await User.findByPhoneNumber(phoneNumber);
+    return user ? user.id : null;
+  }
+}
+
+module.exports = new MessageLogService();
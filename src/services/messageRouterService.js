@@ -0,0 +1,189 @@
+const llmGatewayService = require('./llmGatewayService');
+const { LLM_OPERATIONS } = llmGatewayService;
+const { ROUTES } = require('./messageRouting/routes');
+const fallbackSearchParserService = require('./fallbackSearchParserService');
+
+// Routes that carry a search payload for searchService
+const SEARCH_ROUTES = [ROUTES.SEARCH, ROUTES.SEARCH_REFINEMENT];
+
+// How many recent results are listed in the prompt so "the second one" can be resolved
+const MAX_LISTED_RESULTS = 10;
+
+/**
+ * Message Router Service
+ * Classifies a free-text message in a single model call: the intent, any
+ * reference to recent search results, and the structured search or owner
+ * response payload that the legacy pipeline extracted with separate calls
+ * (parseOwnerResponse, isAppointmentRequest, parseContextRequest,
+ * classifyPropertyIntent, detectAmbiguousQuery and parseSearchQuery).
+ */
+class MessageRouterService {
+  /**
+   * Route a message
+   * @param {string} message - User's message
+   * @param {object} user - User object with role information
+   * @param {object} context - { history } from conversationHistoryService.getMessages and the { conversationState }
+   * @returns {Promise<object>} - { intent, confidence, propertyNumber, search, ownerResponse }, where
+   *   search is { query, isAmbiguous, clarificationMessage, filters, sorting, limit, ... } for search routes
+   *   and ownerResponse is { intent, appointmentId, newTimeSuggestion } for owner appointment responses
+   */
+  async route(message, user, { history = [], conversationState = {} } = {}) {
+    const role = user?.user_roles?.role || 'renter';
+    const recentResults = conversationState.lastSearchResults?.results || [];
+
+    try {
+      const systemPrompt = `You are the message router of a WhatsApp real estate assistant. Read the LAST user message and return, in one answer, what it is about and everything needed to act on it.
+
+CONVERSATION CONTEXT:
+- User role: ${role}
+- Last search query: "${conversationState.lastQuery || 'none'}"
+- Recent search results: ${this.describeResults(recentResults)}
+
+INTENTS:
+- "owner_appointment_response": an owner/agent answers a viewing request that quotes a short appointment ID ("Confirm ab12", "Decline ab12", "How about Friday morning for ab12?")
+- "owner_availability": an owner/agent offers a time for a pending viewing ("I can do Tuesday at 3pm")
+- "property_details": details or contact of a listed property ("details of property 1", "tell me more about 3")
+- "property_interest": wants to view or book a listed property ("I'm interested in number 2", "book a viewing for this")
+- "search": a new property search, including "near me"/"within 2 km of Rato" searches
+- "search_refinement": changes the last search ("oh i mean 3000", "only above 4000", "in Lisbon instead")
+- "view_own_listings", "update_property", "manage_property" (status: sold/rented/inactive), "add_property",
+  "delete_property", "set_availability": owner/agent managing their listings and viewing times
+- "unclear": none of the above
+
+RULES:
+- "owner_appointment_response" and "owner_availability" only apply to owners and agents.
+- "this", "that", "it", "the second one" refer to the recent search results; set propertyNumber (1-based) when a result is named.
+- For "search" and "search_refinement", fill "search". For a refinement, "search.query" is the COMPLETE updated search:
+  the previous search with the change applied ("T2 in Lisbon under 2000" + "oh i mean 3000" → "T2 in Lisbon under 3000").
+- Search filters: numbers with €/price words are prices, with m²/sqm are areas; never guess a location from a bare number.
+  Classify place names as district, then city. Status is "active" unless asked otherwise.
+- Only set "search.isAmbiguous" when the search has genuinely different readings that would return different properties.
+- Earlier messages are context only; route the LAST user message.
+
+Return JSON:
+{
+  "intent": "${Object.values(ROUTES).join('|')}",
+  "confidence": 0.0-1.0,
+  "propertyNumber": number or null,
+  "search": null or {
+    "query": "the complete search in the user's words",
+    "isAmbiguous": boolean,
+    "clarificationMessage": "question to ask when ambiguous, else null",
+    "filters": {
+      "property_type": "apartment|house|commercial|land|null",
+      "bedrooms": {"min": number, "max": number, "exact": number},
+      "bathrooms": {"min": number, "max": number, "exact": number},
+      "price": {"min": number, "max": number, "currency": "EUR"},
+      "area": {"min": number, "max": number},
+      "status": "active|inactive|sold|rented",
+      "listing_type": "rent|sale",
+      "built_year": {"min": number, "max": number},
+      "location": {"country": "string or null", "city": "string or null", "district": "string or null"},
+      "amenities": {"elevator": boolean, "furnished": boolean, "air_conditioning": boolean, "work_room": boolean},
+      "apartment_type": "T1|T2|T3|T4|T5|Studio"
+    },
+    "sorting": {"field": "price|area|bedrooms|created_at", "order": "asc|desc"},
+    "limit": 10
+  },
+  "ownerResponse": null or {
+    "intent": "confirm|decline|suggest_new_time",
+    "appointmentId": "the short ID, e.g. ab12",
+    "newTimeSuggestion": "the new time if suggested, else null"
+  }
+}`;
+
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.ROUTE_MESSAGE, {
+        input: message,
+        context: { role, hasRecentSearch: recentResults.length > 0 },
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...history,
+          { role: 'user', content: `Route this message: "${message}"` }
+        ],
+        temperature: 0.1,
+        max_tokens: 600,
+        response_format: { type: 'json_object' }
+      });
+
+      const content = response.content.trim().replace(/```json\s*|\s*```/g, '').trim();
+      const route = this.normalize(JSON.parse(content), message);
+      console.log(`🧭 [ROUTER] "${message}" → ${route.intent} (confidence ${route.confidence})`);
+      return route;
+    } catch (error) {
+      console.error('❌ [ROUTER] Message routing error:', error);
+      return await this.fallbackRoute(message);
+    }
+  }
+
+  /**
+   * Route without the model: messages the offline search parser finds criteria in are searches
+   * @param {string} message - User's message
+   * @returns {Promise<object>} - Search route, or an unclear one
+   */
+  async fallbackRoute(message) {
+    const parsed = await fallbackSearchParserService.parse(message);
+    const criteria = Object.keys(parsed.filters).filter(filter => filter !== 'status');
+    if (criteria.length === 0) {
+      return { intent: ROUTES.UNCLEAR, confidence: 0.0, propertyNumber: null, search: null, ownerResponse: null };
+    }
+
+    console.log(`🧩 [ROUTER] Model unavailable, searching on ${criteria.join(', ')}`);
+    return {
+      intent: ROUTES.SEARCH,
+      confidence: parsed.confidence,
+      propertyNumber: null,
+      search: { ...parsed, query: message, isAmbiguous: false, clarificationMessage: '' },
+      ownerResponse: null
+    };
+  }
+
+  /**
+   * Summarize recent search results for the prompt
+   * @param {Array} results - Properties from the last search
+   * @returns {string} - Numbered one-line descriptions, or 'none'
+   */
+  describeResults(results) {
+    if (results.length === 0) return 'none';
+
+    const listed = results.slice(0, MAX_LISTED_RESULTS).map((property, index) => {
+      const place = property.districts?.district || property.address || 'unknown area';
+      return `#${index + 1} ${property.bedrooms ?? '?'}-bed ${property.property_type || 'property'} in ${place}, €${property.price}`;
+    });
+    const more = results.length > MAX_LISTED_RESULTS ? ` (+${results.length - MAX_LISTED_RESULTS} more)` : '';
+    return `${listed.join('; ')}${more}`;
+  }
+
+  /**
+   * Fill in defaults and drop payloads that don't belong to the routed intent
+   * @param {object} result - Parsed model answer
+   * @param {string} message - User's message
+   * @returns {object} - Route
+   */
+  normalize(result, message) {
+    const intent = Object.values(ROUTES).includes(result.intent) ? result.intent : ROUTES.UNCLEAR;
+    const propertyNumber = Number.isInteger(result.propertyNumber) ? result.propertyNumber : null;
+
+    let search = null;
+    if (SEARCH_ROUTES.includes(intent)) {
+      const parsed = result.search || {};
+      search = {
+        ...parsed,
+        query: parsed.query || message,
+        isAmbiguous: !!parsed.isAmbiguous,
+        clarificationMessage: parsed.clarificationMessage || '',
+        filters: { status: 'active', ...(parsed.filters || {}) },
+        sorting: parsed.sorting || { field: 'created_at', order: 'desc' },
+        limit: parsed.limit || 10
+      };
+    }
+
+    const ownerResponse = intent === ROUTES.OWNER_APPOINTMENT_RESPONSE && result.ownerResponse?.appointmentId
+      ? result.ownerResponse
+      : null;
+
+    return { intent, confidence: result.confidence || 0.8, propertyNumber, search, ownerResponse };
+  }
+}
+
+module.exports = new MessageRouterService();
+module.exports.ROUTES = ROUTES;
@@ -0,0 +1,18 @@
+// Everything a free-text message can be routed to, by the fast path or by the model
+const ROUTES = {
+  OWNER_APPOINTMENT_RESPONSE: 'owner_appointment_response',
+  OWNER_AVAILABILITY: 'owner_availability',
+  PROPERTY_DETAILS: 'property_details',
+  PROPERTY_INTEREST: 'property_interest',
+  SEARCH: 'search',
+  SEARCH_REFINEMENT: 'search_refinement',
+  VIEW_OWN_LISTINGS: 'view_own_listings',
+  UPDATE_PROPERTY: 'update_property',
+  MANAGE_PROPERTY: 'manage_property',
+  ADD_PROPERTY: 'add_property',
+  DELETE_PROPERTY: 'delete_property',
+  SET_AVAILABILITY: 'set_availability',
+  UNCLEAR: 'unclear'
+};
+
+module.exports = { ROUTES };
@@ -1,13 +1,14 @@
-const OpenAI = require('openai');
-const { config } = require('../config/environment');
-
+const llmGatewayService = require('./llmGatewayService');
+const { LLM_OPERATIONS } = llmGatewayService;
+const fallbackSearchParserService = require('./fallbackSearchParserService');
+const dateTimeParserService = require('./dateTimeParserService');
+
+/**
+ * OpenAI Service
+ * Prompt building and response parsing for the structured LLM operations.
+ * The calls themselves go through the LLM gateway, so the provider is configurable.
+ */
 class OpenAIService {
-  constructor() {
-    this.client = new OpenAI({
-      apiKey: config.openai.apiKey
-    });
-  }
-
   /**
    * Classify user intent from their message
    * @param {string} message - User's message
@@ -46,8 +47,8 @@ ${isFirstMessage ? 'Note: This is the user\'s first message to the bot.' : ''}
 
 Analyze this message with enhanced intelligence for real estate automation.`;
 
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.CLASSIFY_INTENT, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: userPrompt }
@@ -56,7 +57,7 @@ Analyze this message with enhanced intelligence for real estate automation.`;
         max_tokens: 250
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       
       try {
         // Clean the response - remove code blocks if present
@@ -166,8 +167,8 @@ ENHANCED EXTRACTION RULES:
 
 If information is not clearly mentioned, use null or empty array. Be intelligent about inferring details from context.`;
 
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.EXTRACT_PROPERTY_DETAILS, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Extract property details from: "${message}"` }
@@ -176,7 +177,7 @@ If information is not clearly mentioned, use null or empty array. Be intelligent
         max_tokens: 400
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanedContent = content.replace(/```json\s*|\s*```/g, '').trim();
       return JSON.parse(cleanedContent);
     } catch (error) {
@@ -239,8 +240,8 @@ INTELLIGENT DEFAULTS (when information missing):
 AUTOMATION-FOCUSED EXTRACTION:
 Your output enables immediate automation between property owners and interested parties. Accuracy is critical for seamless transactions.`;
 
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.CONVERT_PROPERTY_LISTINGS, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Convert to rigid database format with maximum accuracy:\n\n${message}` }
@@ -249,7 +250,7 @@ Your output enables immediate automation between property owners and interested
         max_tokens: 2500
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       
       // Clean the response - remove code blocks if present
       const cleanedContent = content.replace(/```json\s*|\s*```/g, '').trim();
@@ -340,8 +341,8 @@ CONFIDENCE & AUTOMATION SCORING:
 
 "automationReady": true if the message contains enough information for immediate processing without additional clarification.`;
 
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.CLASSIFY_PROPERTY_ADDITION, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Analyze for property addition with automation intelligence: "${message}"` }
@@ -350,7 +351,7 @@ CONFIDENCE & AUTOMATION SCORING:
         max_tokens: 250
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanedContent = content.replace(/```json\s*|\s*```/g, '').trim();
       const result = JSON.parse(cleanedContent);
       
@@ -376,9 +377,10 @@ CONFIDENCE & AUTOMATION SCORING:
    * Classify user intent for property operations (enhanced)
    * @param {string} message - User's message
    * @param {object} user - User object with role information
+   * @param {Array} history - Recent conversation as chat messages (see conversationHistoryService)
    * @returns {Promise<object>} - Intent classification
    */
-  async classifyPropertyIntent(message, user) {
+  async classifyPropertyIntent(message, user, history = []) {
     try {
       const userRole = user?.user_roles?.role || 'renter';
       
@@ -416,19 +418,23 @@ AUTOMATION LEVELS:
 - "partial": Requires minimal clarification or confirmation
 - "manual": Needs human assistance or complex decision making
 
+Earlier messages in the conversation are context only: classify the LAST user message,
+using them to understand short follow-ups (e.g. "oh i mean 3000" after a search is a search).
+
 Your classification directly impacts the user experience and automation efficiency.`;
 
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.CLASSIFY_PROPERTY_INTENT, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
+          ...history,
           { role: 'user', content: `Classify with automation intelligence: "${message}"` }
         ],
         temperature: 0.1,
         max_tokens: 300
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanedContent = content.replace(/```json\s*|\s*```/g, '').trim();
       const result = JSON.parse(cleanedContent);
       
@@ -527,8 +533,8 @@ SMART INTERPRETATION RULES:
 
 Your parsing should enable precise automation while avoiding incorrect assumptions.`;
 
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.PARSE_SEARCH_QUERY, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Parse with enhanced intelligence and ambiguity awareness: "${message}"` }
@@ -537,7 +543,7 @@ Your parsing should enable precise automation while avoiding incorrect assumptio
         max_tokens: 1000
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanedContent = content.replace(/```json\s*|\s*```/g, '').trim();
       const result = JSON.parse(cleanedContent);
       
@@ -550,16 +556,8 @@ Your parsing should enable precise automation while avoiding incorrect assumptio
       return result;
     } catch (error) {
       console.error('Search query parsing error:', error);
-      return {
-        filters: { status: 'active' },
-        sorting: { field: 'created_at', order: 'desc' },
-        limit: 10,
-        searchTerms: [],
-        userIntent: 'browsing',
-        priorityFeatures: [],
-        confidence: 0.3,
-        ambiguityWarnings: ['Failed to parse query intelligently']
-      };
+      // Keep the user's criteria with the offline rules rather than listing everything
+      return await fallbackSearchParserService.parse(message);
     }
   }
 
@@ -572,7 +570,7 @@ Your parsing should enable precise automation while avoiding incorrect assumptio
   async parseUpdateRequest(message, userProperties = []) {
     try {
       const propertiesContext = userProperties.length > 0 
-        ? `User's properties: ${userProperties.map(p => `ID: ${p.id}, Address: ${p.address}, Type: ${p.property_type}, Price: €${p.price}`).join('; ')}`
+        ? `User's properties: ${userProperties.map(p => `ID: ${p.id}, Address: ${p.address}${p.districts?.district ? `, District: ${p.districts.district}` : ''}, Type: ${p.property_type}, Price: €${p.price}`).join('; ')}`
         : 'No properties provided for context';
 
       const systemPrompt = `You are an intelligent property update parser for a real estate automation system. Parse natural language update requests with high accuracy to enable automated property management.
@@ -624,8 +622,8 @@ Use the provided properties context to resolve ambiguities intelligently.
 
 ${propertiesContext}`;
 
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.PARSE_UPDATE_REQUEST, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Parse update request with automation intelligence: "${message}"` }
@@ -634,7 +632,7 @@ ${propertiesContext}`;
         max_tokens: 800
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanedContent = content.replace(/```json\s*|\s*```/g, '').trim();
       const result = JSON.parse(cleanedContent);
       
@@ -660,9 +658,16 @@ ${propertiesContext}`;
   /**
    * Parses natural language availability into a structured schedule.
    * @param {string} message - The user's message about their availability.
+   * @param {object} options - { timezone } the property's viewings are arranged in.
    * @returns {Promise<object>} - A structured availability object.
    */
-  async parseAvailability(message) {
+  async parseAvailability(message, { timezone } = {}) {
+    // Schedules whose every day has a time ("Weekdays 9am-12pm", "às segundas 18h-20h") are read without the model
+    const parsed = dateTimeParserService.parse(message, { timezone });
+    if (parsed && parsed.schedule.length > 0 && !parsed.untimed) {
+      return { success: true, schedule: parsed.schedule };
+    }
+
     try {
       const systemPrompt = `You are an expert schedule parser for a real estate bot. Convert natural language availability into a structured JSON array.
 
@@ -702,8 +707,8 @@ Output:
 ]
 `;
 
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.PARSE_AVAILABILITY, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Parse this schedule: "${message}"` }
@@ -713,7 +718,7 @@ Output:
         response_format: { type: "json_object" },
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const result = JSON.parse(content);
 
       // The prompt might return an object with a key, let's extract the array.
@@ -771,8 +776,8 @@ Output:
 { "intent": "suggest_new_time", "appointmentId": "ab12", "newTimeSuggestion": "Friday morning" }
 `;
 
-      const response = await this.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.PARSE_OWNER_RESPONSE, {
+        input: message,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Parse this owner response: "${message}"` }
@@ -782,7 +787,7 @@ Output:
         response_format: { type: "json_object" },
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       return JSON.parse(content);
 
     } catch (error) {
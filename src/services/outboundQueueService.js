@@ -0,0 +1,305 @@
+const OutboundMessage = require('../models/OutboundMessage');
+const { STATUS } = require('../models/OutboundMessage');
+const twilioService = require('./twilioService');
+const messageLogService = require('./messageLogService');
+const interactiveMessageService = require('./interactiveMessageService');
+const { config } = require('../config/environment');
+
+/**
+ * Outbound Queue Service
+ * Durable queue for every bot-initiated WhatsApp message (follow-up replies,
+ * owner notifications, calendar invites, property import results).
+ * - Messages to the same recipient go out strictly in enqueue order, paced
+ *   by OUTBOUND_RECIPIENT_INTERVAL_MS
+ * - 429 and 5xx (and network) failures are retried with exponential backoff
+ * - Permanent failures and exhausted retries land in the dead-letter list
+ */
+class OutboundQueueService {
+  constructor() {
+    this.settings = config.outboundQueue;
+    this.lastSentAt = new Map(); // recipient -> timestamp of the last send from this instance
+    this.sequenceCounter = 0;
+    this.processing = false;
+    this.rerunRequested = false;
+    this.wakeTimer = null;
+    this.wakeAt = 0;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Start the background worker
+   */
+  start() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.processQueue(), this.settings.pollIntervalMs);
+    this.pollTimer.unref();
+    this.processQueue();
+    console.log('✅ [OUTBOUND] Outbound queue worker started');
+  }
+
+  /**
+   * Stop the background worker
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    clearTimeout(this.wakeTimer);
+    this.pollTimer = null;
+    this.wakeTimer = null;
+  }
+
+  /**
+   * Queue a message for delivery
+   * @param {string} to - Recipient phone number
+   * @param {string} body - Message body
+   * @param {Object} options - { mediaUrl, interactive, kind, delayMs, propertyId, appointmentId }
+   *   (`interactive` is a buttons/list message; `body` is its plain-text version)
+   * @returns {Promise<Object>} - Queued row
+   */
+  async enqueue(to, body, { mediaUrl = null, interactive = null, kind = 'notification', delayMs = 0, propertyId = null, appointmentId = null } = {}) {
+    const recipient = to.replace('whatsapp:', '');
+    const logged = await messageLogService.logOutbound({
+      phoneNumber: recipient,
+      body,
+      mediaUrl,
+      kind,
+      propertyId,
+      appointmentId
+    });
+
+    const message = await OutboundMessage.create({
+      recipient,
+      body,
+      media_url: mediaUrl,
+      interactive,
+      kind,
+      message_id: logged ? logged.id : null,
+      status: STATUS.PENDING,
+      attempts: 0,
+      sequence: this.nextSequence(),
+      next_attempt_at: new Date(Date.now() + delayMs).toISOString()
+    });
+
+    console.log(`📤 [OUTBOUND] Queued ${kind} message ${message.id.substring(0, 8)} for ${recipient}`);
+    this.wake(delayMs);
+    return message;
+  }
+
+  /**
+   * Queue several messages for one recipient, preserving their order
+   * @param {string} to - Recipient phone number
+   * @param {Array<string|Object>} messages - Message bodies, interactive messages, or { body, mediaUrl } objects
+   * @param {Object} options - Options passed to enqueue for each message, plus
+   *   `typing` to space the messages like someone typing them
+   * @returns {Promise<Array>} - Queued rows
+   */
+  async enqueueAll(to, messages, { typing = false, ...options } = {}) {
+    const queued = [];
+    let delayMs = options.delayMs || 0;
+    for (const message of messages) {
+      let body, mediaUrl = options.mediaUrl, interactive = null;
+      if (typeof message === 'string') {
+        body = message;
+      } else if (interactiveMessageService.isInteractive(message)) {
+        body = interactiveMessageService.toPlainText(message);
+        interactive = message;
+      } else {
+        ({ body, mediaUrl = options.mediaUrl } = message);
+      }
+      if (typing) {
+        delayMs += this.getTypingDelayMs(body);
+      }
+      queued.push(await this.enqueue(to, body, { ...options, mediaUrl, interactive, delayMs }));
+    }
+    return queued;
+  }
+
+  /**
+   * How long someone would take to type a message
+   * @param {string} body - Message body
+   * @returns {number} - Delay in milliseconds
+   */
+  getTypingDelayMs(body) {
+    const { typingMsPerChar, minTypingMs, maxTypingMs } = this.settings;
+    return Math.min(Math.max((body || '').length * typingMsPerChar, minTypingMs), maxTypingMs);
+  }
+
+  /**
+   * Monotonic ordering key: milliseconds plus a per-process counter
+   * @returns {number} - Sequence value
+   */
+  nextSequence() {
+    this.sequenceCounter = (this.sequenceCounter + 1) % 1000;
+    return Date.now() * 1000 + this.sequenceCounter;
+  }
+
+  /**
+   * Schedule a queue pass soon, keeping only the earliest pending wake-up
+   * @param {number} delayMs - Delay before the pass
+   */
+  wake(delayMs = 0) {
+    const wakeAt = Date.now() + delayMs;
+    if (this.wakeTimer && this.wakeAt <= wakeAt) return;
+
+    clearTimeout(this.wakeTimer);
+    this.wakeAt = wakeAt;
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this.processQueue();
+    }, delayMs);
+    this.wakeTimer.unref();
+  }
+
+  /**
+   * Send every message that is due, one head-of-line message per recipient
+   */
+  async processQueue() {
+    if (this.processing) {
+      // Pick up whatever was queued during the running pass as soon as it ends
+      this.rerunRequested = true;
+      return;
+    }
+    this.processing = true;
+    this.rerunRequested = false;
+
+    try {
+      const now = Date.now();
+      const heads = await OutboundMessage.findQueueHeads();
+
+      let nextWakeMs = null;
+      const scheduleWake = (ms) => {
+        nextWakeMs = nextWakeMs === null ? ms : Math.min(nextWakeMs, ms);
+      };
+
+      for (const message of heads) {
+        // A message being sent (or still waiting on backoff) blocks everything behind it
+        const dueInMs = new Date(message.next_attempt_at).getTime() - now;
+        if (dueInMs > 0) {
+          scheduleWake(dueInMs);
+          continue;
+        }
+
+        const pacingMs = (this.lastSentAt.get(message.recipient) || 0) + this.settings.recipientIntervalMs - now;
+        if (pacingMs > 0) {
+          scheduleWake(pacingMs);
+          continue;
+        }
+
+        await this.deliver(message);
+        scheduleWake(this.settings.recipientIntervalMs);
+      }
+
+      if (nextWakeMs !== null) {
+        this.wake(nextWakeMs);
+      }
+    } catch (error) {
+      console.error('❌ [OUTBOUND] Queue pass failed:', error);
+    } finally {
+      this.processing = false;
+      if (this.rerunRequested) {
+        this.wake();
+      }
+    }
+  }
+
+  /**
+   * Claim and send one message, then record the outcome
+   * @param {Object} message - Queue row
+   */
+  async deliver(message) {
+    const lockedUntil = new Date(Date.now() + this.settings.sendTimeoutMs).toISOString();
+    const claimed = await OutboundMessage.claim(message, lockedUntil);
+    if (!claimed) return; // Another worker has it
+
+    try {
+      this.lastSentAt.set(claimed.recipient, Date.now());
+      const result = claimed.interactive
+        ? await interactiveMessageService.send(claimed.recipient, claimed.interactive)
+        : await twilioService.sendWhatsAppMessage(claimed.recipient, claimed.body, claimed.media_url);
+      await OutboundMessage.markSent(claimed.id, result.messageId);
+      if (claimed.message_id) {
+        await messageLogService.recordSent(claimed.message_id, result.messageId, result.status);
+      }
+      console.log(`✅ [OUTBOUND] Sent ${claimed.id.substring(0, 8)} to ${claimed.recipient} (attempt ${claimed.attempts})`);
+    } catch (error) {
+      await this.handleFailure(claimed, error);
+    }
+  }
+
+  /**
+   * Retry transient failures with backoff; dead-letter everything else
+   * @param {Object} message - Claimed queue row
+   * @param {Error} error - Send error
+   */
+  async handleFailure(message, error) {
+    if (this.isRetryable(error) && message.attempts < this.settings.maxAttempts) {
+      const delayMs = this.getBackoffMs(message.attempts);
+      await OutboundMessage.reschedule(message.id, new Date(Date.now() + delayMs).toISOString(), error.message);
+      console.warn(`⚠️ [OUTBOUND] Send ${message.id.substring(0, 8)} failed (attempt ${message.attempts}), retrying in ${delayMs}ms: ${error.message}`);
+      return;
+    }
+
+    await OutboundMessage.markDead(message.id, error.message);
+    if (message.message_id) {
+      await messageLogService.recordFailed(message.message_id, error.message, error.code);
+    }
+    console.error(`❌ [OUTBOUND] Dead-lettered ${message.id.substring(0, 8)} to ${message.recipient} after ${message.attempts} attempt(s): ${error.message}`);
+  }
+
+  /**
+   * Whether a send error is worth retrying
+   * @param {Error} error - Send error (with `status` from Twilio when available)
+   * @returns {boolean} - True for rate limits, server errors and network failures
+   */
+  isRetryable(error) {
+    if (!error.status) return true; // No HTTP response at all: network trouble
+    return error.status === 429 || error.status >= 500;
+  }
+
+  /**
+   * Exponential backoff for a given attempt number
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getBackoffMs(attempts) {
+    return Math.min(this.settings.retryBaseMs * Math.pow(2, attempts - 1), this.settings.retryMaxMs);
+  }
+
+  /**
+   * Put a dead-lettered message back in the queue
+   * @param {string} id - Message ID
+   * @returns {Promise<Object|null>} - Requeued row, or null if it is not dead-lettered
+   */
+  async retryDeadLetter(id) {
+    const message = await OutboundMessage.findById(id);
+    if (!message || message.status !== STATUS.DEAD) {
+      return null;
+    }
+
+    const requeued = await OutboundMessage.updateById(id, {
+      status: STATUS.PENDING,
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    if (message.message_id) {
+      await messageLogService.recordRequeued(message.message_id);
+    }
+    this.wake();
+    return requeued;
+  }
+
+  /**
+   * Snapshot of the queue for the inspection endpoint
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Object>} - { counts, messages }
+   */
+  async inspect({ status = null, limit = 50 } = {}) {
+    const counts = await OutboundMessage.countByStatus();
+    const messages = status
+      ? await OutboundMessage.findByStatus(status, limit)
+      : await OutboundMessage.findUndelivered(limit);
+    return { counts, messages };
+  }
+}
+
+module.exports = new OutboundQueueService();
@@ -147,8 +147,10 @@ class PropertyManagementService {
           }
 
         case 'address':
+          const criteria = identification.criteria.toLowerCase();
           const addressMatches = userProperties.filter(p => 
-            p.address.toLowerCase().includes(identification.criteria.toLowerCase())
+            p.address.toLowerCase().includes(criteria) ||
+            (p.districts?.district || '').toLowerCase() === criteria
           );
           if (addressMatches.length === 1) {
             return { success: true, property: addressMatches[0] };
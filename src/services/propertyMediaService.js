@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const twilioService = require('./twilioService');
+const mediaStorageService = require('./mediaStorageService');
+const PropertyMedia = require('../models/PropertyMedia');
+const { config } = require('../config/environment');
+
+// Inbound media types that can be attached to a listing
+const SUPPORTED_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Property Media Service
+ * Downloads photos sent over WhatsApp, stores them in the media storage
+ * backend and attaches them to a property in arrival order. The first photo
+ * of a property becomes its cover unless another one is chosen.
+ */
+class PropertyMediaService {
+  /**
+   * Check whether an inbound media item can be attached to a listing
+   * @param {string} contentType - MediaContentType{N} from the webhook
+   * @returns {boolean} - True for supported photo types
+   */
+  isSupported(contentType) {
+    return SUPPORTED_CONTENT_TYPES.includes((contentType || '').toLowerCase());
+  }
+
+  /**
+   * Download, store and attach inbound media to a property
+   * @param {Object} property - Property row
+   * @param {Array} mediaItems - [{ url, contentType }]
+   * @param {Object} user - Uploading user
+   * @param {Object} options - { messageSid, caption, makeCover } (makeCover makes the first new photo the cover)
+   * @returns {Promise<Object>} - { added, failed, total, coverChanged }
+   */
+  async attachMedia(property, mediaItems, user, { messageSid = null, caption = null, makeCover = false } = {}) {
+    console.log(`📸 [MEDIA] Attaching ${mediaItems.length} media item(s) to property ${property.id}`);
+
+    let position = await PropertyMedia.getNextPosition(property.id);
+    const added = [];
+    let failed = 0;
+
+    for (const item of mediaItems) {
+      try {
+        const row = await this.storeItem(property, item, user, { position, messageSid, caption });
+        added.push(row);
+        position++;
+      } catch (error) {
+        console.error(`❌ [MEDIA] Failed to attach ${item.url}:`, error.message);
+        failed++;
+      }
+    }
+
+    let coverChanged = false;
+    if (added.length > 0 && (makeCover || !(await PropertyMedia.findCover(property.id)))) {
+      await PropertyMedia.setCover(property.id, added[0].id);
+      coverChanged = true;
+    }
+
+    const total = await PropertyMedia.count({ property_id: property.id });
+    console.log(`✅ [MEDIA] Attached ${added.length}/${mediaItems.length} item(s), property now has ${total}`);
+
+    return { added, failed, total, coverChanged };
+  }
+
+  /**
+   * Download one media item and record it
+   * @param {Object} property - Property row
+   * @param {Object} item - { url, contentType }
+   * @param {Object} user - Uploading user
+   * @param {Object} details - { position, messageSid, caption }
+   * @returns {Promise<Object>} - Created media row
+   */
+  async storeItem(property, item, user, { position, messageSid, caption }) {
+    const { buffer, contentType: downloadedType } = await twilioService.downloadMedia(item.url);
+    const contentType = (downloadedType || item.contentType || '').toLowerCase();
+
+    if (!this.isSupported(contentType)) {
+      throw new Error(`Unsupported media type ${contentType}`);
+    }
+    if (buffer.length > config.media.maxBytes) {
+      throw new Error(`Media is ${buffer.length} bytes, above the ${config.media.maxBytes} byte limit`);
+    }
+
+    const storageKey = mediaStorageService.buildKey(property.id, contentType);
+    await mediaStorageService.save(storageKey, buffer, contentType);
+
+    try {
+      return await PropertyMedia.create({
+        property_id: property.id,
+        uploaded_by: user.id,
+        storage_driver: mediaStorageService.driverName,
+        storage_key: storageKey,
+        content_type: contentType,
+        size_bytes: buffer.length,
+        position,
+        is_cover: false,
+        caption: caption || null,
+        source_url: item.url,
+        message_sid: messageSid
+      });
+    } catch (error) {
+      // Don't leave an orphaned file behind
+      await mediaStorageService.delete(storageKey).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Get a property's media in display order
+   * @param {string} propertyId - Property ID
+   * @returns {Promise<Array>} - Media rows
+   */
+  async getPropertyMedia(propertyId) {
+    return await PropertyMedia.findByProperty(propertyId);
+  }
+
+  /**
+   * Public URL of a media item, signed so only links the bot sent can be opened
+   * @param {Object} media - Media row
+   * @returns {string} - URL served by GET /media/:mediaId
+   */
+  getPublicUrl(media) {
+    const expires = Math.floor(Date.now() / 1000) + config.media.urlTtlMinutes * 60;
+    const signature = this.sign(media.id, expires);
+    return `${config.webhook.baseUrl}/media/${media.id}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check a media URL's signature and expiry
+   * @param {string} mediaId - Media ID
+   * @param {string} expires - Expiry (unix seconds) from the query string
+   * @param {string} signature - Signature from the query string
+   * @returns {boolean} - True if the link is genuine and still valid
+   */
+  verifySignedUrl(mediaId, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || !signature || expiresAt < Date.now() / 1000) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(mediaId, expiresAt));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  /**
+   * Sign a media ID and expiry
+   * @param {string} mediaId - Media ID
+   * @param {number} expires - Expiry (unix seconds)
+   * @returns {string} - Hex HMAC
+   */
+  sign(mediaId, expires) {
+    return crypto.createHmac('sha256', config.media.urlSecret).update(`${mediaId}:${expires}`).digest('hex');
+  }
+
+  /**
+   * Get cover photo URLs for a set of properties
+   * @param {Array} propertyIds - Property IDs
+   * @returns {Promise<Object>} - Property ID -> cover URL (properties without photos are left out)
+   */
+  async getCoverUrls(propertyIds) {
+    try {
+      const covers = await PropertyMedia.findCovers(propertyIds);
+      return Object.fromEntries(covers.map(cover => [cover.property_id, this.getPublicUrl(cover)]));
+    } catch (error) {
+      // Results are still useful without photos
+      console.error('❌ [MEDIA] Failed to load cover photos:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Get a property's photo URLs for a gallery, cover first
+   * @param {string} propertyId - Property ID
+   * @param {number} limit - Maximum number of photos
+   * @returns {Promise<Object>} - { urls, total }
+   */
+  async getGalleryUrls(propertyId, limit = config.media.galleryLimit) {
+    try {
+      const media = await PropertyMedia.findByProperty(propertyId);
+      const ordered = [...media.filter(m => m.is_cover), ...media.filter(m => !m.is_cover)];
+      return { urls: ordered.slice(0, limit).map(m => this.getPublicUrl(m)), total: media.length };
+    } catch (error) {
+      console.error('❌ [MEDIA] Failed to load gallery:', error.message);
+      return { urls: [], total: 0 };
+    }
+  }
+
+  /**
+   * Load a stored media file
+   * @param {string} mediaId - Media ID
+   * @returns {Promise<Object|null>} - { buffer, contentType }, or null if unknown
+   */
+  async readMedia(mediaId) {
+    const media = await PropertyMedia.findById(mediaId);
+    if (!media) {
+      return null;
+    }
+
+    const buffer = await mediaStorageService.read(media.storage_key);
+    return { buffer, contentType: media.content_type };
+  }
+
+  /**
+   * Make a property's media item its cover photo
+   * @param {string} propertyId - Property ID
+   * @param {string} mediaId - Media ID
+   * @returns {Promise<Object>} - Updated media row
+   */
+  async setCover(propertyId, mediaId) {
+    const media = await PropertyMedia.findById(mediaId);
+    if (!media || media.property_id !== propertyId) {
+      throw new Error('Media not found for this property');
+    }
+    return await PropertyMedia.setCover(propertyId, mediaId);
+  }
+}
+
+module.exports = new PropertyMediaService();
+module.exports.SUPPORTED_CONTENT_TYPES = SUPPORTED_CONTENT_TYPES;
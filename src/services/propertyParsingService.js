@@ -1,5 +1,7 @@
 const openaiService = require('./openaiService');
 const dataValidationService = require('./dataValidationService');
+const geocodingService = require('./geocodingService');
+const timezoneService = require('./timezoneService');
 const Property = require('../models/Property');
 const User = require('../models/User');
 const Country = require('../models/Country');
@@ -115,6 +117,18 @@ class PropertyParsingService {
         : null;
       console.log(`[DB_INSERT] Apartment type:`, apartmentType);
 
+      // Listings carry no exact position yet, so they get their district's (or city's) centroid
+      const coordinates = geocodingService.geocode({
+        district: validatedData.locationData?.district_name,
+        city: validatedData.locationData?.city_name
+      });
+
+      // Viewings are arranged in the local time of the city (or country) the listing is in
+      const timezone = timezoneService.forLocation({
+        city: validatedData.locationData?.city_name,
+        country: validatedData.locationData?.country_name
+      });
+
       // Prepare database property data with proper schema mapping
       const dbPropertyData = {
         // Core validated fields
@@ -124,6 +138,7 @@ class PropertyParsingService {
         bathrooms: validatedData.bathrooms,
         area: validatedData.area, // Already mapped from area_sqm
         status: validatedData.status,
+        listing_type: validatedData.listing_type,
         description: validatedData.description,
         
         // Already mapped from external_url
@@ -135,7 +150,12 @@ class PropertyParsingService {
         // Foreign key relationships
         district_id: locationData.district?.id || null,
         type_id: apartmentType?.id || null,
-        owner_id: user.id
+        owner_id: user.id,
+
+        latitude: coordinates?.latitude ?? null,
+        longitude: coordinates?.longitude ?? null,
+        location_precision: coordinates?.precision || null,
+        timezone
       };
 
       console.log(`[DB_INSERT] Final property data:`, dbPropertyData);
@@ -0,0 +1,233 @@
+// Viewing availability of a property, stored as a list in `properties.availability`.
+// Entries are typed; the untyped { day, startTime, endTime } of older rows are weekly rules.
+//   { type: 'weekly', day: 'Monday', startTime, endTime }        every week
+//   { type: 'date', date: 'YYYY-MM-DD', startTime, endTime }     one-off addition
+//   { type: 'blackout', from, until, startTime, endTime }        dates off, whole days when times are null
+//   { type: 'validity', from, until, untilRented }               when the rules apply at all (one entry)
+const zonedTime = require('./zonedTime');
+const { toMinutes, toClock, overlaps } = require('./slots');
+
+const ENTRY_TYPES = {
+  WEEKLY: 'weekly',
+  DATE: 'date',
+  BLACKOUT: 'blackout',
+  VALIDITY: 'validity'
+};
+
+// Listing statuses that end an "until it's rented" validity
+const CLOSED_STATUSES = ['rented', 'sold'];
+
+// Order entries are listed in
+const TYPE_ORDER = [ENTRY_TYPES.WEEKLY, ENTRY_TYPES.DATE, ENTRY_TYPES.BLACKOUT, ENTRY_TYPES.VALIDITY];
+
+/**
+ * Read a stored availability value as typed entries
+ * @param {Array|null} availability - `properties.availability`
+ * @returns {Array} - Entries, each with a type
+ */
+const normalize = (availability) => (Array.isArray(availability) ? availability : [])
+  .map(entry => (entry.type ? entry : { type: ENTRY_TYPES.WEEKLY, ...entry }));
+
+/**
+ * Check whether entries offer any viewing times (weekly rules or one-off dates)
+ * @param {Array} entries - Typed entries
+ * @returns {boolean} - True if there is at least one window
+ */
+const hasWindows = (entries) => entries.some(entry => entry.type === ENTRY_TYPES.WEEKLY || entry.type === ENTRY_TYPES.DATE);
+
+/**
+ * Check whether the validity entry lets viewings happen on a date
+ * @param {Array} entries - Typed entries
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {object} property - Property, for its status
+ * @returns {boolean} - True if the date is inside the validity window
+ */
+const isValidOn = (entries, date, property = {}) => {
+  const validity = entries.find(entry => entry.type === ENTRY_TYPES.VALIDITY);
+  if (!validity) return true;
+  if (validity.untilRented && CLOSED_STATUSES.includes(property.status)) return false;
+  return (!validity.from || date >= validity.from) && (!validity.until || date <= validity.until);
+};
+
+/**
+ * Remove a time range from a window
+ * @param {object} window - { startTime, endTime }
+ * @param {object} cut - { startTime, endTime }
+ * @returns {Array} - What is left of the window: none, one or two pieces
+ */
+const subtract = (window, cut) => {
+  const [start, end] = [toMinutes(window.startTime), toMinutes(window.endTime)];
+  const [cutStart, cutEnd] = [toMinutes(cut.startTime), toMinutes(cut.endTime)];
+  if (cutEnd <= start || cutStart >= end) return [window];
+
+  const pieces = [];
+  if (cutStart > start) pieces.push({ startTime: window.startTime, endTime: toClock(cutStart) });
+  if (cutEnd < end) pieces.push({ startTime: toClock(cutEnd), endTime: window.endTime });
+  return pieces;
+};
+
+/**
+ * Blackouts that cover a date
+ * @param {Array} entries - Typed entries
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Array} - Blackout entries
+ */
+const blackoutsOn = (entries, date) => entries.filter(entry => entry.type === ENTRY_TYPES.BLACKOUT &&
+  entry.from <= date && date <= entry.until);
+
+/**
+ * Viewing windows on a date: weekly rules for its weekday and one-off additions,
+ * less any blackouts, and none outside the validity window
+ * @param {Array} entries - Typed entries
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {object} property - Property, for its status
+ * @returns {Array} - [{ startTime, endTime }] in time order
+ */
+const windowsOn = (entries, date, property = {}) => {
+  if (!isValidOn(entries, date, property)) return [];
+
+  const day = zonedTime.WEEKDAYS[zonedTime.weekdayOf(date)];
+  let windows = entries
+    .filter(entry => (entry.type === ENTRY_TYPES.WEEKLY && entry.day === day) || (entry.type === ENTRY_TYPES.DATE && entry.date === date))
+    .map(({ startTime, endTime }) => ({ startTime, endTime }));
+
+  for (const blackout of blackoutsOn(entries, date)) {
+    const cut = blackout.startTime ? blackout : { startTime: '00:00', endTime: '24:00' };
+    windows = windows.flatMap(window => subtract(window, cut));
+  }
+
+  return windows.sort((a, b) => a.startTime.localeCompare(b.startTime));
+};
+
+/**
+ * Check whether a fixed time range is open on a date, for properties without their own windows
+ * @param {Array} entries - Typed entries
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {object} range - { startTime, endTime }
+ * @param {object} property - Property, for its status
+ * @returns {boolean} - True if no blackout or validity rule closes it
+ */
+const isOpen = (entries, date, range, property = {}) => isValidOn(entries, date, property) &&
+  blackoutsOn(entries, date).every(blackout => blackout.startTime && !overlaps(range, blackout));
+
+/**
+ * Key that identifies an entry, to avoid storing the same one twice
+ * @param {object} entry - Typed entry
+ * @returns {string} - Key
+ */
+const keyOf = ({ type, day, date, from, until, startTime, endTime }) => [type, day, date, from, until, startTime, endTime].join('|');
+
+/**
+ * Apply what an owner said to the stored entries. Weekly rules replace the
+ * weekly rules already there unless `append` is set; one-off dates and
+ * blackouts are added; a validity entry updates the existing one.
+ * @param {Array} entries - Typed entries
+ * @param {object} changes - { weekly, dates, blackouts, validity, excludedDays, append } from dateTimeParserService.parseAvailabilityRules
+ * @returns {Array} - New entries in listing order
+ */
+const apply = (entries, { weekly = [], dates = [], blackouts = [], validity = null, excludedDays = [], append = false }) => {
+  let next = weekly.length > 0 && !append ? entries.filter(entry => entry.type !== ENTRY_TYPES.WEEKLY) : [...entries];
+
+  next.push(
+    ...weekly.map(({ day, startTime, endTime }) => ({ type: ENTRY_TYPES.WEEKLY, day, startTime, endTime })),
+    ...dates.map(({ date, startTime, endTime }) => ({ type: ENTRY_TYPES.DATE, date, startTime, endTime })),
+    ...blackouts.map(({ from, until, startTime = null, endTime = null }) => ({ type: ENTRY_TYPES.BLACKOUT, from, until, startTime, endTime }))
+  );
+
+  // "every weekday except Fridays"
+  next = next.filter(entry => entry.type !== ENTRY_TYPES.WEEKLY || !excludedDays.includes(entry.day));
+
+  if (validity) {
+    const current = next.find(entry => entry.type === ENTRY_TYPES.VALIDITY) || { from: null, until: null, untilRented: false };
+    next = next.filter(entry => entry.type !== ENTRY_TYPES.VALIDITY);
+    next.push({
+      type: ENTRY_TYPES.VALIDITY,
+      from: validity.from || current.from,
+      until: validity.until || current.until,
+      untilRented: validity.untilRented || current.untilRented
+    });
+  }
+
+  const seen = new Set();
+  return sort(next.filter(entry => {
+    const key = keyOf(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }));
+};
+
+/**
+ * Drop one-off dates and blackouts that are over
+ * @param {Array} entries - Typed entries
+ * @param {string} today - Local 'YYYY-MM-DD'
+ * @returns {Array} - Entries still relevant
+ */
+const prune = (entries, today) => entries.filter(entry =>
+  (entry.type !== ENTRY_TYPES.DATE || entry.date >= today) &&
+  (entry.type !== ENTRY_TYPES.BLACKOUT || entry.until >= today));
+
+/**
+ * Put entries in listing order: weekly rules by weekday (Monday first), then dates, blackouts and validity
+ * @param {Array} entries - Typed entries
+ * @returns {Array} - Sorted copy
+ */
+const sort = (entries) => {
+  const weekdayIndex = day => (zonedTime.WEEKDAYS.indexOf(day) + 6) % 7;
+  const sortKey = entry => [
+    TYPE_ORDER.indexOf(entry.type),
+    entry.type === ENTRY_TYPES.WEEKLY ? weekdayIndex(entry.day) : 0,
+    entry.date || entry.from || '',
+    entry.startTime || ''
+  ];
+  return [...entries].sort((a, b) => {
+    const [keyA, keyB] = [sortKey(a), sortKey(b)];
+    for (let i = 0; i < keyA.length; i++) {
+      if (keyA[i] < keyB[i]) return -1;
+      if (keyA[i] > keyB[i]) return 1;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Describe an entry for messages
+ * @param {object} entry - Typed entry
+ * @returns {string} - e.g. "Every Monday 14:00 - 17:00", "Away Aug 1 - Aug 15"
+ */
+const describe = (entry) => {
+  const short = date => zonedTime.formatDate(date, 'short');
+  const times = entry.startTime ? ` ${entry.startTime} - ${entry.endTime}` : '';
+
+  switch (entry.type) {
+    case ENTRY_TYPES.WEEKLY:
+      return `Every ${entry.day}${times}`;
+    case ENTRY_TYPES.DATE:
+      return `Also ${short(entry.date)}${times}`;
+    case ENTRY_TYPES.BLACKOUT:
+      return entry.from === entry.until
+        ? `Not on ${short(entry.from)}${times}`
+        : `Away ${short(entry.from)} - ${short(entry.until)}${times}`;
+    case ENTRY_TYPES.VALIDITY: {
+      const parts = [];
+      if (entry.from) parts.push(`from ${short(entry.from)}`);
+      if (entry.until) parts.push(`until ${short(entry.until)}`);
+      if (entry.untilRented) parts.push(entry.until ? 'or until rented/sold' : 'until rented/sold');
+      return `Only ${parts.join(' ')}`;
+    }
+    default:
+      return JSON.stringify(entry);
+  }
+};
+
+module.exports = {
+  ENTRY_TYPES,
+  normalize,
+  hasWindows,
+  windowsOn,
+  isOpen,
+  apply,
+  prune,
+  sort,
+  describe
+};
@@ -0,0 +1,137 @@
+// iCalendar (RFC 5545) text for viewing invites. Start and end are written as the
+// property's wall-clock time with its TZID, so calendar apps place the viewing
+// correctly whatever zone the reader is in and on either side of a DST change.
+const zonedTime = require('./zonedTime');
+
+/**
+ * Format an instant as an ICS UTC date-time, e.g. "20261024T090000Z"
+ * @param {Date} instant - Point in time
+ * @returns {string} - ICS date-time
+ */
+const formatUtc = (instant) => instant.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+
+/**
+ * Format a local date and time as an ICS floating date-time, e.g. "20261024T100000"
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM' (seconds are dropped)
+ * @returns {string} - ICS date-time, read in the TZID it is paired with
+ */
+const formatLocal = (date, time) => `${date.replace(/-/g, '')}T${time.slice(0, 5).replace(':', '')}00`;
+
+/**
+ * Format an offset in minutes as an ICS UTC offset, e.g. "+0100"
+ * @param {number} minutes - Minutes ahead of UTC
+ * @returns {string} - ICS UTC offset
+ */
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(minutes) / 60)).padStart(2, '0');
+  return `${sign}${hours}${String(Math.abs(minutes) % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Format an instant as the wall clock of a fixed offset, e.g. "20261025T020000"
+ * @param {number} time - Milliseconds since the epoch
+ * @param {number} offset - Minutes ahead of UTC
+ * @returns {string} - ICS date-time
+ */
+const formatWallClock = (time, offset) => formatUtc(new Date(time + offset * 60000)).slice(0, -1);
+
+/**
+ * Find the instants a zone changes offset during a year, to the minute
+ * @param {string} timezone - IANA time zone
+ * @param {number} year - Calendar year
+ * @returns {Array} - [{ time, from, to }] with offsets in minutes
+ */
+const transitionsIn = (timezone, year) => {
+  const offsetAt = time => zonedTime.getOffsetMinutes(new Date(time), timezone);
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+
+  for (let day = Date.UTC(year, 0, 1); day < end; day += 86400000) {
+    const [from, to] = [offsetAt(day), offsetAt(day + 86400000)];
+    if (from === to) continue;
+
+    // The change falls within this day: narrow it down to the minute
+    let [low, high] = [day, day + 86400000];
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (offsetAt(middle) === from) low = middle;
+      else high = middle;
+    }
+    transitions.push({ time: high, from, to });
+  }
+  return transitions;
+};
+
+/**
+ * A VTIMEZONE with the zone's offset changes in the year of the viewing. Calendar
+ * apps that know the IANA name use their own rules; the others read these.
+ * @param {string} timezone - IANA time zone
+ * @param {Date} instant - Start of the viewing
+ * @returns {Array<string>} - Lines of the VTIMEZONE component
+ */
+const timezoneLines = (timezone, instant) => {
+  const year = instant.getUTCFullYear();
+  const yearStart = zonedTime.getOffsetMinutes(new Date(Date.UTC(year, 0, 1)), timezone);
+  const observance = (type, start, from, to) => [
+    `BEGIN:${type}`,
+    `DTSTART:${start}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+    `END:${type}`
+  ];
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timezone}`,
+    // The offset the year starts with, so the months before the first change are covered
+    ...observance('STANDARD', '19700101T000000', yearStart, yearStart),
+    ...transitionsIn(timezone, year).flatMap(({ time, from, to }) =>
+      observance(to > from ? 'DAYLIGHT' : 'STANDARD', formatWallClock(time, from), from, to)),
+    'END:VTIMEZONE'
+  ];
+};
+
+/**
+ * Build a calendar with one viewing event
+ * @param {object} event - { uid, date, startTime, endTime, timezone, summary, description, location, now }
+ *   date and times are local to timezone; description lines are joined with ICS newlines
+ * @returns {string} - VCALENDAR text
+ */
+const buildEvent = ({ uid, date, startTime, endTime, timezone, summary, description = [], location, now = new Date() }) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || ![startTime, endTime].every(time => /^\d{2}:\d{2}/.test(time || ''))) {
+    throw new Error('Invalid appointment date or time');
+  }
+  const start = zonedTime.zonedTimeToUtc(date, startTime.slice(0, 5), timezone);
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ReAgent Bot//Property Viewing//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:REQUEST',
+    ...timezoneLines(timezone, start),
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    `DTSTART;TZID=${timezone}:${formatLocal(date, startTime)}`,
+    `DTEND;TZID=${timezone}:${formatLocal(date, endTime)}`,
+    `SUMMARY:${summary}`,
+    `DESCRIPTION:${description.join('\\n')}`,
+    `LOCATION:${location}`,
+    'STATUS:CONFIRMED',
+    'TRANSP:OPAQUE',
+    'BEGIN:VALARM',
+    'TRIGGER:-PT15M',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:Property viewing in 15 minutes',
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\n');
+};
+
+module.exports = {
+  buildEvent
+};
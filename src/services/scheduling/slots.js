@@ -0,0 +1,46 @@
+// Splitting availability windows into bookable viewing slots.
+// Times are 'HH:MM' (a trailing ':SS' from the database is ignored).
+
+/**
+ * Minutes after midnight for a clock time
+ * @param {string} time - 'HH:MM' or 'HH:MM:SS'
+ * @returns {number} - Minutes after midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Clock time for minutes after midnight
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} - 'HH:MM'
+ */
+const toClock = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Split a window into back-to-back slots separated by a buffer, e.g. 14:00-17:00 with
+ * 30-minute slots and a 15-minute buffer gives 14:00, 14:45, 15:30 and 16:15
+ * @param {string} startTime - Window start
+ * @param {string} endTime - Window end
+ * @param {object} settings - { slotMinutes, bufferMinutes }
+ * @returns {Array} - [{ startTime, endTime }] that fit entirely inside the window
+ */
+const splitWindow = (startTime, endTime, { slotMinutes, bufferMinutes }) => {
+  const slots = [];
+  const end = toMinutes(endTime);
+  for (let start = toMinutes(startTime); start + slotMinutes <= end; start += slotMinutes + bufferMinutes) {
+    slots.push({ startTime: toClock(start), endTime: toClock(start + slotMinutes) });
+  }
+  return slots;
+};
+
+/**
+ * Check whether two time ranges on the same day overlap (touching ends don't)
+ * @param {object} a - { startTime, endTime }
+ * @param {object} b - { startTime, endTime }
+ * @returns {boolean} - True if they overlap
+ */
+const overlaps = (a, b) => toMinutes(a.startTime) < toMinutes(b.endTime) && toMinutes(b.startTime) < toMinutes(a.endTime);
+
+module.exports = { toMinutes, toClock, splitWindow, overlaps };
@@ -0,0 +1,162 @@
+// Calendar arithmetic in a named IANA time zone ("Europe/Lisbon") using Intl only.
+// Dates are 'YYYY-MM-DD' and times 'HH:MM' strings, both local to the zone.
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that reads the wall-clock parts of an instant in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check that a time zone name is known to the runtime
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} - True if usable
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Read the local date, time and weekday of an instant in a time zone
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {object} - { date: 'YYYY-MM-DD', time: 'HH:MM', seconds, weekday: 0-6 (Sunday first) }
+ */
+const getZonedParts = (instant, timeZone) => {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(instant).map(part => [part.type, part.value]));
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return { date, time: `${parts.hour}:${parts.minute}`, seconds: parseInt(parts.second, 10), weekday: weekdayOf(date) };
+};
+
+/**
+ * Minutes the zone is ahead of UTC at an instant (60 for Lisbon in summer)
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Offset in minutes
+ */
+const getOffsetMinutes = (instant, timeZone) => {
+  const { date, time, seconds } = getZonedParts(instant, timeZone);
+  const wallClock = Date.parse(`${date}T${time}:00Z`) + seconds * 1000;
+  return Math.round((wallClock - instant.getTime()) / 60000);
+};
+
+/**
+ * Convert a local date and time in a time zone to the instant it names
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} - Instant; times skipped by a DST change resolve to the later offset
+ */
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+  const firstGuess = wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  const offset = getOffsetMinutes(new Date(firstGuess), timeZone);
+  return new Date(wallClock - offset * 60000);
+};
+
+/**
+ * Format a local date and time as ISO 8601 with the zone's offset, e.g. "2026-10-24T10:00:00+01:00"
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - ISO 8601 string
+ */
+const toZonedIso = (date, time, timeZone) => {
+  const offset = getOffsetMinutes(zonedTimeToUtc(date, time, timeZone), timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${date}T${time}:00${sign}${hours}:${minutes}`;
+};
+
+/**
+ * Read a local date and time in one zone as the wall clock of another
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM'
+ * @param {string} fromZone - IANA time zone the date and time are in
+ * @param {string} toZone - IANA time zone to read them in
+ * @returns {object} - { date: 'YYYY-MM-DD', time: 'HH:MM' } in toZone
+ */
+const convert = (date, time, fromZone, toZone) => {
+  if (fromZone === toZone) return { date, time };
+  const { date: toDate, time: toTime } = getZonedParts(zonedTimeToUtc(date, time, fromZone), toZone);
+  return { date: toDate, time: toTime };
+};
+
+/**
+ * Add days to a calendar date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().split('T')[0];
+
+/**
+ * Weekday of a calendar date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number} - 0-6, Sunday first
+ */
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Format a calendar date for messages, e.g. "Saturday, Oct 24" or "Sat, Oct 24"
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} weekday - 'long' or 'short' weekday name
+ * @returns {string} - Formatted date
+ */
+const formatDate = (date, weekday = 'long') => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+  timeZone: 'UTC',
+  weekday,
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * Shift a clock time by a number of minutes, staying within the day
+ * @param {string} time - 'HH:MM'
+ * @param {number} minutes - Minutes to add
+ * @returns {string} - 'HH:MM', capped at 23:59
+ */
+const addMinutes = (time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = Math.min(hours * 60 + mins + minutes, 23 * 60 + 59);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  toZonedIso,
+  convert,
+  addDays,
+  weekdayOf,
+  formatDate,
+  addMinutes
+};
@@ -1,9 +1,40 @@
 const openaiService = require('./openaiService');
+const llmGatewayService = require('./llmGatewayService');
+const { LLM_OPERATIONS } = llmGatewayService;
 const Property = require('../models/Property');
 const Country = require('../models/Country');
 const City = require('../models/City');
 const District = require('../models/District');
 const ApartmentType = require('../models/ApartmentType');
+const geocodingService = require('./geocodingService');
+const { config } = require('../config/environment');
+
+// Parsed range filters and the property columns they constrain
+const RANGE_FILTER_COLUMNS = {
+  bedrooms: 'bedrooms',
+  bathrooms: 'bathrooms',
+  price: 'price',
+  area: 'area',
+  built_year: 'built_year' // varchar column, but four-digit years compare correctly as text
+};
+
+// Amenity flags that map one-to-one onto boolean property columns
+const AMENITY_COLUMNS = ['elevator', 'furnished', 'air_conditioning', 'work_room'];
+
+const LISTING_TYPES = ['rent', 'sale'];
+
+// A numbered floor as listings write it: "3", "3rd", "3º", "3rd floor", "3º andar"
+const FLOOR_NUMBER_PATTERN = /^(\d{1,3})\s*(?:st|nd|rd|th|º|ª|o|a)?(?:\s+(?:floor|andar))?$/;
+
+// "within 2 km", "500m from here" (but not "80 m²")
+const RADIUS_PATTERN = /(\d+(?:[.,]\d+)?)\s*(km|kms|kilomet(?:er|re)s?|m|met(?:er|re)s?)\b(?!\s*²)/i;
+// Searches around the user's shared location pin
+const NEAR_ME_PATTERN = /\b(near me|nearby|close to me|close by|around me|around here|near here|of here|from here|my location)\b/i;
+// Searches around a named place ("near Rato"); with a radius, "of"/"from" also count
+const NEAR_PLACE_PATTERN = /\b(near|close to|around|next to)\b/i;
+
+// Radius searches filter by distance after the query, so they fetch this many candidates
+const NEARBY_CANDIDATE_LIMIT = 500;
 
 /**
  * Property Search Service
@@ -14,20 +45,24 @@ class SearchService {
    * The single, authoritative function for parsing a query, building, and executing it.
    * @param {string} query - Natural language search query
    * @param {object} user - User object for personalization
+   * @param {object} options - { near: { latitude, longitude, radiusKm, label } } for a radius search, and
+   *   { parsed } filters already extracted by messageRouterService, which skip the ambiguity and parsing calls
    * @returns {Promise<object>} - Search results with metadata
    */
-  async searchProperties(query, user = null) {
+  async searchProperties(query, user = null, { near = null, parsed = null } = {}) {
     try {
       console.log(`🔍 [SEARCH] Processing query: "${query}"`);
 
       // Step 1: Check for ambiguity.
-      const ambiguityCheck = await this.detectAmbiguousQuery(query);
+      const ambiguityCheck = parsed
+        ? { isAmbiguous: parsed.isAmbiguous, confidence: parsed.confidence, ambiguousTerms: [], interpretations: [], clarificationMessage: parsed.clarificationMessage }
+        : await this.detectAmbiguousQuery(query);
       if (ambiguityCheck.isAmbiguous) {
         return { isAmbiguous: true, ...ambiguityCheck, totalCount: 0, results: [] };
       }
 
       // Step 2: Parse the natural language query into structured filters.
-      const searchParsed = await openaiService.parseSearchQuery(query);
+      const searchParsed = parsed || await openaiService.parseSearchQuery(query);
       console.log(`🧠 [SEARCH] Parsed filters:`, JSON.stringify(searchParsed.filters, null, 2));
 
       // Step 3: Build and execute the query based on the parsed filters.
@@ -38,26 +73,26 @@ class SearchService {
       let dbQuery = Property.db.from('properties');
 
       // --- Select Statement Construction ---
-      let selectStatement = '*, apartment_types:type_id(type), users:owner_id(phone_number, name)';
-      if (searchParsed.filters.location) {
-        if (searchParsed.filters.location.country || searchParsed.filters.location.city || searchParsed.filters.location.district) {
-          selectStatement += ', districts:district_id!inner(district, cities:city_id!inner(city, countries:country_id!inner(country)))';
-        }
+      const filters = { ...(searchParsed.filters || {}) };
+      if (near) {
+        // The radius replaces the named-area filter: a circle around Rato reaches into Estrela
+        delete filters.location;
+      }
+      // Filtering on a related table needs an inner join so non-matching properties drop out
+      let selectStatement = `*, apartment_types:type_id${this.hasValue(filters.apartment_type) ? '!inner' : ''}(type), users:owner_id(phone_number, name)`;
+      const location = filters.location || {};
+      if (location.country || location.city || location.district) {
+        selectStatement += ', districts:district_id!inner(district, cities:city_id!inner(city, countries:country_id!inner(country)))';
       } else {
         selectStatement += ', districts:district_id(district, cities:city_id(city, countries:country_id(country)))';
       }
       dbQuery = dbQuery.select(selectStatement);
 
       // --- Filter Chaining ---
-      if (searchParsed.filters.location) {
-        if (searchParsed.filters.location.country) dbQuery = dbQuery.ilike('districts.cities.countries.country', `%${searchParsed.filters.location.country}%`);
-        if (searchParsed.filters.location.city) dbQuery = dbQuery.ilike('districts.cities.city', `%${searchParsed.filters.location.city}%`);
-        if (searchParsed.filters.location.district) dbQuery = dbQuery.ilike('districts.district', `%${searchParsed.filters.location.district}%`);
-      }
-      
-      dbQuery = dbQuery.eq('status', searchParsed.filters.status || 'active');
-      if (searchParsed.filters.bedrooms?.exact) dbQuery = dbQuery.eq('bedrooms', searchParsed.filters.bedrooms.exact);
-      // ... (other filters remain the same)
+      const filterResult = this.applySearchFilters(dbQuery, filters);
+      dbQuery = filterResult.dbQuery;
+      const appliedFilters = filterResult.appliedFilters;
+      console.log(`🎯 [SEARCH] Applied filters:`, JSON.stringify(appliedFilters));
 
       // --- Modifier Chaining ---
       const sortField = searchParsed.sorting?.field || 'created_at';
@@ -66,7 +101,8 @@ class SearchService {
       const validSortField = sortField && sortField !== 'null' ? sortField : 'created_at';
       dbQuery = dbQuery.order(validSortField, { ascending: sortAsc });
       
-      dbQuery = dbQuery.limit(searchParsed.limit || 10);
+      const limit = searchParsed.limit || 10;
+      dbQuery = dbQuery.limit(near ? NEARBY_CANDIDATE_LIMIT : limit);
       
       // --- Await Execution ---
       console.log('Final Supabase Query:', dbQuery);
@@ -78,18 +114,30 @@ class SearchService {
         throw error;
       }
       // Use data.length as the count since Supabase count might be null when not explicitly requested
-      const actualCount = count !== null ? count : (data?.length || 0);
+      let actualCount = count !== null ? count : (data?.length || 0);
       console.log('🔧 [DEBUG] Using count:', actualCount, '(from', count !== null ? 'supabase count' : 'data.length', ')');
-      const results = { properties: data || [], count: actualCount };
+      let properties = data || [];
+
+      if (near) {
+        // Closest first, unless the user asked for a price order
+        properties = this.filterByDistance(properties, near, searchParsed.sorting?.field !== 'price');
+        actualCount = properties.length;
+        properties = properties.slice(0, limit);
+        appliedFilters.near = { label: near.label, radiusKm: near.radiusKm };
+      }
+      const results = { properties, count: actualCount };
       
       // Step 4: Format and return the final results object.
       const formattedResults = {
         query: query,
-        filters: searchParsed.filters,
+        filters: filters,
+        appliedFilters: appliedFilters,
         results: results.properties,
         totalCount: results.count,
         suggestion: await this.generateSearchSuggestion(query, results.count, user, searchParsed.filters),
-        properties: results.properties // for compatibility
+        properties: results.properties, // for compatibility
+        // Filters came from the rule-based fallback parser, not the model
+        simplified: !!searchParsed.simplified
       };
 
       console.log(`✅ [SEARCH] Found ${results.count} properties`);
@@ -101,6 +149,179 @@ class SearchService {
     }
   }
 
+  /**
+   * Detect a proximity search in a query
+   * @param {string} query - Natural language search query
+   * @returns {object|null} - { radiusKm, place } (radiusKm null for the default radius,
+   *   place null for "around my shared location"), or null if the query is not about proximity
+   */
+  parseProximity(query) {
+    const text = query || '';
+    const radiusMatch = text.match(RADIUS_PATTERN);
+    const nearMe = NEAR_ME_PATTERN.test(text);
+    const place = !nearMe && (radiusMatch || NEAR_PLACE_PATTERN.test(text)) ? geocodingService.findPlace(text) : null;
+
+    if (!radiusMatch && !nearMe && !place) {
+      return null;
+    }
+
+    let radiusKm = null;
+    if (radiusMatch) {
+      const value = parseFloat(radiusMatch[1].replace(',', '.'));
+      radiusKm = Math.min(/^k/i.test(radiusMatch[2]) ? value : value / 1000, config.search.maxRadiusKm);
+    }
+
+    return { radiusKm, place };
+  }
+
+  /**
+   * Keep the properties within a radius and record their distance
+   * Properties without coordinates are placed at their district's centroid.
+   * @param {Array} properties - Properties (with districts join)
+   * @param {object} near - { latitude, longitude, radiusKm }
+   * @param {boolean} sortByDistance - Order closest first instead of keeping the query order
+   * @returns {Array} - Properties with `distanceKm`
+   */
+  filterByDistance(properties, near, sortByDistance = true) {
+    const nearby = [];
+    for (const property of properties) {
+      const coordinates = geocodingService.getPropertyCoordinates(property);
+      if (!coordinates) continue;
+
+      const distanceKm = geocodingService.distanceKm(near, coordinates);
+      if (distanceKm <= near.radiusKm) {
+        nearby.push({ ...property, distanceKm });
+      }
+    }
+
+    return sortByDistance ? nearby.sort((a, b) => a.distanceKm - b.distanceKm) : nearby;
+  }
+
+  /**
+   * Translate parsed search filters into query constraints
+   * Only filters that map onto a real column are applied; the rest are dropped and
+   * left out of `appliedFilters`, so callers can show exactly what was searched for.
+   * @param {object} dbQuery - Supabase query builder (select already applied)
+   * @param {object} filters - Filters from openaiService.parseSearchQuery
+   * @returns {object} - { dbQuery, appliedFilters }
+   */
+  applySearchFilters(dbQuery, filters = {}) {
+    const appliedFilters = {};
+
+    if (filters.location) {
+      const { country, city, district } = filters.location;
+      if (country) dbQuery = dbQuery.ilike('districts.cities.countries.country', `%${country}%`);
+      if (city) dbQuery = dbQuery.ilike('districts.cities.city', `%${city}%`);
+      if (district) dbQuery = dbQuery.ilike('districts.district', `%${district}%`);
+      if (country || city || district) {
+        appliedFilters.location = { country: country || null, city: city || null, district: district || null };
+      }
+    }
+
+    appliedFilters.status = filters.status || 'active';
+    dbQuery = dbQuery.eq('status', appliedFilters.status);
+
+    for (const [filterKey, column] of Object.entries(RANGE_FILTER_COLUMNS)) {
+      const range = this.normalizeRange(filters[filterKey]);
+      if (!range) continue;
+
+      if (range.exact !== undefined) {
+        dbQuery = dbQuery.eq(column, range.exact);
+      } else {
+        if (range.min !== undefined) dbQuery = dbQuery.gte(column, range.min);
+        if (range.max !== undefined) dbQuery = dbQuery.lte(column, range.max);
+      }
+      appliedFilters[filterKey] = range;
+    }
+
+    if (LISTING_TYPES.includes(filters.listing_type)) {
+      dbQuery = dbQuery.eq('listing_type', filters.listing_type);
+      appliedFilters.listing_type = filters.listing_type;
+    }
+
+    if (this.hasValue(filters.apartment_type)) {
+      dbQuery = dbQuery.ilike('apartment_types.type', filters.apartment_type);
+      appliedFilters.apartment_type = filters.apartment_type;
+    }
+
+    if (this.hasValue(filters.floor)) {
+      const spellings = this.floorSpellings(filters.floor);
+      // Named floors ("ground", "top") match the whole value, ignoring case
+      dbQuery = spellings ? dbQuery.in('floor', spellings) : dbQuery.ilike('floor', String(filters.floor).trim());
+      appliedFilters.floor = filters.floor;
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(filters.available_from || '')) {
+      // Listings without a date are available immediately
+      dbQuery = dbQuery.or(`available_from.is.null,available_from.lte.${filters.available_from}`);
+      appliedFilters.available_from = filters.available_from;
+    }
+
+    if (filters.amenities) {
+      // Only required amenities filter; the parser reports unmentioned ones as false
+      const required = AMENITY_COLUMNS.filter(amenity =>
+        filters.amenities[amenity] === true || filters.amenities[amenity] === 'true'
+      );
+      required.forEach(amenity => {
+        dbQuery = dbQuery.eq(amenity, true);
+      });
+      if (required.length > 0) {
+        appliedFilters.amenities = required;
+      }
+    }
+
+    if (this.hasValue(filters.property_type)) {
+      // Properties have no property_type column yet, so this cannot be enforced
+      console.log(`⚠️ [SEARCH] Ignoring unsupported property_type filter: ${filters.property_type}`);
+    }
+
+    return { dbQuery, appliedFilters };
+  }
+
+  /**
+   * Check that a parsed filter value is set (the parser sometimes emits the string "null")
+   * @param {any} value - Parsed filter value
+   * @returns {boolean} - True if the value should be used
+   */
+  hasValue(value) {
+    return value !== null && value !== undefined && value !== '' && value !== 'null';
+  }
+
+  /**
+   * The ways a numbered floor is stored, so "1" finds "1st" and "1º" but not "10" or "21"
+   * @param {string|number} floor - Parsed floor filter
+   * @returns {Array<string>|null} - Spellings of the floor number, or null for a named floor
+   */
+  floorSpellings(floor) {
+    const match = String(floor).trim().toLowerCase().match(FLOOR_NUMBER_PATTERN);
+    if (!match) return null;
+
+    const number = String(parseInt(match[1], 10));
+    const lastDigits = parseInt(number, 10) % 100;
+    const suffix = lastDigits >= 11 && lastDigits <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[lastDigits % 10] || 'th');
+    return [number, `${number}${suffix}`, `${number}º`, `${number}ª`, `${number}${suffix} floor`, `${number}º andar`];
+  }
+
+  /**
+   * Normalize a parsed {min, max, exact} range, dropping null and non-numeric bounds
+   * @param {object} range - Range object from the parser
+   * @returns {object|null} - Range with numeric bounds, or null if nothing usable
+   */
+  normalizeRange(range) {
+    if (!range || typeof range !== 'object') return null;
+
+    const normalized = {};
+    ['exact', 'min', 'max'].forEach(bound => {
+      const value = range[bound];
+      if (value === null || value === undefined || value === '') return;
+      const number = Number(value);
+      if (Number.isFinite(number)) normalized[bound] = number;
+    });
+
+    if (normalized.exact !== undefined) return { exact: normalized.exact };
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
   /**
    * Generate intelligent search suggestions based on results and market analysis
    * @param {string} originalQuery - Original search query
@@ -167,8 +388,8 @@ Examples:
 
 Be helpful, realistic, and actionable. Use the actual market data to guide suggestions.`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.REPLY_ZERO_RESULTS_SUGGESTION, {
+        input: originalQuery,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Generate intelligent zero results suggestion` }
@@ -177,7 +398,7 @@ Be helpful, realistic, and actionable. Use the actual market data to guide sugge
         max_tokens: 150
       });
 
-      return response.choices[0].message.content.trim();
+      return response.content.trim();
     } catch (error) {
       console.error('Error generating intelligent zero results suggestion:', error);
       return "No properties found. Try broadening your search criteria or searching in different areas.";
@@ -338,8 +559,8 @@ Return JSON:
 
 DEFAULT: isAmbiguous=false unless you're 90%+ confident it's genuinely ambiguous.`;
 
-      const response = await openaiService.client.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmGatewayService.complete(LLM_OPERATIONS.DETECT_AMBIGUOUS_QUERY, {
+        input: query,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Analyze for genuine ambiguity: "${query}"` }
@@ -348,7 +569,7 @@ DEFAULT: isAmbiguous=false unless you're 90%+ confident it's genuinely ambiguous
         max_tokens: 200
       });
 
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       const cleanContent = content.replace(/```json\s*|\s*```/g, '').trim();
       const result = JSON.parse(cleanContent);
       
@@ -0,0 +1,107 @@
+const ConversationState = require('../../models/ConversationState');
+
+/**
+ * Database state driver
+ * Persists state in the `conversation_states` table so it survives restarts
+ * and is shared by every running instance.
+ */
+class DatabaseStateDriver {
+  constructor() {
+    this.name = 'database';
+  }
+
+  /**
+   * Convert a table row into a driver record
+   * @param {Object} row - conversation_states row
+   * @returns {Object} - { key, data, version, expiresAt }
+   */
+  toRecord(row) {
+    return {
+      key: row.state_key,
+      data: row.data,
+      version: row.version,
+      expiresAt: row.expires_at
+    };
+  }
+
+  /**
+   * Check whether a row has passed its expiry time
+   * @param {Object} row - conversation_states row
+   * @returns {boolean} - True if expired
+   */
+  isExpired(row) {
+    return !!row.expires_at && new Date(row.expires_at) <= new Date();
+  }
+
+  /**
+   * Get a record
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   * @returns {Promise<Object|null>} - { data, version, expiresAt } or null
+   */
+  async get(namespace, key) {
+    const row = await ConversationState.findByKey(namespace, key);
+    if (!row) return null;
+
+    if (this.isExpired(row)) {
+      await ConversationState.deleteByKey(namespace, key);
+      return null;
+    }
+
+    return this.toRecord(row);
+  }
+
+  /**
+   * Write a record if it is still at the expected version
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   * @param {Object} data - State payload
+   * @param {Object} options - { expiresAt, expectedVersion } (0 = must not exist)
+   * @returns {Promise<Object|null>} - Stored record, or null on version conflict
+   */
+  async put(namespace, key, data, { expiresAt = null, expectedVersion = 0 } = {}) {
+    if (expectedVersion > 0) {
+      const updated = await ConversationState.updateIfVersion(namespace, key, data, expiresAt, expectedVersion);
+      return updated ? this.toRecord(updated) : null;
+    }
+
+    // An expired row still holds the unique key, so clear it before inserting
+    const existing = await ConversationState.findByKey(namespace, key);
+    if (existing) {
+      if (!this.isExpired(existing)) return null;
+      await ConversationState.deleteByKey(namespace, key);
+    }
+
+    const created = await ConversationState.insertState(namespace, key, data, expiresAt);
+    return created ? this.toRecord(created) : null;
+  }
+
+  /**
+   * Delete a record
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   */
+  async delete(namespace, key) {
+    await ConversationState.deleteByKey(namespace, key);
+  }
+
+  /**
+   * List unexpired records in a namespace
+   * @param {string} namespace - State namespace
+   * @returns {Promise<Array>} - Array of { key, data, version, expiresAt }
+   */
+  async list(namespace) {
+    const rows = await ConversationState.findActiveByNamespace(namespace);
+    return rows.map(row => this.toRecord(row));
+  }
+
+  /**
+   * Remove every expired record
+   * @returns {Promise<number>} - Number of records removed
+   */
+  async purgeExpired() {
+    return await ConversationState.deleteExpired();
+  }
+}
+
+module.exports = DatabaseStateDriver;
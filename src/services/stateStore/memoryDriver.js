@@ -0,0 +1,130 @@
+/**
+ * In-memory state driver
+ * Keeps state in a process-local Map. Suitable for development and single
+ * instance deployments; everything is lost on restart.
+ */
+class MemoryStateDriver {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  /**
+   * Build the internal map key
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   * @returns {string} - Composite key
+   */
+  compositeKey(namespace, key) {
+    return `${namespace}:${key}`;
+  }
+
+  /**
+   * Check whether a record has passed its expiry time
+   * @param {Object} record - Stored record
+   * @returns {boolean} - True if expired
+   */
+  isExpired(record) {
+    return !!record.expiresAt && new Date(record.expiresAt) <= new Date();
+  }
+
+  /**
+   * Read the stored record, dropping it once expired
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   * @returns {Object|null} - Stored record (data still serialised) or null
+   */
+  read(namespace, key) {
+    const record = this.records.get(this.compositeKey(namespace, key));
+    if (!record) return null;
+
+    if (this.isExpired(record)) {
+      this.records.delete(this.compositeKey(namespace, key));
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Get a record
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   * @returns {Promise<Object|null>} - { data, version, expiresAt } or null
+   */
+  async get(namespace, key) {
+    const record = this.read(namespace, key);
+    return record ? { ...record, data: JSON.parse(record.data) } : null;
+  }
+
+  /**
+   * Write a record if it is still at the expected version
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   * @param {Object} data - State payload
+   * @param {Object} options - { expiresAt, expectedVersion } (0 = must not exist)
+   * @returns {Promise<Object|null>} - Stored record, or null on version conflict
+   */
+  async put(namespace, key, data, { expiresAt = null, expectedVersion = 0 } = {}) {
+    // Check and write without yielding, so concurrent writers can't both pass the check
+    const current = this.read(namespace, key);
+    const currentVersion = current ? current.version : 0;
+
+    if (currentVersion !== expectedVersion) {
+      return null;
+    }
+
+    // Serialise like the database driver does, so both behave the same (Dates become strings)
+    const record = {
+      data: JSON.stringify(data),
+      version: currentVersion + 1,
+      expiresAt
+    };
+    this.records.set(this.compositeKey(namespace, key), record);
+
+    return { ...record, data: JSON.parse(record.data) };
+  }
+
+  /**
+   * Delete a record
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   */
+  async delete(namespace, key) {
+    this.records.delete(this.compositeKey(namespace, key));
+  }
+
+  /**
+   * List unexpired records in a namespace
+   * @param {string} namespace - State namespace
+   * @returns {Promise<Array>} - Array of { key, data, version, expiresAt }
+   */
+  async list(namespace) {
+    const prefix = `${namespace}:`;
+    const results = [];
+
+    for (const [compositeKey, record] of this.records.entries()) {
+      if (!compositeKey.startsWith(prefix) || this.isExpired(record)) continue;
+      results.push({ ...record, key: compositeKey.slice(prefix.length), data: JSON.parse(record.data) });
+    }
+
+    return results;
+  }
+
+  /**
+   * Remove every expired record
+   * @returns {Promise<number>} - Number of records removed
+   */
+  async purgeExpired() {
+    let removed = 0;
+    for (const [compositeKey, record] of this.records.entries()) {
+      if (this.isExpired(record)) {
+        this.records.delete(compositeKey);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = MemoryStateDriver;
@@ -0,0 +1,144 @@
+const { config } = require('../config/environment');
+
+/**
+ * Thrown when a write is based on a state version that another message
+ * (or another instance) has already replaced.
+ */
+class StateVersionConflictError extends Error {
+  constructor(namespace, key, expectedVersion) {
+    super(`State ${namespace}:${key} is no longer at version ${expectedVersion}`);
+    this.name = 'StateVersionConflictError';
+    this.namespace = namespace;
+    this.key = key;
+    this.expectedVersion = expectedVersion;
+  }
+}
+
+/**
+ * State Store Service
+ * Pluggable key/value store for conversation flow state with TTL handling
+ * and optimistic versioning. The driver is chosen by STATE_STORE_DRIVER.
+ */
+class StateStoreService {
+  constructor() {
+    this.driver = this.createDriver(config.stateStore.driver);
+    console.log(`🗄️ [STATE] Using ${this.driver.name} state store`);
+  }
+
+  /**
+   * Instantiate a state driver by name
+   * @param {string} driverName - 'memory' or 'database'
+   * @returns {Object} - Driver instance
+   */
+  createDriver(driverName) {
+    switch (driverName) {
+      case 'database': {
+        const DatabaseStateDriver = require('./stateStore/databaseDriver');
+        return new DatabaseStateDriver();
+      }
+      case 'memory': {
+        const MemoryStateDriver = require('./stateStore/memoryDriver');
+        return new MemoryStateDriver();
+      }
+      default:
+        throw new Error(`Unknown state store driver: ${driverName}`);
+    }
+  }
+
+  /**
+   * Attach the stored version to a state object without making it part of the payload.
+   * Spreading the object (`{ ...state }`) intentionally drops the version.
+   * @param {Object} record - Driver record
+   * @returns {Object} - State payload with a non-enumerable `version`
+   */
+  toState(record) {
+    const state = record.data || {};
+    Object.defineProperty(state, 'version', { value: record.version, enumerable: false });
+    return state;
+  }
+
+  /**
+   * Get a state entry
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   * @returns {Promise<Object|null>} - State payload (with `version`) or null
+   */
+  async get(namespace, key) {
+    const record = await this.driver.get(namespace, key);
+    return record ? this.toState(record) : null;
+  }
+
+  /**
+   * Write a state entry.
+   * With `expectedVersion` the write only succeeds if nobody changed the entry since it
+   * was read; without it the latest version is overwritten.
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   * @param {Object} data - State payload
+   * @param {Object} options - { ttlMs, expectedVersion }
+   * @returns {Promise<Object>} - Stored state payload (with `version`)
+   */
+  async set(namespace, key, data, { ttlMs = null, expectedVersion } = {}) {
+    const expiresAt = ttlMs ? new Date(Date.now() + ttlMs).toISOString() : null;
+
+    if (expectedVersion !== undefined && expectedVersion !== null) {
+      const record = await this.driver.put(namespace, key, data, { expiresAt, expectedVersion });
+      if (!record) {
+        console.warn(`⚠️ [STATE] Version conflict on ${namespace}:${key} (expected v${expectedVersion})`);
+        throw new StateVersionConflictError(namespace, key, expectedVersion);
+      }
+      return this.toState(record);
+    }
+
+    // Last write wins: retry a few times if a concurrent writer slips in between read and write
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const current = await this.driver.get(namespace, key);
+      const record = await this.driver.put(namespace, key, data, {
+        expiresAt,
+        expectedVersion: current ? current.version : 0
+      });
+      if (record) return this.toState(record);
+    }
+
+    throw new StateVersionConflictError(namespace, key, 'latest');
+  }
+
+  /**
+   * Delete a state entry
+   * @param {string} namespace - State namespace
+   * @param {string} key - State key
+   */
+  async delete(namespace, key) {
+    await this.driver.delete(namespace, key);
+  }
+
+  /**
+   * Get all unexpired entries in a namespace
+   * @param {string} namespace - State namespace
+   * @returns {Promise<Array>} - Array of [key, state] pairs, like Map#entries
+   */
+  async entries(namespace) {
+    const records = await this.driver.list(namespace);
+    return records.map(record => [record.key, this.toState(record)]);
+  }
+
+  /**
+   * Remove expired entries from the backing store (called periodically)
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async cleanupExpired() {
+    try {
+      const removed = await this.driver.purgeExpired();
+      if (removed > 0) {
+        console.log(`🧹 [STATE] Removed ${removed} expired state entries`);
+      }
+      return removed;
+    } catch (error) {
+      console.error('❌ [STATE] Error cleaning up expired state:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = new StateStoreService();
+module.exports.StateVersionConflictError = StateVersionConflictError;
@@ -0,0 +1,132 @@
+const locations = require('./timezones/locationTimezones.json');
+const zonedTime = require('./scheduling/zonedTime');
+const { config } = require('../config/environment');
+
+/**
+ * Timezone Service
+ * Works out the IANA time zone of properties and users using a local table
+ * (timezones/locationTimezones.json): a property from its city or country, a
+ * user from the calling code of their phone number. Countries that span
+ * several zones map to their most populous one unless the city is listed.
+ */
+class TimezoneService {
+  constructor() {
+    this.countries = new Map();    // normalized country name -> time zone
+    this.cities = new Map();       // normalized city name -> time zone
+    this.callingCodes = new Map(); // calling code -> time zone
+
+    for (const country of locations.countries) {
+      [country.country, ...country.aliases].forEach(name => this.countries.set(this.normalize(name), country.timezone));
+      this.callingCodes.set(country.callingCode, country.timezone);
+    }
+
+    for (const city of locations.cities) {
+      [city.city, ...city.aliases].forEach(name => this.cities.set(this.normalize(name), city.timezone));
+    }
+  }
+
+  /**
+   * Normalize a place name for lookups (case and accents are ignored)
+   * @param {string} name - Place name
+   * @returns {string} - Normalized name
+   */
+  normalize(name) {
+    return (name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+  }
+
+  /**
+   * Time zone of a city or country
+   * @param {Object} location - { city, country }
+   * @returns {string|null} - IANA time zone or null if neither is known
+   */
+  forLocation({ city = null, country = null } = {}) {
+    return this.cities.get(this.normalize(city)) || this.countries.get(this.normalize(country)) || null;
+  }
+
+  /**
+   * Time zone of a phone number, from its country calling code
+   * @param {string} phoneNumber - E.164 number, with or without the whatsapp: prefix
+   * @returns {string|null} - IANA time zone or null if the code is not listed
+   */
+  forPhoneNumber(phoneNumber) {
+    const digits = (phoneNumber || '').replace('whatsapp:', '').replace(/\D/g, '');
+
+    // Calling codes are one to three digits; the longest match wins ("351" over "3")
+    for (let length = 3; length >= 1; length--) {
+      const timezone = this.callingCodes.get(digits.slice(0, length));
+      if (timezone) return timezone;
+    }
+
+    return null;
+  }
+
+  /**
+   * Time zone viewings of a property are arranged in: its own, else its city's or country's
+   * @param {Object} property - Property with optional districts:district_id(cities:city_id(city, countries:country_id(country))) join
+   * @returns {string} - IANA time zone, config.scheduling.timezone when nothing is known
+   */
+  forProperty(property) {
+    if (property?.timezone && zonedTime.isValidTimeZone(property.timezone)) {
+      return property.timezone;
+    }
+
+    const city = property?.districts?.cities;
+    return this.forLocation({ city: city?.city, country: city?.countries?.country }) || config.scheduling.timezone;
+  }
+
+  /**
+   * Time zone a user reads times in: their own, else their phone number's
+   * @param {Object} user - User object
+   * @returns {string} - IANA time zone, config.scheduling.timezone when nothing is known
+   */
+  forUser(user) {
+    if (user?.timezone && zonedTime.isValidTimeZone(user.timezone)) {
+      return user.timezone;
+    }
+
+    return this.forPhoneNumber(user?.phone_number) || config.scheduling.timezone;
+  }
+
+  /**
+   * Short name of a zone for messages, e.g. "Lisbon" or "New York"
+   * @param {string} timezone - IANA time zone
+   * @returns {string} - City part of the zone name
+   */
+  label(timezone) {
+    return timezone.split('/').pop().replace(/_/g, ' ');
+  }
+
+  /**
+   * Check whether two zones show the same time at an instant (Madrid and Paris do)
+   * @param {string} timezone - IANA time zone
+   * @param {string} other - IANA time zone
+   * @param {Date} instant - Point in time
+   * @returns {boolean} - True if their offsets match then
+   */
+  sameClock(timezone, other, instant = new Date()) {
+    return timezone === other || zonedTime.getOffsetMinutes(instant, timezone) === zonedTime.getOffsetMinutes(instant, other);
+  }
+
+  /**
+   * A viewing's times on a reader's own clock, for people outside the property's zone
+   * @param {string} date - 'YYYY-MM-DD' in the property's zone
+   * @param {string} startTime - 'HH:MM' in the property's zone
+   * @param {string} endTime - 'HH:MM' in the property's zone
+   * @param {string} timezone - The property's IANA time zone
+   * @param {Object} reader - User the message is for
+   * @returns {string} - e.g. " (09:00 - 09:30 your time)", or '' when the reader shares the zone's clock
+   */
+  localTimeNote(date, startTime, endTime, timezone, reader) {
+    const readerZone = this.forUser(reader);
+    const start = zonedTime.convert(date, startTime.slice(0, 5), timezone, readerZone);
+    const end = zonedTime.convert(date, endTime.slice(0, 5), timezone, readerZone);
+    if (start.date === date && start.time === startTime.slice(0, 5)) {
+      return '';
+    }
+
+    const day = start.date === date ? '' : `${zonedTime.formatDate(start.date, 'short')} `;
+    return ` (${day}${start.time} - ${end.time} your time)`;
+  }
+}
+
+module.exports = new TimezoneService();
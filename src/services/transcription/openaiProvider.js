@@ -0,0 +1,52 @@
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+
+// File extensions the transcription API recognizes, by content type
+const EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/opus': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'm4a',
+  'audio/amr': 'amr',
+  'audio/wav': 'wav',
+  'audio/webm': 'webm'
+};
+
+/**
+ * OpenAI transcription provider
+ * Sends voice notes to the audio transcriptions API (Whisper).
+ */
+class OpenAITranscriptionProvider {
+  constructor(apiKey, model) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = new OpenAI({ apiKey });
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {Object} audio - { buffer, contentType, language }
+   * @returns {Promise<Object>} - { text, language }
+   */
+  async transcribe({ buffer, contentType, language = null }) {
+    const extension = EXTENSIONS[contentType] || 'ogg';
+    const params = {
+      model: this.model,
+      file: await toFile(buffer, `voice-note.${extension}`, { type: contentType }),
+      response_format: 'verbose_json'
+    };
+    if (language) {
+      params.language = language;
+    }
+
+    const response = await this.client.audio.transcriptions.create(params);
+
+    return {
+      text: response.text || '',
+      language: response.language || language
+    };
+  }
+}
+
+module.exports = OpenAITranscriptionProvider;
@@ -0,0 +1,29 @@
+/**
+ * Stub transcription provider
+ * Deterministic, offline replacement for speech-to-text. Audio whose bytes
+ * are plain UTF-8 text is "transcribed" to that text, so local tests can serve
+ * a text file as a voice note; real audio yields an empty transcript.
+ */
+class StubTranscriptionProvider {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {Object} audio - { buffer, contentType, language }
+   * @returns {Promise<Object>} - { text, language }
+   */
+  async transcribe({ buffer, language = null }) {
+    const text = buffer.toString('utf8');
+    // Binary audio decodes to replacement and control characters
+    const isText = !/[\uFFFD\u0000-\u0008\u000E-\u001F]/.test(text);
+
+    return {
+      text: isText ? text.trim() : '',
+      language
+    };
+  }
+}
+
+module.exports = StubTranscriptionProvider;
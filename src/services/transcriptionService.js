@@ -0,0 +1,98 @@
+const twilioService = require('./twilioService');
+const { config } = require('../config/environment');
+
+/**
+ * Transcription Service
+ * Turns inbound voice notes into text with a swappable speech-to-text
+ * provider ('openai' or the offline 'stub'), chosen by TRANSCRIPTION_PROVIDER.
+ */
+class TranscriptionService {
+  constructor() {
+    this.provider = this.createProvider(config.transcription.provider);
+    this.stats = { calls: 0, failures: 0, totalLatencyMs: 0 };
+    console.log(`🎙️ [TRANSCRIPTION] Using ${this.provider.name} provider`);
+  }
+
+  /**
+   * Instantiate a provider by name
+   * @param {string} providerName - 'openai' or 'stub'
+   * @returns {Object} - Provider instance
+   */
+  createProvider(providerName) {
+    switch (providerName) {
+      case 'openai': {
+        const OpenAITranscriptionProvider = require('./transcription/openaiProvider');
+        return new OpenAITranscriptionProvider(config.openai.apiKey, config.transcription.model);
+      }
+      case 'stub': {
+        const StubTranscriptionProvider = require('./transcription/stubProvider');
+        return new StubTranscriptionProvider();
+      }
+      default:
+        throw new Error(`Unknown transcription provider: ${providerName}`);
+    }
+  }
+
+  /**
+   * Check whether a media item is a voice note or other audio
+   * @param {Object} item - { url, contentType }
+   * @returns {boolean} - True for audio content types
+   */
+  isAudio(item) {
+    return (item.contentType || '').toLowerCase().startsWith('audio/');
+  }
+
+  /**
+   * Download an inbound audio item from Twilio and transcribe it
+   * @param {Object} item - { url, contentType }
+   * @returns {Promise<Object>} - { text, language, provider, latencyMs }
+   */
+  async transcribeMedia(item) {
+    const startedAt = Date.now();
+    this.stats.calls++;
+
+    try {
+      const { buffer, contentType } = await twilioService.downloadMedia(item.url);
+      if (buffer.length > config.transcription.maxBytes) {
+        throw new Error(`Voice note too large (${buffer.length} bytes)`);
+      }
+
+      const result = await this.provider.transcribe({
+        buffer,
+        contentType: contentType || item.contentType,
+        language: config.transcription.language
+      });
+      const latencyMs = Date.now() - startedAt;
+      this.stats.totalLatencyMs += latencyMs;
+
+      const text = (result.text || '').trim();
+      console.log(`🎙️ [TRANSCRIPTION] Transcribed ${buffer.length} bytes in ${latencyMs}ms: "${text}"`);
+
+      return {
+        text,
+        language: result.language || null,
+        provider: this.provider.name,
+        latencyMs
+      };
+    } catch (error) {
+      this.stats.failures++;
+      this.stats.totalLatencyMs += Date.now() - startedAt;
+      throw error;
+    }
+  }
+
+  /**
+   * Get transcription statistics
+   * @returns {Object} - { provider, calls, failures, avgLatencyMs }
+   */
+  getStats() {
+    return {
+      provider: this.provider.name,
+      calls: this.stats.calls,
+      failures: this.stats.failures,
+      avgLatencyMs: this.stats.calls > 0 ? Math.round(this.stats.totalLatencyMs / this.stats.calls) : 0
+    };
+  }
+}
+
+module.exports = new TranscriptionService();
@@ -18,7 +18,9 @@ class TwilioService {
       const messageOptions = {
         body: body,
         from: config.twilio.whatsappNumber,
-        to: this.formatWhatsAppNumber(to)
+        to: this.formatWhatsAppNumber(to),
+        // Delivery updates feed the message log
+        statusCallback: `${config.webhook.baseUrl}/webhook/whatsapp/status`
       };
 
       if (mediaUrl) {
@@ -37,10 +39,118 @@ class TwilioService {
       };
     } catch (error) {
       console.error('Error sending WhatsApp message:', error);
-      throw new Error(`Failed to send message: ${error.message}`);
+      const sendError = new Error(`Failed to send message: ${error.message}`);
+      // Keep the HTTP status and Twilio error code so callers can tell transient failures apart
+      sendError.status = error.status;
+      sendError.code = error.code;
+      throw sendError;
     }
   }
 
+  /**
+   * Send a message built from a content template (buttons, list pickers)
+   * @param {string} to - Recipient phone number
+   * @param {string} contentSid - Content template SID
+   * @param {Object} contentVariables - Template variables, e.g. { 1: 'text' }
+   * @returns {Promise<Object>} - Message object
+   */
+  async sendContentMessage(to, contentSid, contentVariables = {}) {
+    try {
+      const message = await this.client.messages.create({
+        from: config.twilio.whatsappNumber,
+        to: this.formatWhatsAppNumber(to),
+        contentSid,
+        contentVariables: JSON.stringify(contentVariables),
+        statusCallback: `${config.webhook.baseUrl}/webhook/whatsapp/status`
+      });
+
+      console.log(`Content message sent successfully. SID: ${message.sid}`);
+      return {
+        success: true,
+        messageId: message.sid,
+        status: message.status,
+        to: message.to,
+        from: message.from
+      };
+    } catch (error) {
+      console.error('Error sending WhatsApp content message:', error);
+      const sendError = new Error(`Failed to send content message: ${error.message}`);
+      sendError.status = error.status;
+      sendError.code = error.code;
+      throw sendError;
+    }
+  }
+
+  /**
+   * Find a content template by friendly name
+   * @param {string} friendlyName - Template friendly name
+   * @returns {Promise<string|null>} - Content SID or null if there is none
+   */
+  async findContentTemplate(friendlyName) {
+    const contents = await this.client.content.v1.contents.list();
+    const match = contents.find(content => content.friendlyName === friendlyName);
+    return match ? match.sid : null;
+  }
+
+  /**
+   * Create a content template
+   * The Content API only accepts JSON bodies, which the SDK's create call does not send,
+   * so the request is made directly.
+   * @param {Object} definition - { friendly_name, language, variables, types }
+   * @returns {Promise<string>} - Content SID
+   */
+  async createContentTemplate(definition) {
+    const response = await fetch('https://content.twilio.com/v1/Content', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: this.basicAuthHeader()
+      },
+      body: JSON.stringify(definition)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Failed to create content template ${definition.friendly_name}: ${response.status} ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const content = await response.json();
+    return content.sid;
+  }
+
+  /**
+   * Download a media file attached to an inbound message
+   * @param {string} mediaUrl - MediaUrl{N} from the webhook
+   * @returns {Promise<Object>} - { buffer, contentType }
+   */
+  async downloadMedia(mediaUrl) {
+    // Twilio redirects to a signed storage URL; fetch drops the credentials on that cross-origin hop
+    const response = await fetch(mediaUrl, {
+      headers: { Authorization: this.basicAuthHeader() }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Failed to download media: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      buffer: Buffer.from(await response.arrayBuffer()),
+      contentType: (response.headers.get('content-type') || '').split(';')[0].trim()
+    };
+  }
+
+  /**
+   * Basic auth header for Twilio endpoints the SDK does not cover
+   * @returns {string} - Authorization header value
+   */
+  basicAuthHeader() {
+    const credentials = Buffer.from(`${config.twilio.accountSid}:${config.twilio.authToken}`).toString('base64');
+    return `Basic ${credentials}`;
+  }
+
   /**
    * Send a template message (for messages outside 24-hour window)
    * @param {string} to - Recipient phone number
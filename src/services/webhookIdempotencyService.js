@@ -0,0 +1,86 @@
+const stateStoreService = require('./stateStoreService');
+const { StateVersionConflictError } = require('./stateStoreService');
+const { config } = require('../config/environment');
+
+// State store namespace for inbound messages already seen, keyed by Twilio MessageSid
+const PROCESSED_MESSAGES_NAMESPACE = 'processed_messages';
+
+/**
+ * Webhook Idempotency Service
+ * Twilio retries the incoming-message webhook when we answer slowly. Each
+ * MessageSid is claimed once; the claim later holds the reply we sent so a
+ * retried delivery can replay it instead of running the pipeline again.
+ */
+class WebhookIdempotencyService {
+  constructor() {
+    this.ttlMs = config.stateStore.processedMessageTtlMinutes * 60 * 1000;
+    this.pollIntervalMs = 250;
+  }
+
+  /**
+   * Claim a MessageSid for processing
+   * @param {string} messageSid - Twilio message SID
+   * @returns {Promise<boolean>} - True if this request should process the message
+   */
+  async claim(messageSid) {
+    try {
+      // Version 0 means the entry must not exist yet, so only one request can win
+      await stateStoreService.set(PROCESSED_MESSAGES_NAMESPACE, messageSid, {
+        status: 'processing',
+        receivedAt: new Date().toISOString()
+      }, { ttlMs: this.ttlMs, expectedVersion: 0 });
+      return true;
+    } catch (error) {
+      if (error instanceof StateVersionConflictError) {
+        return false;
+      }
+      // Better to risk a duplicate than to drop the message
+      console.error('❌ [WEBHOOK] Failed to claim message, processing anyway:', error.message);
+      return true;
+    }
+  }
+
+  /**
+   * Store the reply sent for a processed message
+   * @param {string} messageSid - Twilio message SID
+   * @param {Object} response - { type, content, mediaUrl, statusCallback }
+   */
+  async complete(messageSid, response) {
+    try {
+      await stateStoreService.set(PROCESSED_MESSAGES_NAMESPACE, messageSid, {
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+        response: {
+          type: response.type,
+          content: response.content,
+          mediaUrl: response.mediaUrl || null,
+          // A replayed reply reports its delivery to the same log row
+          statusCallback: response.statusCallback || null
+        }
+      }, { ttlMs: this.ttlMs });
+    } catch (error) {
+      console.error('❌ [WEBHOOK] Failed to store processed reply:', error.message);
+    }
+  }
+
+  /**
+   * Get the original reply for a duplicate delivery, waiting briefly if the
+   * first delivery is still being processed
+   * @param {string} messageSid - Twilio message SID
+   * @returns {Promise<Object|null>} - Original reply, or null if it is not ready in time
+   */
+  async getOriginalResponse(messageSid) {
+    const deadline = Date.now() + config.webhook.duplicateWaitMs;
+
+    while (true) {
+      const entry = await stateStoreService.get(PROCESSED_MESSAGES_NAMESPACE, messageSid);
+      if (!entry) return null; // Expired
+      if (entry.status === 'completed') return entry.response;
+      if (Date.now() >= deadline) return null;
+
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+  }
+}
+
+module.exports = new WebhookIdempotencyService();
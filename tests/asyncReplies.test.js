@@ -0,0 +1,89 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const whatsappController = require('../src/controllers/whatsappController');
+const inboundWorkerService = require('../src/services/inboundWorkerService');
+const outboundQueueService = require('../src/services/outboundQueueService');
+const OutboundMessage = require('../src/models/OutboundMessage');
+const { config } = require('../src/config/environment');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test.after(() => outboundQueueService.stop());
+
+/**
+ * Deliver an incoming-message webhook the way Twilio posts it
+ * @param {string} from - Sender phone number
+ * @param {string} messageSid - Twilio message SID
+ * @returns {Promise<string>} - TwiML answer
+ */
+const deliver = async (from, messageSid) => {
+  let twiml = null;
+  const res = { writeHead: () => {}, end: (text) => { twiml = text; } };
+  await whatsappController.receiveMessage({
+    body: { Body: 'Hi', From: `whatsapp:${from}`, To: 'whatsapp:+14155238886', MessageSid: messageSid, NumMedia: '0', ProfileName: 'Rui' }
+  }, res);
+  return twiml;
+};
+
+/**
+ * Wait until the background worker has nothing left to run
+ */
+const workerIdle = async () => {
+  while (inboundWorkerService.getStats().pending > 0) await sleep(5);
+};
+
+test('jobs run in arrival order per sender and side by side across senders', async () => {
+  const log = [];
+  const job = (name, ms) => async () => {
+    log.push(`${name} start`);
+    await sleep(ms);
+    log.push(`${name} end`);
+  };
+
+  inboundWorkerService.submit('+351910000901', job('a1', 30));
+  inboundWorkerService.submit('+351910000901', async () => { throw new Error('boom'); });
+  inboundWorkerService.submit('+351910000901', job('a2', 1));
+  inboundWorkerService.submit('+351910000902', job('b1', 1));
+  assert.deepEqual(inboundWorkerService.getStats(), { pending: 4, activeSenders: 2 });
+  await workerIdle();
+
+  // b1 did not wait for a1; a2 waited for a1 and ran despite the failure before it
+  assert.deepEqual(log, ['a1 start', 'b1 start', 'b1 end', 'a1 end', 'a2 start', 'a2 end']);
+  assert.deepEqual(inboundWorkerService.getStats(), { pending: 0, activeSenders: 0 });
+});
+
+test('replies are spaced like someone typing them', () => {
+  const cases = [
+    ['', 600],
+    ['Hi', 600],
+    ['x'.repeat(100), 2500],
+    ['x'.repeat(1000), 4000]
+  ];
+
+  for (const [body, expected] of cases) {
+    assert.equal(outboundQueueService.getTypingDelayMs(body), expected, `${body.length} characters`);
+  }
+});
+
+test('in async mode the webhook answers at once and the reply is queued', async (t) => {
+  config.webhook.replyMode = 'async';
+  t.after(() => { config.webhook.replyMode = 'inline'; });
+  const from = '+351910000903';
+
+  const startedAt = Date.now();
+  const twiml = await deliver(from, 'SMasync0903');
+  assert.doesNotMatch(twiml, /<Message\b/);
+  await workerIdle();
+
+  const replies = await OutboundMessage.findAll({ recipient: from });
+  assert.ok(replies.length >= 1);
+  assert.ok(replies.every(reply => reply.kind === 'reply'));
+  assert.ok(new Date(replies[0].next_attempt_at).getTime() >= startedAt + 600);
+
+  // A retried delivery is acknowledged again without running the pipeline
+  const retry = await deliver(from, 'SMasync0903');
+  await workerIdle();
+  assert.doesNotMatch(retry, /<Message\b/);
+  assert.equal((await OutboundMessage.findAll({ recipient: from })).length, replies.length);
+});
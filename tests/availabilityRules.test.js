@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const availabilityRules = require('../src/services/scheduling/availabilityRules');
+
+// 2030-03-04 is a Monday
+const ENTRIES = availabilityRules.normalize([
+  { day: 'Monday', startTime: '14:00', endTime: '17:00' },
+  { type: 'weekly', day: 'Monday', startTime: '09:00', endTime: '10:00' },
+  { type: 'weekly', day: 'Wednesday', startTime: '18:00', endTime: '20:00' },
+  { type: 'date', date: '2030-03-09', startTime: '10:00', endTime: '12:00' },
+  { type: 'blackout', from: '2030-03-11', until: '2030-03-11', startTime: '15:00', endTime: '16:00' },
+  { type: 'blackout', from: '2030-03-13', until: '2030-03-20', startTime: null, endTime: null },
+  { type: 'validity', from: null, until: '2030-03-31', untilRented: true }
+]);
+
+test('windowsOn combines weekly rules, dates, blackouts and validity', () => {
+  const cases = [
+    ['2030-03-04', {}, ['09:00-10:00', '14:00-17:00']],
+    ['2030-03-06', {}, ['18:00-20:00']],
+    ['2030-03-09', {}, ['10:00-12:00']],
+    ['2030-03-10', {}, []],
+    ['2030-03-11', {}, ['09:00-10:00', '14:00-15:00', '16:00-17:00']],
+    ['2030-03-13', {}, []],
+    ['2030-03-18', {}, []],
+    ['2030-03-25', {}, ['09:00-10:00', '14:00-17:00']],
+    ['2030-04-01', {}, []],
+    ['2030-03-04', { status: 'rented' }, []]
+  ];
+
+  for (const [date, property, expected] of cases) {
+    const windows = availabilityRules.windowsOn(ENTRIES, date, property);
+    assert.deepEqual(windows.map(window => `${window.startTime}-${window.endTime}`), expected, `${date} ${property.status || ''}`);
+  }
+});
+
+test('isOpen only closes fixed times for blackouts and validity', () => {
+  const cases = [
+    ['2030-03-11', '15:30', '16:30', false],
+    ['2030-03-11', '16:00', '17:00', true],
+    ['2030-03-14', '10:00', '11:00', false],
+    ['2030-04-02', '10:00', '11:00', false],
+    ['2030-03-05', '10:00', '11:00', true]
+  ];
+
+  for (const [date, startTime, endTime, expected] of cases) {
+    assert.equal(availabilityRules.isOpen(ENTRIES, date, { startTime, endTime }), expected, `${date} ${startTime}`);
+  }
+});
+
+test('apply replaces or appends weekly rules and merges the rest', () => {
+  const weekly = [{ day: 'Friday', startTime: '10:00', endTime: '12:00' }];
+  const keys = entries => entries.map(entry => availabilityRules.describe(entry));
+  const cases = [
+    ['new weekly rules replace the old ones', { weekly }, [
+      'Every Friday 10:00 - 12:00', 'Also Sat, Mar 9 10:00 - 12:00', 'Not on Mon, Mar 11 15:00 - 16:00', 'Away Wed, Mar 13 - Wed, Mar 20', 'Only until Sun, Mar 31 or until rented/sold'
+    ]],
+    ['"also" keeps them', { weekly, append: true }, [
+      'Every Monday 09:00 - 10:00', 'Every Monday 14:00 - 17:00', 'Every Wednesday 18:00 - 20:00', 'Every Friday 10:00 - 12:00',
+      'Also Sat, Mar 9 10:00 - 12:00', 'Not on Mon, Mar 11 15:00 - 16:00', 'Away Wed, Mar 13 - Wed, Mar 20', 'Only until Sun, Mar 31 or until rented/sold'
+    ]],
+    ['excluded days drop weekly rules; repeated blackouts are stored once', {
+      excludedDays: ['Monday'],
+      blackouts: [{ from: '2030-03-13', until: '2030-03-20' }, { from: '2030-03-27', until: '2030-03-27' }]
+    }, [
+      'Every Wednesday 18:00 - 20:00', 'Also Sat, Mar 9 10:00 - 12:00', 'Not on Mon, Mar 11 15:00 - 16:00', 'Away Wed, Mar 13 - Wed, Mar 20', 'Not on Wed, Mar 27',
+      'Only until Sun, Mar 31 or until rented/sold'
+    ]],
+    ['validity keeps what the update leaves out', { validity: { from: '2030-03-05', until: null, untilRented: false } }, [
+      'Every Monday 09:00 - 10:00', 'Every Monday 14:00 - 17:00', 'Every Wednesday 18:00 - 20:00',
+      'Also Sat, Mar 9 10:00 - 12:00', 'Not on Mon, Mar 11 15:00 - 16:00', 'Away Wed, Mar 13 - Wed, Mar 20', 'Only from Tue, Mar 5 until Sun, Mar 31 or until rented/sold'
+    ]]
+  ];
+
+  for (const [name, changes, expected] of cases) {
+    assert.deepEqual(keys(availabilityRules.apply(ENTRIES, changes)), expected, name);
+  }
+});
+
+test('prune drops dates and blackouts that are over', () => {
+  const pruned = availabilityRules.prune(ENTRIES, '2030-03-12');
+  assert.deepEqual(pruned.map(entry => entry.type), ['weekly', 'weekly', 'weekly', 'blackout', 'validity']);
+});
@@ -0,0 +1,166 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const calendarService = require('../src/services/calendarService');
+const appointmentService = require('../src/services/appointmentService');
+const databaseService = require('../src/services/databaseService');
+const { User, Property, ViewingAppointment, Country, City, District } = require('../src/models');
+
+test.before(() => databaseService.initializeReferenceData());
+
+/**
+ * Create an owner/agent with properties and viewings
+ * @param {string} phone - Owner's phone number
+ * @param {object} options - { travelMinutes, properties: [{ address, timezone }], viewings: [[propertyIndex, date, start, end, status]] }
+ * @returns {Promise<object>} - { owner, properties }
+ */
+const createCalendar = async (phone, { travelMinutes = null, properties, viewings }) => {
+  const owner = await User.getOrCreateUser(phone, { name: 'Olivia', role: 'owner' });
+  if (travelMinutes !== null) await User.updateById(owner.id, { viewing_travel_minutes: travelMinutes });
+
+  const created = [];
+  for (const details of properties) {
+    created.push(await Property.create({ owner_id: owner.id, price: 1000, status: 'active', ...details }));
+  }
+  for (const [index, date, startTime, endTime, status = 'confirmed'] of viewings) {
+    await ViewingAppointment.create({ user_id: owner.id, property_id: created[index].id, appointment_date: date, start_time: startTime, end_time: endTime, status });
+  }
+  return { owner, properties: created };
+};
+
+/**
+ * Busy ranges on a date as "HH:MM-HH:MM" strings
+ * @param {object} property - Property the ranges are for
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Promise<Array<string>>} - Ranges in time order
+ */
+const busyOn = async (property, date) => {
+  const busy = await calendarService.getBusyRanges(property, date, date);
+  return (busy[date] || []).map(range => `${range.startTime}-${range.endTime}`).sort();
+};
+
+test('viewings at other addresses are padded with travel time', async () => {
+  const { properties: [flat, house, sameBuilding] } = await createCalendar('+351910000201', {
+    travelMinutes: 45,
+    properties: [{ address: 'Rua Augusta 10, 2º' }, { address: 'Rua do Ouro 5' }, { address: 'rua augusta 10, 2º ' }],
+    viewings: [
+      [0, '2030-03-04', '10:00', '10:30'],
+      [1, '2030-03-04', '12:00', '12:30'],
+      [2, '2030-03-04', '15:00', '15:30'],
+      [1, '2030-03-04', '17:00', '17:30', 'declined'],
+      [1, '2030-03-04', '23:30', '23:59'],
+      [1, '2030-03-05', '00:10', '00:40']
+    ]
+  });
+
+  const cases = [
+    // Travel time around late viewings runs over midnight into the next or previous day
+    [flat, '2030-03-04', ['10:00-10:30', '11:15-13:15', '15:00-15:30', '22:45-24:00', '23:25-24:00']],
+    [house, '2030-03-04', ['09:15-11:15', '12:00-12:30', '14:15-16:15', '23:30-23:59']],
+    [flat, '2030-03-05', ['00:00-00:44', '00:00-01:25']]
+  ];
+  for (const [property, date, expected] of cases) {
+    assert.deepEqual(await busyOn(property, date), expected, `${property.address} ${date}`);
+  }
+});
+
+test('travel time falls back to the configured default, and 0 turns it off', async () => {
+  const cases = [
+    [null, ['09:30-11:00']],
+    [0, ['10:00-10:30']]
+  ];
+
+  let phone = 210;
+  for (const [travelMinutes, expected] of cases) {
+    const { properties: [, other] } = await createCalendar(`+3519100002${phone++}`, {
+      travelMinutes,
+      properties: [{ address: 'Rua A 1' }, { address: 'Rua B 2' }],
+      viewings: [[0, '2030-03-06', '10:00', '10:30']]
+    });
+    assert.deepEqual(await busyOn(other, '2030-03-06'), expected, String(travelMinutes));
+  }
+});
+
+test('findConflict names the viewing that blocks a time', async () => {
+  const { properties: [flat, house] } = await createCalendar('+351910000220', {
+    travelMinutes: 30,
+    properties: [{ address: 'Rua A 1' }, { address: 'Rua B 2' }],
+    viewings: [[0, '2030-03-07', '10:00', '10:30']]
+  });
+
+  const cases = [
+    ['10:30', '11:00', true],
+    ['11:00', '11:30', false],
+    ['09:15', '09:45', true],
+    ['09:00', '09:30', false]
+  ];
+  for (const [startTime, endTime, clashes] of cases) {
+    const conflict = await calendarService.findConflict(house, '2030-03-07', startTime, endTime);
+    assert.equal(conflict ? conflict.propertyId : null, clashes ? flat.id : null, `${startTime}-${endTime}`);
+  }
+});
+
+test('of two bookings racing for the same time only the first one made keeps it', async () => {
+  const { owner, properties: [flat, house] } = await createCalendar('+351910000221', {
+    travelMinutes: 30,
+    properties: [{ address: 'Rua A 1' }, { address: 'Rua B 2' }],
+    viewings: []
+  });
+
+  // Both pass the check before either is on the calendar
+  const results = await Promise.all([flat, house].map(property => appointmentService.bookAppointment({
+    userId: owner.id, propertyId: property.id, date: '2030-03-08', startTime: '10:00', endTime: '10:30'
+  })));
+
+  assert.deepEqual(results.map(result => result.success).sort(), [false, true]);
+  const { appointment } = results.find(result => result.success);
+  assert.equal(results.find(result => !result.success).conflict.appointmentId, appointment.id);
+  const calendar = await calendarService.getCalendar(owner.id, '2030-03-08', '2030-03-08');
+  assert.deepEqual(calendar.map(entry => entry.appointmentId), [appointment.id]);
+
+  // Viewings booked after an appointment don't count against it
+  assert.equal(await calendarService.findConflict(flat, '2030-03-08', '10:00', '10:30', { id: 'booked-first', created_at: new Date(0).toISOString() }), null);
+});
+
+/**
+ * Create a district in a city, for properties whose zone comes from their location
+ * @param {string} city - City name
+ * @returns {Promise<string>} - District ID
+ */
+const createDistrict = async (city) => {
+  const country = await Country.create({ country: 'Portugal' });
+  const created = await City.create({ city, country_id: country.id });
+  return (await District.create({ district: `${city} Centro`, city_id: created.id })).id;
+};
+
+test('viewings in another zone block the same instant on this property\'s clock', async () => {
+  const [lisbonDistrict, azoresDistrict] = [await createDistrict('Lisbon'), await createDistrict('Ponta Delgada')];
+  const { properties: [lisbon, azores] } = await createCalendar('+351910000230', {
+    travelMinutes: 0,
+    properties: [{ address: 'Rua Augusta 1', district_id: lisbonDistrict }, { address: 'Rua dos Mercadores 2', district_id: azoresDistrict }],
+    viewings: [
+      [1, '2030-03-04', '10:00', '10:30'],
+      [1, '2030-03-04', '23:30', '23:59'],
+      [0, '2030-03-06', '00:15', '00:45'],
+      // Lisbon and the Azores both change clocks on the last Sunday of March, an hour apart either way
+      [1, '2030-03-31', '10:00', '10:30']
+    ]
+  });
+
+  // Copies without their location, as Property.findById returns them
+  const [lisbonRow, azoresRow] = [await Property.findById(lisbon.id), await Property.findById(azores.id)];
+  const cases = [
+    [lisbonRow, '2030-03-04', ['11:00-11:30']],
+    [lisbonRow, '2030-03-05', ['00:30-00:59']],
+    [azoresRow, '2030-03-05', ['23:15-23:45']],
+    [azoresRow, '2030-03-06', []],
+    [lisbonRow, '2030-03-31', ['11:00-11:30']]
+  ];
+  for (const [property, date, expected] of cases) {
+    assert.deepEqual(await busyOn(property, date), expected, `${property.address} ${date}`);
+  }
+
+  const conflict = await calendarService.findConflict(lisbonRow, '2030-03-04', '11:15', '11:45');
+  assert.equal(conflict?.propertyId, azores.id);
+  assert.equal(await calendarService.findConflict(lisbonRow, '2030-03-04', '10:00', '11:00'), null);
+});
@@ -0,0 +1,144 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const conversationFlowService = require('../src/services/conversationFlowService');
+const conversationService = require('../src/services/conversationService');
+const { PAYLOAD_ACTIONS } = require('../src/services/interactiveMessageService');
+const { Property } = require('../src/models');
+const { config } = require('../src/config/environment');
+
+const { CONVERSATION_STATE, INPUT_TYPES, InvalidTransitionError } = conversationFlowService;
+
+test('each state takes only the messages and payloads its flow defines', () => {
+  const cases = [
+    [CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT, INPUT_TYPES.TEXT, 'handleAvailabilityResponse'],
+    // Photos and pins sent mid-flow are handled outside it
+    [CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT, INPUT_TYPES.MEDIA, null],
+    [CONVERSATION_STATE.AWAITING_SLOT_SELECTION, INPUT_TYPES.LOCATION, null],
+    // Onboarding takes anything, so a new user's first photo still gets the role question
+    [CONVERSATION_STATE.AWAITING_ROLE, INPUT_TYPES.MEDIA, 'handleRoleSelection'],
+    [undefined, INPUT_TYPES.TEXT, null],
+    ['no_such_state', INPUT_TYPES.TEXT, null]
+  ];
+
+  for (const [state, inputType, handler] of cases) {
+    assert.equal(conversationFlowService.getHandlerFor(state, inputType)?.handler ?? null, handler, `${state} ${inputType}`);
+  }
+
+  assert.equal(conversationFlowService.getPayloadHandlerFor(CONVERSATION_STATE.AWAITING_SLOT_SELECTION, PAYLOAD_ACTIONS.SLOT).handler, 'handleSlotSelection');
+  assert.equal(conversationFlowService.getPayloadHandlerFor(CONVERSATION_STATE.AWAITING_SLOT_SELECTION, PAYLOAD_ACTIONS.ROLE), null);
+});
+
+test('booking states last as long as the pending request they mirror', () => {
+  const cases = [
+    [CONVERSATION_STATE.AWAITING_SLOT_SELECTION, config.stateStore.pendingRequestTtlMinutes],
+    [CONVERSATION_STATE.APPOINTMENT_COORDINATING, config.stateStore.pendingRequestTtlMinutes],
+    [CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT, config.stateStore.conversationTtlMinutes],
+    [undefined, config.stateStore.conversationTtlMinutes]
+  ];
+
+  for (const [state, minutes] of cases) {
+    assert.equal(conversationFlowService.getTimeoutMs(state), minutes * 60 * 1000, state);
+  }
+
+  assert.equal(conversationFlowService.getStateForPendingRequest('coordinating'), CONVERSATION_STATE.APPOINTMENT_COORDINATING);
+  assert.equal(conversationFlowService.getStateForPendingRequest('unknown'), null);
+});
+
+test('transitions are checked against the flow definitions', () => {
+  const allowed = [
+    // Leaving a flow or staying put
+    [CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT, undefined],
+    [CONVERSATION_STATE.AWAITING_SLOT_SELECTION, CONVERSATION_STATE.AWAITING_SLOT_SELECTION],
+    // Listed in `next`
+    [CONVERSATION_STATE.AWAITING_DELETION_PROPERTY_SELECTION, CONVERSATION_STATE.AWAITING_DELETION_CONFIRMATION],
+    [CONVERSATION_STATE.AWAITING_TIME_PREFERENCES, CONVERSATION_STATE.APPOINTMENT_COORDINATING]
+  ];
+  for (const [from, to] of allowed) {
+    assert.doesNotThrow(() => conversationFlowService.assertTransition(from, to, '+351910001601'), `${from} -> ${to}`);
+  }
+
+  const rejected = [
+    [undefined, CONVERSATION_STATE.APPOINTMENT_COORDINATING],
+    // Later steps can only be reached from the step before them
+    [undefined, CONVERSATION_STATE.AWAITING_DELETION_CONFIRMATION],
+    [CONVERSATION_STATE.AWAITING_AVAILABILITY_PROPERTY_SELECTION, CONVERSATION_STATE.AWAITING_DELETION_CONFIRMATION],
+    [undefined, CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT],
+    [CONVERSATION_STATE.AWAITING_TIME_PREFERENCES, CONVERSATION_STATE.AWAITING_APPOINTMENT_CONFIRMATION],
+    [CONVERSATION_STATE.AWAITING_ROLE, 'no_such_state']
+  ];
+  for (const [from, to] of rejected) {
+    assert.throws(() => conversationFlowService.assertTransition(from, to, '+351910001601'), error => {
+      assert.ok(error instanceof InvalidTransitionError);
+      assert.deepEqual([error.from, error.to], [from, to]);
+      return true;
+    }, `${from} -> ${to}`);
+  }
+});
+
+test('a message mid-flow goes to the handler of the current state', async () => {
+  const user = { id: 'user-1602', phone_number: '+351910001602', onboarded: true, user_roles: { role: 'owner' } };
+  const property = { id: 'property-1602', address: 'Rua do Sol 12' };
+  await conversationService.setConversationState(user.phone_number, {
+    state: CONVERSATION_STATE.AWAITING_DELETION_PROPERTY_SELECTION,
+    properties: [property]
+  });
+
+  const [invalid] = await conversationService.processMessage('7', user);
+  assert.match(invalid, /not a valid number/);
+
+  const [question] = await conversationService.processMessage('1', user);
+  assert.match(question.body, /Delete your property at \*Rua do Sol 12\*/);
+  assert.equal((await conversationService.getConversationState(user.phone_number)).state, CONVERSATION_STATE.AWAITING_DELETION_CONFIRMATION);
+
+  const [kept] = await conversationService.processMessage('no', user, { payload: `${PAYLOAD_ACTIONS.DELETE_CONFIRM}:no` });
+  assert.match(kept, /stays listed/);
+  assert.deepEqual(await conversationService.getConversationState(user.phone_number), {});
+});
+
+test('skipping a step of a flow is rejected and leaves the conversation where it was', async () => {
+  const user = { id: 'user-1603', phone_number: '+351910001603', onboarded: true, user_roles: { role: 'owner' } };
+  const before = await conversationService.setConversationState(user.phone_number, { lastQuery: 'T2 in Lisbon' });
+
+  const cases = [
+    [CONVERSATION_STATE.AWAITING_DELETION_CONFIRMATION, { property: { id: 'property-1603', address: 'Rua do Sol 12' } }],
+    [CONVERSATION_STATE.AWAITING_APPOINTMENT_CONFIRMATION, { proposedAppointment: { date: '2026-10-20' } }]
+  ];
+
+  for (const [state, data] of cases) {
+    await assert.rejects(conversationService.setConversationState(user.phone_number, { state, ...data }), InvalidTransitionError, state);
+    assert.deepEqual(await conversationService.getConversationState(user.phone_number), before, state);
+  }
+});
+
+test('with a single property the flow still starts at the selection step', async () => {
+  const user = { id: 'user-1604', phone_number: '+351910001604', onboarded: true, user_roles: { role: 'owner' } };
+  await Property.create({ owner_id: user.id, address: 'Rua da Lua 4', price: 1000, status: 'active' });
+
+  const [question] = await conversationService.handleDeleteProperty(user);
+  assert.match(question.body, /Delete your property at \*Rua da Lua 4\*/);
+  assert.equal((await conversationService.getConversationState(user.phone_number)).state, CONVERSATION_STATE.AWAITING_DELETION_CONFIRMATION);
+
+  await conversationService.clearConversationState(user.phone_number);
+  const [prompt] = await conversationService.handleSetAvailability(user);
+  assert.match(prompt, /availability for your property at \*Rua da Lua 4\*/);
+  assert.equal((await conversationService.getConversationState(user.phone_number)).state, CONVERSATION_STATE.AWAITING_AVAILABILITY_TEXT);
+});
+
+test('two messages answering the same question cannot both move the conversation on', async () => {
+  const user = { id: 'user-1605', phone_number: '+351910001605', onboarded: true, user_roles: { role: 'owner' } };
+  const properties = [{ id: 'property-1605a', address: 'Rua A 1' }, { id: 'property-1605b', address: 'Rua B 2' }];
+  await conversationService.setConversationState(user.phone_number, {
+    state: CONVERSATION_STATE.AWAITING_DELETION_PROPERTY_SELECTION,
+    properties
+  });
+
+  const replies = await Promise.all(['1', '2'].map(message => conversationService.processMessage(message, user)));
+
+  // The first answer wins and the other is asked to be sent again
+  const [[winner], [loser]] = replies[0][0].body ? replies : [...replies].reverse();
+  assert.match(winner.body, /Delete your property/);
+  assert.match(loser, /still working on your previous message/);
+  const { property } = await conversationService.getConversationState(user.phone_number);
+  assert.ok(winner.body.includes(`*${property.address}*`));
+});
@@ -0,0 +1,61 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const conversationHistoryService = require('../src/services/conversationHistoryService');
+const conversationService = require('../src/services/conversationService');
+const interactiveMessageService = require('../src/services/interactiveMessageService');
+const { config } = require('../src/config/environment');
+
+test('the history keeps the last turns and summarizes older requests', async (t) => {
+  const { maxTurns, maxSummaryChars } = config.history;
+  Object.assign(config.history, { maxTurns: 4, maxSummaryChars: 20 });
+  t.after(() => Object.assign(config.history, { maxTurns, maxSummaryChars }));
+  const phone = '+351910001701';
+
+  for (const request of ['T1 in Porto', 'T2 in Lisbon', 'under 2000', 'with a balcony']) {
+    await conversationHistoryService.recordExchange(phone, request, [`Results for ${request}`]);
+  }
+
+  const { turns, earlierRequests } = await conversationHistoryService.getHistory(phone);
+  assert.deepEqual(turns.map(turn => `${turn.role}: ${turn.content}`), [
+    'user: under 2000',
+    'assistant: Results for under 2000',
+    'user: with a balcony',
+    'assistant: Results for with a balcony'
+  ]);
+  // The oldest request no longer fits the summary budget
+  assert.deepEqual(earlierRequests, ['T2 in Lisbon']);
+
+  const messages = await conversationHistoryService.getMessages(phone);
+  assert.deepEqual(messages[0], { role: 'system', content: 'Summary of earlier messages from the user, oldest first: "T2 in Lisbon"' });
+  assert.deepEqual(messages.slice(1).map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+
+  await conversationHistoryService.clear(phone);
+  assert.deepEqual(await conversationHistoryService.getMessages(phone), []);
+});
+
+test('replies are stored as plain text, cut to the turn limit', () => {
+  const buttons = interactiveMessageService.buttons('Confirm?', [{ id: 'a', title: 'Yes' }], { fallbackText: 'Reply YES to confirm' });
+  const cases = [
+    [['Hello', buttons, { body: 'Cover photo', mediaUrl: 'https://example.com/1.jpg' }], 'Hello\n\nReply YES to confirm\n\nCover photo'],
+    ['Just text', 'Just text'],
+    [[null, ''], '']
+  ];
+
+  for (const [replies, expected] of cases) {
+    assert.equal(conversationHistoryService.repliesToText(replies), expected);
+  }
+
+  const clipped = conversationHistoryService.clip('x'.repeat(500));
+  assert.equal(clipped.length, config.history.maxTurnChars);
+  assert.ok(clipped.endsWith('…'));
+});
+
+test('a correction is read against the previous search', async () => {
+  const user = { id: 'user-1702', phone_number: '+351910001702', onboarded: true, user_roles: { role: 'tenant' } };
+  await conversationHistoryService.recordExchange(user.phone_number, 'T2 in Lisbon under 2000', ['Found 3 properties']);
+
+  const result = await conversationService.parseContextRequest('oh I mean 3000', user);
+  assert.equal(result.isSearchRefinement, true);
+  assert.equal(result.searchTerms, 'T2 in Lisbon under 3000');
+});
@@ -0,0 +1,119 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dateTimeParserService = require('../src/services/dateTimeParserService');
+
+// Friday 23 October 2026, 11:00 in Lisbon; clocks go back from 02:00 to 01:00 on Sunday the 25th
+const NOW = new Date('2026-10-23T10:00:00Z');
+const LISBON = { timezone: 'Europe/Lisbon', now: NOW };
+
+/**
+ * Parse a message and keep the parts the tests compare
+ * @param {string} message - Message text
+ * @param {object} options - Parse options
+ * @returns {Array|null} - [[date, startTime, endTime, start]] or null
+ */
+const rangesOf = (message, options = LISBON) => {
+  const parsed = dateTimeParserService.parse(message, options);
+  return parsed && parsed.ranges.map(range => [range.date, range.startTime, range.endTime, range.start]);
+};
+
+test('parse resolves days and times across the Lisbon DST switch', () => {
+  const cases = [
+    ['Saturday at 10am', [['2026-10-24', '10:00', '11:00', '2026-10-24T10:00:00+01:00']]],
+    ['Sunday at 10am', [['2026-10-25', '10:00', '11:00', '2026-10-25T10:00:00+00:00']]],
+    ['this weekend 9am', [
+      ['2026-10-24', '09:00', '10:00', '2026-10-24T09:00:00+01:00'],
+      ['2026-10-25', '09:00', '10:00', '2026-10-25T09:00:00+00:00']
+    ]],
+    ['amanhã às 15h', [['2026-10-24', '15:00', '16:00', '2026-10-24T15:00:00+01:00']]],
+    ['tomorrow 2-4pm', [['2026-10-24', '14:00', '16:00', '2026-10-24T14:00:00+01:00']]],
+    ['25/10 das 14h às 16h', [['2026-10-25', '14:00', '16:00', '2026-10-25T14:00:00+00:00']]],
+    ['the 24th at 1:30am', [['2026-10-24', '01:30', '02:30', '2026-10-24T01:30:00+01:00']]],
+    ['Tue 2-4pm and Thu 10am', [
+      ['2026-10-27', '14:00', '16:00', '2026-10-27T14:00:00+00:00'],
+      ['2026-10-29', '10:00', '11:00', '2026-10-29T10:00:00+00:00']
+    ]],
+    ['2 bedrooms', null],
+    ['hello', null]
+  ];
+
+  for (const [message, expected] of cases) {
+    assert.deepEqual(rangesOf(message), expected, message);
+  }
+});
+
+test('parse turns recurring days into weekly rules', () => {
+  const cases = [
+    ['weekdays 9am-12pm', ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'], '09:00', '12:00'],
+    ['next week mornings', ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'], '09:00', '12:00'],
+    ['às segundas 18h-20h', ['Monday'], '18:00', '20:00']
+  ];
+
+  for (const [message, days, startTime, endTime] of cases) {
+    const { schedule, untimed } = dateTimeParserService.parse(message, LISBON);
+    assert.deepEqual(schedule, days.map(day => ({ day, startTime, endTime })), message);
+    assert.equal(untimed, false, message);
+  }
+});
+
+test('parse spells out date spans day by day', () => {
+  const summer = { timezone: 'Europe/Lisbon', now: new Date('2026-07-20T10:00:00Z') };
+  const august = (first, last) => Array.from({ length: last - first + 1 }, (_, day) => `2026-08-${String(first + day).padStart(2, '0')}`);
+  const cases = [
+    ['1 to 15 August', august(1, 15), true],
+    ['away Aug 1-15', august(1, 15), true],
+    ['aug 3-5 10am-12pm', august(3, 5), false],
+    ['de 1 a 3 de agosto de manhã', august(1, 3), false]
+  ];
+
+  for (const [message, dates, untimed] of cases) {
+    const parsed = dateTimeParserService.parse(message, summer);
+    assert.deepEqual(parsed.ranges.map(range => range.date), dates, message);
+    assert.equal(parsed.untimed, untimed, message);
+    // A span is a stretch of dates, not a weekly schedule
+    assert.deepEqual(parsed.schedule, [], message);
+  }
+});
+
+test('parseAvailabilityRules reads weekly rules, exceptions and validity', () => {
+  const weekdays = (startTime, endTime) => ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'].map(day => ({ day, startTime, endTime }));
+  const cases = [
+    ['every weekday evening except the 24th', {
+      weekly: weekdays('18:00', '20:00'),
+      blackouts: [{ from: '2026-10-24', until: '2026-10-24', startTime: null, endTime: null }]
+    }],
+    ['weekdays 9-5 but away Nov 1-15', {
+      weekly: weekdays('09:00', '17:00'),
+      blackouts: [{ from: '2026-11-01', until: '2026-11-15', startTime: null, endTime: null }]
+    }],
+    ['weekdays 18h-20h until the apartment is rented', {
+      weekly: weekdays('18:00', '20:00'),
+      validity: { from: null, until: null, untilRented: true }
+    }],
+    ['from 1/11 weekdays 9-12', {
+      weekly: weekdays('09:00', '12:00'),
+      validity: { from: '2026-11-01', until: null, untilRented: false }
+    }],
+    ['Saturdays 10-12, also Sundays', { weekly: [{ day: 'Saturday', startTime: '10:00', endTime: '12:00' }], append: true, untimed: true }],
+    ['except Fridays', { excludedDays: ['Friday'] }],
+    ['hello', null]
+  ];
+
+  for (const [message, expected] of cases) {
+    const rules = dateTimeParserService.parseAvailabilityRules(message, LISBON);
+    if (expected === null) {
+      assert.equal(rules, null, message);
+      continue;
+    }
+    const defaults = { weekly: [], dates: [], blackouts: [], excludedDays: [], validity: null, append: false, untimed: false };
+    assert.deepEqual(rules, { ...defaults, ...expected }, message);
+  }
+});
+
+test('parse results move to another zone without losing the instant', () => {
+  const parsed = dateTimeParserService.parse('Sunday at 10am', { timezone: 'Atlantic/Azores', now: NOW });
+  const inLisbon = dateTimeParserService.inZone(parsed, 'Europe/Lisbon');
+  assert.deepEqual([inLisbon.ranges[0].date, inLisbon.ranges[0].startTime, inLisbon.ranges[0].endTime], ['2026-10-25', '11:00', '12:00']);
+  assert.ok(inLisbon.localSummary);
+});
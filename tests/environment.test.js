@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ENVIRONMENT = path.join(__dirname, '..', 'src', 'config', 'environment.js');
+
+/**
+ * Load the config and validate it in a child process with the given settings
+ * @param {object} env - Extra environment variables
+ * @returns {object} - { status, scheduling, stderr }
+ */
+const loadConfig = (env) => {
+  const script = `const { config, validateConfig } = require(${JSON.stringify(ENVIRONMENT)});
+validateConfig();
+console.log(JSON.stringify(config.scheduling));`;
+  const childEnv = { ...process.env, TWILIO_ACCOUNT_SID: 'ACtest', TWILIO_AUTH_TOKEN: 'test', MEDIA_URL_SECRET: 'media-secret', DATABASE_ADAPTER: 'memory', LLM_PROVIDER: 'stub', ...env };
+  // Unset settings are left out rather than passed as "undefined"
+  Object.keys(childEnv).filter(key => childEnv[key] === undefined).forEach(key => delete childEnv[key]);
+  const result = spawnSync(process.execPath, ['-e', script], {
+    env: childEnv,
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  return { status: result.status, scheduling: result.status === 0 ? JSON.parse(result.stdout) : null, stderr: result.stderr };
+};
+
+for (const [name, key, fallback] of [['VIEWING_BUFFER_MINUTES', 'bufferMinutes', 15], ['VIEWING_TRAVEL_MINUTES', 'travelMinutes', 30]]) {
+  test(`${name} setting`, () => {
+    const cases = [
+      [undefined, fallback],
+      ['', fallback],
+      ['0', 0],
+      ['20', 20],
+      ['abc', null],
+      ['15min', null],
+      ['-5', null],
+      ['7.5', null]
+    ];
+
+    for (const [value, expected] of cases) {
+      const { status, scheduling, stderr } = loadConfig({ [name]: value });
+      if (expected === null) {
+        assert.equal(status, 1, `${value} should be rejected`);
+        assert.match(stderr, new RegExp(`Invalid ${name}`));
+      } else {
+        assert.equal(status, 0, `${value}: ${stderr}`);
+        assert.equal(scheduling[key], expected, value);
+      }
+    }
+  });
+}
+
+test('MEDIA_URL_SECRET setting', () => {
+  const cases = [
+    [undefined, false],
+    ['', false],
+    ['media-secret', true]
+  ];
+
+  for (const [value, accepted] of cases) {
+    const { status, stderr } = loadConfig({ MEDIA_URL_SECRET: value });
+    if (accepted) {
+      assert.equal(status, 0, `${value}: ${stderr}`);
+    } else {
+      assert.equal(status, 1, `${value} should be rejected`);
+      assert.match(stderr, /Missing required environment variables: MEDIA_URL_SECRET/);
+    }
+  }
+});
@@ -0,0 +1,70 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fallbackSearchParserService = require('../src/services/fallbackSearchParserService');
+
+test('prices', async () => {
+  const cases = [
+    ['apartment under 1500', { max: 1500 }],
+    ['flat up to €1.200', { max: 1200 }],
+    ['casa ate 300 mil', { max: 300000 }],
+    ['house over 2k', { min: 2000 }],
+    ['a partir de 900 euros', { min: 900 }],
+    ['between 800 and 1200', { min: 800, max: 1200 }],
+    ['entre 800 e 1.200 euros', { min: 800, max: 1200 }],
+    ['from 1000 to 1500', { min: 1000, max: 1500 }],
+    ['from €1k to €1.5k', { min: 1000, max: 1500 }],
+    ['de 800 a 1200 euros', { min: 800, max: 1200 }],
+    ['T2 de 800 até 1200', { min: 800, max: 1200 }],
+    ['desde 250 mil ate 400 mil', { min: 250000, max: 400000 }],
+    ['casa de 3 a 4 quartos entre 800 e 1200', { min: 800, max: 1200 }],
+    ['2 bedroom flat 1500€', { max: 1500 }],
+    ['apartment in 3000', undefined],
+    ['under 80 m2', undefined],
+    ['casa de 3 a 4 quartos', undefined]
+  ];
+
+  for (const [message, expected] of cases) {
+    const { filters } = await fallbackSearchParserService.parse(message);
+    const price = filters.price && { min: filters.price.min, max: filters.price.max };
+    const wanted = expected && { min: expected.min, max: expected.max };
+    assert.deepEqual(price, wanted, message);
+  }
+});
+
+test('rooms, area, listing and property types', async () => {
+  const cases = [
+    ['T2 in Lisbon', { bedrooms: { exact: 2 } }],
+    ['T3+ para comprar', { bedrooms: { min: 3 }, listing_type: 'sale' }],
+    ['studio to rent', { bedrooms: { exact: 0 }, listing_type: 'rent' }],
+    ['at least 2 bedrooms and 2 bathrooms', { bedrooms: { min: 2 }, bathrooms: { exact: 2 } }],
+    ['dois quartos', { bedrooms: { exact: 2 } }],
+    ['moradia com 120 m2', { property_type: 'house', area: { min: 120 } }],
+    ['flat under 60 sqm', { property_type: 'apartment', area: { max: 60 } }],
+    ['casa de banho privada', { property_type: undefined }],
+    ['shop for lease', { property_type: 'commercial', listing_type: 'rent' }]
+  ];
+
+  for (const [message, expected] of cases) {
+    const { filters } = await fallbackSearchParserService.parse(message);
+    for (const [key, value] of Object.entries(expected)) {
+      assert.deepEqual(filters[key], value, `${message}: ${key}`);
+    }
+  }
+});
+
+test('amenities and sorting', async () => {
+  const cases = [
+    ['furnished flat with lift', { furnished: true, elevator: true }, 'created_at'],
+    ['apartamento sem mobilia com ar condicionado', { furnished: false, air_conditioning: true }, 'created_at'],
+    ['cheapest T1 with home office', { work_room: true }, 'price'],
+    ['maior moradia', undefined, 'area']
+  ];
+
+  for (const [message, amenities, sortField] of cases) {
+    const result = await fallbackSearchParserService.parse(message);
+    assert.deepEqual(result.filters.amenities, amenities, message);
+    assert.equal(result.sorting.field, sortField, message);
+    assert.equal(result.simplified, true);
+  }
+});
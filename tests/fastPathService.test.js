@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fastPathService = require('../src/services/fastPathService');
+const { ROUTES } = require('../src/services/messageRouting/routes');
+
+const normalize = message => fastPathService.normalize(message);
+
+test('parseOwnerAnswer reads the short appointment ID in either order', () => {
+  const cases = [
+    ['Confirm a1b2', { intent: 'confirm', appointmentId: 'a1b2' }],
+    ['confirm viewing #a1b2', { intent: 'confirm', appointmentId: 'a1b2' }],
+    ['a1b2 ok', { intent: 'confirm', appointmentId: 'a1b2' }],
+    ['Decline 9f3c', { intent: 'decline', appointmentId: '9f3c' }],
+    ['recusar 9f3c', { intent: 'decline', appointmentId: '9f3c' }],
+    ['Confirm a1b2c3d4', { intent: 'confirm', appointmentId: 'a1b2c3d4' }]
+  ];
+  for (const [message, expected] of cases) {
+    assert.deepEqual(fastPathService.parseOwnerAnswer(normalize(message)), { ...expected, newTimeSuggestion: null }, message);
+  }
+});
+
+test('parseOwnerAnswer ignores messages without an ID', () => {
+  for (const message of ['confirm', 'Confirm the viewing please', 'decline zzzz', 'Confirm a1']) {
+    assert.equal(fastPathService.parseOwnerAnswer(normalize(message)), null, message);
+  }
+});
+
+test('parseYesNo reads short answers in English and Portuguese', () => {
+  const cases = [
+    ['yes', 'yes'], ['Yes please', 'yes'], ['ok, thanks', 'yes'], ['sim', 'yes'], ['👍', 'yes'],
+    ['no', 'no'], ['Não', 'no'], ['nope', 'no'],
+    ['yes but only on Tuesday', null], ['maybe', null]
+  ];
+  for (const [message, expected] of cases) {
+    assert.equal(fastPathService.parseYesNo(message), expected, message);
+  }
+});
+
+test('recognize routes numbered references and commands', () => {
+  const cases = [
+    ['2', null],
+    ['details of 2', { intent: ROUTES.PROPERTY_DETAILS, propertyNumber: 2 }],
+    ['tell me more about the second one', { intent: ROUTES.PROPERTY_DETAILS, propertyNumber: 2 }],
+    ['ver detalhes do imóvel 3', { intent: ROUTES.PROPERTY_DETAILS, propertyNumber: 3 }],
+    ['I want to visit property 1', { intent: ROUTES.PROPERTY_INTEREST, propertyNumber: 1 }],
+    ['quero visitar o 3º', { intent: ROUTES.PROPERTY_INTEREST, propertyNumber: 3 }],
+    ["I'm interested in number 4", { intent: ROUTES.PROPERTY_INTEREST, propertyNumber: 4 }],
+    ['show my listings', { intent: ROUTES.VIEW_OWN_LISTINGS }],
+    ['os meus imóveis', { intent: ROUTES.VIEW_OWN_LISTINGS }],
+    ['delete a property', { intent: ROUTES.DELETE_PROPERTY }],
+    ['set availability', { intent: ROUTES.SET_AVAILABILITY }],
+    ['apartments in Lisbon under 2000', null]
+  ];
+  for (const [message, expected] of cases) {
+    const route = fastPathService.recognize(message);
+    if (expected === null) {
+      assert.equal(route, null, message);
+    } else {
+      assert.equal(route?.intent, expected.intent, message);
+      if (expected.propertyNumber) assert.equal(route.propertyNumber, expected.propertyNumber, message);
+    }
+  }
+});
+
+test('recognize only reads appointment answers from owners and agents', () => {
+  assert.equal(fastPathService.recognize('Confirm a1b2', { role: 'renter' }), null);
+  const route = fastPathService.recognize('Confirm a1b2', { role: 'owner' });
+  assert.equal(route.intent, ROUTES.OWNER_APPOINTMENT_RESPONSE);
+  assert.equal(route.ownerResponse.appointmentId, 'a1b2');
+});
@@ -0,0 +1,103 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const conversationService = require('../src/services/conversationService');
+const appointmentService = require('../src/services/appointmentService');
+const interactiveMessageService = require('../src/services/interactiveMessageService');
+const stateStoreService = require('../src/services/stateStoreService');
+
+/**
+ * An onboarded user with a role
+ * @param {string} phone - Phone number
+ * @param {string} role - 'tenant', 'owner' or 'agent'
+ * @returns {object} - User object as the controller passes it
+ */
+const userWithRole = (phone, role = 'tenant') => ({ id: `user-${phone}`, phone_number: phone, onboarded: true, user_roles: { role } });
+
+/**
+ * Texts of a reply, with interactive messages in their plain-text form
+ * @param {Array} responses - Response messages
+ * @returns {Array<string>} - Texts
+ */
+const texts = responses => responses.map(response => interactiveMessageService.toPlainText(response));
+
+test('commands are recognized only as the whole message', () => {
+  const cases = [
+    ['cancel', 'cancel'],
+    ['  Cancelar! ', 'cancel'],
+    ['MENU', 'menu'],
+    ['ajuda?', 'help'],
+    ['Start over.', 'reset'],
+    ['recomeçar', 'reset'],
+    ['cancel my viewing on Monday', null],
+    ['', null],
+    [undefined, null]
+  ];
+
+  for (const [message, expected] of cases) {
+    assert.equal(conversationService.parseGlobalCommand(message), expected, message);
+  }
+});
+
+test('cancel leaves the flow and unfinished request but keeps search context', async () => {
+  const user = userWithRole('+351910001501');
+  await conversationService.setConversationState(user.phone_number, {
+    state: 'awaiting_buyer_time_preferences',
+    propertyId: 'property-1',
+    lastQuery: 'T2 in Lisbon',
+    recentPropertyId: 'property-1'
+  });
+  await appointmentService.setPendingRequest(user.phone_number, { type: 'time_preferences', propertyId: 'property-1' });
+
+  const reply = texts(await conversationService.processMessage('Cancel', user));
+  assert.match(reply[0], /Cancelled/);
+  assert.match(reply[1], /Search properties/);
+
+  assert.deepEqual({ ...(await conversationService.getConversationState(user.phone_number)) }, { lastQuery: 'T2 in Lisbon', recentPropertyId: 'property-1' });
+  assert.equal(await appointmentService.getPendingRequest(user.phone_number), null);
+
+  // Nothing left to cancel
+  assert.match(texts(await conversationService.processMessage('cancel', user))[0], /nothing to cancel/);
+});
+
+test('reset forgets the conversation, the request and the shared pin', async () => {
+  const user = userWithRole('+351910001502');
+  await conversationService.setConversationState(user.phone_number, { state: 'awaiting_appointment_slot_selection', lastQuery: 'T1 near me' });
+  await appointmentService.setPendingRequest(user.phone_number, { type: 'slot_selection' });
+  await stateStoreService.set('shared_location', user.phone_number, { latitude: 38.72, longitude: -9.15 });
+
+  assert.match(texts(await conversationService.processMessage('start over', user))[0], /cleared our conversation/);
+  assert.deepEqual(await conversationService.getConversationState(user.phone_number), {});
+  assert.equal(await appointmentService.getPendingRequest(user.phone_number), null);
+  assert.equal(await stateStoreService.get('shared_location', user.phone_number), null);
+});
+
+test('help explains what the current flow is waiting for', async () => {
+  const cases = [
+    ['+351910001503', 'tenant', { state: 'awaiting_appointment_slot_selection' }, /waiting for you to pick a viewing time/],
+    ['+351910001504', 'owner', { state: 'awaiting_availability_property_selection' }, /waiting for you to choose the property to set viewing times for/],
+    ['+351910001505', 'tenant', null, /Search properties, e\.g\./],
+    ['+351910001506', 'owner', null, /List a property by sending its details/]
+  ];
+
+  for (const [phone, role, state, expected] of cases) {
+    const user = userWithRole(phone, role);
+    if (state) await conversationService.setConversationState(phone, state);
+
+    const [reply] = texts(await conversationService.processMessage('help', user));
+    assert.match(reply, expected, phone);
+    assert.match(reply, /\*cancel\* - stop what we're doing/, phone);
+    // Asking for help does not leave the flow
+    assert.equal((await conversationService.getConversationState(phone)).state, state?.state, phone);
+  }
+});
+
+test('the menu depends on the role and its options can be tapped', async () => {
+  const ids = user => conversationService.buildMenu(user).items.map(item => item.id);
+  assert.deepEqual(ids(userWithRole('+351910001507', 'tenant')), ['menu:search', 'menu:nearby', 'menu:help']);
+  assert.deepEqual(ids(userWithRole('+351910001507', 'agent')), ['menu:listings', 'menu:add', 'menu:availability', 'menu:photos', 'menu:help']);
+
+  const user = userWithRole('+351910001508');
+  const [reply] = await conversationService.processMessage('Search near me', user, { payload: 'menu:nearby' });
+  assert.match(reply, /Share a location pin/);
+});
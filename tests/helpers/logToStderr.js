@@ -0,0 +1,6 @@
+// Preloaded into every test process by the "test" script.
+// Node 20's test runner reads results from each test file's stdout, and a log line that lands
+// right behind a result can be parsed as another result, failing the whole file with "Unable to
+// deserialize cloned data". Application logs go to stderr instead, which the runner only echoes.
+console.log = console.error;
+console.info = console.error;
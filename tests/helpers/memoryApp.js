@@ -0,0 +1,21 @@
+// Runs the bot in-process against the memory database and the offline LLM stub.
+// Require this before any module under src/: the config is read when first loaded.
+Object.assign(process.env, {
+  TWILIO_ACCOUNT_SID: 'ACtest',
+  TWILIO_AUTH_TOKEN: 'test-token',
+  MEDIA_URL_SECRET: 'test-media-secret',
+  DATABASE_ADAPTER: 'memory',
+  LLM_PROVIDER: 'stub',
+  STATE_STORE_DRIVER: 'memory'
+});
+
+const twilioService = require('../../src/services/twilioService');
+
+// Messages the bot would have sent, newest last
+const sent = [];
+twilioService.client = {
+  messages: { create: async message => { sent.push(message); return { sid: `SM${sent.length}`, status: 'queued' }; } },
+  content: { v1: { contents: { list: async () => [] } } }
+};
+
+module.exports = { sent };
@@ -0,0 +1,139 @@
+const { sent } = require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const interactiveMessageService = require('../src/services/interactiveMessageService');
+const twilioService = require('../src/services/twilioService');
+const { config } = require('../src/config/environment');
+
+const ROLE_BUTTONS = interactiveMessageService.buttons('Are you looking or listing?', [
+  { id: 'role:tenant', title: 'Looking' },
+  { id: 'role:owner', title: 'Listing' }
+]);
+const SLOT_LIST = interactiveMessageService.list('Pick a time', 'See times', [
+  { id: 'slot:1', title: 'Mon 10:00', description: 'Rua A, Lisbon' },
+  { id: 'slot:2', title: 'Mon 10:30' }
+]);
+
+/**
+ * Replace twilioService methods for one test
+ * @param {object} t - Test context
+ * @param {object} methods - { name: implementation }
+ */
+const stubTwilio = (t, methods) => {
+  const originals = Object.fromEntries(Object.keys(methods).map(name => [name, twilioService[name]]));
+  Object.assign(twilioService, methods);
+  t.after(() => Object.assign(twilioService, originals));
+  interactiveMessageService.contentSids.clear();
+};
+
+/**
+ * Send a message and return what reached Twilio
+ * @param {object} message - Interactive message
+ * @returns {Promise<object>} - Twilio create() parameters
+ */
+const send = async (message) => {
+  const before = sent.length;
+  await interactiveMessageService.send('+351910001001', message);
+  assert.equal(sent.length, before + 1);
+  return sent[sent.length - 1];
+};
+
+test('the plain-text version lists the options', () => {
+  const cases = [
+    [ROLE_BUTTONS, 'Are you looking or listing?\n\n• *Looking*\n• *Listing*'],
+    [SLOT_LIST, 'Pick a time\n\n1. *Mon 10:00* - Rua A, Lisbon\n2. *Mon 10:30*'],
+    [interactiveMessageService.buttons('Confirm?', [{ id: 'a', title: 'Yes' }], { fallbackText: 'Reply YES to confirm' }), 'Reply YES to confirm'],
+    ['Just text', 'Just text']
+  ];
+
+  for (const [message, expected] of cases) {
+    assert.equal(interactiveMessageService.toPlainText(message), expected);
+  }
+});
+
+test('messages outside WhatsApp limits are flagged', () => {
+  const button = (title, id = 'x') => ({ id, title });
+  const item = (title, description) => ({ id: title, title, description });
+  const cases = [
+    [ROLE_BUTTONS, null],
+    [SLOT_LIST, null],
+    [interactiveMessageService.buttons('', [button('Yes')]), 'body too long'],
+    [interactiveMessageService.buttons('x'.repeat(1025), [button('Yes')]), 'body too long'],
+    [interactiveMessageService.buttons('Pick', []), 'wrong number of buttons'],
+    [interactiveMessageService.buttons('Pick', ['A', 'B', 'C', 'D'].map(title => button(title))), 'wrong number of buttons'],
+    [interactiveMessageService.buttons('Pick', [button('A title that is far too long')]), 'button title or id too long'],
+    [interactiveMessageService.list('Pick', 'Open', Array.from({ length: 11 }, (_, i) => item(`Item ${i}`))), 'wrong number of list items'],
+    [interactiveMessageService.list('Pick', 'Open the list of times', [item('A')]), 'list button text too long'],
+    [interactiveMessageService.list('Pick', 'Open', [item('A', 'x'.repeat(73))]), 'list item title, id or description too long']
+  ];
+
+  for (const [message, expected] of cases) {
+    assert.equal(interactiveMessageService.validate(message), expected, JSON.stringify(message).slice(0, 80));
+  }
+});
+
+test('payload IDs round-trip', () => {
+  const cases = [
+    [interactiveMessageService.payloadId('slot', 3), { action: 'slot', value: '3' }],
+    ['appt_confirm:ab12:extra', { action: 'appt_confirm', value: 'ab12:extra' }],
+    ['menu', { action: 'menu', value: null }],
+    [undefined, { action: null, value: null }]
+  ];
+
+  for (const [payload, expected] of cases) {
+    assert.deepEqual(interactiveMessageService.parsePayload(payload), expected, payload);
+  }
+});
+
+test('interactive messages go out through a content template filled with variables', async (t) => {
+  stubTwilio(t, { findContentTemplate: async name => `HX${name}` });
+
+  const message = await send(SLOT_LIST);
+  assert.equal(message.contentSid, 'HXreagentbot_list_picker_2');
+  assert.deepEqual(JSON.parse(message.contentVariables), {
+    1: 'Pick a time', 2: 'See times', 3: 'Mon 10:00', 4: 'slot:1', 5: 'Mon 10:30', 6: 'slot:2'
+  });
+});
+
+test('the plain-text version goes out whenever interactive delivery is not possible', async (t) => {
+  const templateLookups = [];
+  let rejectWith = null;
+  stubTwilio(t, {
+    findContentTemplate: async (name) => {
+      templateLookups.push(name);
+      if (name.includes('quick_reply_1')) throw new Error('Content API down');
+      return 'HXtemplate';
+    },
+    sendContentMessage: async () => { throw Object.assign(new Error('rejected'), { status: rejectWith }); }
+  });
+
+  const cases = [
+    ['switched off', ROLE_BUTTONS, () => { config.interactive.enabled = false; }],
+    ['too many buttons', interactiveMessageService.buttons('Pick', ['A', 'B', 'C', 'D'].map(title => ({ id: title, title }))), () => {}],
+    ['no template', interactiveMessageService.buttons('OK?', [{ id: 'ok', title: 'OK' }]), () => {}],
+    ['refused by WhatsApp', ROLE_BUTTONS, () => { rejectWith = 400; }]
+  ];
+
+  for (const [name, interactive, setUp] of cases) {
+    setUp();
+    try {
+      const message = await send(interactive);
+      assert.equal(message.body, interactiveMessageService.toPlainText(interactive), name);
+      assert.equal(message.contentSid, undefined, name);
+    } finally {
+      config.interactive.enabled = true;
+    }
+  }
+  assert.deepEqual(templateLookups, ['reagentbot_quick_reply_1', 'reagentbot_quick_reply_2']);
+});
+
+test('transient interactive failures are left to the queue to retry', async (t) => {
+  stubTwilio(t, {
+    findContentTemplate: async () => 'HXtemplate',
+    sendContentMessage: async () => { throw Object.assign(new Error('Service unavailable'), { status: 503 }); }
+  });
+
+  const before = sent.length;
+  await assert.rejects(interactiveMessageService.send('+351910001001', ROLE_BUTTONS), /Service unavailable/);
+  assert.equal(sent.length, before);
+});
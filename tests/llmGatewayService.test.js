@@ -0,0 +1,85 @@
+// The config is read when first loaded, so the settings go in before any module under src/
+process.env.LLM_PROVIDER = 'stub';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const llmGatewayService = require('../src/services/llmGatewayService');
+const StubProvider = require('../src/services/llm/stubProvider');
+
+const { LLM_OPERATIONS } = llmGatewayService;
+
+/**
+ * Run an operation and parse its JSON answer
+ * @param {string} operation - One of LLM_OPERATIONS
+ * @param {string} input - Raw user text
+ * @returns {Promise<object>} - Parsed content
+ */
+const ask = async (operation, input) => JSON.parse((await llmGatewayService.complete(operation, { messages: [], input })).content);
+
+test('the stub answers from fixtures first, then from its keyword rules', async () => {
+  const cases = [
+    // Fixture: the canned search has the exact filters
+    [LLM_OPERATIONS.PARSE_SEARCH_QUERY, '2 bed under €2000 with elevator', result => result.filters.amenities, { elevator: true }],
+    [LLM_OPERATIONS.DETECT_AMBIGUOUS_QUERY, 'apartment in 1200', result => result.isAmbiguous, true],
+    // Rules
+    [LLM_OPERATIONS.DETECT_AMBIGUOUS_QUERY, 'apartment in Lisbon', result => result.isAmbiguous, false],
+    [LLM_OPERATIONS.DETECT_CONFIRMATION, 'sounds good!', result => result.type, 'confirmation'],
+    [LLM_OPERATIONS.DETECT_CONFIRMATION, 'no, sorry', result => result.type, 'rejection'],
+    [LLM_OPERATIONS.DETECT_CONFIRMATION, 'how about friday at 3pm', result => result.type, 'negotiation'],
+    [LLM_OPERATIONS.CLASSIFY_INTENT, 'I want to rent a flat', result => result.intent, 'renter'],
+    [LLM_OPERATIONS.CLASSIFY_PROPERTY_INTENT, 'show my listings', result => result.intent, 'view_own_listings']
+  ];
+
+  for (const [operation, input, pick, expected] of cases) {
+    assert.deepEqual(pick(await ask(operation, input)), expected, `${operation}: ${input}`);
+  }
+});
+
+test('free-text operations come back as plain text with the call metadata', async () => {
+  const result = await llmGatewayService.complete(LLM_OPERATIONS.REPLY_ERROR, { messages: [], input: 'delete everything' });
+
+  assert.match(result.content, /"delete everything"/);
+  assert.deepEqual(
+    [result.provider, result.operation, typeof result.latencyMs],
+    ['stub', LLM_OPERATIONS.REPLY_ERROR, 'number']
+  );
+  // The stub estimates usage at four characters a token; there is no prompt here, only the answer
+  assert.deepEqual(result.usage, { promptTokens: 0, completionTokens: Math.ceil(result.content.length / 4), totalTokens: Math.ceil(result.content.length / 4) });
+});
+
+test('calls and failures are counted per operation', async () => {
+  const before = llmGatewayService.getStats().operations[LLM_OPERATIONS.DETECT_TIME_REFERENCE] || { calls: 0, failures: 0 };
+  const { provider } = llmGatewayService;
+  llmGatewayService.provider = { name: 'broken', complete: async () => { throw new Error('timeout'); } };
+
+  try {
+    await assert.rejects(llmGatewayService.complete(LLM_OPERATIONS.DETECT_TIME_REFERENCE, { input: 'at 5' }), /timeout/);
+  } finally {
+    llmGatewayService.provider = provider;
+  }
+  await ask(LLM_OPERATIONS.DETECT_TIME_REFERENCE, 'at 5pm');
+
+  const after = llmGatewayService.getStats().operations[LLM_OPERATIONS.DETECT_TIME_REFERENCE];
+  assert.deepEqual([after.calls - before.calls, after.failures - before.failures], [2, 1]);
+});
+
+test('unknown operations and providers are refused', async () => {
+  await assert.rejects(llmGatewayService.complete('write_poem', { input: 'hi' }), /Unknown LLM operation: write_poem/);
+  assert.throws(() => llmGatewayService.createProvider('llama'), /Unknown LLM provider: llama/);
+});
+
+test('a fixtures file passed in replaces the bundled one', async (t) => {
+  const fixturesPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stub-fixtures-')), 'fixtures.json');
+  fs.writeFileSync(fixturesPath, JSON.stringify({ reply_unclear: [{ match: '^\\?+$', response: 'Custom answer' }] }));
+  t.after(() => fs.rmSync(path.dirname(fixturesPath), { recursive: true, force: true }));
+
+  const provider = new StubProvider(fixturesPath);
+  assert.equal((await provider.complete(LLM_OPERATIONS.REPLY_UNCLEAR, { input: '???' })).content, 'Custom answer');
+  // Inputs no fixture matches still get the rule's answer
+  assert.match((await provider.complete(LLM_OPERATIONS.REPLY_UNCLEAR, { input: 'hmm' })).content, /not sure what you need/);
+  // A missing file leaves only the rules
+  assert.deepEqual(new StubProvider(path.join(os.tmpdir(), 'no-such-fixtures.json')).fixtures, {});
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryDatabase = require('../src/models/adapters/MemoryDatabase');
+
+/**
+ * A database with a small country > city > property hierarchy
+ * @returns {MemoryDatabase} - Seeded database
+ */
+const createDatabase = () => {
+  const database = new MemoryDatabase();
+  database.registerTable('countries', { id: 'uuid (primary key)', country: 'varchar(100) (unique)' });
+  database.registerTable('cities', { id: 'uuid (primary key)', city: 'varchar(100)', country_id: 'uuid (foreign key to countries)' });
+  database.registerTable('properties', {
+    id: 'uuid (primary key)',
+    city_id: 'uuid (foreign key to cities)',
+    address: 'text',
+    price: 'numeric',
+    floor: 'varchar(50)',
+    notes: 'text (nullable, default wording here is only a note)',
+    listing_type: 'varchar(10) (rent|sale, default rent)',
+    created_at: 'timestamptz'
+  }, [['city_id', 'address']], { listing_type: 'rent' });
+
+  database.load({
+    countries: [{ id: 'pt', country: 'Portugal' }, { id: 'es', country: 'Spain' }],
+    cities: [{ id: 'lis', city: 'Lisbon', country_id: 'pt' }, { id: 'mad', city: 'Madrid', country_id: 'es' }],
+    properties: [
+      { id: 'p1', city_id: 'lis', address: 'Rua A', price: 900, floor: '1' },
+      { id: 'p2', city_id: 'lis', address: 'Rua B', price: 1500, floor: null, listing_type: 'sale' },
+      { id: 'p3', city_id: 'mad', address: 'Calle C', price: 1200, floor: '10' }
+    ]
+  });
+  return database;
+};
+
+test('filters select the rows PostgREST would', async () => {
+  const database = createDatabase();
+  const cases = [
+    ['eq', query => query.eq('floor', '1'), ['p1']],
+    ['neq', query => query.neq('city_id', 'lis'), ['p3']],
+    ['gt/lte', query => query.gt('price', 900).lte('price', 1500), ['p2', 'p3']],
+    ['in', query => query.in('floor', ['1', '2']), ['p1']],
+    ['ilike', query => query.ilike('address', 'rua%'), ['p1', 'p2']],
+    ['is null', query => query.is('floor', null), ['p2']],
+    ['not is null', query => query.not('floor', 'is', null), ['p1', 'p3']],
+    ['or', query => query.or('price.lt.1000,address.eq.Calle C'), ['p1', 'p3']],
+    ['embedded column', query => query.eq('cities.city', 'Madrid'), ['p3']]
+  ];
+
+  for (const [name, apply, expected] of cases) {
+    const { data, error } = await apply(database.from('properties').select('id, cities!inner(city)'));
+    assert.equal(error, null, name);
+    assert.deepEqual(data.map(row => row.id).sort(), expected, name);
+  }
+});
+
+test('embedded resources follow the schema foreign keys', async () => {
+  const { data } = await createDatabase()
+    .from('properties')
+    .select('address, city:city_id(city, countries:country_id(country))')
+    .eq('id', 'p3')
+    .single();
+
+  assert.deepEqual(data, { address: 'Calle C', city: { city: 'Madrid', countries: { country: 'Spain' } } });
+});
+
+test('ordering, limits and counts', async () => {
+  const { data, count } = await createDatabase()
+    .from('properties')
+    .select('id', { count: 'exact' })
+    .order('price', { ascending: false })
+    .limit(2);
+
+  assert.deepEqual(data.map(row => row.id), ['p2', 'p3']);
+  assert.equal(count, 3);
+});
+
+test('single reports no rows and too many rows like PostgREST', async () => {
+  const database = createDatabase();
+  const none = await database.from('properties').select('*').eq('id', 'missing').single();
+  const many = await database.from('properties').select('*').eq('city_id', 'lis').single();
+  const maybe = await database.from('properties').select('*').eq('id', 'missing').maybeSingle();
+
+  assert.equal(none.error.code, 'PGRST116');
+  assert.equal(many.error.code, 'PGRST116');
+  assert.deepEqual([maybe.data, maybe.error], [null, null]);
+});
+
+test('inserts fill ids, timestamps and declared defaults only', async () => {
+  const database = createDatabase();
+  const { data } = await database.from('properties').insert({ city_id: 'mad', address: 'Calle D' }).select().single();
+
+  assert.match(data.id, /^[0-9a-f-]{36}$/);
+  assert.ok(data.created_at);
+  assert.equal(data.listing_type, 'rent');
+  // "default" in a column note is documentation, not a value
+  assert.equal(data.notes, undefined);
+});
+
+test('unique keys reject duplicates', async () => {
+  const database = createDatabase();
+  const cases = [
+    ['countries', { country: 'Portugal' }],
+    ['properties', { city_id: 'lis', address: 'Rua A' }],
+    ['properties', { id: 'p1', address: 'Rua Z' }]
+  ];
+
+  for (const [table, row] of cases) {
+    const { error } = await database.from(table).insert(row);
+    assert.equal(error?.code, '23505', JSON.stringify(row));
+  }
+  const { error } = await database.from('properties').insert({ city_id: 'mad', address: 'Rua A' });
+  assert.equal(error, null);
+});
+
+test('updates and deletes apply to the filtered rows', async () => {
+  const database = createDatabase();
+  const updated = await database.from('properties').update({ price: 1000 }).eq('city_id', 'lis').select('id, price');
+  await database.from('properties').delete().eq('id', 'p3');
+  const { data } = await database.from('properties').select('id, price').order('id');
+
+  assert.deepEqual(updated.data.map(row => row.price), [1000, 1000]);
+  assert.deepEqual(data, [{ id: 'p1', price: 1000 }, { id: 'p2', price: 1000 }]);
+});
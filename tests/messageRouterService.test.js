@@ -0,0 +1,98 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const messageRouterService = require('../src/services/messageRouterService');
+const llmGatewayService = require('../src/services/llmGatewayService');
+const conversationService = require('../src/services/conversationService');
+const { config } = require('../src/config/environment');
+
+const { ROUTES } = messageRouterService;
+
+const tenant = { id: 'user-1801', phone_number: '+351910001801', onboarded: true, user_roles: { role: 'tenant' } };
+const owner = { id: 'user-1802', phone_number: '+351910001802', onboarded: true, user_roles: { role: 'owner' } };
+
+test('one call answers the intent and everything needed to act on it', async () => {
+  const cases = [
+    ['2 bedroom apartment in Lisbon under 2000', tenant, {}, { intent: ROUTES.SEARCH, query: '2 bedroom apartment in Lisbon under 2000', maxPrice: 2000 }],
+    ['oh I mean 3000', tenant, { history: [{ role: 'user', content: 'T2 in Lisbon under 2000' }] }, { intent: ROUTES.SEARCH_REFINEMENT, query: 'T2 in Lisbon under 3000', maxPrice: 3000 }],
+    ['apartment in 3000', tenant, {}, { intent: ROUTES.SEARCH, ambiguous: true }],
+    ['Confirm ab12', owner, {}, { intent: ROUTES.OWNER_APPOINTMENT_RESPONSE, appointmentId: 'ab12' }],
+    // Only owners and agents answer viewing requests
+    ['Confirm ab12', tenant, {}, { intent: ROUTES.UNCLEAR }]
+  ];
+
+  for (const [message, user, context, expected] of cases) {
+    const route = await messageRouterService.route(message, user, context);
+    const actual = { intent: route.intent };
+    if ('query' in expected) actual.query = route.search.query;
+    if ('maxPrice' in expected) actual.maxPrice = route.search.filters.price?.max;
+    if ('ambiguous' in expected) actual.ambiguous = route.search.isAmbiguous;
+    if ('appointmentId' in expected) actual.appointmentId = route.ownerResponse.appointmentId;
+    assert.deepEqual(actual, expected, message);
+  }
+});
+
+test('model answers are normalized to a usable route', () => {
+  const cases = [
+    [{ intent: 'made_up', propertyNumber: '2' }, { intent: ROUTES.UNCLEAR, propertyNumber: null, search: null, ownerResponse: null }],
+    [{ intent: ROUTES.PROPERTY_DETAILS, propertyNumber: 2, search: { query: 'x' } }, { intent: ROUTES.PROPERTY_DETAILS, propertyNumber: 2, search: null, ownerResponse: null }],
+    // Owner responses need an appointment ID to act on
+    [{ intent: ROUTES.OWNER_APPOINTMENT_RESPONSE, ownerResponse: { intent: 'confirm' } }, { intent: ROUTES.OWNER_APPOINTMENT_RESPONSE, propertyNumber: null, search: null, ownerResponse: null }]
+  ];
+
+  for (const [result, expected] of cases) {
+    const { confidence, ...route } = messageRouterService.normalize(result, 'message');
+    assert.deepEqual(route, expected, JSON.stringify(result));
+  }
+
+  const { search } = messageRouterService.normalize({ intent: ROUTES.SEARCH, search: { filters: { bedrooms: { exact: 2 } } } }, 'T2 please');
+  assert.deepEqual(search, {
+    query: 'T2 please',
+    isAmbiguous: false,
+    clarificationMessage: '',
+    filters: { status: 'active', bedrooms: { exact: 2 } },
+    sorting: { field: 'created_at', order: 'desc' },
+    limit: 10
+  });
+});
+
+test('recent results are listed so "the second one" can be resolved', () => {
+  const results = Array.from({ length: 12 }, (_, i) => ({ bedrooms: 2, property_type: 'apartment', districts: { district: 'Rato' }, price: 1000 + i }));
+  const described = messageRouterService.describeResults(results);
+  assert.ok(described.startsWith('#1 2-bed apartment in Rato, €1000; #2 2-bed apartment in Rato, €1001'));
+  assert.ok(described.endsWith('#10 2-bed apartment in Rato, €1009 (+2 more)'));
+  assert.equal(messageRouterService.describeResults([]), 'none');
+});
+
+test('each turn reports its model calls, and single-pass routing needs fewer', async (t) => {
+  const { router } = config.llm;
+  t.after(() => { config.llm.router = router; });
+
+  const callsPerTurn = {};
+  for (const mode of ['single_pass', 'legacy']) {
+    config.llm.router = mode;
+    const before = llmGatewayService.getStats().turns[mode]?.turns || 0;
+    const replies = await llmGatewayService.trackTurn(mode, () => conversationService.processMessage('2 bedroom apartment in Lisbon under 2000', tenant));
+    assert.match(replies[0], /couldn't find any properties/, mode);
+
+    const stats = llmGatewayService.getStats().turns[mode];
+    assert.equal(stats.turns, before + 1, mode);
+    assert.ok(stats.avgTokens > 0, mode);
+    callsPerTurn[mode] = stats.avgCalls;
+  }
+  assert.ok(callsPerTurn.single_pass < callsPerTurn.legacy, JSON.stringify(callsPerTurn));
+});
+
+test('concurrent turns are counted separately', async () => {
+  const turn = (label, calls) => llmGatewayService.trackTurn(label, async () => {
+    for (let i = 0; i < calls; i++) {
+      await llmGatewayService.complete('classify_intent', { input: 'hello', messages: [{ role: 'user', content: 'hello' }] });
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  });
+
+  await Promise.all([turn('test_one_call', 1), turn('test_three_calls', 3)]);
+  const { turns } = llmGatewayService.getStats();
+  assert.equal(turns.test_one_call.avgCalls, 1);
+  assert.equal(turns.test_three_calls.avgCalls, 3);
+});
@@ -0,0 +1,128 @@
+const { sent } = require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const outboundQueueService = require('../src/services/outboundQueueService');
+const twilioService = require('../src/services/twilioService');
+const OutboundMessage = require('../src/models/OutboundMessage');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry right away unless a test wants the backoff to hold
+Object.assign(outboundQueueService.settings, { maxAttempts: 3, retryBaseMs: 1, retryMaxMs: 5, recipientIntervalMs: 0 });
+test.after(() => outboundQueueService.stop());
+
+/**
+ * Make Twilio answer sends to a recipient with the given outcomes, in order
+ * @param {string} recipient - Phone number
+ * @param {Array<number|null>} outcomes - HTTP status of each failure, null for a success
+ */
+const scriptTwilio = (recipient, outcomes) => {
+  const { create } = twilioService.client.messages;
+  twilioService.client.messages.create = async (message) => {
+    if (message.to === `whatsapp:${recipient}` && outcomes.length > 0) {
+      const status = outcomes.shift();
+      if (status) throw Object.assign(new Error(`HTTP ${status}`), { status });
+    }
+    return create(message);
+  };
+};
+
+/**
+ * Run queue passes until every message reaches the expected status
+ * @param {Array<object>} messages - Queued rows
+ * @param {string} status - Status to wait for
+ * @returns {Promise<Array>} - Current rows
+ */
+const waitForStatus = async (messages, status) => {
+  for (let pass = 0; pass < 200; pass++) {
+    await outboundQueueService.processQueue();
+    const rows = await Promise.all(messages.map(message => OutboundMessage.findById(message.id)));
+    if (rows.every(row => row.status === status)) return rows;
+    await sleep(5);
+  }
+  assert.fail(`Messages never reached ${status}`);
+};
+
+test('transient failures are retried until the send goes through', async () => {
+  const recipient = '+351910000601';
+  scriptTwilio(recipient, [503, 429, null]);
+
+  const message = await outboundQueueService.enqueue(`whatsapp:${recipient}`, 'Your viewing is confirmed');
+  assert.deepEqual([message.kind, message.status, message.attempts], ['notification', 'pending', 0]);
+
+  const [row] = await waitForStatus([message], 'sent');
+  assert.equal(row.attempts, 3);
+  assert.equal(row.last_error, null);
+  assert.ok(row.message_sid.startsWith('SM'));
+  assert.equal(sent.filter(({ to }) => to === `whatsapp:${recipient}`).length, 1);
+});
+
+test('permanent failures and exhausted retries are dead-lettered', async () => {
+  const cases = [
+    // Twilio refused the message (e.g. an invalid number): no retry
+    ['+351910000602', [400], 1, 'HTTP 400'],
+    // Server errors on every attempt: give up after maxAttempts
+    ['+351910000603', [500, 502, 503], 3, 'HTTP 503']
+  ];
+
+  for (const [recipient, outcomes, attempts, lastError] of cases) {
+    scriptTwilio(recipient, outcomes);
+    const message = await outboundQueueService.enqueue(recipient, 'Reminder');
+
+    const [row] = await waitForStatus([message], 'dead');
+    assert.equal(row.attempts, attempts, recipient);
+    assert.equal(row.last_error, `Failed to send message: ${lastError}`);
+  }
+
+  const { counts, messages } = await outboundQueueService.inspect({ status: 'dead' });
+  assert.equal(counts.dead, 2);
+  assert.deepEqual(messages.map(message => message.recipient).sort(), ['+351910000602', '+351910000603']);
+});
+
+test('a dead-lettered message can be put back in the queue', async () => {
+  const recipient = '+351910000604';
+  scriptTwilio(recipient, [403]);
+  const message = await outboundQueueService.enqueue(recipient, 'Your listing is live');
+  await waitForStatus([message], 'dead');
+
+  const requeued = await outboundQueueService.retryDeadLetter(message.id);
+  assert.deepEqual([requeued.status, requeued.attempts], ['pending', 0]);
+  const [row] = await waitForStatus([message], 'sent');
+  assert.equal(row.attempts, 1);
+
+  // Only dead messages can be retried
+  assert.equal(await outboundQueueService.retryDeadLetter(message.id), null);
+});
+
+test('a message waiting on backoff holds back its recipient only', async (t) => {
+  outboundQueueService.settings.retryBaseMs = 60000;
+  t.after(() => { outboundQueueService.settings.retryBaseMs = 1; });
+
+  const [first, second] = ['+351910000605', '+351910000606'];
+  scriptTwilio(first, [429]);
+  const queued = [
+    await outboundQueueService.enqueue(first, 'First 1'),
+    await outboundQueueService.enqueue(first, 'First 2'),
+    await outboundQueueService.enqueue(second, 'Second 1')
+  ];
+
+  const rows = await waitForStatus([queued[2]], 'sent');
+  const [retrying, waiting] = await Promise.all(queued.slice(0, 2).map(message => OutboundMessage.findById(message.id)));
+  assert.deepEqual([retrying.status, retrying.attempts], ['pending', 1]);
+  assert.deepEqual([waiting.status, waiting.attempts], ['pending', 0]);
+  assert.equal(rows[0].attempts, 1);
+  assert.deepEqual(sent.filter(({ to }) => to === `whatsapp:${first}`), []);
+});
+
+test('a long backlog for one recipient does not hide the recipients queued after it', async () => {
+  const [busy, other] = ['+351910000607', '+351910000608'];
+  // More delayed messages than one read of the queue returns
+  for (let i = 0; i < 205; i++) {
+    await outboundQueueService.enqueue(busy, `Later ${i}`, { delayMs: 60000 });
+  }
+  const queued = await outboundQueueService.enqueue(other, 'Now');
+
+  const [row] = await waitForStatus([queued], 'sent');
+  assert.equal(row.attempts, 1);
+  assert.deepEqual((await OutboundMessage.findQueueHeads()).filter(head => head.recipient === busy).map(head => head.body), ['Later 0']);
+});
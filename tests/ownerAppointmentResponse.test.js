@@ -0,0 +1,125 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const databaseService = require('../src/services/databaseService');
+const conversationService = require('../src/services/conversationService');
+const appointmentService = require('../src/services/appointmentService');
+const outboundQueueService = require('../src/services/outboundQueueService');
+const { User, Property, ViewingAppointment } = require('../src/models');
+
+test.after(() => outboundQueueService.stop());
+
+/**
+ * Create an owner with a listing and a buyer's request for it, as the booking flow does
+ * @param {string} phone - Owner's phone number
+ * @returns {Promise<object>} - { owner, property, buyer }
+ */
+const createListing = async (phone) => {
+  const owner = await User.getOrCreateUser(phone, { name: 'Olivia', role: 'owner' });
+  const property = await Property.create({ owner_id: owner.id, address: `Rua do Sol ${phone.slice(-2)}`, price: 1500, status: 'active' });
+  const buyer = await User.getOrCreateUser(`${phone}9`, { name: 'Bo', role: 'renter' });
+  return { owner, property: await Property.getPropertyWithDetails(property.id), buyer };
+};
+
+/**
+ * Book a viewing and send the owner the request, returning the ID the request prints
+ * @param {object} listing - { property, buyer }
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Promise<object>} - { appointment, printedId }
+ */
+const requestViewing = async ({ property, buyer }, date) => {
+  const slot = { date, dateFormatted: date, timeSlot: { start_time: '10:00', end_time: '10:30' }, timeFormatted: '10:00 - 10:30' };
+  const { appointment } = await appointmentService.bookAppointment({
+    userId: buyer.id, propertyId: property.id, date, startTime: '10:00', endTime: '10:30'
+  });
+  const queued = [];
+  const enqueue = outboundQueueService.enqueue;
+  outboundQueueService.enqueue = async (to, body) => { queued.push(body); };
+  try {
+    await appointmentService.notifyOwnerAgentForConfirmation(property, slot, buyer, appointment);
+  } finally {
+    outboundQueueService.enqueue = enqueue;
+  }
+  return { appointment, printedId: queued[0].match(/"Confirm (\w+)"/)[1] };
+};
+
+test.before(() => databaseService.initializeReferenceData());
+
+test('an owner confirms a viewing with the ID printed in the request', async () => {
+  const listing = await createListing('+351910000001');
+  const { appointment, printedId } = await requestViewing(listing, '2030-01-07');
+  assert.equal(printedId, appointment.id.substring(0, 4));
+
+  const owner = await User.getUserByPhoneWithRole(listing.owner.phone_number);
+  const reply = await conversationService.processMessage(`Confirm ${printedId}`, owner);
+
+  assert.match(reply.join('\n'), /You have confirmed the appointment/);
+  assert.equal((await ViewingAppointment.findById(appointment.id)).status, 'confirmed');
+});
+
+test('an ID matching two pending requests asks for more characters', async () => {
+  const listing = await createListing('+351910000002');
+  const first = await requestViewing(listing, '2030-01-08');
+  const second = await requestViewing(listing, '2030-01-09');
+  // Give the second request an ID that starts like the first
+  const clashingId = `${first.appointment.id.substring(0, 4)}ffff-0000-4000-8000-000000000000`;
+  await ViewingAppointment.updateById(second.appointment.id, { id: clashingId });
+
+  const owner = await User.getUserByPhoneWithRole(listing.owner.phone_number);
+  const reply = await conversationService.processMessage(`Confirm ${first.printedId}`, owner);
+  assert.match(reply.join('\n'), /More than one of your viewing requests/);
+
+  const longer = first.appointment.id.substring(0, 8);
+  assert.match((await conversationService.processMessage(`Confirm ${longer}`, owner)).join('\n'), /You have confirmed/);
+  assert.equal((await ViewingAppointment.findById(first.appointment.id)).status, 'confirmed');
+  assert.equal((await ViewingAppointment.findById(clashingId)).status, 'pending_owner_approval');
+});
+
+test("an owner can't answer a request for someone else's listing", async () => {
+  const listing = await createListing('+351910000003');
+  const other = await User.getOrCreateUser('+351910000004', { name: 'Otto', role: 'owner' });
+  const { appointment, printedId } = await requestViewing(listing, '2030-01-10');
+
+  const reply = await conversationService.processMessage(`Decline ${printedId}`, await User.getUserByPhoneWithRole(other.phone_number));
+  assert.match(reply.join('\n'), /couldn't find an appointment/);
+  assert.equal((await ViewingAppointment.findById(appointment.id)).status, 'pending_owner_approval');
+});
+
+test('buyers waiting on a listing are found for its owner and its agent only', async () => {
+  const { owner, property, buyer } = await createListing('+351910000005');
+  const agent = await User.getOrCreateUser('+351910000006', { name: 'Ana', role: 'agent' });
+  const other = await User.getOrCreateUser('+351910000007', { name: 'Otto', role: 'owner' });
+  await Property.updateById(property.id, { agent_id: agent.id });
+  await appointmentService.setPendingRequest(buyer.phone_number, { type: 'coordinating', property, buyerPreferences: 'Tuesday afternoon' });
+
+  const cases = [
+    [owner, [buyer.phone_number]],
+    [agent, [buyer.phone_number]],
+    [other, []]
+  ];
+  for (const [user, expected] of cases) {
+    const coordinations = await conversationService.findPendingCoordinationsForOwner(user.id);
+    assert.deepEqual(coordinations.map(coordination => coordination.buyerPhone), expected, user.name);
+  }
+});
+
+test('a buyer coordinating a viewing can send new times, but not times that have passed', async () => {
+  const { property, buyer } = await createListing('+351910000008');
+  const cases = [
+    ['ok at 5', /updated preferences: \*\w+day, \w+ \d+, 17:00 - 18:00\*/],
+    ['2020-01-01 at 10', null]
+  ];
+
+  for (const [message, expected] of cases) {
+    await appointmentService.setPendingRequest(buyer.phone_number, { type: 'coordinating', property, buyerPreferences: { summary: 'Tuesday afternoon' } });
+    const reply = await appointmentService.processCoordinationResponse(message, buyer);
+
+    if (expected) {
+      assert.match(reply.join('\n'), expected, message);
+    } else {
+      assert.equal(reply, null, message);
+    }
+    const { buyerPreferences } = await appointmentService.getPendingRequest(buyer.phone_number);
+    assert.equal(buyerPreferences.summary === 'Tuesday afternoon', !expected, message);
+  }
+});
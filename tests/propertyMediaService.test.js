@@ -0,0 +1,138 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const propertyMediaService = require('../src/services/propertyMediaService');
+const mediaController = require('../src/controllers/mediaController');
+const mediaStorageService = require('../src/services/mediaStorageService');
+const LocalMediaDriver = require('../src/services/mediaStorage/localDriver');
+const twilioService = require('../src/services/twilioService');
+const { Property, PropertyMedia } = require('../src/models');
+const { config } = require('../src/config/environment');
+
+// Photos go to a scratch directory instead of storage/
+const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-media-'));
+mediaStorageService.driver = new LocalMediaDriver(mediaDir);
+test.after(() => fs.rmSync(mediaDir, { recursive: true, force: true }));
+
+// Twilio media URLs name the type and size of the file they return: .../<type>/<bytes>
+twilioService.downloadMedia = async (url) => {
+  const [, subtype, bytes] = url.match(/\/(\w+)\/(\d+)$/);
+  return { buffer: Buffer.alloc(Number(bytes), 1), contentType: `image/${subtype}` };
+};
+const mediaUrl = (subtype, bytes = 100) => ({ url: `https://api.twilio.com/Media/ME${Math.random().toString(16).slice(2)}/${subtype}/${bytes}`, contentType: `image/${subtype}` });
+
+const owner = { id: 'owner-1101' };
+
+test('photos are stored in arrival order and the first one becomes the cover', async () => {
+  const property = await Property.create({ owner_id: owner.id, price: 1000, status: 'active' });
+
+  const first = await propertyMediaService.attachMedia(property, [mediaUrl('jpeg'), mediaUrl('png'), mediaUrl('webp')], owner, { messageSid: 'SMmedia1101' });
+  assert.deepEqual([first.added.length, first.failed, first.total, first.coverChanged], [3, 0, 3, true]);
+
+  // A later batch continues the numbering and keeps the cover
+  const second = await propertyMediaService.attachMedia(property, [mediaUrl('jpeg')], owner);
+  assert.deepEqual([second.added.length, second.total, second.coverChanged], [1, 4, false]);
+
+  const media = await propertyMediaService.getPropertyMedia(property.id);
+  assert.deepEqual(media.map(row => row.position), [1, 2, 3, 4]);
+  assert.deepEqual(media.map(row => row.is_cover), [true, false, false, false]);
+  assert.deepEqual(media.map(row => path.extname(row.storage_key)), ['.jpg', '.png', '.webp', '.jpg']);
+  assert.deepEqual([media[0].storage_driver, media[0].uploaded_by, media[0].message_sid, media[0].size_bytes], ['local', owner.id, 'SMmedia1101', 100]);
+  assert.equal(fs.readFileSync(path.join(mediaDir, media[3].storage_key)).length, 100);
+});
+
+test('unsupported and oversized files are skipped without stopping the batch', async () => {
+  const property = await Property.create({ owner_id: owner.id, price: 1000, status: 'active' });
+
+  const result = await propertyMediaService.attachMedia(property, [
+    mediaUrl('gif'),
+    mediaUrl('jpeg', config.media.maxBytes + 1),
+    mediaUrl('png')
+  ], owner);
+
+  assert.deepEqual([result.added.length, result.failed, result.total], [1, 2, 1]);
+  assert.equal(result.added[0].position, 1);
+  // Nothing is left on disk for the skipped files
+  assert.deepEqual(fs.readdirSync(path.join(mediaDir, 'properties', property.id)), [path.basename(result.added[0].storage_key)]);
+});
+
+test('the cover can be moved to another photo of the same property only', async () => {
+  const property = await Property.create({ owner_id: owner.id, price: 1000, status: 'active' });
+  const other = await Property.create({ owner_id: owner.id, price: 1000, status: 'active' });
+  await propertyMediaService.attachMedia(property, [mediaUrl('jpeg'), mediaUrl('jpeg')], owner);
+  const { added: [foreign] } = await propertyMediaService.attachMedia(other, [mediaUrl('jpeg')], owner);
+
+  // A caption asking for a new cover
+  const { added: [newCover], coverChanged } = await propertyMediaService.attachMedia(property, [mediaUrl('png')], owner, { caption: 'new cover', makeCover: true });
+  assert.equal(coverChanged, true);
+  assert.equal((await PropertyMedia.findCover(property.id)).id, newCover.id);
+
+  const [first] = await propertyMediaService.getPropertyMedia(property.id);
+  await propertyMediaService.setCover(property.id, first.id);
+  const covers = (await propertyMediaService.getPropertyMedia(property.id)).filter(row => row.is_cover);
+  assert.deepEqual(covers.map(row => row.id), [first.id]);
+
+  await assert.rejects(propertyMediaService.setCover(property.id, foreign.id), /Media not found for this property/);
+});
+
+/**
+ * Ask the media route for a photo
+ * @param {string} url - Signed URL the bot sent
+ * @returns {Promise<object>} - { status, headers, body }
+ */
+const fetchMedia = async (url) => {
+  const { pathname, searchParams } = new URL(url);
+  const response = { status: 200, headers: {}, body: null };
+  const res = {
+    status: (code) => { response.status = code; return res; },
+    set: (headers) => Object.assign(response.headers, headers),
+    json: (body) => { response.body = body; },
+    send: (body) => { response.body = body; }
+  };
+  await mediaController.serveMedia({ params: { mediaId: pathname.split('/').pop() }, query: Object.fromEntries(searchParams) }, res);
+  return response;
+};
+
+test('signed media links open the photo until they expire', async () => {
+  const property = await Property.create({ owner_id: owner.id, price: 1000, status: 'active' });
+  const { added: [photo] } = await propertyMediaService.attachMedia(property, [mediaUrl('png', 42)], owner);
+  const url = propertyMediaService.getPublicUrl(photo);
+  assert.ok(url.startsWith(`${config.webhook.baseUrl}/media/${photo.id}?expires=`));
+
+  const ok = await fetchMedia(url);
+  assert.deepEqual([ok.status, ok.headers['Content-Type'], ok.body.length], [200, 'image/png', 42]);
+
+  const expired = Math.floor(Date.now() / 1000) - 1;
+  const tampered = new URL(url);
+  tampered.searchParams.set('expires', Number(tampered.searchParams.get('expires')) + 60);
+  const cases = [
+    ['tampered expiry', tampered.href, 403],
+    ['other photo', url.replace(photo.id, 'another-id'), 403],
+    ['expired', `${config.webhook.baseUrl}/media/${photo.id}?expires=${expired}&signature=${propertyMediaService.sign(photo.id, expired)}`, 403],
+    ['no signature', url.replace(/&signature=.*/, ''), 403],
+    ['deleted photo', propertyMediaService.getPublicUrl({ id: 'deleted-id' }), 404]
+  ];
+
+  for (const [name, caseUrl, status] of cases) {
+    assert.equal((await fetchMedia(caseUrl)).status, status, name);
+  }
+});
+
+test('covers and galleries link to the cover first', async () => {
+  const property = await Property.create({ owner_id: owner.id, price: 1000, status: 'active' });
+  const bare = await Property.create({ owner_id: owner.id, price: 1000, status: 'active' });
+  await propertyMediaService.attachMedia(property, [mediaUrl('jpeg'), mediaUrl('jpeg'), mediaUrl('png')], owner);
+  const { added: [cover] } = await propertyMediaService.attachMedia(property, [mediaUrl('webp')], owner, { makeCover: true });
+
+  const covers = await propertyMediaService.getCoverUrls([property.id, bare.id]);
+  assert.deepEqual(Object.keys(covers), [property.id]);
+  assert.ok(covers[property.id].includes(`/media/${cover.id}?`));
+
+  const gallery = await propertyMediaService.getGalleryUrls(property.id, 2);
+  assert.equal(gallery.total, 4);
+  assert.equal(gallery.urls.length, 2);
+  assert.ok(gallery.urls[0].includes(`/media/${cover.id}?`));
+});
@@ -0,0 +1,81 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const geocodingService = require('../src/services/geocodingService');
+const searchService = require('../src/services/searchService');
+const conversationService = require('../src/services/conversationService');
+const { config } = require('../src/config/environment');
+
+test('districts and cities resolve to their centroids', () => {
+  const cases = [
+    [{ district: 'rato', city: 'Lisboa' }, { label: 'Rato', precision: 'district' }],
+    [{ district: 'Belem' }, { label: 'Belém', precision: 'district' }],
+    [{ district: 'Nowhere', city: 'Oporto' }, { label: 'Porto', precision: 'city' }],
+    [{ district: 'Nowhere' }, null]
+  ];
+
+  for (const [location, expected] of cases) {
+    const place = geocodingService.geocode(location);
+    assert.deepEqual(place && { label: place.label, precision: place.precision }, expected, JSON.stringify(location));
+  }
+
+  // Rato to Estrela is a short walk
+  const distance = geocodingService.distanceKm(geocodingService.geocode({ district: 'Rato' }), geocodingService.geocode({ district: 'Estrela' }));
+  assert.ok(distance > 0.5 && distance < 1.5, `${distance} km`);
+});
+
+test('proximity is read from the wording of a search', () => {
+  const cases = [
+    ['2 bedroom apartment in Lisbon', null],
+    ['80 m² flat in Rato', null],
+    ['apartments near me', { radiusKm: null, place: null }],
+    ['anything within 500m of here', { radiusKm: 0.5, place: null }],
+    ['flats within 1,5 km of Rato', { radiusKm: 1.5, place: 'Rato' }],
+    ['houses near Parque das Nações', { radiusKm: null, place: 'Parque das Nações' }],
+    ['rooms within 900 km of Porto', { radiusKm: config.search.maxRadiusKm, place: 'Porto' }]
+  ];
+
+  for (const [query, expected] of cases) {
+    const proximity = searchService.parseProximity(query);
+    assert.deepEqual(proximity && { radiusKm: proximity.radiusKm, place: proximity.place?.label || null }, expected, query);
+  }
+});
+
+test('radius filtering keeps nearby properties, closest first', () => {
+  const rato = geocodingService.geocode({ district: 'Rato' });
+  const properties = [
+    { id: 'estrela-centroid', districts: { district: 'Estrela', cities: { city: 'Lisbon' } } },
+    { id: 'exact-rato', latitude: '38.7207', longitude: '-9.1538' },
+    { id: 'belem', districts: { district: 'Belém', cities: { city: 'Lisbon' } } },
+    { id: 'unknown', districts: null }
+  ];
+
+  const nearby = searchService.filterByDistance(properties, { ...rato, radiusKm: 2 });
+  assert.deepEqual(nearby.map(property => property.id), ['exact-rato', 'estrela-centroid']);
+  assert.ok(nearby[0].distanceKm < 0.05);
+
+  const inQueryOrder = searchService.filterByDistance(properties, { ...rato, radiusKm: 2 }, false);
+  assert.deepEqual(inQueryOrder.map(property => property.id), ['estrela-centroid', 'exact-rato']);
+});
+
+test('"near me" searches around the last shared pin', async () => {
+  const user = { phone_number: '+351910001301' };
+  const pin = { latitude: 38.72, longitude: -9.15, label: 'Home' };
+  const rato = geocodingService.geocode({ district: 'Rato' });
+
+  assert.deepEqual(await conversationService.resolveSearchArea('flats in Lisbon', user), { near: null });
+  assert.deepEqual(await conversationService.resolveSearchArea('flats near me', user), { missingLocation: true });
+
+  // Sharing a pin searches around it and remembers it for later questions
+  await conversationService.handleSharedLocation('', pin, { ...user, role: 'tenant' });
+  const cases = [
+    ['flats near me', { latitude: 38.72, longitude: -9.15, radiusKm: config.search.defaultRadiusKm, label: 'Home' }],
+    ['within 3 km of here', { latitude: 38.72, longitude: -9.15, radiusKm: 3, label: 'Home' }],
+    // A named place wins over the pin
+    ['near Rato', { latitude: rato.latitude, longitude: rato.longitude, radiusKm: config.search.defaultRadiusKm, label: 'Rato' }]
+  ];
+
+  for (const [query, near] of cases) {
+    assert.deepEqual(await conversationService.resolveSearchArea(query, user), { near }, query);
+  }
+});
@@ -0,0 +1,28 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const searchService = require('../src/services/searchService');
+const { Property } = require('../src/models');
+
+test('numbered floors match their own spellings only', async () => {
+  const owner = '00000000-0000-4000-8000-000000000001';
+  const floors = ['1', '1st', '1º', '10', '21', '11th', 'Ground', 'top', '3rd floor'];
+  for (const floor of floors) {
+    await Property.create({ owner_id: owner, address: `Floor ${floor}`, price: 1000, status: 'active', floor });
+  }
+
+  const cases = [
+    ['1', ['1', '1st', '1º']],
+    ['1st', ['1', '1st', '1º']],
+    ['11', ['11th']],
+    ['3', ['3rd floor']],
+    ['ground', ['Ground']],
+    ['Top', ['top']],
+    ['2', []]
+  ];
+  for (const [floor, expected] of cases) {
+    const { dbQuery } = searchService.applySearchFilters(Property.db.from('properties').select('floor').eq('owner_id', owner), { floor });
+    const { data } = await dbQuery;
+    assert.deepEqual(data.map(property => property.floor).sort(), [...expected].sort(), `floor ${floor}`);
+  }
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitWindow, overlaps, toMinutes, toClock } = require('../src/services/scheduling/slots');
+
+test('splitWindow fits slots and gaps inside the window', () => {
+  const cases = [
+    ['14:00', '17:00', 30, 15, ['14:00-14:30', '14:45-15:15', '15:30-16:00', '16:15-16:45']],
+    ['14:00', '17:00', 60, 0, ['14:00-15:00', '15:00-16:00', '16:00-17:00']],
+    ['09:00', '10:00', 45, 15, ['09:00-09:45']],
+    ['09:00', '09:20', 30, 0, []],
+    ['10:00:00', '11:00:00', 30, 0, ['10:00-10:30', '10:30-11:00']],
+    ['23:00', '24:00', 30, 10, ['23:00-23:30']]
+  ];
+
+  for (const [startTime, endTime, slotMinutes, bufferMinutes, expected] of cases) {
+    const slots = splitWindow(startTime, endTime, { slotMinutes, bufferMinutes });
+    assert.deepEqual(slots.map(slot => `${slot.startTime}-${slot.endTime}`), expected, `${startTime}-${endTime} ${slotMinutes}/${bufferMinutes}`);
+  }
+});
+
+test('overlaps ignores ranges that only touch', () => {
+  const cases = [
+    [['10:00', '11:00'], ['10:30', '11:30'], true],
+    [['10:00', '11:00'], ['11:00', '12:00'], false],
+    [['10:00', '12:00'], ['10:30', '11:00'], true],
+    [['09:00', '09:30'], ['10:00', '10:30'], false]
+  ];
+
+  for (const [[aStart, aEnd], [bStart, bEnd], expected] of cases) {
+    const [a, b] = [{ startTime: aStart, endTime: aEnd }, { startTime: bStart, endTime: bEnd }];
+    assert.equal(overlaps(a, b), expected, `${aStart}-${aEnd} / ${bStart}-${bEnd}`);
+    assert.equal(overlaps(b, a), expected);
+  }
+});
+
+test('clock conversions round-trip', () => {
+  for (const time of ['00:00', '09:05', '14:30', '24:00']) {
+    assert.equal(toClock(toMinutes(time)), time);
+  }
+});
@@ -0,0 +1,101 @@
+// The database driver runs on the in-process adapter; the config is read when first loaded
+process.env.DATABASE_ADAPTER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const stateStoreService = require('../src/services/stateStoreService');
+const MemoryStateDriver = require('../src/services/stateStore/memoryDriver');
+const DatabaseStateDriver = require('../src/services/stateStore/databaseDriver');
+
+const { StateVersionConflictError } = stateStoreService;
+
+// Every driver has to behave the same. Each test starts a fresh driver; the database ones
+// share the in-process tables, so tests keep to their own keys and namespaces.
+const drivers = {
+  memory: () => new MemoryStateDriver(),
+  database: () => new DatabaseStateDriver()
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+for (const [name, createDriver] of Object.entries(drivers)) {
+  test(`${name}: writes bump the version, which stays out of the payload`, async () => {
+    stateStoreService.driver = createDriver();
+
+    const created = await stateStoreService.set('conversation', '+351910000001', { state: 'AWAITING_ROLE' });
+    assert.equal(created.version, 1);
+
+    const updated = await stateStoreService.set('conversation', '+351910000001', { ...created, state: 'AWAITING_NAME' });
+    assert.equal(updated.version, 2);
+
+    const read = await stateStoreService.get('conversation', '+351910000001');
+    assert.deepEqual({ ...read }, { state: 'AWAITING_NAME' });
+    assert.equal(read.version, 2);
+    assert.equal(await stateStoreService.get('conversation', '+351910000002'), null);
+  });
+
+  test(`${name}: a write based on a replaced version is rejected`, async () => {
+    stateStoreService.driver = createDriver();
+    const key = '+351910000003';
+    const read = await stateStoreService.set('conversation', key, { step: 1 });
+
+    const cases = [
+      // Someone else wrote since we read version 1
+      [{ step: 2 }, read.version, true],
+      [{ step: 3 }, read.version, false],
+      // Creating an entry that already exists
+      [{ step: 4 }, 0, false],
+      // Versions that never existed
+      [{ step: 5 }, 9, false]
+    ];
+
+    for (const [data, expectedVersion, succeeds] of cases) {
+      const write = stateStoreService.set('conversation', key, data, { expectedVersion });
+      if (succeeds) {
+        await write;
+      } else {
+        await assert.rejects(write, error => {
+          assert.ok(error instanceof StateVersionConflictError);
+          assert.deepEqual([error.namespace, error.key, error.expectedVersion], ['conversation', key, expectedVersion]);
+          return true;
+        }, JSON.stringify(data));
+      }
+    }
+
+    const stored = await stateStoreService.get('conversation', key);
+    assert.deepEqual([{ ...stored }, stored.version], [{ step: 2 }, 2]);
+  });
+
+  test(`${name}: of two concurrent writers on the same version only one wins`, async () => {
+    stateStoreService.driver = createDriver();
+    const key = '+351910000004';
+    const read = await stateStoreService.set('appointments', key, { offers: [] });
+
+    const results = await Promise.allSettled([
+      stateStoreService.set('appointments', key, { offers: ['10:00'] }, { expectedVersion: read.version }),
+      stateStoreService.set('appointments', key, { offers: ['11:00'] }, { expectedVersion: read.version })
+    ]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.ok(results.find(result => result.status === 'rejected').reason instanceof StateVersionConflictError);
+
+    const winner = results.find(result => result.status === 'fulfilled').value;
+    assert.deepEqual({ ...(await stateStoreService.get('appointments', key)) }, { ...winner });
+  });
+
+  test(`${name}: expired entries are gone and cleaned up`, async () => {
+    stateStoreService.driver = createDriver();
+    await stateStoreService.set('expiring', '+351910000005', { step: 1 }, { ttlMs: 1 });
+    await stateStoreService.set('expiring', '+351910000006', { step: 1 }, { ttlMs: 60000 });
+    await stateStoreService.set('expiring', '+351910000007', { step: 1 }, { ttlMs: 1 });
+    await sleep(10);
+
+    assert.equal(await stateStoreService.get('expiring', '+351910000005'), null);
+    assert.deepEqual((await stateStoreService.entries('expiring')).map(([key]) => key), ['+351910000006']);
+    assert.equal(await stateStoreService.cleanupExpired(), 1);
+
+    // An expired entry can be created again from scratch
+    const recreated = await stateStoreService.set('expiring', '+351910000005', { step: 2 }, { expectedVersion: 0 });
+    assert.equal(recreated.version, 1);
+  });
+}
@@ -0,0 +1,98 @@
+// The config is read when first loaded, so the settings go in before any module under src/
+Object.assign(process.env, { TWILIO_ACCOUNT_SID: 'ACtest', TWILIO_AUTH_TOKEN: 'test-token', WEBHOOK_BASE_URL: 'https://bot.example.com/' });
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const twilio = require('twilio');
+const { config } = require('../src/config/environment');
+const { validateTwilioSignature, getRejectionStats } = require('../src/middleware/twilioSignature');
+
+const PATH = '/webhook/whatsapp';
+const PARAMS = { Body: 'Hi', From: 'whatsapp:+351910000001', MessageSid: 'SMsignature0001' };
+
+/**
+ * Sign a webhook the way Twilio does
+ * @param {string} url - URL Twilio posted to
+ * @param {object} params - Form fields
+ * @returns {string} - X-Twilio-Signature value
+ */
+const sign = (url, params = PARAMS) => twilio.getExpectedTwilioSignature('test-token', url, params);
+
+/**
+ * Run the middleware on a form-encoded webhook request
+ * @param {object} headers - Request headers
+ * @param {object} body - Form fields
+ * @returns {object} - { passed, statusCode, body } of the response
+ */
+const validate = (headers, body = PARAMS) => {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const req = {
+    method: 'POST', originalUrl: PATH, path: PATH, ip: '127.0.0.1', protocol: 'http', body,
+    get: (name) => lowerCased[name.toLowerCase()]
+  };
+  const response = { passed: false, statusCode: 200, body: null };
+  const res = {
+    status: (statusCode) => { response.statusCode = statusCode; return res; },
+    json: (data) => { response.body = data; }
+  };
+  validateTwilioSignature(req, res, () => { response.passed = true; });
+  return response;
+};
+
+test('a request signed for one of the candidate URLs passes', () => {
+  const cases = [
+    // Configured base URL, trailing slash dropped
+    [{ Host: 'localhost:3000' }, 'https://bot.example.com/webhook/whatsapp'],
+    // Tunnel or proxy in front: forwarded host and protocol, first entry of a list
+    [{ Host: 'localhost:3000', 'X-Forwarded-Host': 'abc.loca.lt, proxy.internal', 'X-Forwarded-Proto': 'https' }, 'https://abc.loca.lt/webhook/whatsapp'],
+    [{ Host: 'localhost:3000', 'X-Forwarded-Host': 'abc.loca.lt', 'X-Forwarded-Proto': 'http' }, 'http://abc.loca.lt/webhook/whatsapp'],
+    // Forwarded host without a protocol is taken as https
+    [{ Host: 'localhost:3000', 'X-Forwarded-Host': 'abc.loca.lt' }, 'https://abc.loca.lt/webhook/whatsapp'],
+    // Raw Host header, as https and as the request's own protocol
+    [{ Host: 'bot.internal:8080' }, 'https://bot.internal:8080/webhook/whatsapp'],
+    [{ Host: 'bot.internal:8080' }, 'http://bot.internal:8080/webhook/whatsapp']
+  ];
+
+  for (const [headers, signedUrl] of cases) {
+    const response = validate({ ...headers, 'X-Twilio-Signature': sign(signedUrl) });
+    assert.equal(response.passed, true, signedUrl);
+  }
+});
+
+test('tampered or missing signatures are rejected and counted', () => {
+  const before = getRejectionStats();
+  const signature = sign('https://bot.example.com/webhook/whatsapp');
+
+  const cases = [
+    // Body changed after signing
+    [{ 'X-Twilio-Signature': signature }, { ...PARAMS, Body: 'Hi there' }],
+    // Signature for another URL than any candidate
+    [{ 'X-Twilio-Signature': sign('https://attacker.example.com/webhook/whatsapp') }, PARAMS],
+    // Signature altered
+    [{ 'X-Twilio-Signature': `x${signature.slice(1)}` }, PARAMS],
+    // No signature at all
+    [{}, PARAMS]
+  ];
+
+  for (const [headers, body] of cases) {
+    const response = validate({ Host: 'localhost:3000', ...headers }, body);
+    assert.equal(response.passed, false, JSON.stringify(headers));
+    assert.equal(response.statusCode, 403);
+    assert.equal(response.body.message, 'Invalid Twilio signature');
+  }
+
+  const after = getRejectionStats();
+  assert.equal(after.total - before.total, 4);
+  assert.equal(after.invalidSignature - before.invalidSignature, 3);
+  assert.equal(after.missingSignature - before.missingSignature, 1);
+  assert.ok(after.lastRejectedAt);
+});
+
+test('validation can be switched off', (t) => {
+  config.webhook.validateSignature = false;
+  t.after(() => { config.webhook.validateSignature = true; });
+
+  assert.equal(validate({ Host: 'localhost:3000' }).passed, true);
+  assert.equal(validate({ Host: 'localhost:3000', 'X-Twilio-Signature': 'bogus' }).passed, true);
+  assert.equal(getRejectionStats().enabled, false);
+});
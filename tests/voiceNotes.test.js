@@ -0,0 +1,85 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const whatsappController = require('../src/controllers/whatsappController');
+const transcriptionService = require('../src/services/transcriptionService');
+const conversationService = require('../src/services/conversationService');
+const twilioService = require('../src/services/twilioService');
+const { Message } = require('../src/models');
+
+// The stub provider "hears" audio whose bytes are plain text
+const recordings = {
+  'https://api.twilio.com/Media/MEspoken': Buffer.from('2 bedroom flat in Lisbon'),
+  'https://api.twilio.com/Media/MEnoise': Buffer.from([0xff, 0xfe, 0x00, 0x01, 0x02]),
+  'https://api.twilio.com/Media/MEhuge': Buffer.alloc(17 * 1024 * 1024, 'a')
+};
+twilioService.downloadMedia = async (url) => {
+  if (!recordings[url]) throw new Error('Twilio returned 404');
+  return { buffer: recordings[url], contentType: 'audio/ogg' };
+};
+
+/**
+ * Capture what reaches the conversation service for one test
+ * @param {object} t - Test context
+ * @returns {Array} - [message, options] of each call
+ */
+const captureTurns = (t) => {
+  const turns = [];
+  const original = conversationService.processMessage;
+  conversationService.processMessage = async (message, user, options) => {
+    turns.push([message, options]);
+    return ['OK'];
+  };
+  t.after(() => { conversationService.processMessage = original; });
+  return turns;
+};
+
+test('a voice note is processed as the text spoken in it', async (t) => {
+  const turns = captureTurns(t);
+
+  const response = await whatsappController.processIncomingMessage({
+    body: '',
+    from: '+351910001401',
+    messageSid: 'SMvoice1401',
+    media: [{ url: 'https://api.twilio.com/Media/MEspoken', contentType: 'audio/ogg' }],
+    profileName: 'Rui'
+  });
+
+  assert.equal(response.content, 'OK');
+  assert.equal(turns.length, 1);
+  assert.equal(turns[0][0], '2 bedroom flat in Lisbon');
+  assert.deepEqual(turns[0][1].media, []);
+
+  const logged = await Message.findBySid('SMvoice1401');
+  assert.equal(logged.transcript, '2 bedroom flat in Lisbon');
+  assert.deepEqual([logged.transcription.provider, typeof logged.transcription.latencyMs], ['stub', 'number']);
+});
+
+test('voice notes that cannot be understood get an apology and are logged', async (t) => {
+  const turns = captureTurns(t);
+  const cases = [
+    ['MEnoise', null],
+    ['MEhuge', /Voice note too large/],
+    ['MEmissing', /Twilio returned 404/]
+  ];
+
+  for (const [mediaSid, error] of cases) {
+    const before = transcriptionService.getStats();
+    const response = await whatsappController.processIncomingMessage({
+      body: '',
+      from: '+351910001402',
+      messageSid: `SMvoice${mediaSid}`,
+      media: [{ url: `https://api.twilio.com/Media/${mediaSid}`, contentType: 'audio/ogg' }],
+      profileName: 'Rui'
+    });
+
+    assert.match(response.content, /couldn't make out that voice note/, mediaSid);
+    const logged = await Message.findBySid(`SMvoice${mediaSid}`);
+    assert.equal(logged.transcript, null, mediaSid);
+    if (error) {
+      assert.match(logged.transcription.error, error, mediaSid);
+      assert.equal(transcriptionService.getStats().failures, before.failures + 1, mediaSid);
+    }
+  }
+  assert.equal(turns.length, 0);
+});
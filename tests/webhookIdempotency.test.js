@@ -0,0 +1,86 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const whatsappController = require('../src/controllers/whatsappController');
+const webhookIdempotencyService = require('../src/services/webhookIdempotencyService');
+const outboundQueueService = require('../src/services/outboundQueueService');
+const { config } = require('../src/config/environment');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+webhookIdempotencyService.pollIntervalMs = 5;
+test.after(() => outboundQueueService.stop());
+
+/**
+ * Deliver an incoming-message webhook the way Twilio posts it
+ * @param {string} from - Sender phone number
+ * @param {string} messageSid - Twilio message SID
+ * @returns {Promise<string>} - TwiML answer
+ */
+const deliver = async (from, messageSid) => {
+  let twiml = null;
+  const res = { writeHead: () => {}, end: (text) => { twiml = text; } };
+  await whatsappController.receiveMessage({
+    body: { Body: 'Hi', From: `whatsapp:${from}`, To: 'whatsapp:+14155238886', MessageSid: messageSid, NumMedia: '0', ProfileName: 'Rui' }
+  }, res);
+  return twiml;
+};
+
+/**
+ * Count pipeline runs, optionally making each one slow
+ * @param {object} t - Test context
+ * @param {number} delayMs - Extra time each run takes
+ * @returns {object} - { runs }
+ */
+const countRuns = (t, delayMs = 0) => {
+  const counter = { runs: 0 };
+  const original = whatsappController.processIncomingMessage;
+  whatsappController.processIncomingMessage = async (...args) => {
+    counter.runs++;
+    await sleep(delayMs);
+    return original.apply(whatsappController, args);
+  };
+  t.after(() => { whatsappController.processIncomingMessage = original; });
+  return counter;
+};
+
+test('a retried delivery replays the original reply without processing again', async (t) => {
+  const counter = countRuns(t);
+
+  const first = await deliver('+351910000801', 'SMreplay0801');
+  const retry = await deliver('+351910000801', 'SMreplay0801');
+
+  assert.match(first, /<Message\b[^>]*>.+<\/Message>/s);
+  assert.equal(retry, first);
+  assert.equal(counter.runs, 1);
+
+  // Another message from the same person is processed as usual
+  await deliver('+351910000801', 'SMreplay0802');
+  assert.equal(counter.runs, 2);
+});
+
+test('a retry that arrives while the first delivery is running waits for its reply', async (t) => {
+  const counter = countRuns(t, 50);
+
+  const from = '+351910000803';
+  const [first, retry] = await Promise.all([deliver(from, 'SMreplay0803'), sleep(5).then(() => deliver(from, 'SMreplay0803'))]);
+
+  assert.match(first, /<Message\b/);
+  assert.equal(retry, first);
+  assert.equal(counter.runs, 1);
+});
+
+test('a retry answers empty when the original does not finish in time', async (t) => {
+  const { duplicateWaitMs } = config.webhook;
+  config.webhook.duplicateWaitMs = 20;
+  t.after(() => { config.webhook.duplicateWaitMs = duplicateWaitMs; });
+  const counter = countRuns(t);
+
+  // Another instance claimed the message and is still working on it
+  assert.equal(await webhookIdempotencyService.claim('SMreplay0804'), true);
+  assert.equal(await webhookIdempotencyService.claim('SMreplay0804'), false);
+
+  const retry = await deliver('+351910000804', 'SMreplay0804');
+  assert.doesNotMatch(retry, /<Message\b/);
+  assert.equal(counter.runs, 0);
+});
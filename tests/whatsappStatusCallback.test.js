@@ -0,0 +1,56 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const whatsappController = require('../src/controllers/whatsappController');
+const outboundQueueService = require('../src/services/outboundQueueService');
+const { Message } = require('../src/models');
+
+test.after(() => outboundQueueService.stop());
+
+/**
+ * Call a controller action with a form-encoded Twilio request
+ * @param {Function} action - Controller action
+ * @param {object} body - Form fields
+ * @param {object} query - Query string parameters
+ * @returns {Promise<object>} - { statusCode, body } of the response
+ */
+const call = async (action, body, query = {}) => {
+  const response = { statusCode: 200, body: '' };
+  const res = {
+    writeHead: (statusCode) => { response.statusCode = statusCode; },
+    end: (text) => { response.body = text; },
+    status: (statusCode) => { response.statusCode = statusCode; return res; },
+    send: (text) => { response.body = text; },
+    json: (data) => { response.body = data; }
+  };
+  await action({ body, query }, res);
+  return response;
+};
+
+test('a TwiML reply gets its delivery status through the callback it names', async () => {
+  const from = 'whatsapp:+351910000101';
+  const reply = await call(whatsappController.receiveMessage, {
+    Body: 'Hi', From: from, To: 'whatsapp:+14155238886', MessageSid: 'SMinbound0101', NumMedia: '0', ProfileName: 'Ana'
+  });
+
+  const callback = reply.body.match(/statusCallback="([^"]+)"/);
+  assert.ok(callback, reply.body);
+  const messageId = new URL(callback[1].replace(/&amp;/g, '&')).searchParams.get('messageId');
+  const logged = await Message.findById(messageId);
+  assert.deepEqual([logged.direction, logged.kind, logged.message_sid], ['outbound', 'reply', null]);
+
+  const updates = [['sent', 'sent'], ['delivered', 'delivered'], ['sent', 'delivered'], ['read', 'read']];
+  for (const [status, expected] of updates) {
+    await call(whatsappController.messageStatus, { MessageSid: 'SMreply0101', MessageStatus: status }, { messageId });
+    const message = await Message.findById(messageId);
+    assert.deepEqual([message.message_sid, message.status], ['SMreply0101', expected], status);
+  }
+});
+
+test('callbacks without a log ID still match on the SID', async () => {
+  const message = await Message.create({ direction: 'outbound', message_sid: 'SMqueued0102', phone_number: '+351910000102', body: 'Hello', status: 'sent' });
+  await call(whatsappController.messageStatus, { MessageSid: 'SMqueued0102', MessageStatus: 'undelivered', ErrorCode: '63016' });
+
+  const updated = await Message.findById(message.id);
+  assert.deepEqual([updated.status, updated.error_code], ['undelivered', '63016']);
+});
@@ -0,0 +1,83 @@
+require('./helpers/memoryApp');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zonedTime = require('../src/services/scheduling/zonedTime');
+const icsCalendar = require('../src/services/scheduling/icsCalendar');
+const timezoneService = require('../src/services/timezoneService');
+
+test('wall-clock times resolve to the right instant on either side of a DST change', () => {
+  const cases = [
+    // Lisbon leaves summer time at 02:00 on 2026-10-25
+    ['2026-10-24', '10:00', 'Europe/Lisbon', '2026-10-24T09:00:00.000Z', '2026-10-24T10:00:00+01:00'],
+    ['2026-10-25', '10:00', 'Europe/Lisbon', '2026-10-25T10:00:00.000Z', '2026-10-25T10:00:00+00:00'],
+    // 01:30 happens twice that night; the later (winter time) one is used
+    ['2026-10-25', '01:30', 'Europe/Lisbon', '2026-10-25T01:30:00.000Z', '2026-10-25T01:30:00+00:00'],
+    // 01:30 doesn't exist on 2026-03-29; it is read on the winter offset and lands at 02:30 summer time
+    ['2026-03-29', '01:30', 'Europe/Lisbon', '2026-03-29T01:30:00.000Z', null],
+    ['2026-10-25', '10:00', 'Atlantic/Azores', '2026-10-25T11:00:00.000Z', '2026-10-25T10:00:00-01:00'],
+    ['2026-11-01', '09:00', 'America/New_York', '2026-11-01T14:00:00.000Z', '2026-11-01T09:00:00-05:00']
+  ];
+
+  for (const [date, time, zone, utc, iso] of cases) {
+    assert.equal(zonedTime.zonedTimeToUtc(date, time, zone).toISOString(), utc, `${date} ${time} ${zone}`);
+    if (iso) assert.equal(zonedTime.toZonedIso(date, time, zone), iso, `${date} ${time} ${zone}`);
+  }
+});
+
+test('convert moves a wall-clock time between zones', () => {
+  const cases = [
+    [['2026-10-24', '10:00', 'Europe/Lisbon', 'Atlantic/Azores'], { date: '2026-10-24', time: '09:00' }],
+    [['2026-10-24', '23:30', 'Atlantic/Azores', 'Europe/Lisbon'], { date: '2026-10-25', time: '00:30' }],
+    // London and Lisbon share a clock; New York changes a week later, so the gap shrinks to four hours
+    [['2026-10-26', '15:00', 'Europe/Lisbon', 'America/New_York'], { date: '2026-10-26', time: '11:00' }],
+    [['2026-11-02', '15:00', 'Europe/Lisbon', 'America/New_York'], { date: '2026-11-02', time: '10:00' }],
+    [['2026-10-24', '10:00', 'Europe/Lisbon', 'Europe/Lisbon'], { date: '2026-10-24', time: '10:00' }]
+  ];
+
+  for (const [args, expected] of cases) {
+    assert.deepEqual(zonedTime.convert(...args), expected, args.join(' '));
+  }
+});
+
+test('the viewing invite carries the zone and its DST change', () => {
+  const ics = icsCalendar.buildEvent({
+    uid: 'viewing-1', date: '2026-10-25', startTime: '10:00', endTime: '10:30', timezone: 'Europe/Lisbon',
+    summary: 'Viewing', location: 'Rua Augusta 1', now: new Date('2026-10-20T12:00:00Z')
+  });
+
+  assert.match(ics, /DTSTART;TZID=Europe\/Lisbon:20261025T100000/);
+  assert.match(ics, /DTEND;TZID=Europe\/Lisbon:20261025T103000/);
+  assert.match(ics, /BEGIN:DAYLIGHT\nDTSTART:20260329T010000\nTZOFFSETFROM:\+0000\nTZOFFSETTO:\+0100/);
+  assert.match(ics, /BEGIN:STANDARD\nDTSTART:20261025T020000\nTZOFFSETFROM:\+0100\nTZOFFSETTO:\+0000/);
+  assert.throws(() => icsCalendar.buildEvent({ uid: 'x', date: '25/10/2026', startTime: '10:00', endTime: '10:30', timezone: 'Europe/Lisbon' }));
+});
+
+test('time zones come from a property\'s own setting, city or country, and a user\'s phone number', () => {
+  const cases = [
+    [timezoneService.forProperty({ timezone: 'Atlantic/Madeira' }), 'Atlantic/Madeira'],
+    [timezoneService.forProperty({ districts: { cities: { city: 'Ponta Delgada', countries: { country: 'Portugal' } } } }), 'Atlantic/Azores'],
+    [timezoneService.forProperty({ districts: { cities: { city: 'Nowhere', countries: { country: 'Portugal' } } } }), 'Europe/Lisbon'],
+    [timezoneService.forProperty({ timezone: 'Not/AZone' }), 'Europe/Lisbon'],
+    [timezoneService.forUser({ phone_number: 'whatsapp:+14155238886' }), 'America/New_York'],
+    [timezoneService.forUser({ phone_number: '+351912345678' }), 'Europe/Lisbon'],
+    [timezoneService.forUser({ phone_number: '+351912345678', timezone: 'Atlantic/Azores' }), 'Atlantic/Azores']
+  ];
+
+  for (const [actual, expected] of cases) {
+    assert.equal(actual, expected);
+  }
+});
+
+test('readers in another zone get the viewing on their own clock', () => {
+  const cases = [
+    [{ phone_number: '+351912345678' }, ''],
+    [{ phone_number: '+351912345678', timezone: 'Atlantic/Azores' }, ' (09:00 - 09:30 your time)'],
+    [{ phone_number: '+14155238886' }, ' (06:00 - 06:30 your time)'],
+    [{ phone_number: '+447700900123' }, ''],
+    [{ phone_number: '+61212345678' }, ' (21:00 - 21:30 your time)']
+  ];
+
+  for (const [reader, expected] of cases) {
+    assert.equal(timezoneService.localTimeNote('2026-10-25', '10:00', '10:30', 'Europe/Lisbon', reader), expected, reader.phone_number);
+  }
+});